@@ -1,332 +1,260 @@
+#!/usr/bin/env node
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import CypressAutonomousAgent from './src/core/CypressAutonomousAgent.js';
 import GitHubHandler from './src/core/GitHubHandler.js';
-import ProjectAnalyzer from './src/core/ProjectAnalyzer.js';
-import TestStrategy from './src/core/TestStrategy.js';
 import TestSpecGenerator from './src/generators/TestSpecGenerator.js';
+import TemplateCatalog from './src/generators/TemplateCatalog.js';
+import TemplatePack, { TemplatePackError } from './src/generators/TemplatePack.js';
+import { parseCliArgs, COMMANDS, CliUsageError } from './src/cli/parseArgs.js';
+import { configureLogger } from './src/core/Logger.js';
+import ProjectConfig, { ProjectConfigError } from './src/core/ProjectConfig.js';
+import { readAnalysisExport, AnalysisSchemaError } from './src/core/analysisSchemas.js';
+import { t, setLanguage, messageTranslator } from './src/i18n/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-class CypressAutonomousAgent {
-    constructor() {
-        this.githubHandler = new GitHubHandler();
-        this.projectAnalyzer = new ProjectAnalyzer();
-        this.testStrategy = new TestStrategy();
-        this.testGenerator = new TestSpecGenerator();
-        this.tempDir = path.join(process.cwd(), 'temp-repos');
-        this.outputDir = path.join(process.cwd(), 'generated-specs');
-        
-        console.log(chalk.green.bold('🤖 Agente Cypress Autónomo - VERSIÓN COMPLETA'));
-        console.log(chalk.blue(`📁 Directorio temporal: ${this.tempDir}`));
-        console.log(chalk.blue(`📁 Salida de specs: ${this.outputDir}`));
-    }
-
-    async processRepository(githubUrl) {
-        let tempPath = null;
-        
-        try {
-            console.log(chalk.cyan(`\n🔍 Procesando repositorio: ${githubUrl}`));
-            
-            // 1. Clonar repositorio REAL con instalación de dependencias
-            const cloneResult = await this.githubHandler.cloneAndAnalyze(githubUrl);
-            if (!cloneResult.success) {
-                throw new Error(`Error clonando: ${cloneResult.error}`);
-            }
-            
-            tempPath = cloneResult.repoPath;
+// Última etapa del pipeline (antes del informe) para cada comando de la CLI
+const COMMAND_STOP_AFTER = {
+    analyze: 'analyze',
+    strategy: 'strategize',
+    generate: null
+};
 
-            // 2. Análisis REAL del proyecto con dependencias instaladas
-            const analysis = await this.projectAnalyzer.deepAnalysis(cloneResult.repoPath);
-            
-            // 3. Verificar configuración Cypress
-            const cypressCheck = await this.githubHandler.checkCypressSetup(cloneResult.repoPath);
-            
-            // 4. Generar estrategia de testing
-            const strategy = await this.testStrategy.generateStrategy(analysis);
-            
-            // 5. Generar specs de prueba
-            const generatedSpecs = await this.testGenerator.generateTestSpecs(analysis, strategy);
-            
-            // 6. Guardar specs en disco
-            const specsSaved = await this.testGenerator.saveSpecsToDisk(generatedSpecs, this.outputDir);
-            
-            // 7. Generar resumen
-            const specSummary = this.testGenerator.generateSpecSummary(generatedSpecs, strategy);
-            
-            // 8. Mostrar resultados detallados
-            this.displayAnalysisResults(analysis, cloneResult.repoName, cypressCheck, strategy, specSummary);
-            
-            return {
-                success: true,
-                repository: githubUrl,
-                analysis: analysis,
-                cypressCheck: cypressCheck,
-                strategy: strategy,
-                generatedSpecs: generatedSpecs,
-                specSummary: specSummary,
-                specsSaved: specsSaved,
-                outputPath: this.outputDir,
-                tempPath: tempPath,
-                timestamp: new Date().toISOString()
-            };
+// Prepara el resultado para salida JSON (sin el contenido completo de los specs)
+function serializeResult(result) {
+    const { generatedSpecs, componentSpecs, ...rest } = result;
+    if (!generatedSpecs) return rest;
 
-        } catch (error) {
-            console.error(chalk.red(`❌ Error procesando repositorio: ${error.message}`));
-            
-            // Limpiar en caso de error
-            if (tempPath) {
-                await this.cleanup(tempPath);
-            }
-            
-            return {
-                success: false,
-                error: error.message,
-                repository: githubUrl
-            };
-        }
-    }
+    return {
+        ...rest,
+        generatedSpecs: generatedSpecs.map(spec => ({
+            name: spec.name,
+            type: spec.type,
+            path: spec.path,
+            package: spec.package
+        })),
+        componentSpecs: (componentSpecs || []).map(spec => ({
+            name: spec.name,
+            component: spec.component,
+            framework: spec.framework,
+            path: spec.path
+        }))
+    };
+}
 
-    displayAnalysisResults(analysis, repoName, cypressCheck, strategy, specSummary) {
-        console.log(chalk.green.bold('\n📊 ANÁLISIS COMPLETO DEL PROYECTO:'));
-        console.log(chalk.blue('┌─────────────────────────────────────────────'));
-        console.log(chalk.blue('│ 📦 INFORMACIÓN DEL PROYECTO'));
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(`│ Nombre: ${repoName}`);
-        console.log(`│ Tipo: ${chalk.yellow(analysis.projectType)}`);
-        console.log(`│ Framework: ${chalk.yellow(analysis.framework)}`);
-        console.log(`│ Package.json: ${analysis.hasPackageJson ? '✅ Sí' : '❌ No'}`);
-        console.log(`│ Dependencias: ${analysis.dependenciesInstalled ? '✅ Instaladas' : '❌ No instaladas'}`);
-        console.log(`│ Cypress: ${analysis.cypressInstalled ? '✅ Detectado' : '❌ No detectado'}`);
-        
-        if (analysis.packageJson && analysis.packageJson.name) {
-            console.log(`│   - Nombre: ${analysis.packageJson.name}`);
-            console.log(`│   - Versión: ${analysis.packageJson.version || 'N/A'}`);
-        }
+// Comandos analyze / strategy / generate sobre un repositorio o un análisis exportado (--from-analysis)
+async function runRepositoryCommand(command, repository, options) {
+    const config = await ProjectConfig.load({ file: options.config });
+    const analysis = options.fromAnalysis ? await readAnalysisExport(path.resolve(options.fromAnalysis)) : undefined;
+    const agent = new CypressAutonomousAgent({ ...options, config, display: true });
 
-        // Información de Cypress
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(chalk.blue('│ 🧪 CONFIGURACIÓN CYPRESS'));
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(`│ Dependencia: ${cypressCheck.hasCypressDependency ? '✅ Sí' : '❌ No'}`);
-        console.log(`│ Archivo config: ${cypressCheck.hasCypressConfig ? '✅ ' + cypressCheck.cypressConfigPath : '❌ No'}`);
-        
-        // Estrategia de Testing
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(chalk.blue('│ 🎯 ESTRATEGIA DE TESTING'));
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(`│ Estrategia: ${strategy.name}`);
-        console.log(`│ Especs recomendados: ${strategy.recommendedSpecs}`);
-        console.log(`│ Áreas de enfoque: ${strategy.focusAreas.join(', ')}`);
-        console.log(`│ Patrones: ${strategy.testPatterns.slice(0, 3).join(', ')}...`);
-        
-        // Resumen de Specs Generados
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(chalk.blue('│ 📝 SPECS GENERADOS'));
-        console.log(chalk.blue('├─────────────────────────────────────────────'));
-        console.log(`│ Total generados: ${specSummary.totalSpecs}`);
-        console.log(`│ Tiempo estimado: ${specSummary.estimatedExecutionTime} segundos`);
-        Object.entries(specSummary.specTypes).forEach(([type, count]) => {
-            console.log(`│   ${type}: ${count} specs`);
-        });
+    console.log(chalk.yellow(t('cli.running', { description: t(`cli.commands.${command}`), repository: repository || options.fromAnalysis })));
 
-        // Scripts ejecutables
-        if (analysis.executableScripts && Object.keys(analysis.executableScripts).length > 0) {
-            console.log(chalk.blue('├─────────────────────────────────────────────'));
-            console.log(chalk.blue('│ 🚀 SCRIPTS EJECUTABLES'));
-            console.log(chalk.blue('├─────────────────────────────────────────────'));
-            Object.entries(analysis.executableScripts)
-                .filter(([script, info]) => info.canExecute)
-                .slice(0, 4)
-                .forEach(([script, info]) => {
-                    const emoji = this.getScriptEmoji(info.type);
-                    console.log(`│ ${emoji} ${script}: ${chalk.gray(info.command)}`);
-                });
-        }
-
-        console.log(chalk.blue('└─────────────────────────────────────────────'));
-        
-        // Resumen final
-        console.log(chalk.green.bold('\n🎯 RESUMEN EJECUTIVO:'));
-        console.log(`   📊 Proyecto: ${analysis.projectType}`);
-        console.log(`   🏗️  Framework: ${analysis.framework}`);
-        console.log(`   🧪 Cypress: ${cypressCheck.hasCypressDependency ? '✅ Configurado' : '❌ Por configurar'}`);
-        console.log(`   📝 Specs generados: ${specSummary.totalSpecs}`);
-        console.log(`   🎯 Estrategia: ${strategy.name}`);
-        console.log(`   💾 Guardado en: ${this.outputDir}`);
+    // --progress json: un evento JSON por línea en stdout (etapas y pasos del pipeline)
+    const writeEvent = event => process.stdout.write(JSON.stringify(event) + '\n');
+    if (options.progress === 'json') {
+        agent.progress.on('progress', writeEvent);
     }
 
-    getScriptEmoji(scriptType) {
-        const emojis = {
-            'test': '🧪',
-            'build': '🏗️',
-            'start': '🚀', 
-            'dev': '💻',
-            'cypress': '⏱️',
-            'lint': '📝',
-            'other': '⚡'
-        };
-        return emojis[scriptType] || '⚡';
-    }
+    const result = await agent.processRepository(repository, {
+        stopAfter: COMMAND_STOP_AFTER[command],
+        analysis,
+        depth: options.depth,
+        packageManager: options.packageManager,
+        install: options.install,
+        ref: options.ref,
+        subdirectory: options.subdirectory,
+        packages: options.packages,
+        scaffold: options.scaffold,
+        specStyle: options.specStyle,
+        testType: options.testType,
+        execute: options.execute,
+        repair: options.repair,
+        appPort: options.appPort,
+        startScript: options.startScript,
+        startTimeout: options.startTimeout,
+        llm: options.llm
+    });
 
-    async cleanup(tempPath) {
-        try {
-            if (tempPath && tempPath.startsWith(this.tempDir)) {
-                await fs.remove(tempPath);
-                console.log(chalk.gray(`🧹 Limpiado: ${path.basename(tempPath)}`));
-            }
-        } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Error limpiando: ${error.message}`));
-        }
+    if (result.success && !options.keep) {
+        await agent.cleanup(result.tempPath);
     }
 
-    // Método para uso con n8n - devuelve datos estructurados
-    async processForN8N(githubUrl, options = {}) {
-        const result = await this.processRepository(githubUrl);
-        
-        // Formatear respuesta para n8n
-        if (result.success) {
-            return {
-                success: true,
-                data: {
-                    project: {
-                        name: result.analysis.packageJson?.name || 'Unknown',
-                        type: result.analysis.projectType,
-                        framework: result.analysis.framework,
-                        hasCypress: result.cypressCheck.hasCypressDependency
-                    },
-                    specs: {
-                        total: result.specSummary.totalSpecs,
-                        types: result.specSummary.specTypes,
-                        estimatedTime: result.specSummary.estimatedExecutionTime,
-                        outputPath: result.outputPath
-                    },
-                    strategy: result.strategy.name,
-                    generatedFiles: result.generatedSpecs.map(spec => ({
-                        name: spec.name,
-                        type: spec.type,
-                        path: spec.path
-                    }))
-                },
-                summary: `Generados ${result.specSummary.totalSpecs} specs Cypress para ${result.analysis.projectType}`,
-                timestamp: result.timestamp
-            };
-        } else {
-            return {
-                success: false,
-                error: result.error,
-                timestamp: new Date().toISOString()
-            };
+    if (options.progress === 'json') {
+        // El resultado cierra el stream; con --json va completo dentro del evento
+        writeEvent({
+            type: 'result',
+            success: result.success,
+            error: result.error,
+            result: options.json ? serializeResult(result) : undefined,
+            timestamp: new Date().toISOString()
+        });
+    } else if (options.json) {
+        process.stdout.write(JSON.stringify(serializeResult(result), null, 2) + '\n');
+    } else if (result.success) {
+        console.log(chalk.green.bold(t('cli.completed', { command })));
+        if (command === 'generate') {
+            console.log(chalk.blue(t('cli.specsAt', { path: result.outputPath })));
         }
-    }
-}
-
-// Función para modo standalone (pruebas directas)
-async function testStandaloneMode() {
-    const agent = new CypressAutonomousAgent();
-    
-    // Crear directorio de salida
-    await fs.ensureDir(agent.outputDir);
-    
-    // Repositorio de prueba
-    const testRepo = 'https://github.com/cypress-io/cypress-example-kitchensink';
-    
-    console.log(chalk.yellow.bold('\n🧪 MODO STANDALONE - PRUEBA DIRECTA'));
-    console.log(chalk.yellow('📍 Repositorio: Cypress Example Kitchensink\n'));
-    
-    console.log(chalk.yellow(`🔬 Analizando y generando pruebas: ${testRepo}`));
-    
-    const result = await agent.processRepository(testRepo);
-    
-    if (result.success) {
-        console.log(chalk.green.bold(`\n✅ GENERACIÓN DE PRUEBAS EXITOSA!`));
-        console.log(chalk.blue(`📁 Los specs generados están en: ${result.outputPath}`));
-        
-        // Mostrar archivos generados
-        try {
-            const files = await fs.readdir(result.outputPath);
-            console.log(chalk.blue('📄 Archivos generados:'));
-            files.forEach(file => {
-                console.log(chalk.gray(`   - ${file}`));
-            });
-        } catch (error) {
-            console.log(chalk.yellow('⚠️  No se pudieron listar los archivos generados'));
+        if (options.keep) {
+            console.log(chalk.blue(t('cli.keptAt', { path: result.tempPath })));
         }
-        
-        // Limpiar después del análisis
-        await agent.cleanup(result.tempPath);
     } else {
-        console.log(chalk.red.bold(`\n❌ ERROR: ${result.error}`));
+        console.log(chalk.red.bold(t('cli.failed', { error: result.error })));
+    }
+
+    if (!result.success || (result.execution && !result.execution.success)) {
+        process.exitCode = 1;
     }
-    
-    console.log(chalk.green.bold('\n🎯 PRUEBA COMPLETADA - AGENTE FUNCIONANDO!'));
 }
 
 // Función para modo n8n (servidor webhook)
-async function startN8NMode() {
-    console.log(chalk.green.bold('\n🚀 INICIANDO MODO n8n INTEGRATION...'));
+async function startN8NMode(options) {
+    console.log(chalk.green.bold(t('cli.serveStarting')));
+
+    if (options.port) {
+        process.env.PORT = String(options.port);
+    }
+    if (options.config) {
+        process.env.CYPRESS_AGENT_CONFIG = path.resolve(options.config);
+    }
     
     try {
         // Importación dinámica para evitar conflictos
-        const { default: n8nWebhook } = await import('./src/n8n/n8n-webhook.js');
-        console.log(chalk.green('✅ Servidor n8n-webhook cargado correctamente'));
+        await import('./src/n8n/n8n-webhook.js');
+        console.log(chalk.green(t('cli.serveLoaded')));
     } catch (error) {
-        console.log(chalk.yellow('📝 Para usar el modo n8n, ejecuta: npm run n8n'));
-        console.log(chalk.yellow('📝 O instala las dependencias: npm install express cors'));
+        console.log(chalk.red(t('cli.serveFailed', { error: error.message })));
+        console.log(chalk.yellow(t('cli.installHint')));
+        process.exitCode = 1;
     }
 }
 
-// Determinar modo de ejecución
-async function main() {
-    const args = process.argv.slice(2);
-    const mode = args[0] || 'standalone';
-    
-    if (mode === 'n8n') {
-        await startN8NMode();
-    } else if (mode === 'standalone') {
-        await testStandaloneMode();
-    } else if (mode === 'help') {
-        console.log(chalk.blue.bold(`
-🤖 CYPRESS AUTONOMOUS AGENT - MODOS DE USO:
+// Limpieza de repositorios temporales
+async function runClean(options) {
+    const config = await ProjectConfig.load({ file: options.config });
+    const handler = new GitHubHandler({ tempDir: path.resolve(options.tempDir || config.values.tempDir) });
+    const maxAgeHours = options.maxAgeHours ?? 24;
+
+    console.log(chalk.blue(t('cli.cleaning', { hours: maxAgeHours, path: handler.tempDir })));
+    await handler.cleanupOldRepos(maxAgeHours);
+    console.log(chalk.green(t('cli.cleaned')));
+}
 
-1. 🧪 Modo Standalone (default):
-   node agent.js standalone
-   node agent.js
+// templates list [proyecto]: plantillas por patrón y pack; templates validate <pack>: comprueba un pack
+async function runTemplates(action, target, options) {
+    const config = await ProjectConfig.load({ file: options.config });
+    const generator = new TestSpecGenerator({ specLanguage: options.specLanguage || config.values.specLanguage });
 
-2. 🔌 Modo n8n Integration:
-   node agent.js n8n
-   npm run n8n
+    if (action === 'validate') {
+        const pack = await TemplatePack.load(path.resolve(target));
+        const errors = generator.validateTemplatePack(pack);
 
-3. 🚀 Modo Webhook (servidor):
-   npm run n8n
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ pack: pack.name, valid: errors.length === 0, errors }, null, 2) + '\n');
+        } else if (errors.length === 0) {
+            console.log(chalk.green(t('templates.valid', { name: pack.name, count: pack.patterns.length })));
+        } else {
+            console.log(chalk.red(t('templates.invalid', { name: pack.name, count: errors.length })));
+            errors.forEach(error => console.log(chalk.red(`   - ${error.field}: ${error.message}`)));
+        }
+        if (errors.length > 0) process.exitCode = 1;
+        return;
+    }
 
-4. 📋 Ayuda:
-   node agent.js help
+    // Con un directorio de proyecto se aplica también su .cypress-agent.json
+    const settings = (target ? await config.withRepository(path.resolve(target)) : config).values;
+    const packs = (await TemplateCatalog.fromConfig(settings)).list();
 
-📍 Ejemplos de uso:
-   - Probar con repositorio específico: Modifica testRepo en el código
-   - Integrar con n8n: Usa el endpoint /webhook/cypress-agent
-   - Ver specs generados: Revisa la carpeta generated-specs/
-        `));
-    } else {
-        console.log(chalk.yellow(`⚠️  Modo desconocido: ${mode}`));
-        console.log(chalk.yellow('💡 Usa: node agent.js help para ver opciones disponibles'));
+    if (options.json) {
+        process.stdout.write(JSON.stringify(packs, null, 2) + '\n');
+        return;
+    }
+
+    for (const pack of packs) {
+        console.log(chalk.blue.bold(t('templates.pack', { name: pack.name, source: pack.directory || t('templates.configFiles') })));
+        for (const entry of pack.templates) {
+            const line = `   ${entry.pattern.padEnd(20)} ${entry.file}`;
+            console.log(entry.overriddenBy
+                ? chalk.gray(`${line}  ${t('templates.overridden', { pack: entry.overriddenBy })}`)
+                : line);
+        }
     }
 }
 
-// Limpieza de temporales antiguos al iniciar
-async function cleanupOldRepos() {
-    const handler = new GitHubHandler();
-    await handler.cleanupOldRepos(1);
+function printHelp() {
+    const commands = Object.keys(COMMANDS)
+        .map(name => `   ${name.padEnd(10)} ${t(`cli.commands.${name}`)}`)
+        .join('\n');
+
+    console.log(chalk.blue.bold(t('cli.help', { commands })));
 }
 
-// Ejecutar aplicación
-cleanupOldRepos()
-    .then(() => main())
-    .catch(error => {
-        console.error('Error durante la ejecución:', error);
-    });
+// Determinar comando de ejecución
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        if (!(error instanceof CliUsageError)) throw error;
+        console.error(chalk.yellow(`⚠️  ${error.message}`));
+        console.error(chalk.yellow(messageTranslator(error.language)('cli.usageHint')));
+        process.exitCode = 2;
+        return;
+    }
+
+    const { command, action, repository, options } = parsed;
+    setLanguage(options.language);
+    configureLogger({ level: options.logLevel, format: options.logFormat });
+
+    // En modo JSON stdout queda reservado para el resultado y los eventos de progreso
+    if (options.json || options.progress === 'json') {
+        console.log = console.error;
+    }
+
+    try {
+        switch (command) {
+            case 'analyze':
+            case 'strategy':
+            case 'generate':
+                await runRepositoryCommand(command, repository, options);
+                break;
+            case 'serve':
+                await startN8NMode(options);
+                break;
+            case 'clean':
+                await runClean(options);
+                break;
+            case 'templates':
+                await runTemplates(action, repository, options);
+                break;
+            default:
+                printHelp();
+        }
+    } catch (error) {
+        // Configuración, pack o análisis importado no válidos: mismo tratamiento que un error de uso
+        if (!(error instanceof ProjectConfigError || error instanceof TemplatePackError || error instanceof AnalysisSchemaError)) throw error;
+        console.error(chalk.yellow(`⚠️  ${error.message}`));
+        process.exitCode = 2;
+    }
+}
+
+// Solo como script: importar agent.js (p. ej. por compatibilidad con el export) no ejecuta la CLI
+function isEntryPoint() {
+    return Boolean(process.argv[1]) && fs.realpathSync(path.resolve(process.argv[1])) === fs.realpathSync(__filename);
+}
+
+if (isEntryPoint()) {
+    main()
+        .catch(error => {
+            console.error(t('cli.fatal'), error);
+            process.exitCode = 1;
+        });
+}
 
-export default CypressAutonomousAgent;
\ No newline at end of file
+// La clase vive en src/core; se reexporta por compatibilidad con quien la importaba desde aquí
+export default CypressAutonomousAgent;
+export { main };
@@ -1,105 +1,148 @@
 const express = require('express');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { spawn } = require('child_process');
 
-const execAsync = promisify(exec);
 const app = express();
 const port = 3000;
 
-app.use(express.json());
-
-// Endpoint mejorado para múltiples tipos de tests
-app.post('/run-cypress', async (req, res) => {
-  console.log('📦 Recibiendo solicitud para ejecutar Cypress...');
-  
-  try {
-    const { url, testType, spec, browser, headless } = req.body;
-    
-    console.log('🔧 Parámetros recibidos:', { url, testType, spec, browser, headless });
-    
-    // Configurar comando base
-    let command = 'npx cypress run';
-    
-    // Agregar opciones según los parámetros
-    if (headless !== false) command += ' --headless';
-    if (browser) command += ` --browser ${browser}`;
-    if (spec) command += ` --spec "${spec}"`;
-    if (url) command += ` --env targetUrl=${url}`;
-    
-    // Configuraciones específicas por tipo de test
-    switch(testType) {
-      case 'e2e':
-        command += ' --e2e';
-        break;
-      case 'component':
-        command += ' --component';
-        break;
-      case 'smoke':
-        command += ' --env grep="smoke"';
-        break;
-      case 'regression':
-        command += ' --env grep="regression"';
-        break;
-      default:
-        // Test básico por defecto
-        command += ' --e2e';
+// Proyecto sobre el que se ejecuta Cypress
+const projectDir = process.env.CYPRESS_PROJECT_DIR || process.cwd();
+const MAX_OUTPUT = 1024 * 1024;
+
+function runCypress(args, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', args, {
+      cwd: projectDir,
+      env: { ...process.env, ...env },
+      shell: false
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout = (stdout + chunk).slice(-MAX_OUTPUT); });
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-MAX_OUTPUT); });
+
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+// Traductor de mensajes (src/i18n); se carga en start() junto al resto de módulos ESM
+let t = null;
+
+// Los módulos de src/ son ESM: se cargan con import() antes de registrar las rutas
+async function start() {
+  ({ t } = await import('./src/i18n/index.js'));
+  const { default: loadSecurityConfig } = await import('./src/security/loadSecurityConfig.js');
+  const { default: ApiKeyAuth } = await import('./src/security/ApiKeyAuth.js');
+  const { default: RateLimiter } = await import('./src/security/RateLimiter.js');
+  const { default: RequestValidator } = await import('./src/security/RequestValidator.js');
+  const { runCypressRequestSchema } = await import('./src/security/requestSchemas.js');
+  const { default: CypressRunOptions, TEST_TYPES, BROWSERS, DEFAULT_SPEC_DIR } = await import('./src/core/CypressRunOptions.js');
+
+  // Directorio al que se limitan los globs de --spec
+  const specDir = process.env.CYPRESS_SPEC_DIR || DEFAULT_SPEC_DIR;
+
+  const security = await loadSecurityConfig();
+  const auth = new ApiKeyAuth(security.apiKeys);
+  const rateLimiter = new RateLimiter(security.rateLimit);
+  const validator = new RequestValidator();
+
+  app.use(express.json({ limit: '100kb' }));
+
+  // Ejecuta Cypress con spawn y un array de argumentos: nada de la petición pasa por un shell
+  app.post('/run-cypress', rateLimiter.ipMiddleware(), auth.require('cypress:run'), rateLimiter.middleware(), validator.body(runCypressRequestSchema), async (req, res) => {
+    console.log(t('cypressServer.received'));
+
+    const { options, errors } = CypressRunOptions.parse(req.body, { specDir });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: t('api.invalidRequest'),
+        code: 'INVALID_REQUEST',
+        details: errors
+      });
+    }
+
+    const args = options.toArgs();
+    const command = ['npx', ...args].join(' ');
+
+    console.log(t('cypressServer.options'), options);
+    console.log(t('cypressServer.command'), command);
+
+    try {
+      const { code, stdout, stderr } = await runCypress(args, options.toEnv());
+
+      if (code !== 0) {
+        console.log(t('cypressServer.exitCode', { code }));
+
+        return res.status(500).json({
+          success: false,
+          message: 'Cypress tests failed',
+          error: t('api.cypressExitCode', { code }),
+          exitCode: code,
+          command: command,
+          output: stdout,
+          stderr: stderr,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(t('cypressServer.passed'));
+
+      res.json({
+        success: true,
+        message: `Cypress ${options.testType} tests completed successfully`,
+        testType: options.testType,
+        url: options.targetUrl,
+        command: command,
+        output: stdout,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.log(t('cypressServer.failed'), error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Cypress tests failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
-    
-    console.log('🚀 Ejecutando comando:', command);
-    
-    const { stdout, stderr } = await execAsync(command);
-    
-    console.log('✅ Cypress ejecutado exitosamente');
-    
+  });
+
+  // Endpoint para listar tipos de tests disponibles (los mismos que acepta /run-cypress)
+  app.get('/test-types', (req, res) => {
     res.json({
-      success: true,
-      message: `Cypress ${testType} tests completed successfully`,
-      testType: testType,
-      url: url,
-      command: command,
-      output: stdout,
+      availableTestTypes: Object.entries(TEST_TYPES).map(([type, { description }]) => ({ type, description })),
+      availableBrowsers: BROWSERS,
+      specDir: specDir,
       timestamp: new Date().toISOString()
     });
-    
-  } catch (error) {
-    console.log('❌ Error ejecutando Cypress:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Cypress tests failed',
-      error: error.message,
+  });
+
+  // Health check mejorado
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      service: 'Enhanced Cypress Server',
+      version: '2.0',
       timestamp: new Date().toISOString()
     });
-  }
-});
-
-// Endpoint para listar tipos de tests disponibles
-app.get('/test-types', (req, res) => {
-  res.json({
-    availableTestTypes: [
-      { type: 'e2e', description: 'End-to-End Tests' },
-      { type: 'component', description: 'Component Tests' },
-      { type: 'smoke', description: 'Smoke Tests' },
-      { type: 'regression', description: 'Regression Tests' },
-      { type: 'basic', description: 'Basic Tests' }
-    ],
-    availableBrowsers: ['chrome', 'firefox', 'edge', 'electron'],
-    timestamp: new Date().toISOString()
   });
-});
 
-// Health check mejorado
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    service: 'Enhanced Cypress Server',
-    version: '2.0',
-    timestamp: new Date().toISOString()
+  app.listen(port, () => {
+    console.log(t('cypressServer.started', { port }));
+    console.log(t('cypressServer.health', { port }));
+    console.log(t('cypressServer.testTypes', { port }));
   });
-});
 
-app.listen(port, () => {
-  console.log(`🚀 Enhanced Cypress Server running on http://localhost:${port}`);
-  console.log(`📊 Health check: http://localhost:${port}/health`);
-  console.log(`📋 Available tests: http://localhost:${port}/test-types`);
-});
\ No newline at end of file
+  if (!auth.enabled) {
+    console.warn(t('cypressServer.noApiKeys', { file: security.file }));
+  }
+}
+
+start().catch(error => {
+  console.error(t ? t('cypressServer.startFailed') : '❌ No se pudo iniciar el servidor:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+import { parseArgs } from 'util';
+import { AVAILABLE_PROVIDERS } from '../generators/llm/createProvider.js';
+import { PACKAGE_MANAGERS } from '../core/DependencyInstaller.js';
+import { LOG_LEVELS, LOG_FORMATS } from '../core/Logger.js';
+import { LANGUAGES, messageTranslator } from '../i18n/index.js';
+
+// Comandos soportados por la CLI y si requieren un repositorio como argumento.
+// Las descripciones están en el catálogo de mensajes (cli.commands.<comando>).
+export const COMMANDS = {
+    analyze: { requiresRepo: true },
+    strategy: { requiresRepo: true },
+    generate: { requiresRepo: true },
+    serve: { requiresRepo: false },
+    clean: { requiresRepo: false },
+    templates: { requiresRepo: false },
+    help: { requiresRepo: false }
+};
+
+// templates list [proyecto] | templates validate <pack>
+export const TEMPLATE_ACTIONS = ['list', 'validate'];
+
+// Comandos que pueden partir de un análisis exportado (--from-analysis) en lugar del repositorio
+export const FROM_ANALYSIS_COMMANDS = ['strategy', 'generate'];
+
+// Alias heredados de la versión anterior de agent.js; standalone ya no tiene repositorio
+// por defecto y, como generate, necesita uno: node agent.js standalone <repo>
+const COMMAND_ALIASES = {
+    n8n: 'serve',
+    standalone: 'generate'
+};
+
+const OPTIONS = {
+    out: { type: 'string', short: 'o' },
+    'temp-dir': { type: 'string' },
+    config: { type: 'string' },
+    depth: { type: 'string' },
+    ref: { type: 'string' },
+    subdir: { type: 'string' },
+    'package-manager': { type: 'string' },
+    'skip-install': { type: 'boolean', default: false },
+    'allow-scripts': { type: 'string' },
+    offline: { type: 'boolean', default: false },
+    registry: { type: 'string' },
+    'update-lockfile': { type: 'boolean', default: false },
+    'install-timeout': { type: 'string' },
+    keep: { type: 'boolean', default: false },
+    'from-analysis': { type: 'string' },
+    package: { type: 'string', multiple: true },
+    'test-type': { type: 'string' },
+    style: { type: 'string' },
+    'spec-language': { type: 'string' },
+    scaffold: { type: 'boolean', default: false },
+    execute: { type: 'boolean', default: false },
+    repair: { type: 'string' },
+    'app-port': { type: 'string' },
+    'start-script': { type: 'string' },
+    'start-timeout': { type: 'string' },
+    llm: { type: 'string' },
+    'llm-model': { type: 'string' },
+    'llm-url': { type: 'string' },
+    'llm-fixtures': { type: 'string' },
+    'llm-max-tokens': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    progress: { type: 'string' },
+    lang: { type: 'string' },
+    'log-level': { type: 'string' },
+    'log-format': { type: 'string' },
+    port: { type: 'string' },
+    'max-age': { type: 'string' },
+    all: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const SPEC_STYLES = ['inline', 'pom'];
+const TEST_TYPES = ['e2e', 'component', 'all'];
+const PROGRESS_FORMATS = ['text', 'json'];
+
+// language: idioma en que se muestra el error (el de --lang si ya se ha leído)
+export class CliUsageError extends Error {
+    constructor(message, language) {
+        super(message);
+        this.name = 'CliUsageError';
+        this.language = language;
+    }
+}
+
+function parsePositiveInteger(value, flag, language) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new CliUsageError(messageTranslator(language)('cli.errors.positiveInteger', { flag, value }), language);
+    }
+    return number;
+}
+
+function requireOneOf(value, allowed, flag, language) {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw new CliUsageError(messageTranslator(language)('cli.errors.oneOf', { flag, values: allowed.join(', ') }), language);
+    }
+    return value;
+}
+
+/**
+ * Convierte argv (sin `node agent.js`) en un comando normalizado con sus opciones.
+ * Lanza CliUsageError cuando los argumentos no son válidos.
+ */
+export function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const rawCommand = positionals[0] || 'help';
+    const command = COMMAND_ALIASES[rawCommand] || rawCommand;
+
+    // --lang primero, para mostrar el resto de errores en ese idioma
+    const language = requireOneOf(values.lang, LANGUAGES, 'lang');
+    const text = messageTranslator(language);
+
+    if (values.help) {
+        return { command: 'help', repository: null, options: { language } };
+    }
+
+    if (!COMMANDS[command]) {
+        throw new CliUsageError(text('cli.errors.unknownCommand', { command: rawCommand }), language);
+    }
+
+    // "templates" lleva una acción delante del directorio
+    const action = command === 'templates' ? positionals[1] || 'list' : null;
+    if (action && !TEMPLATE_ACTIONS.includes(action)) {
+        throw new CliUsageError(text('cli.errors.templateAction', { action, actions: TEMPLATE_ACTIONS.join(', ') }), language);
+    }
+
+    const repository = (action ? positionals[2] : positionals[1]) || null;
+    const fromAnalysis = values['from-analysis'];
+    if (fromAnalysis !== undefined && !FROM_ANALYSIS_COMMANDS.includes(command)) {
+        throw new CliUsageError(text('cli.errors.fromAnalysis', { commands: FROM_ANALYSIS_COMMANDS.join(', ') }), language);
+    }
+    if (COMMANDS[command].requiresRepo && !repository && fromAnalysis === undefined) {
+        throw new CliUsageError(text('cli.errors.requiresRepo', { command }), language);
+    }
+    // Sin repositorio no hay proyecto contra el que ejecutar los specs
+    if (!repository && fromAnalysis !== undefined && (values.execute || values.repair !== undefined)) {
+        throw new CliUsageError(text('cli.errors.executeNeedsRepo'), language);
+    }
+    if (action === 'validate' && !repository) {
+        throw new CliUsageError(text('cli.errors.templatePack'), language);
+    }
+
+    const packageManager = requireOneOf(values['package-manager'], PACKAGE_MANAGERS, 'package-manager', language);
+    const specStyle = requireOneOf(values.style || 'inline', SPEC_STYLES, 'style', language);
+    const specLanguage = requireOneOf(values['spec-language'], LANGUAGES, 'spec-language', language);
+    const testType = requireOneOf(values['test-type'] || 'all', TEST_TYPES, 'test-type', language);
+    const progress = requireOneOf(values.progress || 'text', PROGRESS_FORMATS, 'progress', language);
+    const logLevel = requireOneOf(values['log-level'], Object.keys(LOG_LEVELS), 'log-level', language);
+    const logFormat = requireOneOf(values['log-format'], LOG_FORMATS, 'log-format', language);
+    const llmProvider = requireOneOf(values.llm, AVAILABLE_PROVIDERS, 'llm', language);
+
+    return {
+        command,
+        action,
+        repository,
+        options: {
+            outputDir: values.out,
+            tempDir: values['temp-dir'],
+            config: values.config,
+            depth: parsePositiveInteger(values.depth, 'depth', language),
+            ref: values.ref,
+            subdirectory: values.subdir,
+            packageManager,
+            install: !values['skip-install'],
+            installPolicy: {
+                allowScripts: values['allow-scripts'] === undefined
+                    ? undefined
+                    : values['allow-scripts'].split(',').map(name => name.trim()).filter(Boolean),
+                offline: values.offline || undefined,
+                registry: values.registry,
+                frozenLockfile: values['update-lockfile'] ? false : undefined,
+                timeoutMs: values['install-timeout'] === undefined
+                    ? undefined
+                    : parsePositiveInteger(values['install-timeout'], 'install-timeout', language) * 1000
+            },
+            keep: values.keep,
+            fromAnalysis,
+            packages: values.package || [],
+            specStyle,
+            specLanguage,
+            testType,
+            scaffold: values.scaffold,
+            execute: values.execute,
+            repair: parsePositiveInteger(values.repair, 'repair', language),
+            appPort: parsePositiveInteger(values['app-port'], 'app-port', language),
+            startScript: values['start-script'],
+            startTimeout: values['start-timeout'] === undefined
+                ? undefined
+                : parsePositiveInteger(values['start-timeout'], 'start-timeout', language) * 1000,
+            llm: llmProvider
+                ? {
+                    provider: llmProvider,
+                    model: values['llm-model'],
+                    baseUrl: values['llm-url'],
+                    fixturesDir: values['llm-fixtures'],
+                    maxTotalTokens: parsePositiveInteger(values['llm-max-tokens'], 'llm-max-tokens', language)
+                }
+                : undefined,
+            json: values.json,
+            progress,
+            language,
+            logLevel,
+            logFormat,
+            port: parsePositiveInteger(values.port, 'port', language),
+            maxAgeHours: values.all ? 0 : parsePositiveInteger(values['max-age'], 'max-age', language)
+        }
+    };
+}
@@ -0,0 +1,297 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('ComponentDiscovery');
+
+const COMPONENT_EXTENSIONS = ['.jsx', '.tsx', '.vue', '.svelte'];
+const NON_COMPONENT_FILES = /\.(test|spec|stories|story|cy)\.[jt]sx?$/;
+const MAX_COMPONENTS = 25;
+
+export default class ComponentDiscovery {
+    // Componentes bajo components/ en la estructura del proyecto: [{ name, file, framework, props, emits }]
+    async discover(repoPath, analysis) {
+        logger.info(t('components.searching'));
+
+        const files = analysis.projectStructure
+            .filter(item => item.type === 'file' && this.isComponentFile(item.path))
+            .map(item => item.path.split(path.sep).join('/'))
+            .slice(0, MAX_COMPONENTS);
+
+        const components = [];
+        for (const file of files) {
+            try {
+                const source = await fs.readFile(path.join(repoPath, file), 'utf8');
+                const component = this.parseComponent(file, source);
+                if (component) components.push(component);
+            } catch (error) {
+                // Archivo ilegible: se ignora
+            }
+        }
+
+        logger.success(t('components.found', { count: components.length }));
+        return components;
+    }
+
+    isComponentFile(file) {
+        const normalized = file.split(path.sep).join('/');
+        if (!/(^|\/)components\//.test(normalized) || NON_COMPONENT_FILES.test(normalized)) return false;
+        return COMPONENT_EXTENSIONS.includes(path.extname(normalized)) || normalized.endsWith('.component.ts');
+    }
+
+    parseComponent(file, source) {
+        if (file.endsWith('.vue')) return this.parseVue(file, source);
+        if (file.endsWith('.svelte')) return this.parseSvelte(file, source);
+        if (file.endsWith('.component.ts')) return this.parseAngular(file, source);
+        return this.parseReact(file, source);
+    }
+
+    baseName(file) {
+        return path.basename(file).replace(/\.(component\.ts|[^.]+)$/, '');
+    }
+
+    // ---------- React ----------
+
+    parseReact(file, source) {
+        const name = this.baseName(file);
+        // Sin JSX ni export no es un componente (hooks, utilidades)
+        if (!/<[A-Za-z]/.test(source) || !/\bexport\b/.test(source)) return null;
+
+        const props = new Map();
+        const definition = new RegExp(
+            `(?:function\\s+${name}\\s*\\(|(?:const|let)\\s+${name}\\s*(?::[^=]+)?=\\s*(?:React\\.)?(?:memo\\(|forwardRef\\()?\\s*(?:function\\s*\\w*)?\\s*\\()\\s*\\{`
+        ).exec(source);
+
+        if (definition) {
+            const block = this.extractBlock(source, definition.index + definition[0].length - 1);
+            this.splitTopLevel(block).forEach(entry => {
+                const match = entry.match(/^(\w+)\s*(?::\s*\w+)?\s*(?:=\s*([\s\S]+))?$/);
+                if (match) this.addProp(props, match[1], { default: match[2] ? match[2].trim() : undefined });
+            });
+        }
+
+        const propTypes = new RegExp(`${name}\\.propTypes\\s*=\\s*\\{`).exec(source);
+        if (propTypes) {
+            const block = this.extractBlock(source, propTypes.index + propTypes[0].length - 1);
+            this.splitTopLevel(block).forEach(entry => {
+                const match = entry.match(/^(\w+)\s*:\s*PropTypes\.(\w+)([\s\S]*)$/);
+                if (match) {
+                    this.addProp(props, match[1], { type: this.normalizeType(match[2]), required: /\.isRequired/.test(match[3]) });
+                }
+            });
+        }
+
+        const propsType = new RegExp(`(?:interface\\s+${name}Props(?:\\s+extends[^{]+)?|type\\s+${name}Props\\s*=)\\s*\\{`).exec(source);
+        if (propsType) {
+            this.parseTypeMembers(this.extractBlock(source, propsType.index + propsType[0].length - 1), props);
+        }
+
+        const propList = [...props.values()];
+        return {
+            name,
+            file,
+            framework: 'react',
+            exportName: new RegExp(`export\\s+default\\s+(?:function\\s+)?${name}\\b|export\\s+default\\s+(?:React\\.)?(?:memo|forwardRef)\\(\\s*${name}\\b`).test(source) ? 'default' : name,
+            props: propList.filter(prop => !/^on[A-Z]/.test(prop.name)),
+            emits: propList.filter(prop => /^on[A-Z]/.test(prop.name)).map(prop => prop.name),
+            rendersProps: propList
+                .filter(prop => new RegExp(`>[^<]*\\{\\s*${prop.name}\\s*\\}`).test(source))
+                .map(prop => prop.name)
+        };
+    }
+
+    // ---------- Vue ----------
+
+    parseVue(file, source) {
+        const scripts = [...source.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/g)].map(match => match[1]).join('\n');
+        const props = new Map();
+        const emits = new Set();
+
+        const typedProps = /defineProps\s*<\s*\{/.exec(scripts);
+        if (typedProps) {
+            this.parseTypeMembers(this.extractBlock(scripts, typedProps.index + typedProps[0].length - 1), props);
+        }
+
+        const propsDeclaration = /(?:defineProps\s*\(\s*|\bprops\s*:\s*)([{[])/.exec(scripts);
+        if (propsDeclaration) {
+            const open = propsDeclaration.index + propsDeclaration[0].length - 1;
+            const block = this.extractBlock(scripts, open);
+
+            if (propsDeclaration[1] === '[') {
+                [...block.matchAll(/['"](\w+)['"]/g)].forEach(match => this.addProp(props, match[1], {}));
+            } else {
+                this.splitTopLevel(block).forEach(entry => {
+                    const match = entry.match(/^['"]?(\w+)['"]?\s*:\s*([\s\S]+)$/);
+                    if (!match) return;
+                    const definition = match[2].trim();
+                    const type = (definition.match(/^\[?\s*(String|Number|Boolean|Array|Object|Function)/) ||
+                        definition.match(/type\s*:\s*\[?\s*(String|Number|Boolean|Array|Object|Function)/) || [])[1];
+                    const defaultValue = definition.match(/default\s*:\s*([^,}\n]+)/);
+                    this.addProp(props, match[1], {
+                        type: type ? this.normalizeType(type) : undefined,
+                        required: /required\s*:\s*true/.test(definition),
+                        default: defaultValue ? defaultValue[1].trim() : undefined
+                    });
+                });
+            }
+        }
+
+        const emitsDeclaration = /(?:defineEmits\s*(?:<|\(\s*)|\bemits\s*:\s*)([{[])/.exec(scripts);
+        if (emitsDeclaration) {
+            const block = this.extractBlock(scripts, emitsDeclaration.index + emitsDeclaration[0].length - 1);
+            [...block.matchAll(/['"]([\w:-]+)['"]/g)].forEach(match => emits.add(match[1]));
+        }
+        [...source.matchAll(/\$?emit\(\s*['"]([\w:-]+)['"]/g)].forEach(match => emits.add(match[1]));
+
+        return {
+            name: this.baseName(file),
+            file,
+            framework: 'vue',
+            exportName: 'default',
+            props: [...props.values()],
+            emits: [...emits],
+            rendersProps: [...props.keys()].filter(name => new RegExp(`\\{\\{\\s*(?:props\\.)?${name}\\s*\\}\\}`).test(source))
+        };
+    }
+
+    // ---------- Svelte ----------
+
+    parseSvelte(file, source) {
+        const props = new Map();
+
+        for (const match of source.matchAll(/export\s+let\s+(\w+)\s*(?::\s*([^=;\n]+))?(?:=\s*([^;\n]+))?/g)) {
+            this.addProp(props, match[1], {
+                type: match[2] ? this.normalizeType(match[2].trim()) : undefined,
+                required: match[3] === undefined,
+                default: match[3] ? match[3].trim() : undefined
+            });
+        }
+
+        // Svelte 5: let { a, b = 1 } = $props()
+        const runes = /let\s*\{([^}]*)\}\s*(?::[^=]+)?=\s*\$props\(\)/.exec(source);
+        if (runes) {
+            this.splitTopLevel(runes[1]).forEach(entry => {
+                const match = entry.match(/^(\w+)\s*(?:=\s*([\s\S]+))?$/);
+                if (match) this.addProp(props, match[1], { required: !match[2], default: match[2] });
+            });
+        }
+
+        const emits = [...new Set([...source.matchAll(/dispatch\(\s*['"]([\w:-]+)['"]/g)].map(match => match[1]))];
+
+        return {
+            name: this.baseName(file),
+            file,
+            framework: 'svelte',
+            exportName: 'default',
+            props: [...props.values()],
+            emits,
+            rendersProps: [...props.keys()].filter(name => new RegExp(`>[^<]*\\{\\s*${name}\\s*\\}`).test(source))
+        };
+    }
+
+    // ---------- Angular ----------
+
+    parseAngular(file, source) {
+        const className = (source.match(/export\s+class\s+(\w+)/) || [])[1];
+        if (!className || !/@Component\s*\(/.test(source)) return null;
+
+        const props = new Map();
+        for (const match of source.matchAll(/@Input\(\s*(\{[^)]*\})?\s*\)\s*(?:set\s+)?(\w+)[!?]?\s*(?::\s*([^;=\n]+))?(?:=\s*([^;\n]+))?/g)) {
+            this.addProp(props, match[2], {
+                type: match[3] ? this.normalizeType(match[3].trim()) : undefined,
+                required: Boolean(match[1] && /required\s*:\s*true/.test(match[1])),
+                default: match[4] ? match[4].trim() : undefined
+            });
+        }
+
+        const emits = [...source.matchAll(/@Output\(\s*\)\s*(\w+)/g)].map(match => match[1]);
+
+        return {
+            name: className,
+            file,
+            framework: 'angular',
+            exportName: className,
+            props: [...props.values()],
+            emits,
+            rendersProps: []
+        };
+    }
+
+    // ---------- Utilidades ----------
+
+    addProp(props, name, info) {
+        const existing = props.get(name) || { name, type: undefined, required: false, default: undefined };
+        props.set(name, {
+            ...existing,
+            type: info.type || existing.type,
+            required: existing.required || Boolean(info.required),
+            default: info.default !== undefined ? info.default : existing.default
+        });
+    }
+
+    // { a: string; b?: number } (TypeScript)
+    parseTypeMembers(block, props) {
+        this.splitTopLevel(block.replace(/;/g, ',').replace(/\n/g, ',')).forEach(entry => {
+            const match = entry.match(/^(?:readonly\s+)?(\w+)(\??)\s*:\s*([\s\S]+)$/);
+            if (match) this.addProp(props, match[1], { type: this.normalizeType(match[3].trim()), required: match[2] !== '?' });
+        });
+    }
+
+    normalizeType(type) {
+        const value = type.toLowerCase();
+        if (/=>|^func|^function/.test(value)) return 'function';
+        if (/\[\]$|^array|^arrayof/.test(value)) return 'array';
+        if (/^(string|node|element)/.test(value) || /^['"]/.test(value)) return 'string';
+        if (/^(number|bigint)/.test(value)) return 'number';
+        if (/^bool/.test(value)) return 'boolean';
+        if (/^(object|shape|record|\{)/.test(value)) return 'object';
+        return 'unknown';
+    }
+
+    // Contenido entre la llave/corchete de `openIndex` y su cierre, ignorando cadenas
+    extractBlock(source, openIndex) {
+        const open = source[openIndex];
+        const close = { '{': '}', '[': ']', '(': ')' }[open];
+        let depth = 0;
+
+        for (let i = openIndex; i < source.length; i++) {
+            const char = source[i];
+            if (char === '"' || char === "'" || char === '`') {
+                const end = source.indexOf(char, i + 1);
+                if (end === -1) break;
+                i = end;
+            } else if (char === open) {
+                depth++;
+            } else if (char === close && --depth === 0) {
+                return source.slice(openIndex + 1, i);
+            }
+        }
+
+        return source.slice(openIndex + 1);
+    }
+
+    // Separa por comas de primer nivel (fuera de llaves, corchetes, paréntesis y genéricos)
+    splitTopLevel(block) {
+        const entries = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of block) {
+            if ('{[(<'.includes(char)) depth++;
+            // La > de una flecha (=>) no cierra un genérico
+            if ('}])'.includes(char) || (char === '>' && !current.endsWith('='))) depth--;
+            if (char === ',' && depth === 0) {
+                entries.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        entries.push(current);
+
+        return entries
+            .map(entry => entry.replace(/\/\/.*$/gm, '').trim())
+            .filter(entry => entry && !entry.startsWith('...'));
+    }
+}
@@ -1,98 +1,712 @@
+import { EventEmitter } from 'events';
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
+import { createLogger } from './Logger.js';
 import GitHubHandler from './GitHubHandler.js';
 import ProjectAnalyzer from './ProjectAnalyzer.js';
 import TestStrategy from './TestStrategy.js';
+import SpecRunner from './SpecRunner.js';
+import Pipeline from './Pipeline.js';
+import SpecRepairer from '../generators/SpecRepairer.js';
 import TestSpecGenerator from '../generators/TestSpecGenerator.js';
+import ComponentSpecGenerator from '../generators/ComponentSpecGenerator.js';
+import CypressScaffoldGenerator from '../generators/CypressScaffoldGenerator.js';
+import TemplateCatalog from '../generators/TemplateCatalog.js';
+import { forwardProgress } from './ProgressEmitter.js';
+import ProjectConfig from './ProjectConfig.js';
+import { STAGE_SCHEMAS, NO_CYPRESS_CHECK, assertSchema } from './analysisSchemas.js';
+import { t } from '../i18n/index.js';
 
+const logger = createLogger('CypressAutonomousAgent');
+
+// Etapas del pipeline en orden de ejecución; `execute` solo actúa con las opciones execute o repair
+export const PIPELINE_STAGES = ['acquire', 'install', 'analyze', 'strategize', 'generate', 'persist', 'execute', 'report'];
+
+// Etapas que sustituye un análisis importado (options.analysis); sin repositorio tampoco se obtiene el proyecto
+const IMPORTED_STAGES = ['analyze'];
+const DETACHED_STAGES = ['acquire', 'install', 'analyze'];
+
+/**
+ * Agente completo: obtiene el repositorio, lo analiza y genera, guarda y opcionalmente ejecuta specs.
+ * processRepository() recorre todas las etapas; cada una se puede ejecutar por separado con
+ * runStage() sobre un contexto de createContext(), envolver con use()/before()/after() o
+ * sustituir con replaceStage().
+ */
 class CypressAutonomousAgent {
-    constructor() {
-        this.githubHandler = new GitHubHandler();
+    // options.config: ProjectConfig ya cargado (fichero de usuario); las demás opciones se aplican encima.
+    // options.display: banner e informe final en consola (CLI)
+    constructor(options = {}) {
+        this.config = (options.config || ProjectConfig.fromEnvironment()).withOverrides(ProjectConfig.overridesFrom(options));
+        const settings = this.config.values;
+
+        this.tempDir = path.resolve(settings.tempDir);
+        this.outputDir = path.resolve(settings.outputDir);
+        this.display = options.display === true;
+        this.githubHandler = new GitHubHandler({
+            tempDir: this.tempDir,
+            depth: options.depth,
+            packageManager: options.packageManager,
+            install: options.install,
+            installPolicy: settings.install
+        });
         this.projectAnalyzer = new ProjectAnalyzer();
         this.testStrategy = new TestStrategy();
-        this.testGenerator = new TestSpecGenerator();
-        this.tempDir = path.join(process.cwd(), 'temp-repos');
-        this.outputDir = path.join(process.cwd(), 'generated-specs');
-        
-        // Asegurar que el directorio de salida existe
-        this.ensureOutputDir();
+        // specLanguage: idioma de títulos, comentarios y datos de ejemplo de los specs generados
+        const specOptions = { specLanguage: settings.specLanguage };
+        this.testGenerator = new TestSpecGenerator({ llm: options.llm, ...specOptions });
+        this.specRunner = new SpecRunner({ installer: this.githubHandler.installer });
+        this.specRepairer = new SpecRepairer(specOptions);
+        this.scaffoldGenerator = new CypressScaffoldGenerator(this.testStrategy, specOptions);
+        this.componentSpecGenerator = new ComponentSpecGenerator(specOptions);
+
+        this.pipeline = new Pipeline(Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, context => this[stage](context)])));
+
+        // Eventos 'progress' del pipeline: etapas ({ type: 'stage' }) y pasos de cada componente ({ type: 'step' })
+        this.progress = new EventEmitter();
+        forwardProgress(this.progress, {
+            github: this.githubHandler,
+            analyzer: this.projectAnalyzer,
+            strategy: this.testStrategy,
+            generator: this.testGenerator
+        });
+
+        if (this.display) {
+            console.log(chalk.green.bold(t('agent.banner')));
+            console.log(chalk.blue(t('agent.tempDir', { path: this.tempDir })));
+            console.log(chalk.blue(t('agent.outputDir', { path: this.outputDir })));
+        }
+    }
+
+    // Middleware de etapa: (context, next) => {}; sin llamar a next() la etapa no se ejecuta
+    use(stage, middleware) {
+        this.pipeline.use(stage, middleware);
+        return this;
+    }
+
+    before(stage, hook) {
+        this.pipeline.before(stage, hook);
+        return this;
+    }
+
+    after(stage, hook) {
+        this.pipeline.after(stage, hook);
+        return this;
+    }
+
+    replaceStage(stage, handler) {
+        this.pipeline.replace(stage, handler);
+        return this;
+    }
+
+    // Estado compartido por las etapas; cada una añade su salida (source, analysis, strategy...).
+    // options.analysis: { analysis, cypressCheck, source } de readAnalysisExport, en lugar de la etapa analyze
+    createContext(repository, options = {}) {
+        const imported = options.analysis;
+        return {
+            repository,
+            options,
+            config: this.config,
+            settings: this.config.values,
+            tempPath: null,
+            ...(imported && {
+                source: imported.source,
+                analysis: imported.analysis,
+                cypressCheck: imported.cypressCheck
+            })
+        };
     }
 
-    async ensureOutputDir() {
-        await fs.ensureDir(this.outputDir);
+    // options.signal (AbortSignal) cancela el procesamiento: se comprueba antes de cada etapa y
+    // mata los procesos en curso (git, instalación, servidor de la app).
+    // Las salidas con esquema publicado (STAGE_SCHEMAS) se validan al terminar la etapa
+    async runStage(stage, context) {
+        if (context.options.signal) context.options.signal.throwIfAborted();
+        await this.pipeline.run(stage, context);
+
+        for (const [key, schema] of Object.entries(STAGE_SCHEMAS[stage] || {})) {
+            // Un middleware que omite la etapa no deja salida que validar
+            if (context[key] !== undefined) assertSchema(schema, context[key], `${stage}.${key}`);
+        }
+        return context;
     }
 
-    async processRepository(githubUrl) {
-        let tempPath = null;
-        
+    // options.stopAfter: última etapa antes del informe (p. ej. 'analyze' o 'strategize').
+    // options.skip: etapas que no se ejecutan. options.onProgress(stage, progress) informa del avance.
+    async processRepository(repository, options = {}) {
+        const context = this.createContext(repository, options);
+        const imported = !options.analysis ? [] : repository ? IMPORTED_STAGES : DETACHED_STAGES;
+        const skip = [...(options.skip || []), ...imported];
+        let stopped = false;
+
         try {
-            console.log(chalk.cyan(`\n🔍 Procesando repositorio: ${githubUrl}`));
-            
-            // 1. Clonar repositorio REAL con instalación de dependencias
-            const cloneResult = await this.githubHandler.cloneAndAnalyze(githubUrl);
-            if (!cloneResult.success) {
-                throw new Error(`Error clonando: ${cloneResult.error}`);
+            for (const stage of this.pipeline.names) {
+                if (stage !== 'report' && (stopped || skip.includes(stage))) continue;
+                await this.runStage(stage, context);
+                if (stage === options.stopAfter) stopped = true;
             }
-            
-            tempPath = cloneResult.repoPath;
-
-            // 2. Análisis REAL del proyecto con dependencias instaladas
-            const analysis = await this.projectAnalyzer.deepAnalysis(cloneResult.repoPath);
-            
-            // 3. Verificar configuración Cypress
-            const cypressCheck = await this.githubHandler.checkCypressSetup(cloneResult.repoPath);
-            
-            // 4. Generar estrategia de testing
-            const strategy = await this.testStrategy.generateStrategy(analysis);
-            
-            // 5. Generar specs de prueba
-            const generatedSpecs = await this.testGenerator.generateTestSpecs(analysis, strategy);
-            
-            // 6. Guardar specs en disco
-            const specsSaved = await this.testGenerator.saveSpecsToDisk(generatedSpecs, this.outputDir);
-            
-            // 7. Generar resumen
-            const specSummary = this.testGenerator.generateSpecSummary(generatedSpecs, strategy);
-            
-            return {
-                success: true,
-                repository: githubUrl,
-                analysis: analysis,
-                cypressCheck: cypressCheck,
-                strategy: strategy,
-                generatedSpecs: generatedSpecs,
-                specSummary: specSummary,
-                specsSaved: specsSaved,
-                outputPath: this.outputDir,
-                tempPath: tempPath,
-                timestamp: new Date().toISOString()
-            };
+            return context.result;
 
         } catch (error) {
-            console.error(chalk.red(`❌ Error procesando repositorio: ${error.message}`));
-            
+            logger.error(t('agent.failed', { error: error.message }));
+
             // Limpiar en caso de error
-            if (tempPath) {
-                await this.cleanup(tempPath);
+            if (context.tempPath) {
+                await this.cleanup(context.tempPath);
             }
-            
+
             return {
                 success: false,
                 error: error.message,
-                repository: githubUrl
+                repository: repository
             };
         }
     }
 
+    reportStage(context, stage, progress) {
+        if (context.options.onProgress) context.options.onProgress(stage, progress);
+        this.progress.emit('progress', { type: 'stage', stage, progress, timestamp: new Date().toISOString() });
+    }
+
+    // 1. Clonar el repositorio (o usar el directorio local) y aplicar su .cypress-agent.json
+    async acquire(context) {
+        const { options } = context;
+        this.reportStage(context, 'cloning', 5);
+        logger.info(t('agent.processing', { repository: context.repository }));
+
+        const acquired = await this.githubHandler.acquire(context.repository, {
+            depth: options.depth,
+            ref: options.ref,
+            subdirectory: options.subdirectory,
+            signal: options.signal
+        });
+        if (!acquired.success) {
+            throw new Error(t('agent.cloneFailed', { error: acquired.error }));
+        }
+
+        // Los directorios locales se analizan en el sitio y nunca se limpian
+        context.tempPath = acquired.isLocal ? null : acquired.repoPath;
+        context.source = {
+            repoName: acquired.repoName,
+            projectPath: acquired.projectPath,
+            isLocal: acquired.isLocal,
+            ref: acquired.ref,
+            commit: acquired.commit,
+            subdirectory: acquired.subdirectory
+        };
+
+        // Ajustes del proyecto: el .cypress-agent.json del repositorio se aplica por debajo del entorno y las opciones
+        context.config = await this.config.withRepository(acquired.projectPath);
+        context.settings = context.config.values;
+    }
+
+    // 2. Instalar dependencias según la política de DependencyInstaller
+    async install(context) {
+        this.reportStage(context, 'installing', 15);
+        context.install = await this.githubHandler.installProject(context.source, {
+            packageManager: context.options.packageManager,
+            install: context.options.install,
+            signal: context.options.signal
+        });
+    }
+
+    // 3. Analizar el proyecto y su configuración de Cypress (también la de cada paquete de un monorepo)
+    async analyze(context) {
+        this.reportStage(context, 'analyzing', 25);
+        const { projectPath } = context.source;
+        context.analysis = await this.projectAnalyzer.deepAnalysis(projectPath, { exclude: context.settings.exclude });
+        context.cypressCheck = await this.githubHandler.checkCypressSetup(projectPath);
+
+        for (const workspacePackage of workspacePackages(context.analysis)) {
+            workspacePackage.cypressCheck = await this.githubHandler.checkCypressSetup(path.join(projectPath, workspacePackage.path));
+        }
+    }
+
+    // 4. Estrategia de testing; en un monorepo, además una por aplicación en context.packages
+    async strategize(context) {
+        this.reportStage(context, 'planning', 40);
+        const { analysis, settings, source } = context;
+        context.strategy = await this.testStrategy.generateStrategy(analysis, settings);
+
+        const selected = this.selectPackages(analysis, context.options.packages);
+        if (selected.length === 0) return;
+
+        context.packages = [];
+        for (const workspacePackage of selected) {
+            context.packages.push({
+                name: workspacePackage.name,
+                path: workspacePackage.path,
+                kind: workspacePackage.kind,
+                projectPath: source.projectPath ? path.join(source.projectPath, workspacePackage.path) : null,
+                analysis: workspacePackage.analysis,
+                cypressCheck: workspacePackage.cypressCheck || NO_CYPRESS_CHECK,
+                strategy: await this.testStrategy.generateStrategy(workspacePackage.analysis, settings)
+            });
+        }
+    }
+
+    // Paquetes de context.packages: las aplicaciones del monorepo o, con names (options.packages),
+    // los paquetes indicados por nombre o ruta aunque sean librerías
+    selectPackages(analysis, names = []) {
+        const packages = workspacePackages(analysis);
+        if (names.length === 0) {
+            return packages.filter(workspacePackage => workspacePackage.kind === 'app');
+        }
+
+        return names.map(name => {
+            const match = packages.find(workspacePackage => workspacePackage.name === name || workspacePackage.path === name);
+            if (!match) {
+                throw new Error(t('agent.unknownPackage', { name, packages: packages.map(item => item.name).join(', ') || '-' }));
+            }
+            return match;
+        });
+    }
+
+    // 5. Specs, specs de componentes y scaffold del proyecto o de cada paquete del monorepo
+    async generate(context) {
+        this.reportStage(context, 'generating', 50);
+        if (!context.packages) {
+            Object.assign(context, await this.generateProject(context, {
+                analysis: context.analysis,
+                strategy: context.strategy,
+                cypressCheck: context.cypressCheck,
+                projectPath: context.source.projectPath
+            }));
+            return;
+        }
+
+        for (const project of context.packages) {
+            Object.assign(project, await this.generateProject(context, project));
+            project.generatedSpecs.forEach(spec => { spec.package = project.name; });
+        }
+
+        // Totales del repositorio; el scaffold va dentro de cada paquete
+        context.generatedSpecs = context.packages.flatMap(project => project.generatedSpecs);
+        context.componentSpecs = context.packages.flatMap(project => project.componentSpecs);
+        context.pageObjects = context.packages.flatMap(project => project.pageObjects);
+        context.specSummary = mergeSpecSummaries(context.packages);
+        context.scaffoldBundle = null;
+    }
+
+    // Specs (en modo POM, sobre page objects compartidos), specs de componentes y scaffold de Cypress.
+    // testType: 'e2e', 'component' o 'all' (por defecto)
+    async generateProject(context, { analysis, strategy, cypressCheck, projectPath }) {
+        const { options, settings } = context;
+        const testType = options.testType || 'all';
+        const pageObjectCandidates = options.specStyle === 'pom' ? this.testGenerator.generatePageObjects(analysis) : [];
+        const generatedSpecs = testType === 'component' ? [] : await this.testGenerator.generateTestSpecs(analysis, strategy, {
+            projectPath: projectPath,
+            llm: options.llm,
+            pageObjects: pageObjectCandidates,
+            templates: await TemplateCatalog.fromConfig(settings)
+        });
+        const pageObjects = this.testGenerator.usedPageObjects(generatedSpecs, pageObjectCandidates);
+        const componentSpecs = testType === 'e2e' ? [] : this.componentSpecGenerator.generateComponentSpecs(analysis);
+
+        // Scaffold (config, support, fixtures) para proyectos que no tienen Cypress configurado
+        // o cuyo config no tiene sección component
+        const componentTesting = componentSpecs.length > 0 ? this.componentSpecGenerator.componentTestingSetup(analysis) : null;
+        let scaffoldBundle = null;
+        if (!cypressCheck.hasCypressConfig || options.scaffold || (componentTesting && !cypressCheck.hasComponentConfig)) {
+            scaffoldBundle = await this.scaffoldGenerator.generate({
+                analysis: analysis,
+                strategy: strategy,
+                cypressCheck: cypressCheck,
+                projectPath: projectPath,
+                baseUrl: settings.baseUrl || this.specRunner.detectBaseUrl(analysis, options),
+                componentTesting: componentTesting
+            });
+        }
+
+        return {
+            generatedSpecs,
+            pageObjects,
+            componentSpecs,
+            specSummary: this.testGenerator.generateSpecSummary(generatedSpecs, strategy, pageObjects, componentSpecs),
+            scaffoldBundle
+        };
+    }
+
+    // 6. Guardar specs, page objects y scaffold en el directorio de salida (un subdirectorio por paquete)
+    async persist(context) {
+        this.reportStage(context, 'saving', 70);
+        if (!context.packages) {
+            Object.assign(context, await this.persistProject(context, this.outputDir));
+            return;
+        }
+
+        for (const project of context.packages) {
+            project.outputPath = path.join(this.outputDir, project.path);
+            Object.assign(project, await this.persistProject(project, project.outputPath));
+        }
+        context.specsSaved = context.packages.every(project => project.specsSaved);
+        context.scaffold = null;
+    }
+
+    async persistProject({ generatedSpecs, pageObjects, componentSpecs, scaffoldBundle }, outputDir) {
+        const specsSaved = await this.testGenerator.saveSpecsToDisk(generatedSpecs, outputDir, pageObjects) &&
+            await this.componentSpecGenerator.saveComponentSpecs(componentSpecs, outputDir);
+
+        return {
+            specsSaved,
+            scaffold: scaffoldBundle ? {
+                outputPath: await this.scaffoldGenerator.saveScaffold(scaffoldBundle, outputDir),
+                baseUrl: scaffoldBundle.baseUrl,
+                files: scaffoldBundle.files.map(file => file.path),
+                packageJsonPatch: scaffoldBundle.packageJsonPatch
+            } : null
+        };
+    }
+
+    // 7. Ejecutar los specs contra el proyecto (options.execute), reparando los que fallen (options.repair).
+    // En un monorepo cada paquete arranca su aplicación y ejecuta sus specs
+    async execute(context) {
+        const { options, source } = context;
+        context.execution = null;
+        context.repair = null;
+        if (!(options.execute || options.repair) || context.generatedSpecs.length === 0) return;
+        if (!source.projectPath) throw new Error(t('agent.noProject'));
+
+        this.reportStage(context, options.repair ? 'repairing' : 'executing', 80);
+        const packageManager = options.packageManager || await this.githubHandler.detectPackageManager(source.projectPath);
+
+        if (!context.packages) {
+            Object.assign(context, await this.executeProject(context, {
+                projectPath: source.projectPath,
+                analysis: context.analysis,
+                strategy: context.strategy,
+                generatedSpecs: context.generatedSpecs,
+                pageObjects: context.pageObjects
+            }, this.outputDir, packageManager));
+            return;
+        }
+
+        for (const project of context.packages) {
+            if (project.generatedSpecs.length === 0) continue;
+            Object.assign(project, await this.executeProject(context, project, project.outputPath, packageManager));
+        }
+        context.generatedSpecs = context.packages.flatMap(project => project.generatedSpecs);
+        context.execution = mergeExecutions(context.packages);
+    }
+
+    async executeProject(context, { projectPath, analysis, strategy, generatedSpecs, pageObjects }, outputDir, packageManager) {
+        const { options } = context;
+        const executeSpecs = async specs => {
+            const execution = await this.specRunner.execute({
+                projectPath: projectPath,
+                specs: specs,
+                pageObjects: pageObjects,
+                analysis: analysis,
+                packageManager: packageManager,
+                isLocal: context.source.isLocal,
+                signal: options.signal,
+                options: {
+                    appPort: options.appPort,
+                    startScript: options.startScript,
+                    startTimeout: options.startTimeout
+                }
+            });
+            // Cancelado durante la ejecución: no se sigue reparando
+            if (options.signal) options.signal.throwIfAborted();
+            return execution;
+        };
+
+        if (!options.repair) {
+            return { execution: await executeSpecs(generatedSpecs), repair: null };
+        }
+
+        const repair = await this.specRepairer.repairLoop({
+            specs: generatedSpecs,
+            analysis: analysis,
+            strategy: strategy,
+            execute: executeSpecs,
+            maxIterations: options.repair
+        });
+
+        // Los specs reparados sustituyen a los generados en disco
+        generatedSpecs.splice(0, generatedSpecs.length, ...repair.specs);
+        await this.testGenerator.saveSpecsToDisk(generatedSpecs, outputDir, pageObjects);
+        return { execution: repair.execution, repair };
+    }
+
+    // 8. Resultado del pipeline (solo con las salidas de las etapas ejecutadas) e informe en consola
+    async report(context) {
+        const { repair } = context;
+        if (this.display && context.analysis) {
+            this.displayAnalysisResults(context.analysis, context.source.repoName, context.cypressCheck, context.strategy,
+                context.specSummary, context.execution, repair, context.scaffold, context.packages);
+        }
+
+        context.result = withoutUndefined({
+            success: true,
+            repository: context.repository,
+            source: context.source,
+            install: context.install,
+            analysis: context.analysis,
+            cypressCheck: context.cypressCheck,
+            strategy: context.strategy,
+            packages: context.packages && context.packages.map(project => withoutUndefined({
+                name: project.name,
+                path: project.path,
+                kind: project.kind,
+                projectType: project.analysis.projectType,
+                framework: project.analysis.framework,
+                strategy: project.strategy,
+                specSummary: project.specSummary,
+                outputPath: project.outputPath,
+                scaffold: project.scaffold,
+                execution: project.execution,
+                repair: project.repair ? {
+                    iterations: project.repair.iterations,
+                    converged: project.repair.converged,
+                    degraded: project.repair.degraded,
+                    unresolved: project.repair.unresolved,
+                    attempts: project.repair.attempts
+                } : project.repair
+            })),
+            config: { sources: context.config.sources },
+            generatedSpecs: context.generatedSpecs,
+            componentSpecs: context.componentSpecs,
+            pageObjects: context.pageObjects && context.pageObjects.map(pageObject => ({
+                name: pageObject.className,
+                route: pageObject.route,
+                path: pageObject.path
+            })),
+            specSummary: context.specSummary,
+            specsSaved: context.specsSaved,
+            scaffold: context.scaffold,
+            execution: context.execution,
+            repair: repair ? {
+                iterations: repair.iterations,
+                converged: repair.converged,
+                degraded: repair.degraded,
+                unresolved: repair.unresolved,
+                attempts: repair.attempts
+            } : repair,
+            outputPath: context.specsSaved === undefined ? undefined : this.outputDir,
+            tempPath: context.tempPath,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    displayAnalysisResults(analysis, repoName, cypressCheck, strategy, specSummary, execution, repair, scaffold, packages) {
+        const yesNo = value => (value ? t('report.yes') : t('report.no'));
+
+        console.log(chalk.green.bold(t('report.title')));
+        console.log(chalk.blue('┌─────────────────────────────────────────────'));
+        console.log(chalk.blue(t('report.projectSection')));
+        console.log(chalk.blue('├─────────────────────────────────────────────'));
+        console.log(`│ ${t('report.name')}: ${repoName}`);
+        console.log(`│ ${t('report.type')}: ${chalk.yellow(analysis.projectType)}`);
+        console.log(`│ ${t('report.framework')}: ${chalk.yellow(analysis.framework)}`);
+        if ((analysis.frameworks || []).length > 1) {
+            const candidates = analysis.frameworks.map(entry => `${entry.name} ${Math.round(entry.confidence * 100)}%`);
+            console.log(`│ ${t('report.frameworkCandidates')}: ${candidates.join(', ')}`);
+        }
+        console.log(`│ ${t('report.packageJson')}: ${yesNo(analysis.hasPackageJson)}`);
+        console.log(`│ ${t('report.dependencies')}: ${analysis.dependenciesInstalled ? t('report.installed') : t('report.notInstalled')}`);
+        console.log(`│ ${t('report.cypress')}: ${analysis.cypressInstalled ? t('report.detected') : t('report.notDetected')}`);
+        console.log(`│ ${t('report.routes')}: ${(analysis.routes || []).length}`);
+
+        if (analysis.packageJson && analysis.packageJson.name) {
+            console.log(`│ ${t('report.packageName')}: ${analysis.packageJson.name}`);
+            console.log(`│ ${t('report.packageVersion')}: ${analysis.packageJson.version || 'N/A'}`);
+        }
+
+        // Información de Cypress
+        if (cypressCheck) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.cypressSection')));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(`│ ${t('report.dependency')}: ${yesNo(cypressCheck.hasCypressDependency)}`);
+            console.log(`│ ${t('report.configFile')}: ${cypressCheck.hasCypressConfig ? '✅ ' + cypressCheck.cypressConfigPath : t('report.no')}`);
+        }
+
+        // Paquetes del monorepo: los seleccionados con su estrategia y specs, o todos tras analyze
+        if (analysis.workspace) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.workspaceSection', { tools: analysis.workspace.tools.join(', ') })));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            for (const workspacePackage of packages || analysis.workspace.packages) {
+                const { projectType, framework } = workspacePackage.analysis;
+                const kind = t(`report.packageKind.${workspacePackage.kind}`);
+                console.log(`│ 📦 ${workspacePackage.name} (${workspacePackage.path}): ${chalk.yellow(projectType)} · ${framework} · ${kind}`);
+                if (workspacePackage.strategy) {
+                    console.log(`│    ${t('report.strategy')}: ${workspacePackage.strategy.name}`);
+                }
+                if (workspacePackage.specSummary) {
+                    console.log(`│    ${t('report.packageSpecs', { count: workspacePackage.specSummary.totalSpecs, path: workspacePackage.outputPath || '-' })}`);
+                }
+                if (workspacePackage.execution && workspacePackage.execution.executed) {
+                    const { totals } = workspacePackage.execution;
+                    console.log(`│    ${t('report.tests')}: ${totals.passed} ✅  ${totals.failed} ❌  ${totals.pending} ⏸️`);
+                }
+            }
+        }
+
+        // Estrategia de Testing (en un monorepo, la de cada paquete en su sección)
+        if (strategy && !packages) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.strategySection')));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(`│ ${t('report.strategy')}: ${strategy.name}`);
+            console.log(`│ ${t('report.recommendedSpecs')}: ${strategy.recommendedSpecs}`);
+            console.log(`│ ${t('report.focusAreas')}: ${strategy.focusAreas.join(', ')}`);
+            console.log(`│ ${t('report.patterns')}: ${strategy.testPatterns.slice(0, 3).join(', ')}...`);
+        }
+
+        // Resumen de Specs Generados
+        if (specSummary) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.specsSection')));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(`│ ${t('report.totalSpecs')}: ${specSummary.totalSpecs}`);
+            console.log(`│ ${t('report.sourceAwareSpecs')}: ${specSummary.sourceAwareSpecs}`);
+            if (specSummary.componentSpecs > 0) {
+                console.log(`│ ${t('report.componentSpecs')}: ${specSummary.componentSpecs}`);
+            }
+            if (specSummary.pageObjects > 0) {
+                console.log(`│ ${t('report.pageObjects')}: ${specSummary.pageObjects}`);
+            }
+            if (specSummary.llmSpecs > 0) {
+                console.log(`│ ${t('report.llmSpecs')}: ${specSummary.llmSpecs}`);
+            }
+            console.log(`│ ${t('report.estimatedTime')}: ${t('report.seconds', { count: specSummary.estimatedExecutionTime })}`);
+            Object.entries(specSummary.specTypes).forEach(([type, count]) => {
+                console.log(`│   ${type}: ${t('report.specTypeCount', { count })}`);
+            });
+        }
+
+        if (scaffold && scaffold.outputPath) {
+            console.log(t('report.scaffold', { count: scaffold.files.length, baseUrl: scaffold.baseUrl }));
+        }
+
+        // Scripts ejecutables
+        if (analysis.executableScripts && Object.keys(analysis.executableScripts).length > 0) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.scriptsSection')));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            Object.entries(analysis.executableScripts)
+                .filter(([script, info]) => info.canExecute)
+                .slice(0, 4)
+                .forEach(([script, info]) => {
+                    const emoji = this.getScriptEmoji(info.type);
+                    console.log(`│ ${emoji} ${script}: ${chalk.gray(info.command)}`);
+                });
+        }
+
+        // Resultados de ejecución (en un monorepo, por paquete en su sección)
+        if (execution && !packages) {
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            console.log(chalk.blue(t('report.executionSection')));
+            console.log(chalk.blue('├─────────────────────────────────────────────'));
+            if (execution.executed) {
+                console.log(`│ ${t('report.application')}: ${execution.baseUrl} (${execution.startCommand})`);
+                console.log(`│ ${t('report.tests')}: ${execution.totals.passed} ✅  ${execution.totals.failed} ❌  ${execution.totals.pending} ⏸️`);
+                execution.specs.forEach(spec => {
+                    console.log(`│   ${spec.status === 'passed' ? '✅' : '❌'} ${spec.name}`);
+                });
+            } else {
+                console.log(t('report.notExecuted', { error: execution.error }));
+            }
+        }
+
+        if (repair) {
+            let status = repair.converged ? t('report.converged') : t('report.notConverged');
+            if (repair.degraded) status = t('report.degraded', { count: repair.unresolved.length });
+            console.log(t('report.repair', {
+                iterations: repair.iterations,
+                changes: repair.attempts.filter(attempt => attempt.applied).length,
+                status
+            }));
+        }
+
+        console.log(chalk.blue('└─────────────────────────────────────────────'));
+
+        // Resumen final
+        console.log(chalk.green.bold(t('report.summary')));
+        console.log(t('report.summaryProject', { projectType: analysis.projectType }));
+        console.log(t('report.summaryFramework', { framework: analysis.framework }));
+        if (cypressCheck) {
+            console.log(t('report.summaryCypress', {
+                status: cypressCheck.hasCypressDependency ? t('report.configured') : t('report.notConfigured')
+            }));
+        }
+        if (specSummary) {
+            console.log(t('report.summarySpecs', { count: specSummary.totalSpecs }));
+        }
+        if (strategy && !packages) {
+            console.log(t('report.summaryStrategy', { name: strategy.name }));
+        }
+        if (specSummary) {
+            console.log(t('report.summaryOutput', { path: this.outputDir }));
+        }
+        if (scaffold && scaffold.outputPath) {
+            console.log(t('report.summaryScaffold', { path: scaffold.outputPath }));
+        }
+    }
+
+    getScriptEmoji(scriptType) {
+        const emojis = {
+            'test': '🧪',
+            'build': '🏗️',
+            'start': '🚀',
+            'dev': '💻',
+            'cypress': '⏱️',
+            'lint': '📝',
+            'other': '⚡'
+        };
+        return emojis[scriptType] || '⚡';
+    }
+
     async cleanup(tempPath) {
         try {
             if (tempPath && tempPath.startsWith(this.tempDir)) {
                 await fs.remove(tempPath);
-                console.log(chalk.gray(`🧹 Limpiado: ${path.basename(tempPath)}`));
+                logger.debug(t('agent.cleaned', { name: path.basename(tempPath) }));
             }
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Error limpiando: ${error.message}`));
+            logger.warn(t('agent.cleanupFailed', { error: error.message }));
+        }
+    }
+
+    // Método para uso con n8n - devuelve datos estructurados
+    async processForN8N(githubUrl, options = {}) {
+        const result = await this.processRepository(githubUrl, options);
+
+        // Formatear respuesta para n8n
+        if (result.success) {
+            return {
+                success: true,
+                data: {
+                    project: {
+                        name: result.analysis.packageJson?.name || 'Unknown',
+                        type: result.analysis.projectType,
+                        framework: result.analysis.framework,
+                        hasCypress: result.cypressCheck.hasCypressDependency
+                    },
+                    specs: {
+                        total: result.specSummary.totalSpecs,
+                        types: result.specSummary.specTypes,
+                        estimatedTime: result.specSummary.estimatedExecutionTime,
+                        outputPath: result.outputPath
+                    },
+                    strategy: result.strategy.name,
+                    generatedFiles: result.generatedSpecs.map(spec => ({
+                        name: spec.name,
+                        type: spec.type,
+                        path: spec.path
+                    }))
+                },
+                summary: t('agent.summary', { count: result.specSummary.totalSpecs, projectType: result.analysis.projectType }),
+                timestamp: result.timestamp
+            };
+        } else {
+            return {
+                success: false,
+                error: result.error,
+                timestamp: new Date().toISOString()
+            };
         }
     }
 
@@ -102,9 +716,63 @@ class CypressAutonomousAgent {
             status: 'active',
             outputDir: this.outputDir,
             tempDir: this.tempDir,
+            stages: this.pipeline.names,
             timestamp: new Date().toISOString()
         };
     }
 }
 
-export default CypressAutonomousAgent;
\ No newline at end of file
+function workspacePackages(analysis) {
+    return analysis.workspace ? analysis.workspace.packages : [];
+}
+
+// Resumen de specs del monorepo: la suma de los resúmenes de cada paquete
+function mergeSpecSummaries(projects) {
+    const summary = {
+        totalSpecs: 0,
+        specTypes: {},
+        estimatedExecutionTime: 0,
+        focusAreas: [],
+        sourceAwareSpecs: 0,
+        llmSpecs: 0,
+        pageObjects: 0,
+        componentSpecs: 0,
+        packages: {}
+    };
+
+    for (const { name, specSummary } of projects) {
+        for (const key of ['totalSpecs', 'estimatedExecutionTime', 'sourceAwareSpecs', 'llmSpecs', 'pageObjects', 'componentSpecs']) {
+            summary[key] += specSummary[key];
+        }
+        for (const [type, count] of Object.entries(specSummary.specTypes)) {
+            summary.specTypes[type] = (summary.specTypes[type] || 0) + count;
+        }
+        summary.focusAreas = [...new Set([...summary.focusAreas, ...specSummary.focusAreas])];
+        summary.packages[name] = specSummary.totalSpecs;
+    }
+    return summary;
+}
+
+// Ejecución del monorepo: correcta si lo es la de cada paquete ejecutado, con los totales sumados
+function mergeExecutions(projects) {
+    const runs = projects.filter(project => project.execution);
+    const totals = { specs: 0, tests: 0, passed: 0, failed: 0, pending: 0 };
+    for (const { execution } of runs) {
+        for (const key of Object.keys(totals)) totals[key] += (execution.totals && execution.totals[key]) || 0;
+    }
+
+    return {
+        success: runs.every(project => project.execution.success),
+        executed: runs.some(project => project.execution.executed),
+        totals,
+        specs: runs.flatMap(project => (project.execution.specs || []).map(spec => ({ ...spec, package: project.name }))),
+        packages: Object.fromEntries(runs.map(project => [project.name, project.execution.success]))
+    };
+}
+
+// Las etapas omitidas no dejan claves en el resultado
+function withoutUndefined(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+export default CypressAutonomousAgent;
@@ -0,0 +1,105 @@
+import path from 'path';
+import { t } from '../i18n/index.js';
+
+// Tipos de test que acepta /run-cypress: modo de Cypress y, para smoke/regression, el grep
+export const TEST_TYPES = {
+    e2e: { description: 'End-to-End Tests', mode: '--e2e' },
+    component: { description: 'Component Tests', mode: '--component' },
+    smoke: { description: 'Smoke Tests', mode: '--e2e', grep: 'smoke' },
+    regression: { description: 'Regression Tests', mode: '--e2e', grep: 'regression' },
+    basic: { description: 'Basic Tests', mode: '--e2e' }
+};
+
+export const BROWSERS = ['chrome', 'firefox', 'edge', 'electron'];
+
+export const DEFAULT_TEST_TYPE = 'e2e';
+export const DEFAULT_SPEC_DIR = 'cypress';
+
+// Opciones validadas de una ejecución de Cypress. Se convierten en un array de argumentos
+// para spawn (sin shell); la URL y el grep viajan como variables CYPRESS_* para que
+// Cypress no tenga que partir `--env` por comas.
+export default class CypressRunOptions {
+    constructor({ testType = DEFAULT_TEST_TYPE, browser = null, headless = true, specs = [], targetUrl = null }) {
+        this.testType = testType;
+        this.browser = browser;
+        this.headless = headless;
+        this.specs = specs;
+        this.targetUrl = targetUrl;
+    }
+
+    // Devuelve { options, errors }; errors usa el mismo formato { field, message } que RequestValidator
+    static parse(body = {}, { specDir = DEFAULT_SPEC_DIR } = {}) {
+        const errors = [];
+        const { testType = DEFAULT_TEST_TYPE, browser, headless, spec, url } = body;
+
+        if (!Object.hasOwn(TEST_TYPES, testType)) {
+            errors.push({ field: 'testType', message: t('validation.enum', { values: Object.keys(TEST_TYPES).join(', ') }) });
+        }
+
+        if (browser !== undefined && !BROWSERS.includes(browser)) {
+            errors.push({ field: 'browser', message: t('validation.enum', { values: BROWSERS.join(', ') }) });
+        }
+
+        const specs = spec ? CypressRunOptions.splitSpecs(spec) : [];
+        for (const pattern of specs) {
+            if (!CypressRunOptions.isInsideSpecDir(pattern, specDir)) {
+                errors.push({ field: 'spec', message: t('validation.specOutside', { pattern, specDir }) });
+            }
+        }
+
+        if (url !== undefined && !CypressRunOptions.isHttpUrl(url)) {
+            errors.push({ field: 'url', message: t('validation.httpUrl') });
+        }
+
+        if (errors.length > 0) {
+            return { options: null, errors };
+        }
+
+        return {
+            options: new CypressRunOptions({ testType, browser, headless: headless !== false, specs, targetUrl: url }),
+            errors
+        };
+    }
+
+    // `--spec` admite varios globs separados por comas
+    static splitSpecs(spec) {
+        return spec.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    }
+
+    static isInsideSpecDir(pattern, specDir) {
+        if (path.posix.isAbsolute(pattern) || pattern.includes('\\')) return false;
+
+        const normalized = path.posix.normalize(pattern);
+        const root = path.posix.normalize(specDir).replace(/\/+$/, '');
+        return normalized.startsWith(`${root}/`) && !normalized.split('/').includes('..');
+    }
+
+    static isHttpUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    toArgs() {
+        const args = ['cypress', 'run', TEST_TYPES[this.testType].mode];
+
+        args.push(this.headless ? '--headless' : '--headed');
+        if (this.browser) args.push('--browser', this.browser);
+        if (this.specs.length > 0) args.push('--spec', this.specs.join(','));
+
+        return args;
+    }
+
+    toEnv() {
+        const env = {};
+        const { grep } = TEST_TYPES[this.testType];
+
+        if (this.targetUrl) env.CYPRESS_targetUrl = this.targetUrl;
+        if (grep) env.CYPRESS_grep = grep;
+
+        return env;
+    }
+}
@@ -0,0 +1,355 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('DependencyInstaller');
+
+export const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Variables del entorno que necesita un gestor de paquetes para funcionar; el resto
+// (tokens de npm/GitHub, credenciales de la nube, etc.) no llega al repositorio instalado
+const BASE_ENV = ['PATH', 'LANG', 'LC_ALL', 'TMPDIR', 'TEMP', 'TMP', 'SYSTEMROOT', 'COMSPEC', 'PATHEXT', 'WINDIR'];
+
+// .yarnrc.yml propio que Yarn 2+ lee en lugar del del repositorio (YARN_RC_FILENAME)
+const SANITIZED_YARNRC = '.yarnrc.cypress-agent.yml';
+// Ajustes de .yarnrc.yml que cargan código del repositorio en Yarn: el binario y los plugins
+const UNSAFE_YARNRC_SETTINGS = ['yarnPath', 'plugins'];
+
+const LOCKFILES = {
+    npm: ['package-lock.json', 'npm-shrinkwrap.json'],
+    yarn: ['yarn.lock'],
+    pnpm: ['pnpm-lock.yaml'],
+    bun: ['bun.lockb', 'bun.lock']
+};
+
+// Instala las dependencias de un repositorio no confiable bajo una política:
+// - scripts de instalación desactivados salvo para los paquetes de `allowScripts` (`*` = todos);
+// - entorno limpio con un HOME y una caché propios, para que no se lean ~/.npmrc ni tokens del
+//   host ni se escriba en su caché compartida;
+// - sin código del repositorio en el gestor: ni .pnpmfile.cjs, ni el binario de yarnPath/yarn-path,
+//   ni los plugins de Yarn 2+;
+// - lockfile congelado cuando existe (`npm ci`, `--frozen-lockfile`, `--immutable`);
+// - modo offline contra una caché configurada (cacheDir) y registro espejo opcional;
+// - proceso asíncrono con la salida en streaming y timeout configurable.
+// Las opciones que no se pasan se toman de las variables CYPRESS_AGENT_INSTALL_*.
+export default class DependencyInstaller {
+    constructor(policy = {}) {
+        const env = process.env;
+
+        this.allowScripts = policy.allowScripts || splitList(env.CYPRESS_AGENT_INSTALL_ALLOW_SCRIPTS);
+        this.frozenLockfile = policy.frozenLockfile ?? env.CYPRESS_AGENT_INSTALL_FROZEN_LOCKFILE !== 'false';
+        this.offline = policy.offline ?? env.CYPRESS_AGENT_INSTALL_OFFLINE === 'true';
+        this.registry = policy.registry || env.CYPRESS_AGENT_NPM_REGISTRY || null;
+        // Sin caché configurada cada instalación usa una propia dentro de su HOME temporal
+        this.cacheDir = policy.cacheDir || env.CYPRESS_AGENT_NPM_CACHE || null;
+        this.timeoutMs = policy.timeoutMs || Number(env.CYPRESS_AGENT_INSTALL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        this.passEnv = policy.passEnv || splitList(env.CYPRESS_AGENT_INSTALL_PASS_ENV);
+        this.onOutput = policy.onOutput || null;
+    }
+
+    get runsAllScripts() {
+        return this.allowScripts.includes('*');
+    }
+
+    // options.signal (AbortSignal) mata la instalación en curso (cancelación o timeout del job)
+    async install(projectPath, packageManager, { signal } = {}) {
+        const startTime = Date.now();
+        const lockfile = await this.findLockfile(projectPath, packageManager);
+        const berry = packageManager === 'yarn' && await fs.pathExists(path.join(projectPath, '.yarnrc.yml'));
+        // Yarn 2+ instala offline desde la caché del repositorio; el resto necesita una caché con los paquetes
+        if (this.offline && !this.cacheDir && !berry) {
+            throw new Error(t('installer.offlineNeedsCache'));
+        }
+        const sandboxHome = await fs.mkdtemp(path.join(os.tmpdir(), 'cypress-agent-home-'));
+        const env = this.buildEnv(sandboxHome);
+
+        // yarn ejecutaría el binario al que apunta yarnPath (.yarnrc.yml) o yarn-path (.yarnrc)
+        const yarnPathFile = packageManager === 'yarn' ? await this.findYarnPath(projectPath) : null;
+        if (yarnPathFile) {
+            logger.warn(t('installer.yarnPathIgnored', { file: yarnPathFile }));
+            env.YARN_IGNORE_PATH = '1';
+        }
+
+        let sanitizedYarnrc = null;
+        try {
+            if (berry) {
+                sanitizedYarnrc = await this.writeSanitizedYarnrc(projectPath);
+                env.YARN_RC_FILENAME = SANITIZED_YARNRC;
+            }
+
+            const args = this.installArgs(packageManager, { lockfile, berry });
+            await this.run(packageManager, args, projectPath, env, signal);
+
+            const scriptsRun = [];
+            const rebuild = this.rebuildCommand(packageManager, berry);
+            if (rebuild) {
+                logger.info(t('installer.allowedScripts', { packages: this.allowScripts.join(', ') }));
+                await this.run(rebuild.command, rebuild.args, projectPath, env, signal);
+                scriptsRun.push(...this.allowScripts);
+            }
+
+            return {
+                success: true,
+                packageManager,
+                command: [packageManager, ...args].join(' '),
+                lockfile,
+                scripts: this.runsAllScripts ? 'all' : scriptsRun,
+                durationMs: Date.now() - startTime
+            };
+        } finally {
+            if (sanitizedYarnrc) await fs.remove(sanitizedYarnrc).catch(() => {});
+            await fs.remove(sandboxHome).catch(() => {});
+        }
+    }
+
+    // Copia de .yarnrc.yml sin yarnPath ni plugins; Yarn la busca con YARN_RC_FILENAME en lugar de
+    // la original (también en las carpetas superiores, así que ningún otro .yarnrc.yml se lee)
+    async writeSanitizedYarnrc(projectPath) {
+        const target = path.join(projectPath, SANITIZED_YARNRC);
+        if (await fs.pathExists(target)) {
+            throw new Error(t('installer.yarnrcExists', { file: SANITIZED_YARNRC }));
+        }
+
+        const text = await fs.readFile(path.join(projectPath, '.yarnrc.yml'), 'utf8');
+        const { content, removed } = stripYarnrcSettings(text, UNSAFE_YARNRC_SETTINGS);
+        if (removed.includes('plugins')) {
+            logger.warn(t('installer.yarnPluginsIgnored'));
+        }
+
+        await fs.writeFile(target, content);
+        return target;
+    }
+
+    async findLockfile(projectPath, packageManager) {
+        for (const file of LOCKFILES[packageManager] || []) {
+            if (await fs.pathExists(path.join(projectPath, file))) return file;
+        }
+        return null;
+    }
+
+    async findYarnPath(projectPath) {
+        const settings = { '.yarnrc.yml': /^\s*yarnPath\s*:/m, '.yarnrc': /^\s*yarn-path\s/m };
+        for (const [file, pattern] of Object.entries(settings)) {
+            const text = await fs.readFile(path.join(projectPath, file), 'utf8').catch(() => '');
+            if (pattern.test(text)) return file;
+        }
+        return null;
+    }
+
+    installArgs(packageManager, { lockfile, berry }) {
+        const frozen = this.frozenLockfile && lockfile !== null;
+        const ignoreScripts = !this.runsAllScripts;
+
+        switch (packageManager) {
+            case 'npm':
+                return [
+                    frozen ? 'ci' : 'install',
+                    '--no-audit',
+                    '--no-fund',
+                    ...(ignoreScripts ? ['--ignore-scripts'] : []),
+                    ...(this.offline ? ['--offline'] : []),
+                    ...(this.registry ? [`--registry=${this.registry}`] : [])
+                ];
+            case 'yarn':
+                if (berry) {
+                    // Yarn 2+: la caché offline es la del propio repositorio; el registro se pasa por entorno
+                    return [
+                        'install',
+                        ...(frozen ? ['--immutable'] : []),
+                        ...(ignoreScripts ? ['--mode=skip-build'] : [])
+                    ];
+                }
+                return [
+                    'install',
+                    '--non-interactive',
+                    ...(frozen ? ['--frozen-lockfile'] : []),
+                    ...(ignoreScripts ? ['--ignore-scripts'] : []),
+                    ...(this.offline ? ['--offline'] : []),
+                    ...(this.registry ? ['--registry', this.registry] : [])
+                ];
+            case 'pnpm':
+                return [
+                    'install',
+                    // .pnpmfile.cjs es código del repositorio que pnpm cargaría
+                    '--ignore-pnpmfile',
+                    ...(frozen ? ['--frozen-lockfile'] : []),
+                    ...(ignoreScripts ? ['--ignore-scripts'] : []),
+                    ...(this.offline ? ['--offline'] : []),
+                    ...(this.registry ? [`--registry=${this.registry}`] : [])
+                ];
+            case 'bun':
+                if (this.offline) {
+                    throw new Error(t('installer.bunOffline'));
+                }
+                return [
+                    'install',
+                    ...(frozen ? ['--frozen-lockfile'] : []),
+                    ...(ignoreScripts ? ['--ignore-scripts'] : [])
+                ];
+            default:
+                throw new Error(t('installer.unsupported', { packageManager }));
+        }
+    }
+
+    // Tras instalar sin scripts, se ejecutan solo los de los paquetes permitidos
+    rebuildCommand(packageManager, berry) {
+        if (this.runsAllScripts || this.allowScripts.length === 0) return null;
+
+        switch (packageManager) {
+            case 'pnpm':
+                return { command: 'pnpm', args: ['rebuild', '--ignore-pnpmfile', ...this.allowScripts] };
+            case 'bun':
+                return { command: 'bun', args: ['pm', 'trust', ...this.allowScripts] };
+            case 'yarn':
+                if (berry) return { command: 'yarn', args: ['rebuild', ...this.allowScripts] };
+                return { command: 'npm', args: ['rebuild', ...this.allowScripts] };
+            default:
+                return { command: 'npm', args: ['rebuild', ...this.allowScripts] };
+        }
+    }
+
+    buildEnv(sandboxHome) {
+        const env = {};
+        for (const name of [...BASE_ENV, ...this.passEnv]) {
+            if (process.env[name] !== undefined) env[name] = process.env[name];
+        }
+
+        Object.assign(env, {
+            HOME: sandboxHome,
+            USERPROFILE: sandboxHome,
+            CI: 'true',
+            npm_config_cache: this.cacheDir || path.join(sandboxHome, '.npm'),
+            npm_config_update_notifier: 'false',
+            // El binario de Cypress se reutiliza de la caché del host
+            CYPRESS_CACHE_FOLDER: process.env.CYPRESS_CACHE_FOLDER || path.join(os.homedir(), '.cache', 'Cypress')
+        });
+
+        if (this.registry) {
+            env.npm_config_registry = this.registry;
+            env.YARN_NPM_REGISTRY_SERVER = this.registry;
+            env.BUN_CONFIG_REGISTRY = this.registry;
+        }
+
+        return env;
+    }
+
+    run(command, args, cwd, env, signal) {
+        logger.debug(`   $ ${command} ${args.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const child = spawn(command, args, {
+                cwd,
+                env,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                detached: process.platform !== 'win32'
+            });
+
+            const tail = [];
+            const onLine = line => {
+                tail.push(line);
+                if (tail.length > 20) tail.shift();
+                if (this.onOutput) this.onOutput(line);
+                else logger.debug(`   │ ${line}`);
+            };
+            streamLines(child.stdout, onLine);
+            streamLines(child.stderr, onLine);
+
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                this.kill(child);
+            }, this.timeoutMs);
+            const onAbort = () => this.kill(child);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const settle = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            child.on('error', error => {
+                settle();
+                reject(new Error(t('installer.spawnFailed', { command, error: error.message })));
+            });
+
+            child.on('close', code => {
+                settle();
+                if (signal && signal.aborted) {
+                    reject(signal.reason);
+                } else if (timedOut) {
+                    reject(new Error(t('installer.timedOut', { command: `${command} ${args[0]}`, seconds: Math.round(this.timeoutMs / 1000) })));
+                } else if (code !== 0) {
+                    reject(new Error(t('installer.exitCode', { command: `${command} ${args[0]}`, code, output: tail.join('\n') })));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Mata el grupo de procesos completo (gestor → node-gyp, etc.)
+    kill(child) {
+        try {
+            if (child.pid && process.platform !== 'win32') {
+                process.kill(-child.pid, 'SIGKILL');
+            } else {
+                child.kill('SIGKILL');
+            }
+        } catch (error) {
+            // El proceso ya terminó
+        }
+    }
+}
+
+function streamLines(stream, onLine) {
+    let buffer = '';
+    stream.on('data', chunk => {
+        buffer += chunk.toString();
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.filter(Boolean).forEach(onLine);
+    });
+    stream.on('end', () => {
+        if (buffer) onLine(buffer);
+    });
+}
+
+// Quita del YAML las claves de primer nivel indicadas con su valor (líneas sangradas o elementos
+// `- ` que las siguen). Devuelve el texto resultante y las claves quitadas
+export function stripYarnrcSettings(text, settings) {
+    const removed = [];
+    const lines = [];
+    let skipping = false;
+
+    for (const line of text.split(/\r?\n/)) {
+        const key = line.match(/^["']?([\w-]+)["']?\s*:/);
+        if (key) {
+            skipping = settings.includes(key[1]);
+            if (skipping) {
+                removed.push(key[1]);
+                continue;
+            }
+        } else if (skipping && (line === '' || /^[\s-]/.test(line) || line.startsWith('#'))) {
+            continue;
+        } else {
+            skipping = false;
+        }
+        lines.push(line);
+    }
+
+    return { content: lines.join('\n'), removed };
+}
+
+function splitList(value) {
+    if (!value) return [];
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
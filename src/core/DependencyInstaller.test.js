@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import DependencyInstaller, { stripYarnrcSettings } from './DependencyInstaller.js';
+import { configureLogger } from './Logger.js';
+
+configureLogger({ level: 'error' });
+
+const YARNRC = [
+    'nodeLinker: node-modules',
+    'yarnPath: .yarn/releases/evil.cjs',
+    'plugins:',
+    '  - path: .yarn/plugins/evil.cjs',
+    '    spec: "https://evil.test/plugin.js"',
+    '- path: .yarn/plugins/unindented.cjs',
+    'npmRegistryServer: "https://registry.npmjs.org"',
+    ''
+].join('\n');
+
+test('la copia de .yarnrc.yml no lleva yarnPath ni plugins', () => {
+    const { content, removed } = stripYarnrcSettings(YARNRC, ['yarnPath', 'plugins']);
+
+    assert.deepEqual(removed, ['yarnPath', 'plugins']);
+    assert.equal(content, 'nodeLinker: node-modules\nnpmRegistryServer: "https://registry.npmjs.org"\n');
+    assert.deepEqual(stripYarnrcSettings('plugins: [".yarn/plugins/a.cjs"]\nenableTelemetry: false', ['plugins']).content, 'enableTelemetry: false');
+});
+
+test('Yarn 2+ se ejecuta con el .yarnrc saneado y el original queda intacto', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'installer-project-'));
+    const binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'installer-bin-'));
+    const savedPath = process.env.PATH;
+    try {
+        await fs.outputJson(path.join(projectPath, 'package.json'), { name: 'app' });
+        await fs.writeFile(path.join(projectPath, '.yarnrc.yml'), YARNRC);
+        // yarn falso: guarda el archivo de configuración que le indica el entorno
+        await fs.writeFile(path.join(binDir, 'yarn'), '#!/bin/sh\ncat "$YARN_RC_FILENAME" > yarnrc-used.yml\necho "$YARN_RC_FILENAME" > yarnrc-name.txt\n', { mode: 0o755 });
+        process.env.PATH = `${binDir}${path.delimiter}${savedPath}`;
+
+        const result = await new DependencyInstaller({ allowScripts: [] }).install(projectPath, 'yarn');
+
+        assert.equal(result.success, true);
+        const used = await fs.readFile(path.join(projectPath, 'yarnrc-used.yml'), 'utf8');
+        assert.doesNotMatch(used, /plugins|yarnPath|evil/);
+        assert.match(used, /nodeLinker: node-modules/);
+        assert.equal((await fs.readFile(path.join(projectPath, 'yarnrc-name.txt'), 'utf8')).trim(), '.yarnrc.cypress-agent.yml');
+        assert.equal(await fs.readFile(path.join(projectPath, '.yarnrc.yml'), 'utf8'), YARNRC);
+        assert.equal(await fs.pathExists(path.join(projectPath, '.yarnrc.cypress-agent.yml')), false);
+    } finally {
+        process.env.PATH = savedPath;
+        await fs.remove(projectPath);
+        await fs.remove(binDir);
+    }
+});
+
+test('offline sin caché configurada falla antes de ejecutar el gestor', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'installer-project-'));
+    try {
+        await fs.outputJson(path.join(projectPath, 'package.json'), { name: 'app' });
+        const installer = new DependencyInstaller({ offline: true });
+        installer.cacheDir = null;
+        installer.run = () => assert.fail('no debe ejecutar el gestor de paquetes');
+
+        await assert.rejects(installer.install(projectPath, 'npm'), /CYPRESS_AGENT_NPM_CACHE/);
+    } finally {
+        await fs.remove(projectPath);
+    }
+});
@@ -0,0 +1,232 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { minimatch, Minimatch } from 'minimatch';
+import { createLogger } from './Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('FileWalker');
+
+// Nunca se recorren, con o sin .gitignore
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+
+const MAX_FILES = 20000;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const CONCURRENCY = 16;
+
+/**
+ * Índice de archivos de un proyecto en una sola pasada: lo comparten la estructura, los tests
+ * existentes, las rutas y el inventario del código en lugar de recorrer el árbol cada uno.
+ * Respeta los .gitignore (el de la raíz y los de cada carpeta) y `exclude`, y limita el número
+ * de operaciones de disco simultáneas, de archivos y el tamaño de cada archivo.
+ */
+export default class FileWalker {
+    constructor(options = {}) {
+        this.maxFiles = options.maxFiles || MAX_FILES;
+        this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+        this.concurrency = options.concurrency || CONCURRENCY;
+    }
+
+    /**
+     * Devuelve { files: [{ path, size }], directories: [path], stats } con rutas relativas con '/'
+     * y ordenadas. options.exclude: patrones excluidos (ver createPathFilter); options.root: raíz
+     * del repositorio cuando repoPath es una carpeta suya (paquete de un monorepo), para aplicar
+     * también los .gitignore de las carpetas superiores; options.maxDepth: niveles de carpetas
+     * que se recorren (1 = solo la raíz), sin límite por defecto.
+     */
+    async walk(repoPath, options = {}) {
+        const startedAt = Date.now();
+        const limit = createLimiter(this.concurrency);
+        const isExcluded = createPathFilter(options.exclude);
+        const prefix = options.root ? path.relative(options.root, repoPath).split(path.sep).join('/') : '';
+
+        const files = [];
+        const directories = [];
+        const stats = { files: 0, directories: 0, ignored: 0, skippedLarge: 0, truncated: false, durationMs: 0 };
+
+        const visit = async (relativeDir, rules, depth) => {
+            if (stats.truncated) return;
+
+            let entries;
+            try {
+                entries = await limit(() => fs.readdir(path.join(repoPath, relativeDir), { withFileTypes: true }));
+            } catch (error) {
+                return;
+            }
+
+            if (entries.some(entry => entry.name === '.gitignore' && entry.isFile())) {
+                rules = rules.concat(await this.readGitignore(repoPath, relativeDir, prefix, limit));
+            }
+
+            const pending = [];
+            for (const entry of entries) {
+                // Los enlaces simbólicos no se siguen: evita ciclos y archivos fuera del proyecto
+                if (!entry.isDirectory() && !entry.isFile()) continue;
+
+                const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                const rootPath = prefix ? `${prefix}/${relativePath}` : relativePath;
+                if (ALWAYS_IGNORED.includes(entry.name) || isExcluded(relativePath) || isIgnored(rules, rootPath, entry.isDirectory())) {
+                    stats.ignored++;
+                    continue;
+                }
+
+                if (entry.isDirectory()) {
+                    directories.push(relativePath);
+                    if (options.maxDepth === undefined || depth + 1 < options.maxDepth) {
+                        pending.push(visit(relativePath, rules, depth + 1));
+                    }
+                } else {
+                    pending.push(this.addFile(repoPath, relativePath, files, stats, limit));
+                }
+            }
+            await Promise.all(pending);
+        };
+
+        await visit('', await this.ancestorRules(options.root, prefix, limit), 0);
+
+        files.sort((left, right) => compareText(left.path, right.path));
+        directories.sort(compareText);
+        stats.files = files.length;
+        stats.directories = directories.length;
+        stats.durationMs = Date.now() - startedAt;
+
+        if (stats.truncated) {
+            logger.warn(t('walker.truncated', { max: this.maxFiles }));
+        }
+        logger.debug(t('walker.done', stats));
+
+        return { files, directories, stats };
+    }
+
+    async addFile(repoPath, relativePath, files, stats, limit) {
+        if (stats.truncated) return;
+
+        const stat = await limit(() => fs.stat(path.join(repoPath, relativePath))).catch(() => null);
+        if (!stat) return;
+        if (stat.size > this.maxFileSize) {
+            stats.skippedLarge++;
+            return;
+        }
+        if (files.length >= this.maxFiles) {
+            stats.truncated = true;
+            return;
+        }
+        files.push({ path: relativePath, size: stat.size });
+    }
+
+    async readGitignore(repoPath, relativeDir, prefix, limit) {
+        try {
+            const text = await limit(() => fs.readFile(path.join(repoPath, relativeDir, '.gitignore'), 'utf8'));
+            const base = [prefix, relativeDir].filter(Boolean).join('/');
+            return parseGitignore(text, base);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // .gitignore de la raíz y de las carpetas entre la raíz y repoPath (sin incluir repoPath)
+    async ancestorRules(root, prefix, limit) {
+        if (!root || !prefix) return [];
+
+        const rules = [];
+        const segments = prefix.split('/');
+        for (let index = 0; index < segments.length; index++) {
+            const base = segments.slice(0, index).join('/');
+            try {
+                const text = await limit(() => fs.readFile(path.join(root, base, '.gitignore'), 'utf8'));
+                rules.push(...parseGitignore(text, base));
+            } catch (error) {
+                // Carpeta sin .gitignore
+            }
+        }
+        return rules;
+    }
+}
+
+/**
+ * Reglas de un .gitignore: [{ base, pattern, negate, directoryOnly }]. Un patrón sin barra (salvo
+ * la final) vale en cualquier carpeta bajo base; con barra se ancla a base, como en git.
+ */
+export function parseGitignore(text, base = '') {
+    const rules = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        const negate = line.startsWith('!');
+        if (negate) line = line.slice(1);
+        line = line.replace(/^\\([#!])/, '$1');
+
+        const directoryOnly = line.endsWith('/');
+        line = line.replace(/\/+$/, '');
+        if (!line) continue;
+
+        const anchored = line.includes('/');
+        rules.push({
+            base,
+            pattern: anchored ? line.replace(/^\//, '') : `**/${line}`,
+            negate,
+            directoryOnly
+        });
+    }
+    return rules;
+}
+
+// La última regla que casa decide, como en git; rootPath es relativo a la raíz del repositorio
+function isIgnored(rules, rootPath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.base && !rootPath.startsWith(`${rule.base}/`)) continue;
+
+        const relativePath = rule.base ? rootPath.slice(rule.base.length + 1) : rootPath;
+        if (minimatch(relativePath, rule.pattern, { dot: true })) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+/**
+ * Predicado para las rutas excluidas (`exclude`): createPathFilter(['legacy', 'src/**\/*.stories.jsx']).
+ * Los patrones son globs de minimatch, con la misma sintaxis que los .gitignore y `testPatterns`.
+ * Un patrón sin barra vale en cualquier carpeta, como en .gitignore, y excluye también lo que hay debajo.
+ */
+export function createPathFilter(patterns = []) {
+    const matchers = patterns.flatMap(pattern => {
+        const normalized = pattern.replace(/^\.?\//, '').replace(/\/+$/, '');
+        const glob = normalized.includes('/') ? normalized : `**/${normalized}`;
+        return [glob, `${glob}/**`].map(expression => new Minimatch(expression, { dot: true }));
+    });
+    return relativePath => {
+        const normalized = relativePath.split(path.sep).join('/');
+        return matchers.some(matcher => matcher.match(normalized));
+    };
+}
+
+// Ejecuta como mucho `concurrency` tareas a la vez; el resto espera en cola
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Orden por código de carácter: estable entre máquinas, a diferencia del de readdir
+function compareText(left, right) {
+    return left < right ? -1 : left > right ? 1 : 0;
+}
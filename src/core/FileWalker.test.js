@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FileWalker, { createPathFilter } from './FileWalker.js';
+import { configureLogger } from './Logger.js';
+
+configureLogger({ level: 'error' });
+
+test('exclude usa globs de minimatch y un patrón sin barra vale en cualquier carpeta', () => {
+    const isExcluded = createPathFilter(['legacy', './src/**/*.stories.{jsx,tsx}', 'docs/', 'tmp?']);
+
+    assert.equal(isExcluded('legacy'), true);
+    assert.equal(isExcluded('packages/web/legacy/index.js'), true);
+    assert.equal(isExcluded('src/Button.stories.jsx'), true);
+    assert.equal(isExcluded('src/ui/Card.stories.tsx'), true);
+    assert.equal(isExcluded('lib/Card.stories.tsx'), false);
+    assert.equal(isExcluded('docs/guide/.vitepress/config.js'), true);
+    assert.equal(isExcluded('src/docs/index.js'), true);
+    assert.equal(isExcluded('tmp1/cache.json'), true);
+    assert.equal(isExcluded('tmp12'), false);
+    assert.equal(isExcluded('src/legacyApi.js'), false);
+});
+
+test('walk no recorre las carpetas excluidas', async () => {
+    const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'file-walker-'));
+    try {
+        for (const file of ['src/App.jsx', 'src/App.stories.jsx', 'legacy/old.js', 'src/legacy/old.js']) {
+            await fs.outputFile(path.join(repoPath, file), '');
+        }
+
+        const { files } = await new FileWalker().walk(repoPath, { exclude: ['legacy', 'src/*.stories.jsx'] });
+
+        assert.deepEqual(files.map(file => file.path), ['src/App.jsx']);
+    } finally {
+        await fs.remove(repoPath);
+    }
+});
@@ -0,0 +1,221 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Evidencia de cada framework y su peso: dependencias de package.json (peso por paquete),
+ * archivos de configuración (los que registra analyzeBuildTools), extensiones de archivo e
+ * imports en el código. Los meta-frameworks (`meta`) tienen prioridad sobre la librería en
+ * la que se apoyan (`base`): un proyecto Next.js también tiene toda la evidencia de React.
+ */
+export const FRAMEWORKS = {
+    nextjs: {
+        meta: true,
+        base: 'react',
+        projectType: 'Next.js Application',
+        dependencies: { next: 10 },
+        configFiles: /^next\.config\.(js|mjs|cjs|ts)$/,
+        imports: ['next']
+    },
+    remix: {
+        meta: true,
+        base: 'react',
+        projectType: 'Remix Application',
+        dependencies: { '@remix-run/react': 10, '@remix-run/node': 4, '@remix-run/dev': 4 },
+        configFiles: /^remix\.config\.(js|mjs|cjs)$/,
+        imports: ['@remix-run/']
+    },
+    nuxtjs: {
+        meta: true,
+        base: 'vue',
+        projectType: 'Nuxt.js Application',
+        dependencies: { nuxt: 10, nuxt3: 10 },
+        configFiles: /^nuxt\.config\.(js|mjs|ts)$/,
+        imports: ['#app', '#imports', 'nuxt']
+    },
+    sveltekit: {
+        meta: true,
+        base: 'svelte',
+        projectType: 'SvelteKit Application',
+        dependencies: { '@sveltejs/kit': 10 },
+        imports: ['$app/', '@sveltejs/kit'],
+        port: 5173
+    },
+    astro: {
+        meta: true,
+        base: null,
+        projectType: 'Astro Site',
+        dependencies: { astro: 10 },
+        configFiles: /^astro\.config\.(js|mjs|cjs|ts)$/,
+        extensions: ['.astro'],
+        imports: ['astro:', 'astro/'],
+        port: 4321
+    },
+    qwik: {
+        meta: false,
+        base: null,
+        projectType: 'Qwik Application',
+        dependencies: { '@builder.io/qwik': 10, '@builder.io/qwik-city': 4 },
+        imports: ['@builder.io/qwik'],
+        port: 5173
+    },
+    angular: {
+        projectType: 'Angular Application',
+        // rxjs solo apunta a Angular: lo usan muchos proyectos sin él
+        dependencies: { '@angular/core': 10, '@angular/common': 4, '@angular/cli': 4, rxjs: 1 },
+        configFiles: /^angular\.json$/,
+        extensions: ['.component.ts'],
+        imports: ['@angular/'],
+        port: 4200
+    },
+    ember: {
+        projectType: 'Ember Application',
+        dependencies: { 'ember-source': 10, 'ember-cli': 6 },
+        // Sin .hbs como evidencia: Handlebars se usa también fuera de Ember
+        configFiles: /^ember-cli-build\.js$/,
+        imports: ['@ember/', '@glimmer/'],
+        port: 4200
+    },
+    vue: {
+        projectType: 'Vue Application',
+        dependencies: { vue: 10, 'vue-router': 2, vuex: 2, pinia: 2 },
+        configFiles: /^vue\.config\.js$/,
+        extensions: ['.vue'],
+        imports: ['vue']
+    },
+    svelte: {
+        projectType: 'Svelte Application',
+        dependencies: { svelte: 10 },
+        configFiles: /^svelte\.config\.(js|mjs|ts)$/,
+        extensions: ['.svelte'],
+        imports: ['svelte']
+    },
+    solid: {
+        projectType: 'SolidJS Application',
+        dependencies: { 'solid-js': 10, '@solidjs/router': 2 },
+        imports: ['solid-js']
+    },
+    preact: {
+        projectType: 'Preact Application',
+        dependencies: { preact: 10, '@preact/preset-vite': 4 },
+        imports: ['preact']
+    },
+    react: {
+        projectType: 'React Application',
+        dependencies: { react: 10, 'react-dom': 4, gatsby: 4 },
+        imports: ['react']
+    }
+};
+
+// Puntos que dan confianza 1, y mínimo para considerar un framework detectado
+const FULL_SCORE = 20;
+const MIN_CONFIDENCE = 0.25;
+
+const CONFIG_FILE_WEIGHT = 8;
+// Extensiones e imports suman uno por archivo, con tope
+const MAX_FILE_EVIDENCE = 6;
+const MAX_IMPORT_FILES = 50;
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.vue', '.svelte', '.astro'];
+const IMPORT_PATTERN = /\b(?:from|import|require)\s*\(?\s*['"]([^'"\n]+)['"]/g;
+
+export default class FrameworkDetector {
+    /**
+     * Frameworks con evidencia en el proyecto, de más a menos probable:
+     * [{ name, confidence (0-1), evidence: ['dependency:next', 'config:next.config.js', ...] }]
+     * Los meta-frameworks detectados van delante aunque su librería base sume más puntos.
+     */
+    async detect(repoPath, analysis) {
+        const dependencies = { ...analysis.dependencies, ...analysis.devDependencies };
+        const configFiles = (analysis.buildTools || []).map(tool => path.basename(tool.configFile));
+        const files = analysis.projectStructure
+            .filter(item => item.type === 'file')
+            .map(item => item.path.split(path.sep).join('/'));
+        const imports = await this.collectImports(repoPath, files);
+
+        const ranked = [];
+        for (const [name, framework] of Object.entries(FRAMEWORKS)) {
+            const evidence = [];
+            let score = 0;
+
+            for (const [dependency, weight] of Object.entries(framework.dependencies)) {
+                if (dependencies[dependency]) {
+                    score += weight;
+                    evidence.push(`dependency:${dependency}`);
+                }
+            }
+
+            const configFile = framework.configFiles && configFiles.find(file => framework.configFiles.test(file));
+            if (configFile) {
+                score += CONFIG_FILE_WEIGHT;
+                evidence.push(`config:${configFile}`);
+            }
+
+            for (const extension of framework.extensions || []) {
+                const count = Math.min(files.filter(file => file.endsWith(extension)).length, MAX_FILE_EVIDENCE);
+                if (count > 0) {
+                    score += count;
+                    evidence.push(`extension:${extension}`);
+                }
+            }
+
+            const importing = imports.filter(specifiers => specifiers.some(specifier =>
+                (framework.imports || []).some(prefix => matchesImport(specifier, prefix)))).length;
+            if (importing > 0) {
+                score += Math.min(importing, MAX_FILE_EVIDENCE);
+                evidence.push(`imports:${importing}`);
+            }
+
+            if (score > 0) {
+                ranked.push({ name, confidence: Math.round(Math.min(score / FULL_SCORE, 1) * 100) / 100, score, evidence });
+            }
+        }
+
+        return ranked
+            .sort((left, right) => isDetectedMeta(right) - isDetectedMeta(left) || right.score - left.score)
+            .map(({ score, ...entry }) => entry);
+    }
+
+    // Framework principal: el primero que llega al mínimo (detect() ya antepone los meta-frameworks)
+    primary(ranked) {
+        const detected = ranked.find(entry => entry.confidence >= MIN_CONFIDENCE);
+        return detected ? detected.name : null;
+    }
+
+    // Especificadores importados por cada archivo fuente (los primeros MAX_IMPORT_FILES)
+    async collectImports(repoPath, files) {
+        const sources = files
+            .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file)))
+            .slice(0, MAX_IMPORT_FILES);
+
+        const imports = [];
+        for (const file of sources) {
+            try {
+                const source = await fs.readFile(path.join(repoPath, file), 'utf8');
+                imports.push([...source.matchAll(IMPORT_PATTERN)].map(match => match[1]));
+            } catch (error) {
+                // Archivo ilegible: sin evidencia
+            }
+        }
+        return imports;
+    }
+}
+
+// Librería de UI de un framework: la suya para los meta-frameworks, el propio framework si no
+export function baseFramework(name) {
+    const framework = FRAMEWORKS[name];
+    return framework && framework.base !== undefined ? framework.base : name;
+}
+
+// Puerto de desarrollo por defecto del framework (3000 si no tiene uno propio)
+export function defaultPort(name) {
+    return (FRAMEWORKS[name] && FRAMEWORKS[name].port) || 3000;
+}
+
+function isDetectedMeta(entry) {
+    return Boolean(FRAMEWORKS[entry.name].meta) && entry.confidence >= MIN_CONFIDENCE;
+}
+
+// 'react' casa con 'react' y 'react/jsx-runtime'; los prefijos acabados en / o : con cualquier subruta
+function matchesImport(specifier, prefix) {
+    if (prefix.endsWith('/') || prefix.endsWith(':')) return specifier.startsWith(prefix);
+    return specifier === prefix || specifier.startsWith(`${prefix}/`);
+}
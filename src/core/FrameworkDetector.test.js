@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FrameworkDetector from './FrameworkDetector.js';
+
+test('el meta-framework encabeza la lista aunque su librería base sume más evidencia', async () => {
+    const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'framework-detector-'));
+    try {
+        // Muchos componentes que importan React y ninguno que importe next
+        const files = Array.from({ length: 8 }, (_, index) => `components/Item${index}.jsx`);
+        for (const file of files) {
+            await fs.outputFile(path.join(repoPath, file), "import React from 'react';\n");
+        }
+
+        const detector = new FrameworkDetector();
+        const ranked = await detector.detect(repoPath, {
+            dependencies: { next: '14.0.0', react: '18.2.0', 'react-dom': '18.2.0' },
+            devDependencies: {},
+            buildTools: [],
+            projectStructure: files.map(file => ({ type: 'file', path: file }))
+        });
+
+        assert.deepEqual(ranked.map(entry => entry.name), ['nextjs', 'react']);
+        assert.ok(ranked[1].confidence > ranked[0].confidence);
+        assert.equal(detector.primary(ranked), ranked[0].name);
+    } finally {
+        await fs.remove(repoPath);
+    }
+});
+
+test('un meta-framework por debajo del mínimo no adelanta a los detectados', () => {
+    const detector = new FrameworkDetector();
+    const ranked = [
+        { name: 'vue', confidence: 0.6, evidence: [] },
+        { name: 'nuxtjs', confidence: 0.1, evidence: [] }
+    ];
+
+    assert.equal(detector.primary(ranked), 'vue');
+});
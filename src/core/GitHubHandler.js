@@ -1,12 +1,23 @@
-import { execSync } from 'child_process';
 import fs from 'fs-extra';
 import path from 'path';
 import simpleGit from 'simple-git';
-import chalk from 'chalk';
+import { createLogger, redactSecrets } from './Logger.js';
+import DependencyInstaller from './DependencyInstaller.js';
+import ProgressEmitter from './ProgressEmitter.js';
+import { t } from '../i18n/index.js';
 
-export default class GitHubHandler {
-    constructor() {
-        this.tempDir = path.join(process.cwd(), 'temp-repos');
+const logger = createLogger('GitHubHandler');
+
+export default class GitHubHandler extends ProgressEmitter {
+    constructor(options = {}) {
+        super();
+        this.tempDir = options.tempDir || path.join(process.cwd(), 'temp-repos');
+        this.options = {
+            depth: options.depth,
+            packageManager: options.packageManager,
+            install: options.install !== false
+        };
+        this.installer = new DependencyInstaller(options.installPolicy);
         this.ensureTempDir();
     }
 
@@ -16,48 +27,67 @@ export default class GitHubHandler {
         }
     }
 
-    async cloneAndAnalyze(githubUrl) {
+    // Clonado (o directorio local) seguido de la instalación de dependencias
+    async cloneAndAnalyze(source, options = {}) {
+        const acquired = await this.acquire(source, options);
+        if (!acquired.success) return acquired;
+
+        return { ...acquired, ...await this.installProject(acquired, options) };
+    }
+
+    mergeOptions(options) {
+        const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        return { ...this.options, ...overrides };
+    }
+
+    // Obtiene el código: clona los remotos en tempDir y usa los directorios locales en el sitio
+    async acquire(source, options = {}) {
         let tempPath = null;
+        const cloneOptions = this.mergeOptions(options);
         
         try {
-            const repoName = this.extractRepoName(githubUrl);
-            const repoPath = path.join(this.tempDir, repoName);
-            
-            // Limpiar directorio existente
-            if (await fs.pathExists(repoPath)) {
-                console.log(chalk.yellow(`🗑️  Limpiando directorio existente: ${repoName}`));
-                await fs.remove(repoPath);
-            }
-
-            // 1. Clonar repositorio
-            console.log(chalk.blue(`🔄 Clonando repositorio: ${githubUrl}`));
-            const git = simpleGit();
-            await git.clone(githubUrl, repoPath);
-            console.log(chalk.green(`✅ Repositorio clonado: ${repoName}`));
+            const resolved = await this.resolveSource(source);
+            let repoPath;
+            let repoName;
 
-            tempPath = repoPath;
-
-            // 2. Instalar dependencias
-            console.log(chalk.blue('📦 Instalando dependencias...'));
-            const installResult = await this.installDependencies(repoPath);
-            
-            if (!installResult.success) {
-                console.log(chalk.yellow('⚠️  Instalación de dependencias falló, continuando con análisis básico'));
+            if (resolved.kind === 'local' && !cloneOptions.ref) {
+                // Directorio de trabajo local: se analiza en el sitio, nunca se clona ni se borra
+                repoPath = resolved.location;
+                repoName = path.basename(repoPath);
+                logger.info(t('github.local', { path: repoPath }));
+                this.reportStep('source:local', t('steps.sourceLocal'), { path: repoPath });
             } else {
-                console.log(chalk.green('✅ Dependencias instaladas correctamente'));
+                repoName = this.extractRepoName(resolved.location);
+                repoPath = path.join(this.tempDir, repoName);
+                
+                // Limpiar directorio existente
+                if (await fs.pathExists(repoPath)) {
+                    logger.warn(t('github.removingExisting', { name: repoName }));
+                    await fs.remove(repoPath);
+                }
+
+                logger.info(t('github.cloning', { repository: this.redactUrl(resolved.location) }), { repository: resolved.location, ref: cloneOptions.ref || null });
+                this.reportStep('clone:start', t('steps.cloneStart'), { repository: this.redactUrl(resolved.location), ref: cloneOptions.ref || null });
+                tempPath = repoPath;
+                await this.cloneRepository(resolved.location, repoPath, cloneOptions);
+                logger.success(t('github.cloned', { name: repoName }));
+                this.reportStep('clone:done', t('steps.cloneDone'), { repoName });
             }
 
             return {
                 success: true,
                 repoPath,
+                projectPath: await this.resolveProjectPath(repoPath, cloneOptions.subdirectory),
                 repoName,
-                dependenciesInstalled: installResult.success,
-                installError: installResult.error,
+                isLocal: tempPath === null,
+                ref: cloneOptions.ref || null,
+                commit: await this.getHeadCommit(repoPath),
+                subdirectory: cloneOptions.subdirectory || null,
                 clonedAt: new Date().toISOString()
             };
 
         } catch (error) {
-            console.error(chalk.red(`❌ Error: ${error.message}`));
+            logger.error(t('github.failed', { error: error.message }));
             
             // Limpiar en caso de error
             if (tempPath) {
@@ -71,26 +101,161 @@ export default class GitHubHandler {
         }
     }
 
-    async installDependencies(repoPath) {
+    // Instala las dependencias del proyecto obtenido con acquire() (nunca en un directorio local del usuario)
+    async installProject(acquired, options = {}) {
+        const installOptions = this.mergeOptions(options);
+
+        if (!installOptions.install || acquired.isLocal) {
+            logger.debug(t('github.installSkipped'));
+            this.reportStep('install:skipped', t('steps.installSkipped'), { local: acquired.isLocal });
+            return {
+                dependenciesInstalled: false,
+                installSkipped: true
+            };
+        }
+
+        logger.info(t('github.installing'));
+        this.reportStep('install:start', t('steps.installStart'));
+        const installResult = await this.installDependencies(acquired.projectPath, installOptions.packageManager, installOptions.signal);
+        this.reportStep('install:done', t(installResult.success ? 'steps.installDone' : 'steps.installFailed'), {
+            success: installResult.success,
+            packageManager: installResult.packageManager,
+            durationMs: installResult.durationMs,
+            error: installResult.error
+        });
+        
+        if (!installResult.success) {
+            logger.warn(t('github.installFailed', { error: installResult.error }), { error: installResult.error });
+        } else {
+            logger.success(t('github.installed'));
+        }
+
+        return {
+            dependenciesInstalled: installResult.success,
+            installError: installResult.error,
+            install: installResult.success ? {
+                packageManager: installResult.packageManager,
+                command: installResult.command,
+                lockfile: installResult.lockfile,
+                scripts: installResult.scripts,
+                durationMs: installResult.durationMs
+            } : undefined
+        };
+    }
+
+    // Clasifica el origen: directorio de trabajo local o remoto clonable (incluye file:// y repos bare)
+    async resolveSource(source) {
+        if (!source || typeof source !== 'string') {
+            throw new Error(t('github.sourceRequired'));
+        }
+
+        const trimmed = source.trim();
+        if (this.isRemoteUrl(trimmed)) {
+            return { kind: 'remote', location: trimmed };
+        }
+
+        const localPath = path.resolve(trimmed);
+        if (!await fs.pathExists(localPath)) {
+            throw new Error(t('github.localMissing', { path: localPath }));
+        }
+
+        const stat = await fs.stat(localPath);
+        if (!stat.isDirectory()) {
+            throw new Error(t('github.localNotDirectory', { path: localPath }));
+        }
+
+        // Un repo bare no tiene árbol de trabajo: hay que clonarlo
+        if (await this.isBareRepository(localPath)) {
+            return { kind: 'remote', location: localPath };
+        }
+
+        return { kind: 'local', location: localPath };
+    }
+
+    isRemoteUrl(source) {
+        return /^(https?|ssh|git|file):\/\//i.test(source) ||
+               /^[\w.-]+@[\w.-]+:/.test(source);
+    }
+
+    async isBareRepository(dirPath) {
+        const markers = ['HEAD', 'objects', 'refs'];
+        for (const marker of markers) {
+            if (!await fs.pathExists(path.join(dirPath, marker))) return false;
+        }
+        return !await fs.pathExists(path.join(dirPath, '.git'));
+    }
+
+    // options.signal (AbortSignal) mata el proceso git en curso
+    async cloneRepository(location, repoPath, options) {
+        const { ref, depth, signal } = options;
+        const git = simpleGit({ abort: signal });
+        const isCommitSha = ref && /^[0-9a-f]{7,40}$/i.test(ref);
+
+        // Ramas y tags se clonan directamente; un SHA requiere historial para hacer checkout
+        if (ref && !isCommitSha) {
+            const args = ['--branch', ref];
+            if (depth) args.push('--depth', String(depth));
+            await git.clone(location, repoPath, args);
+            return;
+        }
+
+        await git.clone(location, repoPath, depth && !ref ? ['--depth', String(depth)] : []);
+
+        if (isCommitSha) {
+            await simpleGit(repoPath, { abort: signal }).checkout(ref);
+        }
+    }
+
+    async resolveProjectPath(repoPath, subdirectory) {
+        if (!subdirectory) return repoPath;
+
+        const projectPath = path.resolve(repoPath, subdirectory);
+        const relative = path.relative(repoPath, projectPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(t('github.subdirectoryOutside', { subdirectory }));
+        }
+
+        if (!await fs.pathExists(projectPath)) {
+            throw new Error(t('github.subdirectoryMissing', { subdirectory }));
+        }
+
+        // El clon no es de confianza: un enlace simbólico suyo no puede sacar el proyecto del repositorio
+        const realRelative = path.relative(await fs.realpath(repoPath), await fs.realpath(projectPath));
+        if (realRelative.startsWith('..') || path.isAbsolute(realRelative)) {
+            throw new Error(t('github.subdirectoryOutside', { subdirectory }));
+        }
+
+        return projectPath;
+    }
+
+    async getHeadCommit(repoPath) {
+        try {
+            return (await simpleGit(repoPath).revparse(['HEAD'])).trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Oculta credenciales embebidas en URLs (https://token@host/...)
+    redactUrl(url) {
+        return redactSecrets(url);
+    }
+
+    // La instalación sigue la política de DependencyInstaller: sin scripts salvo los permitidos,
+    // entorno limpio, lockfile congelado y timeout configurable
+    async installDependencies(repoPath, packageManagerOverride, signal) {
         try {
             const packageJsonPath = path.join(repoPath, 'package.json');
             
             if (!await fs.pathExists(packageJsonPath)) {
-                return { success: false, error: 'No package.json found' };
+                return { success: false, error: t('github.packageJsonMissing') };
             }
 
-            // Determinar gestor de paquetes (npm, yarn, pnpm)
-            const packageManager = await this.detectPackageManager(repoPath);
-            console.log(chalk.blue(`   Usando ${packageManager}...`));
-
-            // Ejecutar instalación
-            execSync(`${packageManager} install`, {
-                cwd: repoPath,
-                stdio: 'pipe',
-                timeout: 120000 // 2 minutos timeout
-            });
+            // Determinar gestor de paquetes (npm, yarn, pnpm, bun)
+            const packageManager = packageManagerOverride || await this.detectPackageManager(repoPath);
+            logger.info(t('github.usingPackageManager', { packageManager }));
 
-            return { success: true };
+            return await this.installer.install(repoPath, packageManager, { signal });
 
         } catch (error) {
             return { 
@@ -106,25 +271,32 @@ export default class GitHubHandler {
             return 'yarn';
         } else if (await fs.pathExists(path.join(repoPath, 'pnpm-lock.yaml'))) {
             return 'pnpm';
+        } else if (await fs.pathExists(path.join(repoPath, 'bun.lockb')) || await fs.pathExists(path.join(repoPath, 'bun.lock'))) {
+            return 'bun';
         } else {
             return 'npm';
         }
     }
 
-    extractRepoName(githubUrl) {
-        const patterns = [
-            /github\.com[/:]([^\/]+\/[^\/]+?)(?:\.git)?$/,
-            /git@github\.com:([^\/]+\/[^\/]+?)(?:\.git)?$/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = githubUrl.match(pattern);
-            if (match) {
-                return match[1].replace('/', '-') + '-' + Date.now();
-            }
-        }
-        
-        return 'unknown-repo-' + Date.now();
+    // Nombre de directorio a partir de cualquier remoto: GitHub, GitLab, Bitbucket, SSH, file:// o ruta
+    extractRepoName(repoUrl) {
+        const cleaned = repoUrl
+            .trim()
+            .replace(/[?#].*$/, '')
+            .replace(/\/+$/, '')
+            .replace(/\.git$/, '');
+
+        // git@host:grupo/repo  |  esquema://[usuario@]host[:puerto]/grupo/repo  |  /ruta/al/repo
+        const scpLike = cleaned.match(/^[\w.-]+@[\w.-]+:(.+)$/);
+        const withScheme = cleaned.match(/^[a-z]+:\/\/[^/]*(\/.*)$/i);
+        const repoPathPart = scpLike ? scpLike[1] : withScheme ? withScheme[1] : cleaned;
+
+        const segments = repoPathPart.split(/[\\/]/).filter(Boolean).slice(-2);
+        const safeName = segments
+            .join('-')
+            .replace(/[^\w.-]/g, '_');
+
+        return (safeName || 'unknown-repo') + '-' + Date.now();
     }
 
     async getRepoInfo(repoPath) {
@@ -151,17 +323,17 @@ export default class GitHubHandler {
             
             // Limpiar directorio existente
             if (await fs.pathExists(repoPath)) {
-                console.log(chalk.yellow(`🗑️  Limpiando directorio existente: ${repoName}`));
+                logger.warn(t('github.removingExisting', { name: repoName }));
                 await fs.remove(repoPath);
             }
 
             // Clonar SOLO para análisis (más rápido)
-            console.log(chalk.blue(`🔄 Clonando para análisis rápido: ${githubUrl}`));
+            logger.info(t('github.quickCloning', { repository: githubUrl }));
             
             const git = simpleGit();
             await git.clone(githubUrl, repoPath, ['--depth', '1']); // Solo último commit
             
-            console.log(chalk.green(`✅ Repositorio listo para análisis: ${repoName}`));
+            logger.success(t('github.quickReady', { name: repoName }));
 
             return {
                 success: true,
@@ -172,7 +344,7 @@ export default class GitHubHandler {
             };
 
         } catch (error) {
-            console.error(chalk.red(`❌ Error clonando repositorio: ${error.message}`));
+            logger.error(t('github.cloneFailed', { error: error.message }));
             return {
                 success: false,
                 error: error.message
@@ -187,6 +359,8 @@ export default class GitHubHandler {
             const cypressConfigPaths = [
                 'cypress.config.js',
                 'cypress.config.ts',
+                'cypress.config.cjs',
+                'cypress.config.mjs',
                 'cypress.json'
             ];
 
@@ -194,6 +368,7 @@ export default class GitHubHandler {
                 hasPackageJson: false,
                 hasCypressDependency: false,
                 hasCypressConfig: false,
+                hasComponentConfig: false,
                 cypressConfigPath: null,
                 scripts: {}
             };
@@ -211,7 +386,7 @@ export default class GitHubHandler {
                     results.hasCypressDependency = !!allDeps.cypress;
                     results.scripts = packageJson.scripts || {};
                 } catch (error) {
-                    console.warn(chalk.yellow('⚠️  Error leyendo package.json'));
+                    logger.warn(t('github.packageJsonUnreadable'));
                 }
             }
 
@@ -221,6 +396,7 @@ export default class GitHubHandler {
                 if (await fs.pathExists(fullPath)) {
                     results.hasCypressConfig = true;
                     results.cypressConfigPath = configPath;
+                    results.hasComponentConfig = /\bcomponent\s*:|"component"\s*:/.test(await fs.readFile(fullPath, 'utf8'));
                     break;
                 }
             }
@@ -228,7 +404,7 @@ export default class GitHubHandler {
             return results;
 
         } catch (error) {
-            console.error(chalk.red(`❌ Error verificando Cypress: ${error.message}`));
+            logger.error(t('github.cypressCheckFailed', { error: error.message }));
             return {
                 hasPackageJson: false,
                 hasCypressDependency: false,
@@ -255,11 +431,11 @@ export default class GitHubHandler {
                 
                 if (now - stat.birthtime.getTime() > maxAge) {
                     await fs.remove(itemPath);
-                    console.log(chalk.gray(`🧹 Limpiado temporal antiguo: ${item}`));
+                    logger.debug(t('github.oldTempRemoved', { name: item }));
                 }
             }
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Error limpiando temporales: ${error.message}`));
+            logger.warn(t('github.tempCleanupFailed', { error: error.message }));
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import GitHubHandler from './GitHubHandler.js';
+import { configureLogger } from './Logger.js';
+
+configureLogger({ level: 'error' });
+
+test('el subdirectorio no puede salir del repositorio mediante un enlace simbólico', async () => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'github-handler-'));
+    try {
+        const repoPath = path.join(workDir, 'repo');
+        const outside = path.join(workDir, 'host');
+        await fs.ensureDir(path.join(repoPath, 'packages', 'web'));
+        await fs.ensureDir(outside);
+        await fs.symlink(outside, path.join(repoPath, 'packages', 'escape'));
+        await fs.symlink(path.join(repoPath, 'packages', 'web'), path.join(repoPath, 'web-link'));
+        const handler = new GitHubHandler({ tempDir: path.join(workDir, 'temp') });
+
+        await assert.rejects(handler.resolveProjectPath(repoPath, 'packages/escape'), /packages\/escape/);
+        await assert.rejects(handler.resolveProjectPath(repoPath, '../host'), /\.\.\/host/);
+        assert.equal(await handler.resolveProjectPath(repoPath, 'packages/web'), path.join(repoPath, 'packages', 'web'));
+        // Un enlace que apunta dentro del propio repositorio sigue siendo válido
+        assert.equal(await handler.resolveProjectPath(repoPath, 'web-link'), path.join(repoPath, 'web-link'));
+    } finally {
+        await fs.remove(workDir);
+    }
+});
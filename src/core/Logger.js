@@ -0,0 +1,118 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import chalk from 'chalk';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_FORMATS = ['pretty', 'json'];
+
+// Colores del modo pretty: los mismos que usaban los console.log(chalk...) originales
+const PRETTY_COLORS = {
+    debug: chalk.gray,
+    info: chalk.blue,
+    success: chalk.green,
+    warn: chalk.yellow,
+    error: chalk.red
+};
+
+const settings = {
+    format: LOG_FORMATS.includes(process.env.CYPRESS_AGENT_LOG_FORMAT) ? process.env.CYPRESS_AGENT_LOG_FORMAT : 'pretty',
+    level: null
+};
+
+// Campos de correlación (requestId, jobId...) que acompañan a todo lo que se registra dentro de withLogContext
+const context = new AsyncLocalStorage();
+
+/**
+ * Cambia formato y nivel de todos los loggers. Sin nivel explícito se usa
+ * CYPRESS_AGENT_LOG_LEVEL, o `debug` en pretty (el detalle de siempre) e `info` en JSON.
+ */
+export function configureLogger({ format, level } = {}) {
+    if (format) settings.format = format;
+    if (level) settings.level = level;
+}
+
+function currentLevel() {
+    const level = settings.level || process.env.CYPRESS_AGENT_LOG_LEVEL || (settings.format === 'json' ? 'info' : 'debug');
+    return LOG_LEVELS[level] ?? LOG_LEVELS.info;
+}
+
+export function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Oculta credenciales en URLs (https://token@host/...) y parámetros tipo ?token=...
+export function redactSecrets(text) {
+    return text
+        .replace(/\b([a-z][a-z\d+.-]*:\/\/)[^\s/@]+@/gi, '$1***@')
+        .replace(/([?&](?:access_token|token|api_key|apikey|key|password|secret)=)[^&\s]+/gi, '$1***');
+}
+
+function redactValue(value) {
+    if (typeof value === 'string') return redactSecrets(value);
+    if (value instanceof Error) return redactSecrets(value.message);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+    }
+    return value;
+}
+
+// Logger por módulo: createLogger('GitHubHandler').info('🔄 Clonando...', { repository }).
+// En modo pretty solo se imprime el mensaje, coloreado por nivel; en JSON, una línea por
+// entrada con nivel, módulo, contexto de la petición y campos.
+export default class Logger {
+    constructor(module, fields = {}) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields });
+    }
+
+    debug(message, fields) {
+        this.write('debug', 'debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', 'info', message, fields);
+    }
+
+    // Nivel info, en verde en el modo pretty (pasos completados)
+    success(message, fields) {
+        this.write('info', 'success', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', 'warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', 'error', message, fields);
+    }
+
+    write(level, style, message, fields = {}) {
+        if (LOG_LEVELS[level] < currentLevel()) return;
+
+        const text = redactSecrets(String(message));
+        // console se resuelve en cada llamada: la CLI lo redirige a stderr en modo --json
+        const print = level === 'warn' || level === 'error' ? console.error : console.log;
+
+        if (settings.format === 'json') {
+            print(JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                module: this.module,
+                ...context.getStore(),
+                ...redactValue({ ...this.fields, ...fields }),
+                msg: text.trim()
+            }));
+            return;
+        }
+
+        print(PRETTY_COLORS[style](text));
+    }
+}
+
+export function createLogger(module, fields) {
+    return new Logger(module, fields);
+}
@@ -0,0 +1,66 @@
+import { t } from '../i18n/index.js';
+
+/**
+ * Etapas con nombre y middleware por etapa, al estilo de Express/Koa:
+ *
+ *   pipeline.use('analyze', async (context, next) => { ...antes; await next(); ...después });
+ *
+ * Un middleware que no llama a next() sustituye a la etapa (o la omite). before() y after()
+ * son atajos para los casos habituales. Cada etapa recibe y modifica el mismo contexto.
+ */
+export default class Pipeline {
+    // stages: { nombre: async (context) => {} } en orden de ejecución
+    constructor(stages) {
+        this.stages = { ...stages };
+        this.middleware = Object.fromEntries(Object.keys(stages).map(name => [name, []]));
+    }
+
+    get names() {
+        return Object.keys(this.stages);
+    }
+
+    use(stage, middleware) {
+        this.assertStage(stage);
+        this.middleware[stage].push(middleware);
+        return this;
+    }
+
+    before(stage, hook) {
+        return this.use(stage, async (context, next) => {
+            await hook(context);
+            return next();
+        });
+    }
+
+    after(stage, hook) {
+        return this.use(stage, async (context, next) => {
+            await next();
+            await hook(context);
+        });
+    }
+
+    // Sustituye la implementación de la etapa; el middleware registrado se sigue aplicando
+    replace(stage, handler) {
+        this.assertStage(stage);
+        this.stages[stage] = handler;
+        return this;
+    }
+
+    async run(stage, context) {
+        this.assertStage(stage);
+        const chain = this.middleware[stage];
+
+        const dispatch = index => (index < chain.length
+            ? chain[index](context, () => dispatch(index + 1))
+            : this.stages[stage](context));
+
+        await dispatch(0);
+        return context;
+    }
+
+    assertStage(stage) {
+        if (!Object.hasOwn(this.stages, stage)) {
+            throw new Error(t('pipeline.unknownStage', { stage, stages: this.names.join(', ') }));
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { EventEmitter } from 'events';
+
+// Base de los componentes del pipeline que informan de su avance.
+// Cada paso se emite como 'progress' con { step, message, data } para que el agente
+// lo reenvíe a la API (SSE) o a la CLI (--progress json) sin depender de la consola.
+export default class ProgressEmitter extends EventEmitter {
+    reportStep(step, message, data = {}) {
+        this.emit('progress', { step, message, data });
+    }
+}
+
+/**
+ * Reenvía los pasos de varios componentes a un único emisor, marcando cada evento con
+ * su origen: forwardProgress(agent.progress, { github: githubHandler, analyzer: projectAnalyzer }).
+ */
+export function forwardProgress(target, sources) {
+    for (const [source, emitter] of Object.entries(sources)) {
+        emitter.on('progress', event => target.emit('progress', {
+            type: 'step',
+            source,
+            ...event,
+            timestamp: new Date().toISOString()
+        }));
+    }
+}
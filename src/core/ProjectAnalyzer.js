@@ -1,67 +1,142 @@
 import fs from 'fs-extra';
 import path from 'path';
-import chalk from 'chalk';
-
-export default class ProjectAnalyzer {
+import { createLogger } from './Logger.js';
+import { minimatch } from 'minimatch';
+import SourceScanner from './SourceScanner.js';
+import FileWalker, { createPathFilter } from './FileWalker.js';
+import RouteDiscovery from './RouteDiscovery.js';
+import ComponentDiscovery from './ComponentDiscovery.js';
+import WorkspaceDiscovery from './WorkspaceDiscovery.js';
+import FrameworkDetector, { FRAMEWORKS } from './FrameworkDetector.js';
+import ProgressEmitter from './ProgressEmitter.js';
+import { ANALYSIS_SCHEMA_VERSION } from './analysisSchemas.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('ProjectAnalyzer');
+
+// Raíz de un monorepo sin aplicación propia cuyos paquetes incluyen aplicaciones
+export const MONOREPO_PROJECT_TYPE = 'Monorepo';
+
+// Scripts que arrancan una aplicación (los paquetes sin ellos, rutas ni build son librerías)
+const RUN_SCRIPTS = ['dev', 'start', 'serve', 'preview'];
+
+// Análisis vacío con todos los campos de projectAnalysisSchema: deepAnalysis y quickAnalysis
+// rellenan lo que pueden y el resto queda con su valor por defecto
+export function createAnalysis() {
+    return {
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        projectType: 'unknown',
+        framework: 'none',
+        // Frameworks con evidencia, de más a menos probable: [{ name, confidence, evidence }]
+        frameworks: [],
+        hasPackageJson: false,
+        packageJson: null,
+        dependencies: {},
+        devDependencies: {},
+        scripts: {},
+        dependenciesInstalled: false,
+        cypressInstalled: false,
+        testingFrameworks: [],
+        executableScripts: {},
+        projectStructure: [],
+        entryPoints: [],
+        routes: [],
+        components: [],
+        testFiles: [],
+        buildTools: [],
+        buildScripts: [],
+        sourceInventory: null,
+        // Recorrido de archivos: { files, directories, ignored, skippedLarge, truncated, durationMs }
+        fileStats: null,
+        // Monorepo: { tools, patterns, packages: [{ name, path, manifest, kind, analysis }] }
+        workspace: null,
+        analysisDate: new Date().toISOString()
+    };
+}
+
+export default class ProjectAnalyzer extends ProgressEmitter {
     constructor() {
-        this.frameworkIndicators = {
-            react: ['react', 'react-dom', 'next', 'gatsby'],
-            vue: ['vue', 'nuxt', 'vuex', 'vue-router'],
-            angular: ['@angular/core', '@angular/common', 'rxjs'],
-            nextjs: ['next', 'react'],
-            nuxtjs: ['nuxt', 'vue'],
-            svelte: ['svelte', 'svelte-kit'],
-            traditional: ['jquery', 'bootstrap', 'popper.js']
-        };
+        super();
+        this.fileWalker = new FileWalker();
+        this.sourceScanner = new SourceScanner();
+        this.routeDiscovery = new RouteDiscovery(this.sourceScanner);
+        this.componentDiscovery = new ComponentDiscovery();
+        this.workspaceDiscovery = new WorkspaceDiscovery();
+        this.frameworkDetector = new FrameworkDetector();
     }
 
-    async deepAnalysis(repoPath) {
-        console.log(chalk.blue('🔍 Analizando estructura del proyecto...'));
+    // options.exclude: patrones de rutas que no se analizan (configuración `exclude`).
+    // options.workspaceRoot: { path, analysis } de la raíz al analizar un paquete de un monorepo
+    async deepAnalysis(repoPath, options = {}) {
+        logger.info(t('analyzer.start'));
+        this.reportStep('analysis:start', t('steps.analysisStart'));
         
-        const analysis = {
-            projectType: 'unknown',
-            framework: 'none',
-            hasPackageJson: false,
-            dependencies: {},
-            devDependencies: {},
-            dependenciesInstalled: false,
-            cypressInstalled: false,
-            projectStructure: [],
-            entryPoints: [],
-            testFiles: [],
-            buildTools: [],
-            executableScripts: {},
-            analysisDate: new Date().toISOString()
-        };
+        const analysis = createAnalysis();
 
         try {
             // Análisis de package.json
             await this.analyzePackageJson(repoPath, analysis);
+            if (options.workspaceRoot && !analysis.hasPackageJson) {
+                await this.analyzeProjectJson(repoPath, analysis, options.workspaceRoot);
+            }
             
-            // Análisis de dependencias instaladas
-            await this.analyzeInstalledDependencies(repoPath, analysis);
+            // Análisis de dependencias instaladas (en un monorepo pueden estar en la raíz)
+            await this.analyzeInstalledDependencies(repoPath, analysis, options.workspaceRoot && options.workspaceRoot.path);
             
+            // Un solo recorrido del árbol (respeta .gitignore y `exclude`) para estructura, tests,
+            // rutas e inventario; en un paquete se aplican también los .gitignore de la raíz
+            const fileIndex = await this.fileWalker.walk(repoPath, {
+                exclude: options.exclude,
+                root: options.workspaceRoot && options.workspaceRoot.path
+            });
+            analysis.fileStats = fileIndex.stats;
+            this.reportStep('files:indexed', t('steps.filesIndexed'), fileIndex.stats);
+            const scanOptions = { ...options, fileIndex };
+
             // Análisis de estructura de archivos
-            await this.analyzeProjectStructure(repoPath, analysis);
+            this.analyzeProjectStructure(analysis, fileIndex);
+
+            // Descubrir rutas (Next, Nuxt, SvelteKit, react-router, vue-router, Angular)
+            analysis.routes = await this.routeDiscovery.discover(repoPath, analysis, scanOptions);
+            this.reportStep('routes:discovered', t('steps.routesDiscovered'), { count: analysis.routes.length });
             
+            // Herramientas de build: sus archivos de configuración son evidencia del framework
+            await this.analyzeBuildTools(repoPath, analysis);
+
             // Detectar framework y tipo
-            this.detectFrameworkAndType(analysis);
+            await this.detectFrameworkAndType(repoPath, analysis);
+
+            // Componentes bajo components/ con sus props y eventos
+            analysis.components = await this.componentDiscovery.discover(repoPath, analysis);
+            this.reportStep('components:discovered', t('steps.componentsDiscovered'), { count: analysis.components.length });
             
             // Buscar puntos de entrada
             await this.findEntryPoints(repoPath, analysis);
             
             // Buscar archivos de prueba existentes
-            await this.findExistingTests(repoPath, analysis);
-
-            // Analizar herramientas de build
-            await this.analyzeBuildTools(repoPath, analysis);
+            this.findExistingTests(analysis, fileIndex);
+
+            // Escanear código fuente: rutas, formularios, selectores y endpoints reales
+            analysis.sourceInventory = await this.sourceScanner.scan(repoPath, scanOptions);
+            this.reportStep('source:scanned', t('steps.sourceScanned'), {
+                files: analysis.sourceInventory.scannedFiles,
+                forms: analysis.sourceInventory.forms.length,
+                endpoints: analysis.sourceInventory.endpoints.length
+            });
+
+            // Monorepo: cada paquete se analiza por separado (framework, scripts, entradas, tests)
+            if (!options.workspaceRoot) {
+                analysis.workspace = await this.analyzeWorkspace(repoPath, analysis, options);
+            }
 
-            console.log(chalk.green(`✅ Análisis completado: ${analysis.projectType}`));
+            logger.success(t('analyzer.done', { projectType: analysis.projectType }));
+            this.reportStep('analysis:done', t('steps.analysisDone'), { projectType: analysis.projectType, framework: analysis.framework });
             
             return analysis;
 
         } catch (error) {
-            console.error(chalk.red(`❌ Error en análisis: ${error.message}`));
+            logger.error(t('analyzer.failed', { error: error.message }));
+            this.reportStep('analysis:failed', t('steps.analysisFailed'), { error: error.message });
             return analysis;
         }
     }
@@ -81,20 +156,44 @@ export default class ProjectAnalyzer {
                     version: packageJson.version,
                     description: packageJson.description,
                     main: packageJson.main,
+                    type: packageJson.type,
                     author: packageJson.author
                 };
                 
             } catch (error) {
-                console.warn(chalk.yellow('⚠️  No se pudo leer package.json'));
+                logger.warn(t('analyzer.packageJsonUnreadable'));
             }
         }
     }
 
-    async analyzeInstalledDependencies(repoPath, analysis) {
+    // Proyecto Nx sin package.json: scripts desde los targets de project.json y dependencias de la raíz
+    async analyzeProjectJson(repoPath, analysis, workspaceRoot) {
+        analysis.dependencies = { ...workspaceRoot.analysis.dependencies };
+        analysis.devDependencies = { ...workspaceRoot.analysis.devDependencies };
+
+        try {
+            const project = await fs.readJson(path.join(repoPath, 'project.json'));
+            const name = project.name || path.basename(repoPath);
+            analysis.scripts = Object.fromEntries(Object.keys(project.targets || {})
+                .map(target => [target, `nx run ${name}:${target}`]));
+        } catch (error) {
+            // Sin project.json legible: solo las dependencias de la raíz
+        }
+    }
+
+    // rootPath: raíz del monorepo, donde los gestores de paquetes suelen elevar node_modules
+    async analyzeInstalledDependencies(repoPath, analysis, rootPath = null) {
         try {
-            const nodeModulesPath = path.join(repoPath, 'node_modules');
+            const candidates = [repoPath, rootPath].filter(Boolean).map(dir => path.join(dir, 'node_modules'));
+            let nodeModulesPath = null;
+            for (const candidate of candidates) {
+                if (await fs.pathExists(candidate)) {
+                    nodeModulesPath = candidate;
+                    break;
+                }
+            }
             
-            if (!await fs.pathExists(nodeModulesPath)) {
+            if (!nodeModulesPath) {
                 analysis.dependenciesInstalled = false;
                 return;
             }
@@ -106,16 +205,14 @@ export default class ProjectAnalyzer {
             analysis.cypressInstalled = await fs.pathExists(cypressPath);
             
             // Analizar scripts de package.json con dependencias reales
-            if (analysis.scripts) {
-                analysis.executableScripts = this.analyzeExecutableScripts(analysis.scripts);
-            }
+            analysis.executableScripts = this.analyzeExecutableScripts(analysis.scripts);
 
             // Detectar testing frameworks instalados
             analysis.testingFrameworks = this.detectTestingFrameworks(analysis.dependencies, analysis.devDependencies);
 
         } catch (error) {
             analysis.dependenciesInstalled = false;
-            console.warn(chalk.yellow('⚠️  Error analizando dependencias instaladas'));
+            logger.warn(t('analyzer.installedDepsFailed'));
         }
     }
 
@@ -181,51 +278,88 @@ export default class ProjectAnalyzer {
         return frameworks;
     }
 
-    async analyzeProjectStructure(repoPath, analysis, currentPath = '', depth = 0) {
-        if (depth > 3) return;
-        
-        try {
-            const fullPath = path.join(repoPath, currentPath);
-            const items = await fs.readdir(fullPath);
-            
-            for (const item of items) {
-                if (item.startsWith('.') || item === 'node_modules' || item === '.git') continue;
-                
-                const itemPath = path.join(currentPath, item);
-                const fullItemPath = path.join(repoPath, itemPath);
-                
-                try {
-                    const stat = await fs.stat(fullItemPath);
-                    
-                    if (stat.isDirectory()) {
-                        analysis.projectStructure.push({
-                            type: 'directory',
-                            path: itemPath,
-                            depth,
-                            important: this.isImportantDirectory(item)
-                        });
-                        
-                        if (depth < 2 || this.isImportantDirectory(item)) {
-                            await this.analyzeProjectStructure(repoPath, analysis, itemPath, depth + 1);
-                        }
-                    } else if (stat.isFile() && depth <= 2) {
-                        analysis.projectStructure.push({
-                            type: 'file',
-                            path: itemPath,
-                            extension: path.extname(item),
-                            size: stat.size,
-                            important: this.isImportantFile(item)
-                        });
-                    }
-                } catch (error) {
-                    // Ignorar errores de permisos
-                }
+    // Resumen de la estructura a partir del índice: carpetas hasta el nivel 3 y archivos hasta
+    // el 2, sin ocultos; por debajo del nivel 2 solo se entra en las carpetas importantes.
+    // startDepth: nivel que se asigna a la raíz (quickAnalysis empieza en 2)
+    analyzeProjectStructure(analysis, fileIndex, startDepth = 0) {
+        const entries = [
+            ...fileIndex.directories.map(directory => ({ type: 'directory', path: directory })),
+            ...fileIndex.files.map(file => ({ type: 'file', path: file.path, size: file.size }))
+        ].sort((left, right) => (left.path < right.path ? -1 : left.path > right.path ? 1 : 0));
+
+        for (const entry of entries) {
+            const segments = entry.path.split('/');
+            const name = segments[segments.length - 1];
+            const depth = startDepth + segments.length - 1;
+
+            if (depth > (entry.type === 'directory' ? 3 : 2)) continue;
+            if (segments.some(segment => segment.startsWith('.'))) continue;
+            const reachable = segments.slice(0, -1)
+                .every((segment, index) => startDepth + index < 2 || this.isImportantDirectory(segment));
+            if (!reachable) continue;
+
+            const itemPath = segments.join(path.sep);
+            if (entry.type === 'directory') {
+                analysis.projectStructure.push({
+                    type: 'directory',
+                    path: itemPath,
+                    depth,
+                    important: this.isImportantDirectory(name)
+                });
+            } else {
+                analysis.projectStructure.push({
+                    type: 'file',
+                    path: itemPath,
+                    extension: path.extname(name),
+                    size: entry.size,
+                    important: this.isImportantFile(name)
+                });
             }
-        } catch (error) {
-            // Ignorar errores de directorio
         }
     }
 
+    async analyzeWorkspace(repoPath, analysis, options) {
+        const workspace = await this.workspaceDiscovery.discover(repoPath);
+        if (!workspace) return null;
+
+        this.reportStep('workspace:detected', t('steps.workspaceDetected'), { tools: workspace.tools, packages: workspace.packages.length });
+        const isExcluded = createPathFilter(options.exclude);
+        const packages = [];
+
+        for (const workspacePackage of workspace.packages) {
+            if (isExcluded(workspacePackage.path)) continue;
+
+            const packageAnalysis = await this.deepAnalysis(path.join(repoPath, workspacePackage.path), {
+                ...options,
+                workspaceRoot: { path: repoPath, analysis }
+            });
+            const kind = this.packageKind(packageAnalysis);
+            packages.push({ ...workspacePackage, kind, analysis: packageAnalysis });
+            this.reportStep('workspace:package', t('steps.workspacePackage'), {
+                name: workspacePackage.name,
+                path: workspacePackage.path,
+                kind,
+                projectType: packageAnalysis.projectType
+            });
+        }
+
+        // Sin puntos de entrada propios la raíz es solo el contenedor de los paquetes (en Nx
+        // integrado tiene todas las dependencias, pero el framework detectado es el de las apps)
+        if (analysis.entryPoints.length === 0 && packages.some(workspacePackage => workspacePackage.kind === 'app')) {
+            analysis.projectType = MONOREPO_PROJECT_TYPE;
+        }
+
+        return { tools: workspace.tools, patterns: workspace.patterns, packages };
+    }
+
+    // 'app' con framework y algo que arrancar (script, herramienta de build o rutas); si no, 'library'
+    packageKind(analysis) {
+        const runnable = RUN_SCRIPTS.some(script => analysis.scripts[script]) ||
+            analysis.buildTools.length > 0 ||
+            analysis.routes.length > 0;
+        return runnable && analysis.projectType !== 'Unknown Project Type' ? 'app' : 'library';
+    }
+
     isImportantDirectory(dirName) {
         const importantDirs = ['src', 'app', 'components', 'pages', 'public', 'tests', 'cypress', 'e2e', 'spec', 'features'];
         return importantDirs.includes(dirName);
@@ -239,21 +373,13 @@ export default class ProjectAnalyzer {
                importantExtensions.some(ext => fileName.endsWith(ext));
     }
 
-    detectFrameworkAndType(analysis) {
+    // Framework principal según la evidencia de FrameworkDetector; sin ninguno, 'traditional'
+    async detectFrameworkAndType(repoPath, analysis) {
         const { dependencies, devDependencies } = analysis;
         const allDeps = { ...dependencies, ...devDependencies };
 
-        // Detectar framework principal
-        for (const [framework, indicators] of Object.entries(this.frameworkIndicators)) {
-            if (indicators.some(indicator => allDeps[indicator])) {
-                analysis.framework = framework;
-                break;
-            }
-        }
-
-        if (analysis.framework === 'none') {
-            analysis.framework = 'traditional';
-        }
+        analysis.frameworks = await this.frameworkDetector.detect(repoPath, analysis);
+        analysis.framework = this.frameworkDetector.primary(analysis.frameworks) || 'traditional';
 
         // Determinar tipo de proyecto
         analysis.projectType = this.determineProjectType(analysis, allDeps);
@@ -264,36 +390,28 @@ export default class ProjectAnalyzer {
         
         switch (analysis.framework) {
             case 'react':
-                if (allDeps.next) return 'Next.js Application';
                 if (allDeps.gatsby) return 'Gatsby Application';
-                if (structure.some(s => s.includes('pages/') || s.includes('app/'))) return 'React SPA';
+                if (this.hasRouter(analysis, 'react-router')) return 'React SPA';
                 return 'React Application';
                 
             case 'vue':
-                if (allDeps.nuxt) return 'Nuxt.js Application';
-                if (structure.some(s => s.includes('pages/') || s.includes('views/'))) return 'Vue SPA';
+                if (this.hasRouter(analysis, 'vue-router')) return 'Vue SPA';
                 return 'Vue Application';
                 
-            case 'angular':
-                return 'Angular Application';
-                
-            case 'nextjs':
-                return 'Next.js SSR Application';
-                
-            case 'nuxtjs':
-                return 'Nuxt.js SSR Application';
-                
-            case 'svelte':
-                if (allDeps['svelte-kit']) return 'SvelteKit Application';
-                return 'Svelte Application';
-                
-            default:
+            case 'traditional':
                 if (structure.some(s => s.includes('index.html'))) return 'Traditional Web Application';
                 if (structure.some(s => s.includes('.php'))) return 'PHP Application';
                 return 'Unknown Project Type';
+                
+            default:
+                return FRAMEWORKS[analysis.framework].projectType;
         }
     }
 
+    hasRouter(analysis, framework) {
+        return (analysis.routes || []).some(route => route.framework === framework);
+    }
+
     async findEntryPoints(repoPath, analysis) {
         const possibleEntries = [
             'index.html', 'src/index.js', 'src/main.js', 'src/index.ts',
@@ -312,66 +430,25 @@ export default class ProjectAnalyzer {
         }
     }
 
-    async findExistingTests(repoPath, analysis) {
+    // Tests existentes: archivos del índice que cumplen alguno de los patrones (cada uno una vez)
+    findExistingTests(analysis, fileIndex) {
         const testPatterns = [
             '**/*.test.js', '**/*.spec.js', '**/*.test.ts', '**/*.spec.ts',
             'cypress/e2e/**/*.js', 'cypress/e2e/**/*.ts',
             'tests/**/*.js', 'test/**/*.js', 'e2e/**/*.js',
             '**/__tests__/**/*.js', '**/__tests__/**/*.ts'
         ];
-        
-        // Buscar archivos de prueba
-        for (const pattern of testPatterns) {
-            try {
-                const files = await this.globFind(repoPath, pattern);
-                files.forEach(file => {
-                    analysis.testFiles.push({
-                        path: file,
-                        type: this.getTestType(file),
-                        framework: this.getTestFramework(file)
-                    });
-                });
-            } catch (error) {
-                // Pattern no encontrado, continuar
-            }
-        }
-    }
 
-    async globFind(repoPath, pattern) {
-        const results = [];
-        
-        async function search(dir, patternParts) {
-            try {
-                const items = await fs.readdir(dir);
-                for (const item of items) {
-                    if (item === 'node_modules' || item === '.git') continue;
-                    
-                    const fullPath = path.join(dir, item);
-                    const stat = await fs.stat(fullPath);
-                    
-                    if (stat.isDirectory()) {
-                        await search(fullPath, patternParts);
-                    } else if (stat.isFile()) {
-                        const relativePath = path.relative(repoPath, fullPath);
-                        
-                        // Patrón simple de matching
-                        if (pattern.includes('**')) {
-                            const basePattern = pattern.replace('**/', '');
-                            if (relativePath.includes(basePattern.replace('*', ''))) {
-                                results.push(relativePath);
-                            }
-                        } else if (item.includes(pattern.replace('*', ''))) {
-                            results.push(relativePath);
-                        }
-                    }
-                }
-            } catch (error) {
-                // Ignorar errores
-            }
+        for (const file of fileIndex.files) {
+            if (!testPatterns.some(pattern => minimatch(file.path, pattern))) continue;
+
+            const filePath = file.path.split('/').join(path.sep);
+            analysis.testFiles.push({
+                path: filePath,
+                type: this.getTestType(filePath),
+                framework: this.getTestFramework(filePath)
+            });
         }
-        
-        await search(repoPath, pattern);
-        return results;
     }
 
     getTestType(filePath) {
@@ -395,13 +472,22 @@ export default class ProjectAnalyzer {
             'webpack.config.js': 'Webpack',
             'vite.config.js': 'Vite', 
             'vite.config.ts': 'Vite',
+            'vite.config.mjs': 'Vite',
             'rollup.config.js': 'Rollup',
             'parcel.config.js': 'Parcel',
             'angular.json': 'Angular CLI',
             'vue.config.js': 'Vue CLI',
             'next.config.js': 'Next.js',
+            'next.config.mjs': 'Next.js',
+            'next.config.ts': 'Next.js',
             'nuxt.config.js': 'Nuxt.js',
-            'svelte.config.js': 'Svelte'
+            'nuxt.config.ts': 'Nuxt.js',
+            'svelte.config.js': 'Svelte',
+            'remix.config.js': 'Remix',
+            'astro.config.mjs': 'Astro',
+            'astro.config.ts': 'Astro',
+            'ember-cli-build.js': 'Ember CLI',
+            'gatsby-config.js': 'Gatsby'
         };
 
         analysis.buildTools = [];
@@ -416,45 +502,33 @@ export default class ProjectAnalyzer {
         }
 
         // También verificar en package.json scripts
-        if (analysis.scripts) {
-            const buildScripts = Object.entries(analysis.scripts)
-                .filter(([name, cmd]) => 
-                    name.includes('build') || 
-                    cmd.includes('webpack') || 
-                    cmd.includes('vite') || 
-                    cmd.includes('rollup')
-                )
-                .map(([name, cmd]) => ({ name, command: cmd }));
-
-            if (buildScripts.length > 0) {
-                analysis.buildScripts = buildScripts;
-            }
-        }
+        analysis.buildScripts = Object.entries(analysis.scripts)
+            .filter(([name, cmd]) => 
+                name.includes('build') || 
+                cmd.includes('webpack') || 
+                cmd.includes('vite') || 
+                cmd.includes('rollup')
+            )
+            .map(([name, cmd]) => ({ name, command: cmd }));
     }
 
     // Método para análisis rápido (sin dependencias instaladas)
     async quickAnalysis(repoPath) {
-        const analysis = {
-            projectType: 'unknown',
-            framework: 'none',
-            hasPackageJson: false,
-            dependencies: {},
-            devDependencies: {},
-            dependenciesInstalled: false,
-            projectStructure: [],
-            entryPoints: [],
-            analysisDate: new Date().toISOString()
-        };
+        const analysis = createAnalysis();
 
         try {
             await this.analyzePackageJson(repoPath, analysis);
-            await this.analyzeProjectStructure(repoPath, analysis, '', 2); // Profundidad limitada
-            this.detectFrameworkAndType(analysis);
+            // Profundidad limitada: primer nivel y el contenido de sus carpetas
+            const fileIndex = await this.fileWalker.walk(repoPath, { maxDepth: 2 });
+            analysis.fileStats = fileIndex.stats;
+            this.analyzeProjectStructure(analysis, fileIndex, 2);
+            await this.analyzeBuildTools(repoPath, analysis);
+            await this.detectFrameworkAndType(repoPath, analysis);
             await this.findEntryPoints(repoPath, analysis);
 
             return analysis;
         } catch (error) {
-            console.error(chalk.red(`❌ Error en análisis rápido: ${error.message}`));
+            logger.error(t('analyzer.quickFailed', { error: error.message }));
             return analysis;
         }
     }
@@ -0,0 +1,307 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from './Logger.js';
+import { SPEC_LIMITS } from './TestStrategy.js';
+import RequestValidator from '../security/RequestValidator.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, resolveLanguage, t } from '../i18n/index.js';
+
+const logger = createLogger('ProjectConfig');
+
+// Fichero de usuario buscado en el directorio de trabajo, en este orden (o --config / CYPRESS_AGENT_CONFIG)
+export const USER_CONFIG_FILES = ['cypress-agent.config.js', '.cypress-agent.json'];
+
+// Fichero opcional en la raíz del repositorio analizado (solo JSON: el repositorio no es de confianza)
+export const REPOSITORY_CONFIG_FILE = '.cypress-agent.json';
+
+// Claves que el repositorio analizado no puede fijar: el agente las usa antes de clonarlo
+// o afectan al host (directorios locales, política de instalación)
+const HOST_KEYS = ['tempDir', 'outputDir', 'specLanguage', 'install'];
+
+export const DEFAULTS = {
+    tempDir: 'temp-repos',
+    outputDir: 'generated-specs',
+    specLanguage: DEFAULT_LANGUAGE,
+    // Sin baseUrl se deduce del script de arranque de la app
+    baseUrl: null,
+    // Sin selectores se usan los de la estrategia del framework
+    selectors: null,
+    specs: { ...SPEC_LIMITS },
+    exclude: [],
+    // Lo que no se indique lo decide DependencyInstaller (variables CYPRESS_AGENT_INSTALL_*)
+    install: {},
+    strategies: {},
+    templates: {},
+    // Sin pack propio se usa el de serie (src/generators/templates/default)
+    templatePack: null
+};
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// Ajustes del análisis y la generación; son los que admiten el repositorio y el webhook
+export const projectSettingsSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        baseUrl: { type: 'string', maxLength: 2048, pattern: '^https?://[^\\s]+$' },
+        selectors: { ...stringList, minItems: 1 },
+        specs: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                min: { type: 'integer', minimum: 1 },
+                max: { type: 'integer', minimum: 1 },
+                secondsPerSpec: { type: 'integer', minimum: 1 }
+            }
+        },
+        exclude: stringList,
+        // Ajustes de la tabla de estrategias de TestStrategy, por framework (react, nextjs, vue, angular, traditional...)
+        strategies: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    priority: stringList,
+                    selectors: { ...stringList, minItems: 1 },
+                    patterns: { ...stringList, minItems: 1 }
+                }
+            }
+        }
+    }
+};
+
+export const projectConfigSchema = {
+    $id: 'project-config',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        ...projectSettingsSchema.properties,
+        tempDir: { type: 'string', minLength: 1 },
+        outputDir: { type: 'string', minLength: 1 },
+        specLanguage: { enum: LANGUAGES },
+        install: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                allowScripts: stringList,
+                offline: { type: 'boolean' },
+                registry: { type: 'string', minLength: 1 },
+                frozenLockfile: { type: 'boolean' },
+                timeoutMs: { type: 'integer', minimum: 1000 }
+            }
+        },
+        // Plantillas Handlebars sueltas: patrón de la estrategia (o 'default') -> archivo, relativo al fichero
+        templates: {
+            type: 'object',
+            propertyNames: { pattern: '^[a-z][a-z0-9-]*$' },
+            additionalProperties: { type: 'string', minLength: 1 }
+        },
+        // Directorio de un pack de plantillas (con pack.json), relativo al fichero de configuración
+        templatePack: { type: 'string', minLength: 1 }
+    }
+};
+
+// details: [{ field, message }] con el mismo formato que RequestValidator
+export class ProjectConfigError extends Error {
+    constructor(file, details) {
+        super(`${file}: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`);
+        this.name = 'ProjectConfigError';
+        this.file = file;
+        this.details = details;
+    }
+}
+
+const validator = new RequestValidator();
+
+/**
+ * Configuración por capas del agente. De menor a mayor prioridad:
+ * valores por defecto → fichero de usuario → .cypress-agent.json del repositorio analizado
+ * → variables CYPRESS_AGENT_* → opciones de la CLI o del webhook.
+ * Cada capa es inmutable: withOverrides() y withRepository() devuelven una configuración nueva.
+ */
+export default class ProjectConfig {
+    constructor(layers = [{ kind: 'defaults', source: 'defaults', values: DEFAULTS }]) {
+        this.layers = layers;
+        this.values = layers.reduce((merged, layer) => merge(merged, layer.values), {});
+    }
+
+    // Capas por defecto y de entorno, sin leer ficheros
+    static fromEnvironment(env = process.env) {
+        return new ProjectConfig([
+            { kind: 'defaults', source: 'defaults', values: DEFAULTS },
+            environmentLayer(env)
+        ]);
+    }
+
+    // file: fichero explícito (--config); si no, CYPRESS_AGENT_CONFIG o el primero de USER_CONFIG_FILES en cwd
+    static async load({ file, cwd = process.cwd(), env = process.env } = {}) {
+        const explicit = file || env.CYPRESS_AGENT_CONFIG;
+        const configFile = explicit ? path.resolve(cwd, explicit) : await findUserConfig(cwd);
+
+        const layers = [{ kind: 'defaults', source: 'defaults', values: DEFAULTS }];
+        if (configFile) {
+            if (!await fs.pathExists(configFile)) {
+                throw new ProjectConfigError(configFile, [{ field: t('config.fileField'), message: t('config.fileMissing') }]);
+            }
+
+            const values = validate(await readConfigFile(configFile), projectConfigSchema, configFile);
+            layers.push({ kind: 'user', source: configFile, values: resolvePaths(values, path.dirname(configFile)) });
+            logger.info(t('config.loaded', { file: configFile }));
+        }
+        layers.push(environmentLayer(env));
+
+        return new ProjectConfig(layers);
+    }
+
+    // Opciones de la CLI o del constructor del agente que tienen equivalente en la configuración
+    static overridesFrom(options = {}) {
+        return {
+            tempDir: options.tempDir,
+            outputDir: options.outputDir,
+            specLanguage: options.specLanguage,
+            install: options.installPolicy
+        };
+    }
+
+    withOverrides(values, source = 'options') {
+        return new ProjectConfig([...this.layers, { kind: 'overrides', source, values: compact(values) || {} }]);
+    }
+
+    // Añade el .cypress-agent.json del repositorio justo por debajo del entorno y las opciones
+    async withRepository(projectPath) {
+        const configFile = path.join(projectPath, REPOSITORY_CONFIG_FILE);
+        if (!await fs.pathExists(configFile)) return this;
+
+        const values = validate(await fs.readJson(configFile), projectConfigSchema, configFile);
+        const ignored = HOST_KEYS.filter(key => values[key] !== undefined);
+        if (ignored.length > 0) {
+            logger.warn(t('config.ignoredKeys', { file: configFile, keys: ignored.join(', ') }));
+        }
+
+        const repositoryValues = resolvePaths(omit(values, HOST_KEYS), projectPath);
+        await assertInside(projectPath, [
+            ...Object.values(repositoryValues.templates || {}),
+            ...(repositoryValues.templatePack ? [repositoryValues.templatePack] : [])
+        ], configFile);
+        logger.info(t('config.repository', { file: configFile }));
+
+        const layers = [...this.layers];
+        const index = layers.findIndex(layer => layer.kind === 'env' || layer.kind === 'overrides');
+        layers.splice(index === -1 ? layers.length : index, 0, { kind: 'repository', source: configFile, values: repositoryValues });
+        return new ProjectConfig(layers);
+    }
+
+    // Origen de cada capa aplicada, para el resultado del pipeline
+    get sources() {
+        return this.layers.map(layer => layer.source);
+    }
+}
+
+async function findUserConfig(cwd) {
+    for (const name of USER_CONFIG_FILES) {
+        const candidate = path.join(cwd, name);
+        if (await fs.pathExists(candidate)) return candidate;
+    }
+    return null;
+}
+
+// JSON o módulo JS con la configuración como export default (o module.exports)
+async function readConfigFile(file) {
+    if (file.endsWith('.json')) {
+        return fs.readJson(file);
+    }
+    const module = await import(pathToFileURL(file).href);
+    return module.default ?? module;
+}
+
+function validate(values, schema, file) {
+    const details = validator.validate(schema, values);
+    if (details.length > 0) {
+        throw new ProjectConfigError(file, details);
+    }
+    return values;
+}
+
+function environmentLayer(env) {
+    const values = compact({
+        tempDir: env.CYPRESS_AGENT_TEMP_DIR,
+        outputDir: env.CYPRESS_AGENT_OUTPUT_DIR,
+        specLanguage: resolveLanguage(env.CYPRESS_AGENT_SPEC_LANG) || undefined,
+        baseUrl: env.CYPRESS_AGENT_BASE_URL,
+        specs: { max: toInteger(env.CYPRESS_AGENT_MAX_SPECS) },
+        exclude: env.CYPRESS_AGENT_EXCLUDE ? splitList(env.CYPRESS_AGENT_EXCLUDE) : undefined,
+        install: {
+            allowScripts: env.CYPRESS_AGENT_INSTALL_ALLOW_SCRIPTS ? splitList(env.CYPRESS_AGENT_INSTALL_ALLOW_SCRIPTS) : undefined,
+            offline: env.CYPRESS_AGENT_INSTALL_OFFLINE ? env.CYPRESS_AGENT_INSTALL_OFFLINE === 'true' : undefined,
+            registry: env.CYPRESS_AGENT_NPM_REGISTRY,
+            frozenLockfile: env.CYPRESS_AGENT_INSTALL_FROZEN_LOCKFILE ? env.CYPRESS_AGENT_INSTALL_FROZEN_LOCKFILE !== 'false' : undefined,
+            timeoutMs: toInteger(env.CYPRESS_AGENT_INSTALL_TIMEOUT_MS)
+        }
+    }) || {};
+
+    return { kind: 'env', source: 'env', values: validate(values, projectConfigSchema, 'CYPRESS_AGENT_*') };
+}
+
+// tempDir, outputDir, templatePack y las plantillas son relativos al fichero que los declara
+function resolvePaths(values, baseDir) {
+    const resolved = { ...values };
+    for (const key of ['tempDir', 'outputDir', 'templatePack']) {
+        if (resolved[key]) resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+    if (resolved.templates) {
+        resolved.templates = Object.fromEntries(Object.entries(resolved.templates)
+            .map(([name, file]) => [name, path.resolve(baseDir, file)]));
+    }
+    return resolved;
+}
+
+// Las plantillas de un repositorio no pueden leer archivos del host (ni mediante enlaces simbólicos)
+async function assertInside(root, files, configFile) {
+    const realRoot = await fs.realpath(root);
+    for (const file of files) {
+        const realFile = await fs.realpath(file).catch(() => file);
+        const relative = path.relative(realRoot, realFile);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new ProjectConfigError(configFile, [{ field: 'templates', message: t('config.templatesOutside', { file }) }]);
+        }
+    }
+}
+
+// Las capas superiores solo sustituyen lo que definen; los objetos se combinan y los arrays se reemplazan
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (value === undefined) continue;
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+// Quita los valores undefined y los objetos que quedan vacíos; devuelve undefined si no queda nada
+function compact(values) {
+    if (!isPlainObject(values)) return values;
+
+    const entries = Object.entries(values)
+        .map(([key, value]) => [key, compact(value)])
+        .filter(([, value]) => value !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+function omit(values, keys) {
+    return Object.fromEntries(Object.entries(values).filter(([key]) => !keys.includes(key)));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toInteger(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
@@ -0,0 +1,324 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('RouteDiscovery');
+
+const PAGE_EXTENSIONS = /\.(jsx?|tsx?|mdx?)$/;
+const IMPORT_SUFFIXES = ['', '.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '/index.js', '/index.jsx', '/index.ts', '/index.tsx'];
+const ROUTER_MARKERS = {
+    'react-router': /from\s+['"]react-router(-dom)?['"]|createBrowserRouter|createHashRouter/,
+    'vue-router': /from\s+['"]vue-router['"]|createRouter\s*\(|new\s+VueRouter/,
+    angular: /@angular\/router|RouterModule\.for(Root|Child)|provideRouter/
+};
+
+export default class RouteDiscovery {
+    constructor(sourceScanner) {
+        this.sourceScanner = sourceScanner;
+    }
+
+    // Construye el mapa de rutas de la aplicación: [{ path, params, dynamic, sourceFile, componentFile, framework }].
+    // sourceFile declara la ruta; componentFile es el archivo que se renderiza en ella (null si no se resuelve).
+    // options.exclude: rutas del proyecto que no se recorren
+    async discover(repoPath, analysis, options = {}) {
+        logger.info(t('routes.discovering'));
+
+        const allDeps = { ...analysis.dependencies, ...analysis.devDependencies };
+        const files = await this.sourceScanner.collectFiles(repoPath, options);
+        const routes = [];
+
+        if (allDeps.next) {
+            routes.push(...this.discoverNextPages(files));
+            routes.push(...this.discoverNextAppRouter(files));
+        }
+
+        if (allDeps.nuxt || allDeps.nuxt3) {
+            routes.push(...this.discoverNuxtPages(files));
+        }
+
+        routes.push(...this.discoverSvelteKitRoutes(files));
+
+        for (const file of files) {
+            if (!/\.(jsx?|tsx?)$/.test(file)) continue;
+            routes.push(...await this.discoverCodeRoutes(repoPath, file, files));
+        }
+
+        const uniqueRoutes = this.dedupe(routes);
+        logger.success(t('routes.discovered', { count: uniqueRoutes.length }));
+        return uniqueRoutes;
+    }
+
+    // ---------- Routing basado en archivos ----------
+
+    discoverNextPages(files) {
+        return files
+            .filter(file => /^(src\/)?pages\//.test(file) && PAGE_EXTENSIONS.test(file))
+            .map(file => ({ file, segments: file.replace(/^(src\/)?pages\//, '').replace(PAGE_EXTENSIONS, '').split('/') }))
+            .filter(({ segments }) => segments[0] !== 'api' && !segments[segments.length - 1].startsWith('_'))
+            .map(({ file, segments }) => this.createRoute(
+                this.segmentsToPath(segments.filter((segment, i) => !(segment === 'index' && i === segments.length - 1)), this.bracketParam),
+                file,
+                'nextjs'
+            ));
+    }
+
+    discoverNextAppRouter(files) {
+        return files
+            .filter(file => /^(src\/)?app\/(.*\/)?page\.(jsx?|tsx?|mdx)$/.test(file))
+            .map(file => {
+                const segments = file
+                    .replace(/^(src\/)?app\//, '')
+                    .split('/')
+                    .slice(0, -1)
+                    // Grupos (marketing), slots paralelos @modal y carpetas privadas _lib no forman parte de la URL
+                    .filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+
+                if (segments.some(segment => segment.startsWith('_'))) return null;
+                return this.createRoute(this.segmentsToPath(segments, this.bracketParam), file, 'nextjs');
+            })
+            .filter(Boolean);
+    }
+
+    discoverNuxtPages(files) {
+        return files
+            .filter(file => /^(src\/)?pages\/.*\.vue$/.test(file))
+            .map(file => {
+                const segments = file.replace(/^(src\/)?pages\//, '').replace(/\.vue$/, '').split('/');
+                const cleaned = segments.filter((segment, i) => !(segment === 'index' && i === segments.length - 1));
+
+                // Nuxt 3 usa [id], Nuxt 2 usa _id
+                const toParam = segment => segment.startsWith('_') ? `:${segment.slice(1)}` : this.bracketParam(segment);
+                return this.createRoute(this.segmentsToPath(cleaned, toParam), file, 'nuxtjs');
+            });
+    }
+
+    discoverSvelteKitRoutes(files) {
+        return files
+            .filter(file => /^src\/routes\/(.*\/)?\+page\.svelte$/.test(file))
+            .map(file => {
+                const segments = file
+                    .replace(/^src\/routes\//, '')
+                    .split('/')
+                    .slice(0, -1)
+                    .filter(segment => !/^\(.*\)$/.test(segment));
+
+                // [id=matcher] → :id
+                const toParam = segment => this.bracketParam(segment.replace(/=[^\]]+\]/, ']'));
+                return this.createRoute(this.segmentsToPath(segments, toParam), file, 'sveltekit');
+            });
+    }
+
+    // [id] → :id, [...slug] → :slug*, [[...slug]] → :slug*?
+    bracketParam(segment) {
+        const optionalCatchAll = segment.match(/^\[\[\.\.\.(\w+)\]\]$/);
+        if (optionalCatchAll) return `:${optionalCatchAll[1]}*?`;
+
+        const catchAll = segment.match(/^\[\.\.\.(\w+)\]$/);
+        if (catchAll) return `:${catchAll[1]}*`;
+
+        const optional = segment.match(/^\[\[(\w+)\]\]$/);
+        if (optional) return `:${optional[1]}?`;
+
+        const param = segment.match(/^\[(\w+)\]$/);
+        if (param) return `:${param[1]}`;
+
+        return segment;
+    }
+
+    segmentsToPath(segments, toParam) {
+        return this.normalizePath(segments.map(segment => toParam.call(this, segment)).join('/'));
+    }
+
+    // ---------- Routers declarados en código ----------
+
+    async discoverCodeRoutes(repoPath, file, files) {
+        let source;
+
+        try {
+            source = await fs.readFile(path.join(repoPath, file), 'utf8');
+        } catch (error) {
+            return [];
+        }
+
+        const framework = Object.keys(ROUTER_MARKERS).find(name => ROUTER_MARKERS[name].test(source));
+        if (!framework) return [];
+
+        const declared = /\bpath\s*:/.test(source) ? this.parseRouteObjects(source) : [];
+        if (framework === 'react-router') declared.push(...this.parseJsxRoutes(source));
+
+        const imports = this.parseImports(source);
+        return declared.map(({ path: routePath, component }) =>
+            this.createRoute(routePath, file, framework, this.resolveComponent(file, component, imports, files)));
+    }
+
+    // Nombre local → módulo: import X from, import { X, Y as Z } from y lazy(() => import(...))
+    parseImports(source) {
+        const imports = new Map();
+
+        for (const match of source.matchAll(/import\s+([\w$]+)?\s*,?\s*(?:\{([^}]*)\})?\s*from\s*(['"])([^'"]+)\3/g)) {
+            if (match[1]) imports.set(match[1], match[4]);
+            for (const name of (match[2] || '').split(',')) {
+                const local = name.trim().split(/\s+as\s+/).pop();
+                if (local) imports.set(local, match[4]);
+            }
+        }
+
+        for (const match of source.matchAll(/(?:const|let|var)\s+([\w$]+)\s*=\s*(?:React\.)?lazy\(\s*\(\)\s*=>\s*import\(\s*(['"])([^'"]+)\2/g)) {
+            imports.set(match[1], match[3]);
+        }
+
+        return imports;
+    }
+
+    // component: nombre importado o especificador de un import() perezoso. Solo se resuelven módulos relativos
+    resolveComponent(file, component, imports, files) {
+        if (!component) return null;
+
+        const specifier = component.startsWith('.') ? component : imports.get(component.split('.')[0]);
+        if (!specifier || !specifier.startsWith('.')) return null;
+
+        const base = path.posix.join(path.posix.dirname(file), specifier);
+        return IMPORT_SUFFIXES.map(suffix => base + suffix).find(candidate => files.includes(candidate)) || null;
+    }
+
+    // Arrays de objetos { path, component | element, children } (react-router, vue-router, Angular Routes)
+    parseRouteObjects(source) {
+        const routes = [];
+        const frames = [];
+        const pathPattern = /path\s*:\s*(['"`])([^'"`]*)\1/y;
+        const componentPattern = /(?:component|element)\s*:\s*(?:<\s*([A-Z][\w$.]*)|([A-Z][\w$.]*)|\(\)\s*=>\s*import\(\s*(['"`])([^'"`]+)\3)/y;
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            const next = source[i + 1];
+
+            if (char === '/' && next === '/') {
+                i = source.indexOf('\n', i);
+                if (i === -1) break;
+                continue;
+            }
+            if (char === '/' && next === '*') {
+                i = source.indexOf('*/', i + 2);
+                if (i === -1) break;
+                i += 2;
+                continue;
+            }
+            if (char === '"' || char === "'" || char === '`') {
+                i = this.skipString(source, i);
+                continue;
+            }
+            if (char === '{') {
+                frames.push({ path: undefined, component: null });
+            } else if (char === '}') {
+                frames.pop();
+            } else if (char === 'p' && !/[\w$.]/.test(source[i - 1] || '') && frames.length > 0) {
+                pathPattern.lastIndex = i;
+                const match = pathPattern.exec(source);
+                if (match) {
+                    const frame = frames[frames.length - 1];
+                    if (frame.path === undefined) {
+                        const parent = [...frames].reverse().find(candidate => candidate !== frame && candidate.path);
+                        frame.path = this.joinPaths(parent ? parent.path : '/', match[2]);
+                        if (frame.path) routes.push(frame);
+                    }
+                    i = pathPattern.lastIndex;
+                    continue;
+                }
+            } else if ((char === 'c' || char === 'e') && !/[\w$.]/.test(source[i - 1] || '') && frames.length > 0) {
+                // La ruta se completa aunque component/element aparezca antes que path
+                componentPattern.lastIndex = i;
+                const match = componentPattern.exec(source);
+                if (match) {
+                    const frame = frames[frames.length - 1];
+                    if (!frame.component) frame.component = match[1] || match[2] || match[4];
+                    i = componentPattern.lastIndex;
+                    continue;
+                }
+            }
+
+            i++;
+        }
+
+        return routes.map(frame => ({ path: frame.path, component: frame.component }));
+    }
+
+    skipString(source, start) {
+        const quote = source[start];
+        for (let i = start + 1; i < source.length; i++) {
+            if (source[i] === '\\') {
+                i++;
+            } else if (source[i] === quote) {
+                return i + 1;
+            }
+        }
+        return source.length;
+    }
+
+    // <Route path="..."> anidados (react-router v6)
+    parseJsxRoutes(source) {
+        const routes = [];
+        const stack = [];
+        const tokenPattern = /<Route\b|<\/Route>/g;
+        let match;
+
+        while ((match = tokenPattern.exec(source)) !== null) {
+            if (match[0] === '</Route>') {
+                stack.pop();
+                continue;
+            }
+
+            const tagEnd = this.sourceScanner.findTagEnd(source, tokenPattern.lastIndex);
+            if (tagEnd === -1) continue;
+
+            const rawAttributes = source.slice(tokenPattern.lastIndex, tagEnd);
+            const selfClosing = rawAttributes.trimEnd().endsWith('/');
+            const pathAttribute = rawAttributes.match(/\bpath\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*['"`]([^'"`]*)['"`]\s*\})/);
+            const parent = stack.length > 0 ? stack[stack.length - 1] : '/';
+            const routePath = pathAttribute
+                ? this.joinPaths(parent, pathAttribute[1] ?? pathAttribute[2] ?? pathAttribute[3])
+                : parent;
+            // element={<Login />} (v6) o component={Login} (v5)
+            const component = rawAttributes.match(/\b(?:element\s*=\s*\{\s*<\s*|component\s*=\s*\{\s*)([A-Z][\w$.]*)/);
+
+            if (pathAttribute && routePath) routes.push({ path: routePath, component: component ? component[1] : null });
+            if (!selfClosing) stack.push(routePath || parent);
+        }
+
+        return routes;
+    }
+
+    // Devuelve null para comodines (404) que no son rutas navegables
+    joinPaths(parent, child) {
+        if (child === '*' || child === '**') return null;
+        if (child.startsWith('/')) return this.normalizePath(child);
+        return this.normalizePath(`${parent}/${child}`);
+    }
+
+    normalizePath(routePath) {
+        const normalized = ('/' + routePath).replace(/\/{2,}/g, '/').replace(/\/$/, '');
+        return normalized || '/';
+    }
+
+    // En el routing basado en archivos el archivo que declara la ruta es también el que se renderiza
+    createRoute(routePath, sourceFile, framework, componentFile = sourceFile) {
+        const params = [...routePath.matchAll(/:(\w+)/g)].map(match => match[1]);
+        return {
+            path: routePath,
+            params,
+            dynamic: params.length > 0 || routePath.includes('*'),
+            sourceFile,
+            componentFile,
+            framework
+        };
+    }
+
+    dedupe(routes) {
+        const seen = new Map();
+        for (const route of routes) {
+            if (!seen.has(route.path)) seen.set(route.path, route);
+        }
+        return [...seen.values()].sort((a, b) => a.path.localeCompare(b.path));
+    }
+}
@@ -0,0 +1,522 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './Logger.js';
+import FileWalker from './FileWalker.js';
+import { parse as parseHtml } from 'node-html-parser';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('SourceScanner');
+
+// Atributos pensados para testing, en orden de preferencia
+const TEST_ATTRIBUTES = ['data-cy', 'data-testid', 'data-test', 'data-test-id'];
+
+const LINK_TAGS = ['a', 'link', 'navlink', 'router-link', 'routerlink', 'nuxt-link', 'nuxtlink'];
+const FIELD_TAGS = ['input', 'textarea', 'select'];
+
+const IGNORED_DIRECTORIES = [
+    'node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt', '.svelte-kit',
+    '.output', 'out', 'vendor', 'cypress', '__tests__', 'test', 'tests', 'e2e'
+];
+
+const SCANNED_EXTENSIONS = ['.html', '.htm', '.jsx', '.tsx', '.js', '.ts', '.vue', '.svelte'];
+
+// Atributos estáticos que se conservan para poder proponer selectores alternativos
+const SELECTOR_ATTRIBUTES = ['id', 'name', 'class', 'role', 'aria-label', 'placeholder', 'type', 'title', 'formcontrolname'];
+
+const MAX_FILES = 2000;
+const MAX_FILE_SIZE = 512 * 1024;
+
+export default class SourceScanner {
+    constructor(options = {}) {
+        this.maxFiles = options.maxFiles || MAX_FILES;
+        this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+    }
+
+    // Recorre el código del proyecto y construye el inventario de rutas, formularios, selectores y endpoints.
+    // options.exclude: patrones de rutas que no se escanean (ver createPathFilter);
+    // options.fileIndex: índice de FileWalker ya construido para no recorrer el árbol otra vez
+    async scan(repoPath, options = {}) {
+        logger.info(t('scanner.scanning'));
+
+        const inventory = {
+            pages: [],
+            routes: [],
+            forms: [],
+            buttons: [],
+            links: [],
+            selectors: [],
+            endpoints: [],
+            scannedFiles: 0
+        };
+
+        const files = await this.collectFiles(repoPath, options);
+
+        for (const file of files) {
+            try {
+                const source = await fs.readFile(path.join(repoPath, file), 'utf8');
+                this.scanFile(file, source, inventory);
+                inventory.scannedFiles++;
+            } catch (error) {
+                // Archivo ilegible, continuar
+            }
+        }
+
+        inventory.routes = this.collectRoutes(inventory);
+        inventory.endpoints = this.dedupe(inventory.endpoints, e => `${e.method} ${e.url}`);
+        inventory.selectors = this.dedupe(inventory.selectors, s => s.selector);
+        inventory.links = this.dedupe(inventory.links, l => `${l.href} ${l.text}`);
+
+        logger.success(t('scanner.done', {
+            files: inventory.scannedFiles,
+            routes: inventory.routes.length,
+            forms: inventory.forms.length,
+            endpoints: inventory.endpoints.length
+        }));
+
+        return inventory;
+    }
+
+    // Archivos del índice de FileWalker que se escanean; options.fileIndex reutiliza uno ya hecho
+    async collectFiles(repoPath, options = {}) {
+        const index = options.fileIndex || await new FileWalker().walk(repoPath, { exclude: options.exclude });
+
+        return index.files
+            .filter(file => {
+                const segments = file.path.split('/');
+                return file.size <= this.maxFileSize &&
+                    this.isScannable(segments[segments.length - 1]) &&
+                    !segments.some(segment => segment.startsWith('.')) &&
+                    !segments.slice(0, -1).some(segment => IGNORED_DIRECTORIES.includes(segment));
+            })
+            .slice(0, this.maxFiles)
+            .map(file => file.path);
+    }
+
+    isScannable(fileName) {
+        if (/\.(test|spec|cy|stories|d)\.[jt]sx?$/.test(fileName)) return false;
+        if (/\.min\.js$/.test(fileName)) return false;
+        return SCANNED_EXTENSIONS.includes(path.extname(fileName));
+    }
+
+    scanFile(file, source, inventory) {
+        const extension = path.extname(file);
+        const route = this.routeFromHtmlFile(file);
+        let elements = [];
+
+        if (extension === '.html' || extension === '.htm') {
+            elements = this.extractHtmlElements(source);
+        } else if (extension === '.vue') {
+            elements = this.extractHtmlElements(this.extractVueTemplate(source));
+        } else if (extension === '.svelte') {
+            elements = this.extractHtmlElements(this.stripScriptAndStyle(source));
+        } else if (this.containsJsx(file, source)) {
+            elements = this.extractJsxElements(source);
+        } else if (extension === '.ts') {
+            // Componentes Angular con template inline
+            const inlineTemplate = source.match(/template\s*:\s*`([\s\S]*?)`/);
+            if (inlineTemplate) {
+                elements = this.extractHtmlElements(inlineTemplate[1]);
+            }
+        }
+
+        if (!['.html', '.htm'].includes(extension)) {
+            this.extractEndpoints(file, source, inventory);
+        }
+
+        if (elements.length > 0) {
+            this.collectFromElements(file, route, elements, inventory, source);
+        }
+    }
+
+    // ---------- Extracción de elementos ----------
+
+    extractHtmlElements(markup) {
+        if (!markup || !markup.trim()) return [];
+
+        const root = parseHtml(markup, { comment: false });
+        return root.querySelectorAll('*').map(node => ({
+            tag: (node.rawTagName || '').toLowerCase(),
+            attrs: this.normalizeAttributes(node.attributes),
+            text: this.cleanText(node.text),
+            start: node.range[0],
+            end: node.range[1]
+        }));
+    }
+
+    extractVueTemplate(source) {
+        const start = source.indexOf('<template');
+        const end = source.lastIndexOf('</template>');
+        if (start === -1 || end === -1) return '';
+
+        const openEnd = source.indexOf('>', start);
+        return source.slice(openEnd + 1, end);
+    }
+
+    stripScriptAndStyle(source) {
+        return source
+            .replace(/<script[\s\S]*?<\/script>/gi, '')
+            .replace(/<style[\s\S]*?<\/style>/gi, '');
+    }
+
+    containsJsx(file, source) {
+        if (/\.(jsx|tsx)$/.test(file)) return true;
+        return file.endsWith('.js') && /from\s+['"](react|preact)['"]|\/\*\*?\s*@jsx/.test(source);
+    }
+
+    // Tokenizador mínimo de JSX: respeta llaves y comillas dentro de los atributos
+    extractJsxElements(source) {
+        const elements = [];
+        const tagStart = /<([A-Za-z][\w.-]*)(?=[\s/>])/g;
+        let match;
+
+        while ((match = tagStart.exec(source)) !== null) {
+            const tag = match[1];
+            const openEnd = this.findTagEnd(source, tagStart.lastIndex);
+            if (openEnd === -1) continue;
+
+            const rawAttributes = source.slice(tagStart.lastIndex, openEnd);
+            const selfClosing = rawAttributes.trimEnd().endsWith('/');
+            let end = openEnd + 1;
+            let text = '';
+
+            if (!selfClosing) {
+                const closeIndex = source.indexOf(`</${tag}>`, openEnd);
+                if (closeIndex !== -1) {
+                    text = source.slice(openEnd + 1, closeIndex);
+                    end = closeIndex + tag.length + 3;
+                }
+            }
+
+            elements.push({
+                tag: tag.toLowerCase(),
+                attrs: this.parseJsxAttributes(selfClosing ? rawAttributes.trimEnd().slice(0, -1) : rawAttributes),
+                text: this.staticJsxText(text),
+                start: match.index,
+                end
+            });
+        }
+
+        return elements;
+    }
+
+    // cy.contains busca subcadenas: el fragmento estático más largo es un selector de texto fiable
+    staticJsxText(children) {
+        const fragments = children
+            .split(/<[^>]*>|\{[^}]*\}/)
+            .map(fragment => this.cleanText(fragment))
+            .filter(Boolean);
+
+        return fragments.reduce((longest, fragment) => fragment.length > longest.length ? fragment : longest, '');
+    }
+
+    findTagEnd(source, from) {
+        let depth = 0;
+        let quote = null;
+        const limit = Math.min(source.length, from + 2000);
+
+        for (let i = from; i < limit; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === quote && source[i - 1] !== '\\') quote = null;
+            } else if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            } else if (char === '>' && depth === 0) {
+                return i;
+            } else if (char === '<' && depth === 0) {
+                return -1;
+            }
+        }
+
+        return -1;
+    }
+
+    parseJsxAttributes(raw) {
+        const attrs = {};
+        const attributePattern = /([\w:@.\-[\]()*#]+)(?:\s*=\s*("[^"]*"|'[^']*'|\{))?/g;
+        let match;
+
+        while ((match = attributePattern.exec(raw)) !== null) {
+            const [, name, value] = match;
+
+            if (value === undefined) {
+                attrs[name] = '';
+            } else if (value === '{') {
+                const closing = this.findClosingBrace(raw, attributePattern.lastIndex);
+                const expression = raw.slice(attributePattern.lastIndex, closing).trim();
+                attributePattern.lastIndex = closing + 1;
+
+                // Solo literales estáticos: {'x'}, {"x"} o {`x`} sin interpolación
+                const literal = expression.match(/^(['"`])([^'"`$]*)\1$/);
+                if (literal) attrs[name] = literal[2];
+            } else {
+                attrs[name] = value.slice(1, -1);
+            }
+        }
+
+        return this.normalizeAttributes(attrs);
+    }
+
+    findClosingBrace(raw, from) {
+        let depth = 1;
+        for (let i = from; i < raw.length; i++) {
+            if (raw[i] === '{') depth++;
+            if (raw[i] === '}' && --depth === 0) return i;
+        }
+        return raw.length;
+    }
+
+    normalizeAttributes(attributes) {
+        const normalized = {};
+        for (const [name, value] of Object.entries(attributes || {})) {
+            // Bindings dinámicos (Vue :attr / v-bind, Angular [attr]) no tienen valor estático
+            if (name.startsWith(':') || name.startsWith('v-bind:') || /^\[[^(]/.test(name)) continue;
+
+            const key = name === 'className' ? 'class' : name === 'htmlFor' ? 'for' : name;
+            normalized[key.toLowerCase()] = value;
+        }
+        return normalized;
+    }
+
+    cleanText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    }
+
+    // ---------- Inventario ----------
+
+    collectFromElements(file, route, elements, inventory, source) {
+        const page = {
+            file,
+            route,
+            title: null,
+            headings: [],
+            testIds: [],
+            loadsDataOnMount: /useEffect|onMounted|mounted\s*\(|ngOnInit|componentDidMount|DOMContentLoaded|onMount\(/.test(source)
+        };
+
+        for (const element of elements) {
+            const { tag, attrs } = element;
+
+            if (tag === 'title' && element.text) page.title = element.text;
+            if (/^h[12]$/.test(tag) && element.text) page.headings.push(element.text);
+
+            const testAttribute = TEST_ATTRIBUTES.find(attribute => attrs[attribute]);
+            if (testAttribute) {
+                const entry = {
+                    selector: `[${testAttribute}="${attrs[testAttribute]}"]`,
+                    attribute: testAttribute,
+                    value: attrs[testAttribute],
+                    tag,
+                    text: element.text,
+                    attributes: this.pickSelectorAttributes(attrs),
+                    file
+                };
+                inventory.selectors.push(entry);
+                page.testIds.push(entry.selector);
+            }
+
+            if (LINK_TAGS.includes(tag)) {
+                const href = attrs.href || attrs.to || attrs.routerlink;
+                if (href) {
+                    inventory.links.push({
+                        href,
+                        text: element.text,
+                        selector: this.buildSelector(tag, attrs),
+                        tag,
+                        attributes: this.pickSelectorAttributes(attrs),
+                        file
+                    });
+                }
+            }
+
+            if (this.isButton(element)) {
+                inventory.buttons.push({
+                    text: element.text || attrs.value || attrs['aria-label'] || '',
+                    selector: this.buildSelector(tag, attrs),
+                    type: attrs.type || (tag === 'button' ? 'submit' : 'button'),
+                    tag,
+                    attributes: this.pickSelectorAttributes(attrs),
+                    file,
+                    route
+                });
+            }
+
+            if (tag === 'form') {
+                inventory.forms.push(this.buildForm(file, route, element, elements));
+            }
+        }
+
+        // Campos fuera de un <form> (habitual en SPAs) se agrupan como formulario implícito
+        const looseFields = elements.filter(element =>
+            FIELD_TAGS.includes(element.tag) &&
+            !elements.some(form => form.tag === 'form' && element.start > form.start && element.start < form.end)
+        );
+        if (looseFields.length > 0) {
+            inventory.forms.push({
+                file,
+                route,
+                selector: null,
+                action: null,
+                method: 'get',
+                implicit: true,
+                fields: looseFields.map(field => this.buildField(field)).filter(Boolean),
+                submit: null
+            });
+        }
+
+        if (page.title || page.headings.length > 0 || page.testIds.length > 0 || route) {
+            inventory.pages.push(page);
+        }
+    }
+
+    isButton(element) {
+        const { tag, attrs } = element;
+        if (tag === 'button') return true;
+        if (tag === 'input' && ['submit', 'button'].includes(attrs.type)) return true;
+        return attrs.role === 'button';
+    }
+
+    buildForm(file, route, formElement, elements) {
+        const inside = elements.filter(element => element.start > formElement.start && element.start < formElement.end);
+        const submitElement = inside.find(element => this.isButton(element) && element.attrs.type !== 'button');
+
+        return {
+            file,
+            route,
+            selector: this.buildSelector('form', formElement.attrs) || 'form',
+            action: formElement.attrs.action || null,
+            method: (formElement.attrs.method || 'get').toLowerCase(),
+            implicit: false,
+            fields: inside
+                .filter(element => FIELD_TAGS.includes(element.tag))
+                .map(field => this.buildField(field))
+                .filter(Boolean),
+            submit: submitElement ? {
+                selector: this.buildSelector(submitElement.tag, submitElement.attrs),
+                text: submitElement.text || submitElement.attrs.value || ''
+            } : null
+        };
+    }
+
+    buildField(element) {
+        const { tag, attrs } = element;
+        if (tag === 'input' && ['submit', 'button', 'hidden', 'reset', 'image'].includes(attrs.type)) return null;
+
+        const selector = this.buildSelector(tag, attrs);
+        if (!selector) return null;
+
+        const modelName = (attrs['v-model'] || attrs['[(ngmodel)]'] || '').split('.').pop();
+
+        return {
+            tag,
+            selector,
+            name: attrs.name || attrs.formcontrolname || attrs.id || modelName || null,
+            type: tag === 'input' ? (attrs.type || 'text') : tag,
+            required: 'required' in attrs,
+            placeholder: attrs.placeholder || null,
+            attributes: this.pickSelectorAttributes(attrs)
+        };
+    }
+
+    pickSelectorAttributes(attrs) {
+        const picked = {};
+        for (const [name, value] of Object.entries(attrs)) {
+            if (typeof value !== 'string' || value === '') continue;
+            if (SELECTOR_ATTRIBUTES.includes(name) || name.startsWith('data-')) {
+                picked[name] = value;
+            }
+        }
+        return picked;
+    }
+
+    // Selector estable siguiendo la prioridad: atributos de test > id > name > aria-label > placeholder
+    buildSelector(tag, attrs) {
+        const testAttribute = TEST_ATTRIBUTES.find(attribute => attrs[attribute]);
+        if (testAttribute) return `[${testAttribute}="${attrs[testAttribute]}"]`;
+        if (attrs.id) return /^[A-Za-z][\w-]*$/.test(attrs.id) ? `#${attrs.id}` : `[id="${attrs.id}"]`;
+        if (attrs.name) return `${tag}[name="${attrs.name}"]`;
+        if (attrs.formcontrolname) return `[formcontrolname="${attrs.formcontrolname}"]`;
+        if (attrs['aria-label']) return `[aria-label="${attrs['aria-label']}"]`;
+        if (attrs.placeholder) return `${tag}[placeholder="${attrs.placeholder}"]`;
+        return null;
+    }
+
+    extractEndpoints(file, source, inventory) {
+        const patterns = [
+            { regex: /fetch\(\s*(['"`])([^'"`]+)\1\s*(?:,\s*\{([^}]*)\})?/g, urlGroup: 2, optionsGroup: 3 },
+            { regex: /axios\.(get|post|put|patch|delete)\(\s*(['"`])([^'"`]+)\2/g, methodGroup: 1, urlGroup: 3 },
+            { regex: /\bhttp\.(get|post|put|patch|delete)\s*(?:<[^>(]*>)?\(\s*(['"`])([^'"`]+)\2/g, methodGroup: 1, urlGroup: 3 },
+            { regex: /\$\.(get|post|getJSON)\(\s*(['"`])([^'"`]+)\2/g, methodGroup: 1, urlGroup: 3 }
+        ];
+
+        for (const { regex, urlGroup, methodGroup, optionsGroup } of patterns) {
+            let match;
+            while ((match = regex.exec(source)) !== null) {
+                let method = methodGroup ? match[methodGroup] : 'GET';
+                if (optionsGroup && match[optionsGroup]) {
+                    const methodOption = match[optionsGroup].match(/method\s*:\s*['"](\w+)['"]/);
+                    if (methodOption) method = methodOption[1];
+                }
+
+                const url = this.normalizeEndpointUrl(match[urlGroup]);
+                if (!url) continue;
+
+                inventory.endpoints.push({
+                    method: method === 'getJSON' ? 'GET' : method.toUpperCase(),
+                    url,
+                    file
+                });
+            }
+        }
+    }
+
+    normalizeEndpointUrl(url) {
+        const normalized = url.replace(/\$\{[^}]*\}/g, '*').trim();
+        if (!normalized || normalized === '*') return null;
+        if (!/^(https?:\/\/|\/|\*)/.test(normalized)) return null;
+        return normalized;
+    }
+
+    routeFromHtmlFile(file) {
+        if (!/\.html?$/.test(file)) return null;
+
+        // Las carpetas de salida estática (public/, src/) no forman parte de la URL
+        const withoutRoot = file.replace(/^(public|static|src|app|www)\//, '');
+        if (/(^|\/)index\.html?$/.test(withoutRoot)) {
+            return '/' + withoutRoot.replace(/(^|\/)index\.html?$/, '$1').replace(/\/$/, '');
+        }
+        return '/' + withoutRoot;
+    }
+
+    collectRoutes(inventory) {
+        const routes = new Set(['/']);
+
+        for (const page of inventory.pages) {
+            if (page.route) routes.add(page.route);
+        }
+
+        for (const link of inventory.links) {
+            const href = link.href.split(/[?#]/)[0];
+            if (!href.startsWith('/') || href.startsWith('//')) continue;
+            routes.add(href === '' ? '/' : href);
+        }
+
+        return [...routes].map(route => ({
+            path: route,
+            dynamic: /[:*[]/.test(route)
+        }));
+    }
+
+    dedupe(items, keyFn) {
+        const seen = new Set();
+        return items.filter(item => {
+            const key = keyFn(item);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
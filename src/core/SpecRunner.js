@@ -0,0 +1,465 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import http from 'http';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { createLogger } from './Logger.js';
+import DependencyInstaller from './DependencyInstaller.js';
+import express from 'express';
+import { PAGE_OBJECT_DIR } from '../generators/PageObjectBuilder.js';
+import { defaultPort } from './FrameworkDetector.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('SpecRunner');
+
+// Directorio (relativo al proyecto) donde se copian los specs generados antes de ejecutarlos
+const GENERATED_SPEC_DIR = 'cypress/e2e/generated';
+const SNAPSHOT_DIR = 'cypress/agent-snapshots';
+const AGENT_CONFIG_FILE = 'cypress.agent.config.cjs';
+// Marca de los directorios creados por el agente: solo esos se vacían en la siguiente ejecución
+const AGENT_MARKER = '.cypress-agent';
+const CYPRESS_CONFIG_FILES = ['cypress.config.js', 'cypress.config.ts', 'cypress.config.cjs', 'cypress.config.mjs'];
+// Script que ejecuta cypress.run() en un proceso hijo con el entorno limpio
+const CYPRESS_CHILD_SCRIPT = fileURLToPath(new URL('./runCypress.js', import.meta.url));
+
+// Puerto por defecto de cada servidor de desarrollo
+const DEFAULT_PORTS = [
+    { pattern: /\bastro\b/, port: 4321 },
+    { pattern: /\bvite\b|svelte-kit/, port: 5173 },
+    { pattern: /\bng\s+serve\b|\bember\s+serve\b/, port: 4200 },
+    { pattern: /vue-cli-service\s+serve/, port: 8080 },
+    { pattern: /\bnext\b|\bnuxt\b|react-scripts|\bremix\b/, port: 3000 },
+    { pattern: /webpack(-dev-server|\s+serve)/, port: 8080 },
+    { pattern: /\bparcel\b/, port: 1234 }
+];
+
+const START_SCRIPT_PRIORITY = ['dev', 'start', 'serve', 'develop', 'preview'];
+
+// Tras SIGTERM, espera antes de forzar con SIGKILL al detener la app
+const STOP_TIMEOUT_MS = 5000;
+
+// Hook añadido a cada spec copiado: guarda el DOM cuando un test falla para poder repararlo
+const DOM_SNAPSHOT_HOOK = `
+
+afterEach(function () {
+  if (this.currentTest.state === 'failed') {
+    const title = this.currentTest.title.replace(/[^\\w-]+/g, '_')
+    cy.document({ log: false }).then(doc => {
+      cy.writeFile(\`${SNAPSHOT_DIR}/\${Cypress.spec.name}--\${title}.html\`, doc.documentElement.outerHTML, { log: false })
+    })
+  }
+})
+`;
+
+export default class SpecRunner {
+    constructor(options = {}) {
+        this.startTimeout = options.startTimeout || 120000;
+        this.pollInterval = 1000;
+        // El servidor de desarrollo y la configuración de Cypress son código del repositorio:
+        // reciben el mismo entorno limpio que la instalación
+        this.installer = options.installer || new DependencyInstaller();
+    }
+
+    // Copia los specs al proyecto, arranca la app, ejecuta Cypress (Electron, headless) y devuelve resultados por spec.
+    // signal (AbortSignal) detiene la app y el proceso de Cypress
+    async execute({ projectPath, specs, pageObjects = [], analysis, packageManager = 'npm', isLocal = false, signal, options = {} }) {
+        const startedAt = Date.now();
+        let appServer = null;
+        let copiedDir = null;
+        let agentConfigPath = null;
+        const onAbort = () => {
+            if (appServer) appServer.stop();
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            if (signal) signal.throwIfAborted();
+            logger.info(t('runner.running'));
+
+            if (!this.hasCypress(projectPath)) {
+                throw new Error(t('runner.cypressMissing'));
+            }
+
+            copiedDir = await this.copySpecs(projectPath, specs, pageObjects);
+            agentConfigPath = await this.ensureConfigFile(projectPath);
+
+            appServer = await this.startApplication(projectPath, analysis, packageManager, options);
+            logger.info(t('runner.waiting', { baseUrl: appServer.baseUrl }));
+            await this.waitForServer(appServer, options.startTimeout || this.startTimeout, signal);
+            logger.success(t('runner.ready', { baseUrl: appServer.baseUrl }));
+
+            const runResults = await this.runCypress(projectPath, {
+                project: projectPath,
+                browser: 'electron',
+                headless: true,
+                quiet: true,
+                configFile: agentConfigPath ? path.basename(agentConfigPath) : undefined,
+                spec: specs.map(spec => path.join(projectPath, GENERATED_SPEC_DIR, spec.name)).join(','),
+                config: {
+                    baseUrl: appServer.baseUrl,
+                    specPattern: `${GENERATED_SPEC_DIR}/**/*.cy.{js,jsx,ts,tsx}`,
+                    video: false,
+                    screenshotOnRunFailure: false
+                }
+            }, signal);
+
+            const execution = this.parseResults(runResults, specs);
+            await this.attachDomSnapshots(projectPath, execution);
+            execution.baseUrl = appServer.baseUrl;
+            execution.startCommand = appServer.command;
+            execution.durationMs = Date.now() - startedAt;
+
+            const { totals } = execution;
+            const report = totals.failed > 0 ? logger.warn : logger.success;
+            report.call(logger, t('runner.result', totals), { totals });
+
+            return execution;
+
+        } catch (error) {
+            logger.error(t('runner.failed', { error: error.message }));
+            return {
+                success: false,
+                executed: false,
+                error: error.message,
+                durationMs: Date.now() - startedAt
+            };
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (appServer) await appServer.stop();
+            if (agentConfigPath) await fs.remove(agentConfigPath).catch(() => {});
+            // En directorios locales no se dejan archivos del agente
+            if (isLocal && copiedDir) {
+                await fs.remove(copiedDir).catch(() => {});
+                await fs.remove(path.join(projectPath, SNAPSHOT_DIR)).catch(() => {});
+            }
+        }
+    }
+
+    // Solo se resuelve la ruta: el módulo del proyecto nunca se carga en este proceso
+    hasCypress(projectPath) {
+        try {
+            createRequire(path.join(projectPath, 'package.json')).resolve('cypress');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // cypress.run() en un proceso hijo (runCypress.js) con el entorno de installer.buildEnv: el
+    // cypress.config del repositorio (setupNodeEvents, plugins) se ejecuta sin tokens ni credenciales del host
+    async runCypress(projectPath, runOptions, signal) {
+        const sandboxHome = await fs.mkdtemp(path.join(os.tmpdir(), 'cypress-agent-home-'));
+        const optionsFile = path.join(sandboxHome, 'run-options.json');
+        const resultFile = path.join(sandboxHome, 'run-result.json');
+        await fs.writeJson(optionsFile, runOptions);
+
+        try {
+            const output = await new Promise((resolve, reject) => {
+                const child = spawn(process.execPath, [CYPRESS_CHILD_SCRIPT, optionsFile, resultFile], {
+                    cwd: projectPath,
+                    env: this.installer.buildEnv(sandboxHome),
+                    stdio: ['ignore', 'pipe', 'pipe'],
+                    detached: process.platform !== 'win32'
+                });
+
+                const lines = [];
+                const collect = chunk => {
+                    lines.push(chunk.toString());
+                    if (lines.length > 50) lines.shift();
+                };
+                child.stdout.on('data', collect);
+                child.stderr.on('data', collect);
+
+                const onAbort = () => this.installer.kill(child);
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+                child.on('error', reject);
+                child.on('close', () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    if (signal && signal.aborted) reject(signal.reason);
+                    else resolve(lines.join(''));
+                });
+            });
+
+            const result = await fs.readJson(resultFile).catch(() => null);
+            if (!result) {
+                throw new Error(t('runner.cypressCrashed', { output: output.slice(-2000) }));
+            }
+            if (result.notInstalled) {
+                throw new Error(t('runner.cypressMissing'));
+            }
+            return result;
+        } finally {
+            await fs.remove(sandboxHome).catch(() => {});
+        }
+    }
+
+    async copySpecs(projectPath, specs, pageObjects = []) {
+        const targetDir = path.join(projectPath, GENERATED_SPEC_DIR);
+        const agentDirs = [GENERATED_SPEC_DIR, SNAPSHOT_DIR];
+        for (const relativeDir of agentDirs) {
+            await this.assertAgentDir(projectPath, relativeDir);
+        }
+        for (const relativeDir of agentDirs) {
+            await fs.emptyDir(path.join(projectPath, relativeDir));
+            await fs.writeFile(path.join(projectPath, relativeDir, AGENT_MARKER), '');
+        }
+
+        for (const spec of specs) {
+            await fs.writeFile(path.join(targetDir, spec.name), spec.content + DOM_SNAPSHOT_HOOK);
+        }
+
+        // Los specs POM importan ./pages/<Clase>, fuera del specPattern *.cy.*
+        for (const pageObject of pageObjects) {
+            await fs.outputFile(path.join(targetDir, PAGE_OBJECT_DIR, pageObject.fileName), pageObject.content);
+        }
+
+        logger.debug(t('runner.copied', { count: specs.length, path: GENERATED_SPEC_DIR }));
+        return targetDir;
+    }
+
+    // Un directorio con contenido que no creó el agente (p. ej. en el directorio de trabajo del
+    // usuario) no se vacía: la ejecución falla antes de tocar nada
+    async assertAgentDir(projectPath, relativeDir) {
+        const entries = await fs.readdir(path.join(projectPath, relativeDir)).catch(() => []);
+        if (entries.length > 0 && !entries.includes(AGENT_MARKER)) {
+            throw new Error(t('runner.agentDirExists', { path: relativeDir }));
+        }
+    }
+
+    // Cypress 10+ necesita un archivo de configuración; si el proyecto no tiene uno se crea temporalmente
+    async ensureConfigFile(projectPath) {
+        for (const configFile of CYPRESS_CONFIG_FILES) {
+            if (await fs.pathExists(path.join(projectPath, configFile))) return null;
+        }
+
+        const configPath = path.join(projectPath, AGENT_CONFIG_FILE);
+        if (await fs.pathExists(configPath)) {
+            throw new Error(t('runner.configExists', { file: AGENT_CONFIG_FILE }));
+        }
+        await fs.writeFile(configPath, `module.exports = {
+  e2e: {
+    specPattern: '${GENERATED_SPEC_DIR}/**/*.cy.{js,jsx,ts,tsx}',
+    supportFile: false
+  }
+}
+`);
+        return configPath;
+    }
+
+    selectStartScript(analysis, preferred) {
+        const scripts = analysis.scripts || {};
+        if (preferred) {
+            return scripts[preferred] ? preferred : null;
+        }
+        return START_SCRIPT_PRIORITY.find(name => scripts[name]) || null;
+    }
+
+    detectPort(command, analysis) {
+        const explicit = command.match(/(?:--port|-p)[=\s]+(\d{2,5})/);
+        if (explicit) return Number(explicit[1]);
+
+        const known = DEFAULT_PORTS.find(({ pattern }) => pattern.test(command));
+        if (known) return known.port;
+
+        return defaultPort(analysis.framework);
+    }
+
+    // URL en la que la app quedará disponible según su script de arranque
+    detectBaseUrl(analysis, options = {}) {
+        const scriptName = this.selectStartScript(analysis, options.startScript);
+        const port = options.appPort || (scriptName ? this.detectPort(analysis.scripts[scriptName], analysis) : 8080);
+        return `http://localhost:${port}`;
+    }
+
+    async startApplication(projectPath, analysis, packageManager, options) {
+        const scriptName = this.selectStartScript(analysis, options.startScript);
+
+        // Proyectos sin script de arranque (HTML estático) se sirven con express
+        if (!scriptName) {
+            if (options.startScript) {
+                throw new Error(t('runner.startScriptMissing', { script: options.startScript }));
+            }
+            return this.startStaticServer(projectPath, options.appPort);
+        }
+
+        const command = analysis.scripts[scriptName];
+        const port = options.appPort || this.detectPort(command, analysis);
+        const baseUrl = `http://localhost:${port}`;
+
+        logger.info(t('runner.starting', { command: `${packageManager} run ${scriptName}` }));
+
+        const sandboxHome = await fs.mkdtemp(path.join(os.tmpdir(), 'cypress-agent-home-'));
+        const child = spawn(packageManager, ['run', scriptName], {
+            cwd: projectPath,
+            env: { ...this.installer.buildEnv(sandboxHome), PORT: String(port), BROWSER: 'none', CI: 'true' },
+            stdio: ['ignore', 'pipe', 'pipe'],
+            detached: process.platform !== 'win32'
+        });
+
+        const output = [];
+        const collect = chunk => {
+            output.push(chunk.toString());
+            if (output.length > 50) output.shift();
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        let exited = false;
+        const exit = new Promise(resolve => child.once('exit', () => {
+            exited = true;
+            resolve();
+        }));
+        // Señal al grupo de procesos completo (npm → node → servidor)
+        const signal = name => {
+            try {
+                if (child.pid && process.platform !== 'win32') {
+                    process.kill(-child.pid, name);
+                } else {
+                    child.kill(name);
+                }
+            } catch (error) {
+                // El proceso ya terminó
+            }
+        };
+
+        return {
+            baseUrl,
+            command: `${packageManager} run ${scriptName}`,
+            hasExited: () => exited,
+            output: () => output.join(''),
+            // Espera a que el proceso termine para que la siguiente ejecución (--repair) encuentre el puerto libre
+            stop: async () => {
+                if (!exited) {
+                    signal('SIGTERM');
+                    const timer = setTimeout(() => signal('SIGKILL'), STOP_TIMEOUT_MS);
+                    await exit;
+                    clearTimeout(timer);
+                }
+                // Los procesos del grupo que sobrevivan al líder tampoco deben retener el puerto
+                signal('SIGKILL');
+                await fs.remove(sandboxHome).catch(() => {});
+            }
+        };
+    }
+
+    async startStaticServer(projectPath, port = 0) {
+        const root = await fs.pathExists(path.join(projectPath, 'public', 'index.html'))
+            ? path.join(projectPath, 'public')
+            : projectPath;
+
+        const app = express();
+        app.use(express.static(root));
+
+        const server = await new Promise((resolve, reject) => {
+            const listener = app.listen(port, () => resolve(listener));
+            listener.on('error', reject);
+        });
+
+        logger.info(t('runner.serving', { path: root }));
+
+        return {
+            baseUrl: `http://localhost:${server.address().port}`,
+            command: 'static',
+            hasExited: () => false,
+            output: () => '',
+            stop: () => new Promise(resolve => server.close(() => resolve()))
+        };
+    }
+
+    async waitForServer(appServer, timeout, signal) {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            if (signal) signal.throwIfAborted();
+            if (appServer.hasExited()) {
+                throw new Error(t('runner.appExited', { output: appServer.output().slice(-2000) }));
+            }
+
+            if (await this.isResponding(appServer.baseUrl)) return;
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+
+        throw new Error(t('runner.appTimeout', { baseUrl: appServer.baseUrl, seconds: Math.round(timeout / 1000) }));
+    }
+
+    isResponding(url) {
+        return new Promise(resolve => {
+            const request = http.get(url, response => {
+                response.resume();
+                resolve(true);
+            });
+            request.on('error', () => resolve(false));
+            request.setTimeout(2000, () => {
+                request.destroy();
+                resolve(false);
+            });
+        });
+    }
+
+    snapshotFileName(specName, testTitle) {
+        return `${specName}--${testTitle.replace(/[^\w-]+/g, '_')}.html`;
+    }
+
+    async attachDomSnapshots(projectPath, execution) {
+        for (const spec of execution.specs || []) {
+            for (const test of spec.tests) {
+                if (test.state !== 'failed') continue;
+
+                const snapshotPath = path.join(projectPath, SNAPSHOT_DIR, this.snapshotFileName(spec.name, test.lastTitle));
+                test.domSnapshot = await fs.pathExists(snapshotPath) ? snapshotPath : null;
+            }
+        }
+    }
+
+    // Normaliza el resultado de cypress.run() a pass/fail por spec
+    parseResults(runResults, specs) {
+        if (!runResults || runResults.status === 'failed') {
+            return {
+                success: false,
+                executed: false,
+                error: runResults ? runResults.message : t('runner.noResults'),
+                totals: { specs: specs.length, tests: 0, passed: 0, failed: 0, pending: 0 },
+                specs: []
+            };
+        }
+
+        const specResults = (runResults.runs || []).map(run => {
+            const name = path.basename(run.spec.relative);
+            const tests = (run.tests || []).map(test => ({
+                title: Array.isArray(test.title) ? test.title.join(' > ') : test.title,
+                lastTitle: Array.isArray(test.title) ? test.title[test.title.length - 1] : test.title,
+                state: test.state,
+                error: test.displayError || null
+            }));
+
+            return {
+                name,
+                path: run.spec.relative,
+                status: run.stats.failures > 0 ? 'failed' : 'passed',
+                passed: run.stats.passes,
+                failed: run.stats.failures,
+                pending: run.stats.pending,
+                durationMs: run.stats.duration,
+                tests
+            };
+        });
+
+        const totals = {
+            specs: specResults.length,
+            tests: runResults.totalTests,
+            passed: runResults.totalPassed,
+            failed: runResults.totalFailed,
+            pending: runResults.totalPending
+        };
+
+        return {
+            success: totals.failed === 0,
+            executed: true,
+            totals,
+            specs: specResults
+        };
+    }
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import SpecRunner from './SpecRunner.js';
+import { configureLogger } from './Logger.js';
+
+configureLogger({ level: 'error' });
+
+// Cypress falso: guarda el entorno que recibe y devuelve un spec aprobado
+const FAKE_CYPRESS = `
+const fs = require('fs');
+const path = require('path');
+exports.run = async options => {
+  fs.writeFileSync(path.join(options.project, 'cypress-env.json'), JSON.stringify({ pid: process.pid, env: process.env }));
+  return {
+    totalTests: 1, totalPassed: 1, totalFailed: 0, totalPending: 0,
+    runs: [{
+      spec: { relative: 'cypress/e2e/generated/home.cy.js' },
+      stats: { failures: 0, passes: 1, pending: 0, duration: 5 },
+      tests: [{ title: ['home', 'loads'], state: 'passed', displayError: null }]
+    }]
+  };
+};
+`;
+
+async function createProject() {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-runner-'));
+    await fs.outputJson(path.join(projectPath, 'package.json'), { name: 'app' });
+    await fs.outputFile(path.join(projectPath, 'index.html'), '<h1>Home</h1>');
+    await fs.outputJson(path.join(projectPath, 'node_modules/cypress/package.json'), { name: 'cypress', main: 'index.js' });
+    await fs.outputFile(path.join(projectPath, 'node_modules/cypress/index.js'), FAKE_CYPRESS);
+    return projectPath;
+}
+
+test('Cypress se ejecuta en un proceso hijo sin las variables secretas del host', async () => {
+    const projectPath = await createProject();
+    const saved = process.env.GITHUB_TOKEN;
+    process.env.GITHUB_TOKEN = 'ghp_host_secret';
+    try {
+        const execution = await new SpecRunner().execute({
+            projectPath,
+            specs: [{ name: 'home.cy.js', content: "describe('home', () => {})" }],
+            analysis: { scripts: {}, framework: 'react' }
+        });
+
+        assert.equal(execution.executed, true);
+        assert.deepEqual(execution.totals, { specs: 1, tests: 1, passed: 1, failed: 0, pending: 0 });
+
+        const { pid, env } = await fs.readJson(path.join(projectPath, 'cypress-env.json'));
+        assert.notEqual(pid, process.pid);
+        assert.equal(env.GITHUB_TOKEN, undefined);
+        assert.ok(!Object.values(env).includes('ghp_host_secret'));
+        assert.notEqual(env.HOME, os.homedir());
+    } finally {
+        if (saved === undefined) delete process.env.GITHUB_TOKEN;
+        else process.env.GITHUB_TOKEN = saved;
+        await fs.remove(projectPath);
+    }
+});
+
+test('sin Cypress en el proyecto la ejecución falla sin arrancar nada', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-runner-'));
+    try {
+        await fs.outputJson(path.join(projectPath, 'package.json'), { name: 'app' });
+
+        const execution = await new SpecRunner().execute({ projectPath, specs: [], analysis: { scripts: {} } });
+
+        assert.equal(execution.executed, false);
+        assert.match(execution.error, /node_modules\/cypress/);
+    } finally {
+        await fs.remove(projectPath);
+    }
+});
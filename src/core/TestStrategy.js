@@ -1,9 +1,18 @@
 import fs from 'fs-extra';
 import path from 'path';
-import chalk from 'chalk';
+import { createLogger } from './Logger.js';
+import ProgressEmitter from './ProgressEmitter.js';
+import { baseFramework } from './FrameworkDetector.js';
+import { t } from '../i18n/index.js';
 
-export default class TestStrategy {
+const logger = createLogger('TestStrategy');
+
+// Límites del número de specs (max null = sin límite) y segundos estimados por spec
+export const SPEC_LIMITS = { min: 3, max: null, secondsPerSpec: 30 };
+
+export default class TestStrategy extends ProgressEmitter {
     constructor() {
+        super();
         this.strategies = {
             react: {
                 name: 'React Testing Strategy',
@@ -38,6 +47,116 @@ export default class TestStrategy {
                     'http-calls'
                 ]
             },
+            nextjs: {
+                name: 'Next.js Testing Strategy',
+                priority: ['page-routing', 'server-rendering', 'api-routes', 'form-testing'],
+                selectors: ['data-testid', 'role', 'aria-label'],
+                patterns: [
+                    'page-navigation',
+                    'server-rendered-content',
+                    'api-routes',
+                    'user-interactions'
+                ]
+            },
+            remix: {
+                name: 'Remix Testing Strategy',
+                priority: ['page-routing', 'loaders', 'form-actions', 'error-boundaries'],
+                selectors: ['data-testid', 'role', 'aria-label'],
+                patterns: [
+                    'page-navigation',
+                    'form-actions',
+                    'api-calls',
+                    'error-boundaries'
+                ]
+            },
+            nuxtjs: {
+                name: 'Nuxt Testing Strategy',
+                priority: ['page-routing', 'server-rendering', 'store-testing', 'form-validation'],
+                selectors: ['data-test', 'aria-label', 'class'],
+                patterns: [
+                    'page-navigation',
+                    'server-rendered-content',
+                    'api-calls',
+                    'event-handling'
+                ]
+            },
+            svelte: {
+                name: 'Svelte Testing Strategy',
+                priority: ['component-testing', 'store-testing', 'form-testing', 'user-flows'],
+                selectors: ['data-testid', 'role', 'aria-label', 'class'],
+                patterns: [
+                    'component-rendering',
+                    'user-interactions',
+                    'store-updates',
+                    'form-submission'
+                ]
+            },
+            sveltekit: {
+                name: 'SvelteKit Testing Strategy',
+                priority: ['page-routing', 'load-functions', 'form-actions', 'store-testing'],
+                selectors: ['data-testid', 'role', 'aria-label'],
+                patterns: [
+                    'page-navigation',
+                    'server-rendered-content',
+                    'form-actions',
+                    'api-calls'
+                ]
+            },
+            astro: {
+                name: 'Astro Testing Strategy',
+                priority: ['content-validation', 'page-routing', 'island-hydration', 'seo'],
+                selectors: ['data-testid', 'role', 'aria-label', 'id'],
+                patterns: [
+                    'page-navigation',
+                    'content-verification',
+                    'island-hydration',
+                    'user-journey'
+                ]
+            },
+            solid: {
+                name: 'SolidJS Testing Strategy',
+                priority: ['component-testing', 'signal-updates', 'router-testing', 'form-testing'],
+                selectors: ['data-testid', 'role', 'aria-label', 'class'],
+                patterns: [
+                    'component-rendering',
+                    'user-interactions',
+                    'signal-updates',
+                    'api-calls'
+                ]
+            },
+            preact: {
+                name: 'Preact Testing Strategy',
+                priority: ['component-testing', 'state-management', 'router-testing', 'form-testing'],
+                selectors: ['data-testid', 'role', 'aria-label', 'class'],
+                patterns: [
+                    'component-rendering',
+                    'user-interactions',
+                    'state-changes',
+                    'api-calls'
+                ]
+            },
+            ember: {
+                name: 'Ember Testing Strategy',
+                priority: ['route-testing', 'component-testing', 'service-testing', 'form-testing'],
+                selectors: ['data-test', 'aria-label', 'class'],
+                patterns: [
+                    'router-navigation',
+                    'component-rendering',
+                    'form-submission',
+                    'api-calls'
+                ]
+            },
+            qwik: {
+                name: 'Qwik Testing Strategy',
+                priority: ['resumability', 'page-routing', 'form-actions', 'component-testing'],
+                selectors: ['data-testid', 'role', 'aria-label'],
+                patterns: [
+                    'page-navigation',
+                    'lazy-interactions',
+                    'form-actions',
+                    'api-calls'
+                ]
+            },
             traditional: {
                 name: 'Traditional Web App Strategy',
                 priority: ['navigation-testing', 'form-testing', 'content-validation', 'user-flows'],
@@ -52,32 +171,57 @@ export default class TestStrategy {
         };
     }
 
-    generateStrategy(analysis) {
-        console.log(chalk.blue('🎯 Generando estrategia de testing...'));
+    // options: ajustes de ProjectConfig (strategies, selectors y specs)
+    generateStrategy(analysis, options = {}) {
+        logger.info(t('strategy.generating'));
+        this.reportStep('strategy:start', t('steps.strategyStart'), { framework: analysis.framework });
         
-        const baseStrategy = this.strategies[analysis.framework] || this.strategies.traditional;
+        const baseStrategy = this.resolveBaseStrategy(analysis.framework, options.strategies);
+        const limits = { ...SPEC_LIMITS, ...options.specs };
         
         const customStrategy = {
             ...baseStrategy,
             projectType: analysis.projectType,
             framework: analysis.framework,
-            recommendedSpecs: this.calculateRecommendedSpecs(analysis),
+            recommendedSpecs: this.calculateRecommendedSpecs(analysis, limits),
+            secondsPerSpec: limits.secondsPerSpec,
             focusAreas: this.determineFocusAreas(analysis),
             testPatterns: this.selectTestPatterns(analysis, baseStrategy.patterns),
-            selectorStrategy: baseStrategy.selectors
+            selectorStrategy: options.selectors || baseStrategy.selectors
         };
 
-        console.log(chalk.green(`✅ Estrategia generada: ${customStrategy.name}`));
+        logger.success(t('strategy.done', { name: customStrategy.name }));
+        this.reportStep('strategy:done', t('steps.strategyDone'), {
+            name: customStrategy.name,
+            recommendedSpecs: customStrategy.recommendedSpecs,
+            focusAreas: customStrategy.focusAreas
+        });
         return customStrategy;
     }
 
-    calculateRecommendedSpecs(analysis) {
+    // Estrategia de la tabla para el framework, con los ajustes del proyecto encima.
+    // Un framework sin entrada en la tabla usa la suya si el proyecto la define, si no la tradicional
+    resolveBaseStrategy(framework, overrides = {}) {
+        const key = this.strategies[framework] || overrides[framework] ? framework : 'traditional';
+        return { ...this.strategies.traditional, ...this.strategies[key], ...overrides[key] };
+    }
+
+    calculateRecommendedSpecs(analysis, limits = SPEC_LIMITS) {
         // Calcular cuántos specs generar basado en la complejidad del proyecto
-        const baseCount = 3;
+        const baseCount = limits.min;
         const structureMultiplier = Math.min(analysis.projectStructure.length / 50, 3);
-        const entryPointsBonus = analysis.entryPoints.length * 0.5;
+        const routesBonus = Math.min(this.countPages(analysis), 10) * 0.5;
+        const count = Math.max(baseCount, Math.floor(baseCount + structureMultiplier + routesBonus));
         
-        return Math.max(baseCount, Math.floor(baseCount + structureMultiplier + entryPointsBonus));
+        return limits.max ? Math.min(count, limits.max) : count;
+    }
+
+    // Número de páginas de la app: mapa de rutas si existe, puntos de entrada como respaldo
+    countPages(analysis) {
+        if (analysis.routes && analysis.routes.length > 0) {
+            return analysis.routes.length;
+        }
+        return analysis.entryPoints.length;
     }
 
     determineFocusAreas(analysis) {
@@ -92,7 +236,7 @@ export default class TestStrategy {
             focusAreas.push('authentication');
         }
         
-        if (analysis.entryPoints.length > 1) {
+        if (this.countPages(analysis) > 1) {
             focusAreas.push('navigation-testing');
         }
         
@@ -116,8 +260,9 @@ export default class TestStrategy {
             patterns.push('api-testing');
         }
         
-        if (analysis.entryPoints.length > 1) {
-            patterns.push('multi-page-testing');
+        // Con varias rutas la navegación entra entre los primeros specs generados
+        if (this.countPages(analysis) > 1) {
+            patterns.splice(1, 0, 'multi-page-testing');
         }
         
         if (analysis.projectStructure.some(item => item.path.includes('form'))) {
@@ -127,11 +272,13 @@ export default class TestStrategy {
         return patterns;
     }
 
-    generateCypressConfig(analysis, strategy) {
-        console.log(chalk.blue('⚙️  Generando configuración Cypress...'));
+    generateCypressConfig(analysis, strategy, options = {}) {
+        logger.info(t('strategy.config'));
         
         const baseConfig = {
             e2e: {
+                baseUrl: options.baseUrl,
+                specPattern: 'cypress/e2e/**/*.cy.{js,jsx,ts,tsx}',
                 setupNodeEvents(on, config) {
                     // implement node event listeners here
                 },
@@ -162,7 +309,18 @@ export default class TestStrategy {
             }
         };
 
-        const frameworkConfig = frameworkConfigs[analysis.framework] || frameworkConfigs.traditional;
+        // Los meta-frameworks usan la configuración de su librería de UI
+        const frameworkConfig = frameworkConfigs[analysis.framework]
+            || frameworkConfigs[baseFramework(analysis.framework)]
+            || frameworkConfigs.traditional;
+
+        // Component testing: devServer según el framework y bundler de los componentes
+        if (options.componentTesting) {
+            baseConfig.component = {
+                devServer: options.componentTesting.devServer,
+                specPattern: options.componentTesting.specPattern
+            };
+        }
         
         const config = {
             ...baseConfig,
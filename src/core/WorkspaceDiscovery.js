@@ -0,0 +1,202 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('WorkspaceDiscovery');
+
+// Sin `packages` en lerna.json ni workspaces declarados, Lerna y Nx usan estas carpetas
+const LERNA_DEFAULT_PATTERNS = ['packages/*'];
+const NX_DEFAULT_PATTERNS = ['apps/*', 'libs/*', 'packages/*'];
+const PACKAGE_MANIFESTS = ['package.json', 'project.json'];
+const MAX_PACKAGES = 50;
+const MAX_PATTERN_DEPTH = 5;
+
+export default class WorkspaceDiscovery {
+    /**
+     * Detecta workspaces de npm/yarn/bun (package.json), pnpm (pnpm-workspace.yaml), Lerna,
+     * Nx y Turborepo. Devuelve { tools, patterns, packages: [{ name, path, manifest }] }
+     * con las rutas relativas a la raíz, o null si el repositorio no es un monorepo.
+     */
+    async discover(repoPath) {
+        const packageJson = await readJson(path.join(repoPath, 'package.json')) || {};
+        const tools = [];
+        const patterns = [];
+
+        const workspaces = Array.isArray(packageJson.workspaces)
+            ? packageJson.workspaces
+            : (packageJson.workspaces && packageJson.workspaces.packages) || [];
+        if (workspaces.length > 0) {
+            tools.push(await this.workspaceManager(repoPath));
+            patterns.push(...workspaces);
+        }
+
+        const pnpmWorkspace = path.join(repoPath, 'pnpm-workspace.yaml');
+        if (await fs.pathExists(pnpmWorkspace)) {
+            tools.push('pnpm');
+            patterns.push(...parsePnpmWorkspace(await fs.readFile(pnpmWorkspace, 'utf8')));
+        }
+
+        const lerna = await readJson(path.join(repoPath, 'lerna.json'));
+        if (lerna) {
+            tools.push('lerna');
+            if (!lerna.useWorkspaces) patterns.push(...(lerna.packages || LERNA_DEFAULT_PATTERNS));
+        }
+
+        // Nx integrado: proyectos con project.json bajo apps/, libs/ y packages/
+        if (await fs.pathExists(path.join(repoPath, 'nx.json'))) {
+            tools.push('nx');
+            if (patterns.length === 0) patterns.push(...NX_DEFAULT_PATTERNS);
+        }
+
+        // Turborepo organiza las tareas; los paquetes salen de los workspaces del gestor
+        if (await fs.pathExists(path.join(repoPath, 'turbo.json'))) {
+            tools.push('turbo');
+        }
+
+        if (tools.length === 0) return null;
+
+        const uniquePatterns = [...new Set(patterns)];
+        const packages = await this.findPackages(repoPath, uniquePatterns);
+        if (packages.length === 0) return null;
+
+        logger.success(t('workspace.detected', { tools: tools.join(', '), count: packages.length }));
+        return { tools, patterns: uniquePatterns, packages };
+    }
+
+    async workspaceManager(repoPath) {
+        if (await fs.pathExists(path.join(repoPath, 'yarn.lock'))) return 'yarn';
+        if (await fs.pathExists(path.join(repoPath, 'bun.lockb')) || await fs.pathExists(path.join(repoPath, 'bun.lock'))) return 'bun';
+        return 'npm';
+    }
+
+    // Directorios que cumplen los patrones (los que empiezan por ! excluyen) y tienen package.json o project.json
+    async findPackages(repoPath, patterns) {
+        const included = new Set();
+        const excluded = new Set();
+
+        for (const pattern of patterns) {
+            const negated = pattern.startsWith('!');
+            const target = negated ? excluded : included;
+            for (const directory of await this.expandPattern(repoPath, negated ? pattern.slice(1) : pattern)) {
+                target.add(directory);
+            }
+        }
+
+        const packages = [];
+        for (const directory of [...included].sort()) {
+            if (excluded.has(directory) || directory === '') continue;
+            const workspacePackage = await this.readPackage(repoPath, directory);
+            if (workspacePackage) packages.push(workspacePackage);
+            if (packages.length >= MAX_PACKAGES) break;
+        }
+        return packages;
+    }
+
+    async readPackage(repoPath, directory) {
+        for (const manifest of PACKAGE_MANIFESTS) {
+            const contents = await readJson(path.join(repoPath, directory, manifest));
+            if (contents) {
+                return { name: contents.name || directory, path: directory, manifest };
+            }
+        }
+        return null;
+    }
+
+    // Patrón de workspace (apps/*, packages/**, ./tools/cli) -> directorios relativos con '/'
+    async expandPattern(repoPath, pattern) {
+        const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+        const matches = [];
+
+        const walk = async (directory, index, depth) => {
+            if (index === segments.length) {
+                matches.push(directory);
+                return;
+            }
+
+            const segment = segments[index];
+            if (segment === '**') {
+                await walk(directory, index + 1, depth);
+                if (depth >= MAX_PATTERN_DEPTH) return;
+                for (const child of await this.subdirectories(repoPath, directory)) {
+                    await walk(child, index, depth + 1);
+                }
+            } else if (!/[*?]/.test(segment)) {
+                const child = path.posix.join(directory, segment);
+                if (await isDirectory(path.join(repoPath, child))) await walk(child, index + 1, depth + 1);
+            } else {
+                const expression = segmentToRegExp(segment);
+                for (const child of await this.subdirectories(repoPath, directory)) {
+                    if (expression.test(path.posix.basename(child))) await walk(child, index + 1, depth + 1);
+                }
+            }
+        };
+
+        await walk('', 0, 0);
+        return matches;
+    }
+
+    async subdirectories(repoPath, directory) {
+        try {
+            const items = await fs.readdir(path.join(repoPath, directory), { withFileTypes: true });
+            return items
+                .filter(item => item.isDirectory() && item.name !== 'node_modules' && !item.name.startsWith('.'))
+                .map(item => path.posix.join(directory, item.name));
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+// Lista `packages` de pnpm-workspace.yaml, en forma de bloque o en línea, sin un parser YAML completo
+export function parsePnpmWorkspace(text) {
+    const patterns = [];
+    let inPackages = false;
+
+    for (const line of text.split(/\r?\n/)) {
+        const key = line.match(/^packages\s*:\s*(.*)$/);
+        if (key) {
+            const inline = key[1].match(/^\[(.*)\]/);
+            if (inline) {
+                patterns.push(...inline[1].split(',').map(unquote).filter(Boolean));
+                return patterns;
+            }
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages || !line.trim() || line.trim().startsWith('#')) continue;
+
+        const item = line.match(/^\s*-\s*(.+?)\s*(?:#.*)?$/);
+        if (!item) break;
+        patterns.push(unquote(item[1]));
+    }
+    return patterns;
+}
+
+function unquote(value) {
+    return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function segmentToRegExp(segment) {
+    const source = segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+async function readJson(file) {
+    try {
+        return await fs.readJson(file);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function isDirectory(fullPath) {
+    try {
+        return (await fs.stat(fullPath)).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,295 @@
+import fs from 'fs-extra';
+import path from 'path';
+import RequestValidator from '../security/RequestValidator.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Esquemas JSON publicados para las salidas de las etapas analyze, strategize y generate.
+ * ANALYSIS_SCHEMA_VERSION sube con cualquier cambio incompatible (campo renombrado o eliminado,
+ * tipo distinto); los campos nuevos se añaden sin cambiar de versión. El nivel superior de cada
+ * objeto es cerrado; los elementos de las listas exigen sus claves pero admiten campos extra.
+ */
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+const SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+const stringList = { type: 'array', items: { type: 'string' } };
+const objectList = { type: 'array', items: { type: 'object' } };
+
+const itemsWith = (required, properties = {}) => ({
+    type: 'array',
+    items: { type: 'object', required, properties }
+});
+
+const routeItems = itemsWith(['path'], {
+    path: { type: 'string' },
+    params: stringList,
+    dynamic: { type: 'boolean' },
+    sourceFile: { type: 'string' },
+    componentFile: { type: ['string', 'null'] },
+    framework: { type: 'string' }
+});
+
+const sourceInventory = {
+    type: 'object',
+    required: ['pages', 'routes', 'forms', 'buttons', 'links', 'selectors', 'endpoints', 'scannedFiles'],
+    properties: {
+        pages: itemsWith(['file']),
+        routes: routeItems,
+        forms: objectList,
+        buttons: objectList,
+        links: itemsWith(['href']),
+        selectors: objectList,
+        endpoints: objectList,
+        scannedFiles: { type: 'integer', minimum: 0 }
+    }
+};
+
+const cypressCheckBody = {
+    type: 'object',
+    required: ['hasPackageJson', 'hasCypressDependency', 'hasCypressConfig', 'hasComponentConfig', 'cypressConfigPath'],
+    additionalProperties: false,
+    properties: {
+        hasPackageJson: { type: 'boolean' },
+        hasCypressDependency: { type: 'boolean' },
+        hasCypressConfig: { type: 'boolean' },
+        hasComponentConfig: { type: 'boolean' },
+        cypressConfigPath: { type: ['string', 'null'] },
+        scripts: stringMap
+    }
+};
+
+// Paquetes de un monorepo; su `analysis` tiene la misma forma que el de la raíz (con workspace null)
+const workspace = {
+    type: 'object',
+    required: ['tools', 'patterns', 'packages'],
+    properties: {
+        tools: { type: 'array', items: { enum: ['npm', 'yarn', 'bun', 'pnpm', 'lerna', 'nx', 'turbo'] } },
+        patterns: stringList,
+        packages: itemsWith(['name', 'path', 'manifest', 'kind', 'analysis'], {
+            name: { type: 'string' },
+            path: { type: 'string' },
+            manifest: { enum: ['package.json', 'project.json'] },
+            kind: { enum: ['app', 'library'] },
+            analysis: { type: 'object', required: ['schemaVersion', 'projectType', 'framework'] },
+            cypressCheck: cypressCheckBody
+        })
+    }
+};
+
+// Cuerpos sin $id: se reutilizan dentro de analysisExportSchema sin registrar dos veces el mismo id
+const analysisBody = {
+    type: 'object',
+    required: [
+        'schemaVersion', 'projectType', 'framework', 'hasPackageJson', 'packageJson', 'dependencies',
+        'devDependencies', 'scripts', 'dependenciesInstalled', 'cypressInstalled', 'testingFrameworks',
+        'executableScripts', 'projectStructure', 'entryPoints', 'routes', 'components', 'testFiles',
+        'buildTools', 'buildScripts', 'sourceInventory', 'analysisDate'
+    ],
+    additionalProperties: false,
+    properties: {
+        schemaVersion: { const: ANALYSIS_SCHEMA_VERSION },
+        projectType: { type: 'string' },
+        framework: { type: 'string' },
+        // Añadido en la versión 1: los análisis que no lo traen se leen como []
+        frameworks: itemsWith(['name', 'confidence', 'evidence'], {
+            name: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            evidence: stringList
+        }),
+        hasPackageJson: { type: 'boolean' },
+        // Campos informativos de package.json (name, version, description, main, type, author)
+        packageJson: { type: ['object', 'null'] },
+        dependencies: stringMap,
+        devDependencies: stringMap,
+        scripts: stringMap,
+        dependenciesInstalled: { type: 'boolean' },
+        cypressInstalled: { type: 'boolean' },
+        testingFrameworks: stringList,
+        executableScripts: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['command', 'canExecute', 'type'],
+                properties: {
+                    command: { type: 'string' },
+                    canExecute: { type: 'boolean' },
+                    type: { type: 'string' }
+                }
+            }
+        },
+        projectStructure: itemsWith(['type', 'path', 'important'], {
+            type: { enum: ['directory', 'file'] },
+            path: { type: 'string' },
+            important: { type: 'boolean' }
+        }),
+        entryPoints: itemsWith(['path'], { path: { type: 'string' } }),
+        routes: routeItems,
+        components: itemsWith(['name', 'file'], {
+            name: { type: 'string' },
+            file: { type: 'string' },
+            // Props de ComponentDiscovery: { name, type, required, default }
+            props: itemsWith(['name'], {
+                name: { type: 'string' },
+                type: { type: 'string' },
+                required: { type: 'boolean' }
+            }),
+            emits: stringList
+        }),
+        testFiles: itemsWith(['path', 'type', 'framework']),
+        buildTools: itemsWith(['name', 'configFile']),
+        buildScripts: itemsWith(['name', 'command']),
+        sourceInventory: { anyOf: [{ type: 'null' }, sourceInventory] },
+        // Añadido en la versión 1: los análisis que no lo traen se leen como null
+        fileStats: {
+            anyOf: [{ type: 'null' }, {
+                type: 'object',
+                required: ['files', 'directories', 'ignored', 'skippedLarge', 'truncated', 'durationMs'],
+                properties: {
+                    files: { type: 'integer', minimum: 0 },
+                    directories: { type: 'integer', minimum: 0 },
+                    ignored: { type: 'integer', minimum: 0 },
+                    skippedLarge: { type: 'integer', minimum: 0 },
+                    truncated: { type: 'boolean' },
+                    durationMs: { type: 'number', minimum: 0 }
+                }
+            }]
+        },
+        // Añadido en la versión 1 sin romperla: los análisis que no lo traen se leen como null
+        workspace: { anyOf: [{ type: 'null' }, workspace] },
+        analysisDate: { type: 'string', minLength: 1 }
+    }
+};
+
+export const projectAnalysisSchema = { $schema: SCHEMA_DRAFT, $id: `project-analysis.v${ANALYSIS_SCHEMA_VERSION}`, ...analysisBody };
+
+export const cypressCheckSchema = { $schema: SCHEMA_DRAFT, $id: `cypress-check.v${ANALYSIS_SCHEMA_VERSION}`, ...cypressCheckBody };
+
+// Estrategia de TestStrategy.generateStrategy; la tabla de estrategias y la configuración pueden añadir campos
+export const testStrategySchema = {
+    $schema: SCHEMA_DRAFT,
+    $id: `test-strategy.v${ANALYSIS_SCHEMA_VERSION}`,
+    type: 'object',
+    required: ['name', 'projectType', 'framework', 'recommendedSpecs', 'secondsPerSpec', 'focusAreas', 'testPatterns', 'selectorStrategy'],
+    properties: {
+        name: { type: 'string' },
+        projectType: { type: 'string' },
+        framework: { type: 'string' },
+        priority: stringList,
+        recommendedSpecs: { type: 'integer', minimum: 0 },
+        secondsPerSpec: { type: 'number', minimum: 0 },
+        focusAreas: stringList,
+        testPatterns: stringList,
+        selectorStrategy: stringList
+    }
+};
+
+export const specSummarySchema = {
+    $schema: SCHEMA_DRAFT,
+    $id: `spec-summary.v${ANALYSIS_SCHEMA_VERSION}`,
+    type: 'object',
+    required: ['totalSpecs', 'specTypes', 'estimatedExecutionTime', 'focusAreas', 'sourceAwareSpecs', 'llmSpecs', 'pageObjects', 'componentSpecs'],
+    additionalProperties: false,
+    properties: {
+        totalSpecs: { type: 'integer', minimum: 0 },
+        specTypes: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+        estimatedExecutionTime: { type: 'number', minimum: 0 },
+        focusAreas: stringList,
+        sourceAwareSpecs: { type: 'integer', minimum: 0 },
+        llmSpecs: { type: 'integer', minimum: 0 },
+        pageObjects: { type: 'integer', minimum: 0 },
+        componentSpecs: { type: 'integer', minimum: 0 },
+        // Monorepo: specs generados por paquete
+        packages: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } }
+    }
+};
+
+// Documento de `analyze --json`: el análisis con la comprobación de Cypress y el origen del proyecto
+export const analysisExportSchema = {
+    $schema: SCHEMA_DRAFT,
+    $id: `analysis-export.v${ANALYSIS_SCHEMA_VERSION}`,
+    type: 'object',
+    required: ['analysis'],
+    properties: {
+        analysis: analysisBody,
+        cypressCheck: cypressCheckBody,
+        source: {
+            type: 'object',
+            required: ['repoName'],
+            properties: { repoName: { type: 'string' } }
+        }
+    }
+};
+
+// Salidas de cada etapa que se validan al terminar (clave del contexto -> esquema)
+export const STAGE_SCHEMAS = {
+    analyze: { analysis: projectAnalysisSchema, cypressCheck: cypressCheckSchema },
+    strategize: { strategy: testStrategySchema },
+    generate: { specSummary: specSummarySchema }
+};
+
+// details: [{ field, message }] con el mismo formato que RequestValidator
+export class AnalysisSchemaError extends Error {
+    constructor(source, details) {
+        super(`${source}: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`);
+        this.name = 'AnalysisSchemaError';
+        this.source = source;
+        this.details = details;
+    }
+}
+
+const validator = new RequestValidator();
+
+// Lanza AnalysisSchemaError si value no cumple el esquema; source identifica el objeto en el mensaje
+export function assertSchema(schema, value, source) {
+    const details = validator.validate(schema, value);
+    if (details.length > 0) {
+        throw new AnalysisSchemaError(source, details);
+    }
+    return value;
+}
+
+// Sin comprobación de Cypress (documento importado, paquete sin ella) se asume un proyecto
+// sin Cypress: se genera el scaffold
+export const NO_CYPRESS_CHECK = {
+    hasPackageJson: false,
+    hasCypressDependency: false,
+    hasCypressConfig: false,
+    hasComponentConfig: false,
+    cypressConfigPath: null,
+    scripts: {}
+};
+
+/**
+ * Lee un análisis exportado con `analyze --json` (o solo el objeto analysis) para generar
+ * en otra máquina. Devuelve { analysis, cypressCheck, source }; source.projectPath es null
+ * porque la ruta del proyecto solo tenía sentido donde se analizó.
+ */
+export async function readAnalysisExport(file) {
+    let document;
+    try {
+        document = await fs.readJson(file);
+    } catch (error) {
+        throw new AnalysisSchemaError(file, [{ field: t('config.fileField'), message: t(error.code === 'ENOENT' ? 'analysis.exportMissing' : 'analysis.exportInvalidJson') }]);
+    }
+
+    const exported = document && typeof document === 'object' && 'analysis' in document
+        ? document
+        : { analysis: document };
+    assertSchema(analysisExportSchema, exported, file);
+
+    const source = exported.source || {};
+    return {
+        analysis: { frameworks: [], fileStats: null, workspace: null, ...exported.analysis },
+        cypressCheck: exported.cypressCheck || NO_CYPRESS_CHECK,
+        source: {
+            repoName: source.repoName || path.basename(file, path.extname(file)),
+            projectPath: null,
+            isLocal: true,
+            ref: source.ref ?? null,
+            commit: source.commit ?? null,
+            subdirectory: source.subdirectory ?? null
+        }
+    };
+}
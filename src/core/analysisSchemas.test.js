@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import ProjectAnalyzer from './ProjectAnalyzer.js';
+import { assertSchema, projectAnalysisSchema } from './analysisSchemas.js';
+import { configureLogger } from './Logger.js';
+
+configureLogger({ level: 'error' });
+
+test('un componente con props cumple el esquema del análisis', async () => {
+    const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-schema-'));
+    try {
+        await fs.writeJson(path.join(repoPath, 'package.json'), { name: 'button-app', dependencies: { react: '18.0.0' } });
+        await fs.outputFile(path.join(repoPath, 'src/components/Button.jsx'), [
+            "export default function Button({ label, onClick, size = 'md' }) {",
+            '    return <button onClick={onClick}>{label}</button>;',
+            '}',
+            'Button.propTypes = { label: PropTypes.string.isRequired };'
+        ].join('\n'));
+
+        const analysis = await new ProjectAnalyzer().deepAnalysis(repoPath);
+
+        const [button] = analysis.components;
+        assert.deepEqual(button.props.map(prop => prop.name), ['label', 'size']);
+        assert.equal(button.props[0].required, true);
+        assert.doesNotThrow(() => assertSchema(projectAnalysisSchema, analysis, 'analysis'));
+    } finally {
+        await fs.remove(repoPath);
+    }
+});
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Proceso hijo de SpecRunner: carga el Cypress del proyecto y llama a cypress.run() con el entorno
+// limpio que recibe, de modo que setupNodeEvents y los plugins del repositorio no ven las variables
+// del host. Uso: node runCypress.js <opciones.json> <resultado.json>
+const [optionsFile, resultFile] = process.argv.slice(2);
+const options = JSON.parse(fs.readFileSync(optionsFile, 'utf8'));
+
+let cypress;
+try {
+    cypress = createRequire(path.join(options.project, 'package.json'))('cypress');
+} catch (error) {
+    fs.writeFileSync(resultFile, JSON.stringify({ notInstalled: true, error: error.message }));
+    process.exit(0);
+}
+
+const result = await cypress.run(options);
+fs.writeFileSync(resultFile, JSON.stringify(result));
@@ -0,0 +1,263 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../core/Logger.js';
+import { quote } from './SourceAwareSpecBuilder.js';
+import { t, specTranslator } from '../i18n/index.js';
+
+const logger = createLogger('ComponentSpecGenerator');
+
+// Directorio (dentro de la salida) donde se guardan los specs de componentes
+const COMPONENT_OUTPUT_DIR = 'component';
+
+// Genera specs de componentes (cy.mount) a partir de analysis.components
+export default class ComponentSpecGenerator {
+    constructor(options = {}) {
+        this.text = specTranslator(options.specLanguage);
+    }
+
+    generateComponentSpecs(analysis) {
+        const components = analysis.components || [];
+        if (components.length === 0) return [];
+
+        logger.info(t('componentSpecs.generating'));
+
+        const specs = components.map(component => {
+            const extension = component.framework === 'angular' ? 'ts' : 'jsx';
+            const specName = `${path.basename(component.file).replace(/\.(component\.ts|[^.]+)$/, '')}.cy.${extension}`;
+            const specPath = path.posix.join(path.posix.dirname(component.file), specName);
+
+            return {
+                name: specName,
+                type: 'component-mounting',
+                component: component.name,
+                framework: component.framework,
+                content: this.buildSpecHeader(component) + this.buildSpec(component, analysis),
+                generatedFrom: 'source',
+                path: specPath
+            };
+        });
+
+        logger.success(t('componentSpecs.generated', { count: specs.length }));
+        return specs;
+    }
+
+    buildSpecHeader(component) {
+        const text = this.text;
+        return `// ${text('header.componentSpec')}
+// ${text('header.component')}: ${component.file}
+// Framework: ${component.framework}
+// ${text('header.date')}: ${new Date().toISOString()}
+
+`;
+    }
+
+    buildSpec(component, analysis) {
+        switch (component.framework) {
+            case 'vue':
+                return this.buildVueSpec(component, analysis);
+            case 'svelte':
+                return this.buildSvelteSpec(component);
+            case 'angular':
+                return this.buildAngularSpec(component);
+            default:
+                return this.buildReactSpec(component);
+        }
+    }
+
+    // Props obligatorias (o sin tipo ni valor por defecto) con un valor de ejemplo según su tipo
+    mountProps(component) {
+        return component.props
+            .filter(prop => prop.required || (prop.type === undefined && prop.default === undefined))
+            .map(prop => ({ name: prop.name, value: this.sampleValue(prop) }));
+    }
+
+    sampleValue(prop) {
+        const type = prop.type && prop.type !== 'unknown' ? prop.type : this.guessType(prop.name);
+
+        switch (type) {
+            case 'number': return '42';
+            case 'boolean': return 'true';
+            case 'array': return '[]';
+            case 'object': return '{}';
+            case 'function': return '() => {}';
+            default: return quote(this.text('sample.prop', { name: prop.name }));
+        }
+    }
+
+    guessType(name) {
+        if (/^(is|has|show|can|should)[A-Z]|^(disabled|open|visible|loading|checked|active)$/.test(name)) return 'boolean';
+        if (/(count|total|size|index|page|amount|price|max|min)$/i.test(name)) return 'number';
+        if (/(items|list|options|rows|entries|data)$/i.test(name) || /[^s]s$/.test(name)) return 'array';
+        return 'string';
+    }
+
+    renderedTextTests(component, mountProps, mountCommand) {
+        return mountProps
+            .filter(prop => component.rendersProps.includes(prop.name) && prop.value.startsWith("'"))
+            .map(prop => this.test(this.text('component.showsProp', { name: prop.name }), [
+                mountCommand,
+                `cy.contains(${prop.value}).should('be.visible')`
+            ]));
+    }
+
+    buildReactSpec(component) {
+        const props = this.mountProps(component);
+        const callbacks = component.emits;
+        const attributes = [
+            ...props.map(prop => prop.value.startsWith("'") ? `${prop.name}=${prop.value.replace(/^'|'$/g, '"')}` : `${prop.name}={${prop.value}}`),
+            ...callbacks.map(callback => `${callback}={cy.spy().as(${quote(callback)})}`)
+        ];
+        const mount = `cy.mount(<${component.name}${attributes.length > 0 ? ' ' + attributes.join(' ') : ''} />)`;
+        const importLine = component.exportName === 'default'
+            ? `import ${component.name} from ${quote('./' + this.importName(component))}`
+            : `import { ${component.exportName} } from ${quote('./' + this.importName(component))}`;
+
+        return this.describeComponent(importLine, component, mount, props, callbacks.map(callback => `@${callback}`));
+    }
+
+    buildVueSpec(component, analysis) {
+        const props = this.mountProps(component);
+        const vue2 = this.majorVersion(analysis, 'vue') === 2;
+        const propEntries = props.map(prop => `${prop.name}: ${prop.value}`);
+        const eventEntries = component.emits.map(event => `${vue2 ? quote(event) : this.vueListenerName(event)}: cy.spy().as(${quote(event)})`);
+
+        // Vue 3 recibe los listeners como props onX; Vue 2 usa propsData y listeners
+        const options = vue2
+            ? [
+                ...(propEntries.length > 0 ? [`propsData: { ${propEntries.join(', ')} }`] : []),
+                ...(eventEntries.length > 0 ? [`listeners: { ${eventEntries.join(', ')} }`] : [])
+            ]
+            : [...propEntries, ...eventEntries].length > 0
+                ? [`props: { ${[...propEntries, ...eventEntries].join(', ')} }`]
+                : [];
+
+        const mount = `cy.mount(${component.name}${options.length > 0 ? `, { ${options.join(', ')} }` : ''})`;
+        const importLine = `import ${component.name} from ${quote('./' + path.basename(component.file))}`;
+
+        return this.describeComponent(importLine, component, mount, props, component.emits.map(event => `@${event}`));
+    }
+
+    vueListenerName(event) {
+        const camel = event.replace(/[:-](\w)/g, (match, char) => char.toUpperCase());
+        return `on${camel[0].toUpperCase()}${camel.slice(1)}`;
+    }
+
+    buildSvelteSpec(component) {
+        const props = this.mountProps(component);
+        const propEntries = props.map(prop => `${prop.name}: ${prop.value}`);
+        const mount = `cy.mount(${component.name}${propEntries.length > 0 ? `, { props: { ${propEntries.join(', ')} } }` : ''})`;
+        const mountWithEvents = component.emits.length > 0
+            ? `${mount}.then(({ component }) => {\n${component.emits.map(event => `      component.$on(${quote(event)}, cy.spy().as(${quote(event)}))`).join('\n')}\n    })`
+            : mount;
+        const importLine = `import ${component.name} from ${quote('./' + path.basename(component.file))}`;
+
+        return this.describeComponent(importLine, component, mountWithEvents, props, component.emits.map(event => `@${event}`));
+    }
+
+    buildAngularSpec(component) {
+        const props = this.mountProps(component);
+        const entries = [
+            ...props.map(prop => `${prop.name}: ${prop.value}`),
+            ...component.emits.map(output => `${output}: createOutputSpy(${quote(output + 'Spy')})`)
+        ];
+        const mount = `cy.mount(${component.name}${entries.length > 0 ? `, { componentProperties: { ${entries.join(', ')} } }` : ''})`;
+        const importLines = [
+            ...(component.emits.length > 0 ? [`import { createOutputSpy } from 'cypress/angular'`] : []),
+            `import { ${component.name} } from ${quote('./' + this.importName(component))}`
+        ].join('\n');
+
+        return this.describeComponent(importLines, component, mount, props, component.emits.map(output => `@${output}Spy`));
+    }
+
+    importName(component) {
+        return path.basename(component.file).replace(/\.(jsx|tsx|ts)$/, '');
+    }
+
+    describeComponent(importLine, component, mount, props, spyAliases) {
+        const tests = [
+            this.test(this.text('component.mounts'), [
+                mount,
+                `cy.get('[data-cy-root]').should('not.be.empty')`
+            ]),
+            ...this.renderedTextTests(component, props, mount)
+        ];
+
+        if (spyAliases.length > 0) {
+            tests.push(this.test(this.text('component.noEvents'), [
+                mount,
+                ...spyAliases.map(alias => `cy.get(${quote(alias)}).should('not.have.been.called')`)
+            ]));
+        }
+
+        const title = component.framework === 'react' ? `<${component.name} />` : component.name;
+        return `${importLine}\n\ndescribe(${quote(title)}, () => {\n${tests.join('\n\n')}\n})\n`;
+    }
+
+    test(title, commands) {
+        return `  it(${quote(title)}, () => {\n${commands.map(command => `    ${command}`).join('\n')}\n  })`;
+    }
+
+    majorVersion(analysis, dependency) {
+        const range = { ...analysis.dependencies, ...analysis.devDependencies }[dependency];
+        const match = range && String(range).match(/(\d+)/);
+        return match ? Number(match[1]) : null;
+    }
+
+    // Adaptador de montaje y devServer para la sección component de cypress.config
+    componentTestingSetup(analysis) {
+        const allDeps = { ...analysis.dependencies, ...analysis.devDependencies };
+        const frameworks = new Set((analysis.components || []).map(component => component.framework));
+        if (frameworks.size === 0) return null;
+
+        const framework = frameworks.has('angular') ? 'angular'
+            : frameworks.has('vue') ? 'vue'
+                : frameworks.has('svelte') ? 'svelte'
+                    : 'react';
+
+        const devServerFramework = {
+            react: allDeps.next ? 'next' : allDeps['react-scripts'] ? 'create-react-app' : 'react',
+            vue: allDeps['@vue/cli-service'] ? 'vue-cli' : 'vue',
+            svelte: 'svelte',
+            angular: 'angular'
+        }[framework];
+
+        const mountModule = {
+            react: this.majorVersion(analysis, 'react') >= 18 ? 'cypress/react18' : 'cypress/react',
+            vue: this.majorVersion(analysis, 'vue') === 2 ? 'cypress/vue2' : 'cypress/vue',
+            svelte: 'cypress/svelte',
+            angular: 'cypress/angular'
+        }[framework];
+
+        // Limitar el specPattern a las carpetas de componentes para no recoger los specs e2e
+        const roots = [...new Set(analysis.components.map(component => component.file.split('/')[0]))];
+        const specPattern = roots.length === 1 && roots[0] !== 'cypress' && roots[0].indexOf('.') === -1
+            ? `${roots[0]}/**/*.cy.{js,jsx,ts,tsx}`
+            : '**/*.cy.{js,jsx,ts,tsx}';
+
+        return {
+            framework,
+            mountModule,
+            specPattern,
+            devServer: {
+                framework: devServerFramework,
+                bundler: allDeps.vite && framework !== 'angular' ? 'vite' : 'webpack'
+            }
+        };
+    }
+
+    // Cada spec se guarda junto a la ruta relativa de su componente para que el import funcione al copiarlo
+    async saveComponentSpecs(specs, outputPath) {
+        if (specs.length === 0) return true;
+
+        try {
+            for (const spec of specs) {
+                await fs.outputFile(path.join(outputPath, COMPONENT_OUTPUT_DIR, spec.path), spec.content);
+                logger.debug(`   🧩 ${COMPONENT_OUTPUT_DIR}/${spec.path}`);
+            }
+            return true;
+        } catch (error) {
+            logger.error(t('componentSpecs.saveFailed', { error: error.message }));
+            return false;
+        }
+    }
+}
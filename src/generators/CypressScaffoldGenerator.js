@@ -0,0 +1,287 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../core/Logger.js';
+import { quote } from './SourceAwareSpecBuilder.js';
+import { t, specTranslator } from '../i18n/index.js';
+
+const logger = createLogger('CypressScaffoldGenerator');
+
+const SCAFFOLD_DIR = 'cypress-scaffold';
+const DEFAULT_TEST_ATTRIBUTE = 'data-cy';
+
+// Versiones que se proponen en el parche de package.json
+const DEV_DEPENDENCIES = {
+    cypress: '^13.6.0',
+    mochawesome: '^7.1.3'
+};
+
+const SCRIPTS = {
+    'cy:open': 'cypress open',
+    'cy:run': 'cypress run',
+    'test:e2e': 'cypress run --e2e'
+};
+
+// Genera la configuración completa de Cypress para proyectos que no la tienen,
+// como un paquete de archivos revisable junto a los specs
+export default class CypressScaffoldGenerator {
+    // options.specLanguage: idioma de los comentarios y fixtures generados (en, es)
+    constructor(testStrategy, options = {}) {
+        this.testStrategy = testStrategy;
+        this.text = specTranslator(options.specLanguage);
+    }
+
+    async generate({ analysis, strategy, cypressCheck, baseUrl, projectPath, componentTesting = null }) {
+        logger.info(t('scaffold.generating'));
+
+        const language = await this.detectLanguage(analysis, projectPath);
+        const moduleSystem = language === 'ts' || (analysis.packageJson && analysis.packageJson.type === 'module') ? 'esm' : 'cjs';
+        const config = this.testStrategy.generateCypressConfig(analysis, strategy, { baseUrl, componentTesting });
+
+        const files = [
+            { path: `cypress.config.${language}`, content: this.renderConfig(config, moduleSystem) },
+            { path: `cypress/support/e2e.${language}`, content: this.renderSupportFile() },
+            { path: `cypress/support/commands.${language}`, content: this.renderCommands(analysis, language) },
+            { path: 'cypress/fixtures/example.json', content: this.renderJson({ name: this.text('sample.name'), email: 'test@example.com', body: this.text('sample.fixtureBody') }) },
+            { path: 'cypress/fixtures/user.json', content: this.renderJson({ email: 'test@example.com', password: 'Password123!' }) }
+        ];
+
+        if (componentTesting) {
+            files.push(
+                { path: `cypress/support/component.${language}`, content: this.renderComponentSupportFile(componentTesting, language) },
+                { path: 'cypress/support/component-index.html', content: this.renderComponentIndex() }
+            );
+        }
+
+        return {
+            baseUrl,
+            language,
+            moduleSystem,
+            files,
+            packageJsonPatch: this.buildPackageJsonPatch(analysis, cypressCheck, componentTesting)
+        };
+    }
+
+    async detectLanguage(analysis, projectPath) {
+        const allDeps = { ...analysis.dependencies, ...analysis.devDependencies };
+        if (allDeps.typescript) return 'ts';
+        if (projectPath && await fs.pathExists(path.join(projectPath, 'tsconfig.json'))) return 'ts';
+        return 'js';
+    }
+
+    // Solo se proponen las dependencias y scripts que el proyecto aún no tiene
+    buildPackageJsonPatch(analysis, cypressCheck, componentTesting) {
+        const allDeps = { ...analysis.dependencies, ...analysis.devDependencies };
+        const scripts = (cypressCheck && cypressCheck.scripts) || analysis.scripts || {};
+
+        const devDependencies = Object.fromEntries(
+            Object.entries(DEV_DEPENDENCIES).filter(([name]) => !allDeps[name]));
+        const wantedScripts = componentTesting ? { ...SCRIPTS, 'test:component': 'cypress run --component' } : SCRIPTS;
+        const newScripts = Object.fromEntries(
+            Object.entries(wantedScripts).filter(([name]) => !scripts[name]));
+
+        return { devDependencies, scripts: newScripts };
+    }
+
+    renderConfig(config, moduleSystem) {
+        const { e2e, ...settings } = config;
+        const { setupNodeEvents, ...e2eSettings } = e2e;
+
+        const e2eLines = [
+            ...this.renderEntries(e2eSettings, '    '),
+            '    setupNodeEvents(on, config) {\n' +
+            `      // ${this.text('scaffold.setupNodeEvents')}\n` +
+            '      return config\n' +
+            '    }'
+        ];
+        const lines = [
+            ...this.renderEntries(settings, '  '),
+            `  e2e: {\n${e2eLines.join(',\n')}\n  }`
+        ];
+
+        const header = moduleSystem === 'esm'
+            ? `import { defineConfig } from 'cypress'\n\nexport default defineConfig({`
+            : `const { defineConfig } = require('cypress')\n\nmodule.exports = defineConfig({`;
+
+        return `${header}\n${lines.join(',\n')}\n})\n`;
+    }
+
+    renderEntries(object, indent) {
+        return Object.entries(object)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${indent}${key}: ${this.renderValue(value, indent)}`);
+    }
+
+    renderValue(value, indent) {
+        if (typeof value === 'string') return quote(value);
+        if (value && typeof value === 'object') {
+            const entries = this.renderEntries(value, indent + '  ');
+            return `{\n${entries.join(',\n')}\n${indent}}`;
+        }
+        return String(value);
+    }
+
+    renderSupportFile() {
+        return `// ${this.text('scaffold.support')}
+import './commands'
+
+// ${this.text('scaffold.uncaughtExceptions')}
+Cypress.on('uncaught:exception', () => false)
+`;
+    }
+
+    renderComponentSupportFile(componentTesting, language) {
+        const support = `// ${this.text('scaffold.componentSupport')}
+import './commands'
+import { mount } from '${componentTesting.mountModule}'
+
+Cypress.Commands.add('mount', mount)
+`;
+
+        if (language !== 'ts') return support;
+
+        return `${support}
+declare global {
+  namespace Cypress {
+    interface Chainable {
+      mount: typeof mount
+    }
+  }
+}
+`;
+    }
+
+    renderComponentIndex() {
+        return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1.0">
+    <title>Components App</title>
+  </head>
+  <body>
+    <div data-cy-root></div>
+  </body>
+</html>
+`;
+    }
+
+    renderCommands(analysis, language) {
+        const attribute = this.primaryTestAttribute(analysis);
+        const login = this.loginSelectors(analysis);
+
+        const example = this.text('scaffold.selectorExample');
+        const likeExample = this.text('scaffold.selectorLikeExample');
+        const commands = `// ${this.text('scaffold.commands')}
+
+// cy.getBySel('${example}') → [${attribute}="${example}"]
+Cypress.Commands.add('getBySel', (selector, ...args) => {
+  return cy.get(\`[${attribute}="\${selector}"]\`, ...args)
+})
+
+// cy.getBySelLike('${likeExample}') → [${attribute}*="${likeExample}"]
+Cypress.Commands.add('getBySelLike', (selector, ...args) => {
+  return cy.get(\`[${attribute}*="\${selector}"]\`, ...args)
+})
+
+// ${this.text('scaffold.login')}
+Cypress.Commands.add('login', (email, password) => {
+  cy.fixture('user').then(user => {
+    const credentials = { email: email || user.email, password: password || user.password }
+
+    cy.session(credentials.email, () => {
+      cy.visit(${quote(login.route)})
+      cy.get(${quote(login.email)}).type(credentials.email)
+      cy.get(${quote(login.password)}).type(credentials.password, { log: false })
+      cy.get(${quote(login.submit)}).click()
+      cy.location('pathname').should('not.eq', ${quote(login.route)})
+    })
+  })
+})
+`;
+
+        if (language !== 'ts') return commands;
+
+        return `${commands}
+declare global {
+  namespace Cypress {
+    interface Chainable {
+      getBySel(selector: string, ...args: any[]): Chainable<JQuery<HTMLElement>>
+      getBySelLike(selector: string, ...args: any[]): Chainable<JQuery<HTMLElement>>
+      login(email?: string, password?: string): Chainable<void>
+    }
+  }
+}
+
+export {}
+`;
+    }
+
+    // Atributo de test más usado en el código, o el primero de la estrategia de selectores
+    primaryTestAttribute(analysis) {
+        const inventory = analysis.sourceInventory;
+        const counts = {};
+
+        for (const entry of (inventory && inventory.selectors) || []) {
+            counts[entry.attribute] = (counts[entry.attribute] || 0) + 1;
+        }
+
+        const [mostUsed] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return mostUsed ? mostUsed[0] : DEFAULT_TEST_ATTRIBUTE;
+    }
+
+    // Usa el formulario con campo de contraseña del inventario si existe
+    loginSelectors(analysis) {
+        const inventory = analysis.sourceInventory;
+        const form = inventory && inventory.forms.find(candidate =>
+            candidate.fields.some(field => field.type === 'password'));
+
+        const defaults = {
+            route: '/login',
+            email: 'input[type="email"], input[name*="email"], input[name*="user"]',
+            password: 'input[type="password"]',
+            submit: '[type="submit"]'
+        };
+
+        if (!form) return defaults;
+
+        const password = form.fields.find(field => field.type === 'password');
+        const email = form.fields.find(field => field !== password && ['email', 'text'].includes(field.type || 'text'));
+
+        return {
+            route: form.route ||
+                (analysis.routes || []).find(route => route.componentFile === form.file && !route.dynamic)?.path ||
+                (analysis.routes || []).find(route => /log-?in|sign-?in|acceso/i.test(route.path))?.path ||
+                defaults.route,
+            email: email ? email.selector : defaults.email,
+            password: password.selector,
+            submit: form.submit && form.submit.selector ? form.submit.selector : defaults.submit
+        };
+    }
+
+    renderJson(data) {
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    async saveScaffold(scaffold, outputDir) {
+        const scaffoldDir = path.join(outputDir, SCAFFOLD_DIR);
+
+        try {
+            await fs.emptyDir(scaffoldDir);
+
+            for (const file of scaffold.files) {
+                await fs.outputFile(path.join(scaffoldDir, file.path), file.content);
+                logger.debug(`   📄 ${SCAFFOLD_DIR}/${file.path}`);
+            }
+
+            await fs.writeJson(path.join(scaffoldDir, 'package.patch.json'), scaffold.packageJsonPatch, { spaces: 2 });
+            logger.debug(`   📄 ${SCAFFOLD_DIR}/package.patch.json`);
+
+            logger.success(t('scaffold.saved', { path: scaffoldDir }));
+            return scaffoldDir;
+
+        } catch (error) {
+            logger.error(t('scaffold.saveFailed', { error: error.message }));
+            return null;
+        }
+    }
+}
@@ -0,0 +1,224 @@
+import { quote } from './SourceAwareSpecBuilder.js';
+
+// Deriva page objects (una clase por ruta descubierta) del inventario del código.
+// Los specs en modo POM importan estas clases en lugar de repetir selectores.
+
+export const PAGE_OBJECT_DIR = 'pages';
+
+const MAX_PAGE_OBJECTS = 20;
+const MAX_ELEMENTS_PER_PAGE = 15;
+
+export default class PageObjectBuilder {
+    constructor(specBuilder) {
+        // SourceAwareSpecBuilder: rutas visitables y valores de ejemplo compartidos con los specs en línea
+        this.specBuilder = specBuilder;
+    }
+
+    build(analysis) {
+        const inventory = analysis.sourceInventory;
+        if (!inventory || inventory.scannedFiles === 0) return [];
+
+        const routes = this.specBuilder.visitableRoutes(analysis);
+        if (!routes.includes('/')) routes.unshift('/');
+
+        const usedClassNames = new Set();
+        return routes.slice(0, MAX_PAGE_OBJECTS).map(route => {
+            const className = this.uniqueName(this.classNameFor(route), usedClassNames);
+            return this.buildPageObject(route, className, analysis);
+        });
+    }
+
+    buildPageObject(route, className, analysis) {
+        const inventory = analysis.sourceInventory;
+        // Los elementos de archivos que no se renderizan en una ruta conocida no entran en ningún page object
+        const onRoute = item => this.specBuilder.routesOf(item, analysis).includes(route);
+        const usedNames = new Set(['path', 'visit', 'shouldBeOpen', 'heading']);
+
+        const page = inventory.pages.find(onRoute);
+        const elements = [];
+        const addElement = (baseName, selector, kind) => {
+            const existing = elements.find(element => element.selector === selector);
+            if (existing) return existing;
+            if (elements.length >= MAX_ELEMENTS_PER_PAGE) return null;
+
+            const element = { name: this.uniqueName(baseName, usedNames), selector, kind };
+            elements.push(element);
+            return element;
+        };
+
+        const forms = inventory.forms
+            .filter(form => onRoute(form) && form.fields.length > 0)
+            .map((form, i) => {
+                const formName = this.formName(form, i);
+                const fields = form.fields
+                    .map(field => {
+                        const element = addElement(this.elementName(field.name || field.placeholder || field.selector, field.tag === 'select' ? 'Select' : 'Input'), field.selector, 'field');
+                        return element ? { ...field, getter: element.name } : null;
+                    })
+                    .filter(Boolean);
+                const submit = form.submit && form.submit.selector
+                    ? addElement(this.elementName(form.submit.text || form.submit.selector, 'Button'), form.submit.selector, 'button')
+                    : null;
+                const formElement = !form.implicit && form.selector
+                    ? addElement(`${formName}Form`, form.selector, 'form')
+                    : null;
+
+                const hasSubmit = Boolean(submit || (form.submit && form.submit.text) || formElement);
+
+                return {
+                    name: formName,
+                    fillMethod: `fill${this.pascalCase(formName)}Form`,
+                    submitMethod: hasSubmit ? `submit${this.pascalCase(formName)}Form` : null,
+                    fields,
+                    submitGetter: submit ? submit.name : null,
+                    submitText: form.submit && !form.submit.selector ? form.submit.text : null,
+                    formGetter: formElement ? formElement.name : null,
+                    hasRequiredFields: form.fields.some(field => field.required)
+                };
+            });
+
+        inventory.selectors.filter(onRoute).forEach(entry =>
+            addElement(this.elementName(entry.value, this.kindSuffix(entry.tag)), entry.selector, 'element'));
+
+        const buttons = inventory.buttons
+            .filter(button => onRoute(button) && button.selector)
+            .map(button => addElement(this.elementName(button.text || button.selector, 'Button'), button.selector, 'button'))
+            .filter(Boolean);
+
+        const links = inventory.links
+            .filter(link => onRoute(link) && link.text && link.href.startsWith('/') && !/[:*[]/.test(link.href))
+            .slice(0, 5)
+            .map(link => ({
+                method: this.uniqueName(`goTo${this.pascalCase(link.text) || 'Link'}`, usedNames),
+                selector: link.selector,
+                getter: (elements.find(element => element.selector === link.selector) || {}).name,
+                text: link.text,
+                target: link.href.split(/[?#]/)[0] || '/'
+            }));
+
+        return {
+            className,
+            fileName: `${className}.js`,
+            importPath: `./${PAGE_OBJECT_DIR}/${className}`,
+            route,
+            title: page ? page.title : null,
+            heading: page && page.headings.length > 0 ? page.headings[0] : null,
+            elements,
+            buttons,
+            forms,
+            links
+        };
+    }
+
+    render(pageObject) {
+        const members = [
+            `  constructor() {\n    this.path = ${quote(pageObject.route)}\n  }`,
+            `  visit() {\n    cy.visit(this.path)\n    return this\n  }`,
+            `  shouldBeOpen() {\n    cy.location('pathname').should('eq', this.path)\n    return this\n  }`
+        ];
+
+        if (pageObject.heading) {
+            members.push(`  get heading() {\n    return cy.contains(${quote(pageObject.heading)})\n  }`);
+        }
+
+        pageObject.elements.forEach(element => {
+            members.push(`  get ${element.name}() {\n    return cy.get(${quote(element.selector)})\n  }`);
+        });
+
+        pageObject.forms.forEach(form => {
+            const fill = form.fields.map(field => `    ${this.fillStatement(field)}`);
+            members.push(`  ${form.fillMethod}(data = {}) {\n${fill.join('\n')}\n    return this\n  }`);
+
+            const submit = form.submitGetter
+                ? `this.${form.submitGetter}.click()`
+                : form.submitText
+                    ? `cy.contains('button', ${quote(form.submitText)}).click()`
+                    : form.formGetter ? `this.${form.formGetter}.submit()` : null;
+            if (form.submitMethod) {
+                members.push(`  ${form.submitMethod}() {\n    ${submit}\n    return this\n  }`);
+            }
+        });
+
+        pageObject.links.forEach(link => {
+            const click = link.getter
+                ? `this.${link.getter}.first().click()`
+                : link.selector
+                    ? `cy.get(${quote(link.selector)}).first().click()`
+                    : `cy.contains('a', ${quote(link.text)}).click()`;
+            members.push(`  ${link.method}() {\n    ${click}\n    return this\n  }`);
+        });
+
+        return `// ${this.specBuilder.text('header.pageObject', { route: pageObject.route })}
+export default class ${pageObject.className} {
+${members.join('\n\n')}
+}
+`;
+    }
+
+    fillStatement(field) {
+        const target = `this.${field.getter}.first()`;
+        const key = this.camelCase(field.name) || field.getter;
+
+        switch (field.type) {
+            case 'checkbox':
+            case 'radio':
+                return `${target}.check()`;
+            case 'select':
+                return `if (data.${key} !== undefined) ${target}.select(data.${key})`;
+            case 'file':
+                return `${target}.should('exist')`;
+            default:
+                return `${target}.clear().type(data.${key} ?? ${quote(this.specBuilder.sampleValue(field))})`;
+        }
+    }
+
+    // ---------- Nombres ----------
+
+    classNameFor(route) {
+        if (route === '/') return 'HomePage';
+        return `${this.pascalCase(route.replace(/:/g, '')) || 'Home'}Page`;
+    }
+
+    formName(form, index) {
+        const source = form.selector && form.selector !== 'form' ? form.selector : (index === 0 ? 'main' : `form${index + 1}`);
+        return this.camelCase(source.replace(/form/gi, '')) || 'main';
+    }
+
+    elementName(source, suffix) {
+        const base = this.camelCase(String(source).replace(/^\[[\w-]+="?|"?\]$/g, '')) || 'element';
+        return base.toLowerCase().endsWith(suffix.toLowerCase()) ? base : `${base}${suffix}`;
+    }
+
+    kindSuffix(tag) {
+        if (['input', 'textarea'].includes(tag)) return 'Input';
+        if (tag === 'select') return 'Select';
+        if (tag === 'button') return 'Button';
+        if (tag === 'a') return 'Link';
+        return '';
+    }
+
+    words(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^A-Za-z0-9]+|(?<=[a-z])(?=[A-Z])/)
+            .filter(Boolean)
+            .slice(0, 4);
+    }
+
+    pascalCase(text) {
+        return this.words(text).map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('').replace(/^\d+/, '');
+    }
+
+    camelCase(text) {
+        const pascal = this.pascalCase(text);
+        return pascal ? pascal[0].toLowerCase() + pascal.slice(1) : '';
+    }
+
+    uniqueName(name, used) {
+        let candidate = name;
+        for (let i = 2; used.has(candidate); i++) candidate = `${name}${i}`;
+        used.add(candidate);
+        return candidate;
+    }
+}
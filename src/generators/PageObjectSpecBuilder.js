@@ -0,0 +1,187 @@
+import SourceAwareSpecBuilder, { quote } from './SourceAwareSpecBuilder.js';
+
+const MAX_PAGES_PER_SPEC = 8;
+const MAX_ELEMENTS_PER_TEST = 5;
+
+// Specs en estilo Page Object Model: los selectores viven en los page objects
+// y el spec solo encadena sus acciones y getters
+export default class PageObjectSpecBuilder extends SourceAwareSpecBuilder {
+    // Devuelve { content, pageObjects } o null si no hay page objects útiles para el tipo de spec
+    buildWithPageObjects(specType, analysis, index, pageObjects) {
+        if (pageObjects.length === 0) return null;
+
+        const used = new Set();
+        const ref = pageObject => {
+            used.add(pageObject);
+            return this.instanceName(pageObject);
+        };
+
+        let body;
+        switch (this.categoryFor(specType)) {
+            case 'navigation':
+                body = this.buildPomNavigationSpec(pageObjects, index, ref);
+                break;
+            case 'forms':
+                body = this.buildPomFormSpec(pageObjects, index, ref);
+                break;
+            case 'api':
+                body = this.buildPomApiSpec(analysis.sourceInventory, pageObjects, index, ref);
+                break;
+            case 'interactions':
+                body = this.buildPomInteractionSpec(pageObjects, index, ref);
+                break;
+            default:
+                body = this.buildPomSmokeSpec(pageObjects, index, ref);
+        }
+
+        if (!body) return null;
+
+        const usedPageObjects = [...used];
+        const imports = usedPageObjects.map(pageObject =>
+            `import ${pageObject.className} from ${quote(pageObject.importPath)}`);
+        const instances = usedPageObjects.map(pageObject =>
+            `const ${this.instanceName(pageObject)} = new ${pageObject.className}()`);
+
+        return {
+            content: `${imports.join('\n')}\n\n${instances.join('\n')}\n\n${body}`,
+            pageObjects: usedPageObjects.map(pageObject => pageObject.className)
+        };
+    }
+
+    instanceName(pageObject) {
+        return pageObject.className[0].toLowerCase() + pageObject.className.slice(1);
+    }
+
+    buildPomSmokeSpec(pageObjects, index, ref) {
+        const pageObject = this.pickByIndex(pageObjects, index);
+        const page = ref(pageObject);
+
+        const tests = [
+            this.test(this.text('smoke.loads'), [
+                `${page}.shouldBeOpen()`,
+                `cy.get('body').should('be.visible')`
+            ]),
+            this.test(this.text('smoke.title'), [
+                pageObject.title
+                    ? `cy.title().should('eq', ${quote(pageObject.title)})`
+                    : `cy.title().should('not.be.empty')`
+            ])
+        ];
+
+        if (pageObject.heading) {
+            tests.push(this.test(this.text('smoke.heading'), [
+                `${page}.heading.should('be.visible')`
+            ]));
+        }
+
+        const keyElements = pageObject.elements.filter(element => element.kind === 'element').slice(0, MAX_ELEMENTS_PER_TEST);
+        if (keyElements.length > 0) {
+            tests.push(this.test(this.text('smoke.keyElements'), keyElements
+                .map(element => `${page}.${element.name}.should('exist')`)));
+        }
+
+        return this.describe(`Smoke: ${pageObject.route}`, `${page}.visit()`, tests);
+    }
+
+    buildPomNavigationSpec(pageObjects, index, ref) {
+        if (pageObjects.length < 2) return null;
+
+        const selected = this.rotate(pageObjects, index * MAX_PAGES_PER_SPEC).slice(0, MAX_PAGES_PER_SPEC);
+        const tests = [
+            this.test(this.text('navigation.eachRoute'), selected.map(pageObject =>
+                `${ref(pageObject)}.visit().shouldBeOpen()`))
+        ];
+
+        pageObjects
+            .flatMap(pageObject => pageObject.links.map(link => ({ pageObject, link })))
+            .slice(0, 3)
+            .forEach(({ pageObject, link }) => {
+                const target = pageObjects.find(candidate => candidate.route === link.target);
+                tests.push(this.test(this.text('navigation.followLink', { text: link.text }), [
+                    `${ref(pageObject)}.visit().${link.method}()`,
+                    target
+                        ? `${ref(target)}.shouldBeOpen()`
+                        : `cy.location('pathname').should('eq', ${quote(link.target)})`
+                ]));
+            });
+
+        return this.describe(this.text('navigation.describe'), null, tests);
+    }
+
+    buildPomFormSpec(pageObjects, index, ref) {
+        const candidates = pageObjects.flatMap(pageObject => pageObject.forms.map(form => ({ pageObject, form })));
+        const selected = this.pickByIndex(candidates, index);
+        if (!selected) return null;
+
+        const { pageObject, form } = selected;
+        const page = ref(pageObject);
+
+        const tests = [
+            this.test(this.text('forms.fillValid'), [
+                `${page}.${form.fillMethod}()${form.submitMethod ? `.${form.submitMethod}()` : ''}`
+            ])
+        ];
+
+        if (form.formGetter && form.hasRequiredFields) {
+            tests.push(this.test(this.text('forms.blockRequired'), [
+                `${page}.${form.formGetter}.then($form => {`,
+                `  expect($form[0].checkValidity()).to.be.false`,
+                `})`
+            ]));
+        }
+
+        return this.describe(this.text('forms.describePageObject', { name: form.name, route: pageObject.route }), `${page}.visit()`, tests);
+    }
+
+    buildPomApiSpec(inventory, pageObjects, index, ref) {
+        if (inventory.endpoints.length === 0) return null;
+
+        const home = pageObjects.find(pageObject => pageObject.route === '/') || pageObjects[0];
+        const page = ref(home);
+        const endpoints = this.rotate(inventory.endpoints, index * 3).slice(0, 3);
+        const aliases = endpoints.map((endpoint, i) => `api${i + 1}`);
+
+        const tests = [
+            this.test(this.text('api.intercept'), [
+                ...endpoints.map((endpoint, i) =>
+                    `cy.intercept(${quote(endpoint.method)}, ${quote(endpoint.url)}).as(${quote(aliases[i])})`),
+                `${page}.visit()`,
+                ...endpoints.map((endpoint, i) => this.isLoadedOnMount(inventory, endpoint)
+                    ? `cy.wait(${quote('@' + aliases[i])}).its('response.statusCode').should('be.lessThan', 400)`
+                    : `// ${this.text('api.afterInteraction', endpoint)}`)
+            ]),
+            this.test(this.text('api.resilient'), [
+                ...endpoints.map(endpoint =>
+                    `cy.intercept(${quote(endpoint.method)}, ${quote(endpoint.url)}, { statusCode: 500, body: {} })`),
+                `${page}.visit()`,
+                `cy.get('body').should('be.visible')`
+            ])
+        ];
+
+        return this.describe(this.text('api.describe'), null, tests);
+    }
+
+    buildPomInteractionSpec(pageObjects, index, ref) {
+        const withElements = pageObjects.filter(pageObject =>
+            pageObject.elements.some(element => element.kind === 'element' || element.kind === 'button'));
+        const pageObject = this.pickByIndex(withElements, index);
+        if (!pageObject) return null;
+
+        const page = ref(pageObject);
+        const tests = [];
+
+        const testElements = pageObject.elements.filter(element => element.kind === 'element').slice(0, MAX_ELEMENTS_PER_TEST);
+        if (testElements.length > 0) {
+            tests.push(this.test(this.text('interactions.testIds'), testElements
+                .map(element => `${page}.${element.name}.should('exist')`)));
+        }
+
+        const buttons = pageObject.buttons.slice(0, MAX_ELEMENTS_PER_TEST);
+        if (buttons.length > 0) {
+            tests.push(this.test(this.text('interactions.buttons'), buttons
+                .map(button => `${page}.${button.name}.should('be.visible')`)));
+        }
+
+        return this.describe(this.text('interactions.describeRoute', { route: pageObject.route }), `${page}.visit()`, tests);
+    }
+}
@@ -0,0 +1,310 @@
+// Construye specs a partir del inventario extraído del código (SourceScanner)
+// en lugar de las plantillas fijas. Devuelve null cuando no hay datos suficientes.
+
+import { specTranslator } from '../i18n/index.js';
+
+const PATTERN_CATEGORIES = {
+    navigation: ['navigation-testing', 'page-navigation', 'router-navigation', 'router-testing', 'multi-page-testing', 'user-journey'],
+    forms: ['form-testing', 'form-submission', 'form-validation', 'form-actions'],
+    api: ['api-testing', 'api-calls', 'http-calls', 'vuex-actions', 'api-routes'],
+    interactions: [
+        'user-interactions', 'event-handling', 'state-changes', 'computed-properties',
+        'store-updates', 'signal-updates', 'island-hydration', 'lazy-interactions'
+    ]
+};
+
+const MAX_ROUTES_PER_SPEC = 8;
+const MAX_ELEMENTS_PER_TEST = 5;
+
+export default class SourceAwareSpecBuilder {
+    // options.specLanguage: idioma de títulos, comentarios y datos de ejemplo (en, es)
+    constructor(options = {}) {
+        this.text = specTranslator(options.specLanguage);
+    }
+
+    categoryFor(specType) {
+        for (const [category, patterns] of Object.entries(PATTERN_CATEGORIES)) {
+            if (patterns.includes(specType)) return category;
+        }
+        return 'smoke';
+    }
+
+    build(specType, analysis, index) {
+        const inventory = analysis.sourceInventory;
+        if (!inventory || inventory.scannedFiles === 0) return null;
+
+        switch (this.categoryFor(specType)) {
+            case 'navigation':
+                return this.buildNavigationSpec(analysis, index);
+            case 'forms':
+                return this.buildFormSpec(analysis, index);
+            case 'api':
+                return this.buildApiSpec(analysis, index);
+            case 'interactions':
+                return this.buildInteractionSpec(analysis, index);
+            default:
+                return this.buildSmokeSpec(analysis, index);
+        }
+    }
+
+    // Rutas sin parámetros: mapa de rutas del analizador más las halladas en enlaces y HTML
+    visitableRoutes(analysis) {
+        const routes = [...(analysis.routes || []), ...(analysis.sourceInventory ? analysis.sourceInventory.routes : [])];
+        return [...new Set(routes.filter(route => !route.dynamic).map(route => route.path))];
+    }
+
+    // Rutas que renderizan el archivo; el archivo que solo declara el router no pertenece a ninguna
+    routesForFile(analysis, file) {
+        return (analysis.routes || [])
+            .filter(candidate => candidate.componentFile === file && !candidate.dynamic)
+            .map(candidate => candidate.path);
+    }
+
+    routeForFile(analysis, file) {
+        return this.routesForFile(analysis, file)[0] || null;
+    }
+
+    // Rutas en las que aparece un elemento del inventario: la suya, las de su archivo o la raíz si la app no
+    // tiene mapa de rutas. Vacío cuando el archivo no se renderiza en una ruta conocida (no se afirma nada)
+    routesOf(item, analysis) {
+        if (item.route) return [item.route];
+        const fileRoutes = this.routesForFile(analysis, item.file);
+        if (fileRoutes.length > 0) return fileRoutes;
+        const page = analysis.sourceInventory.pages.find(candidate => candidate.file === item.file && candidate.route);
+        if (page) return [page.route];
+        return (analysis.routes || []).length === 0 ? ['/'] : [];
+    }
+
+    routeOf(item, analysis) {
+        return this.routesOf(item, analysis)[0] || null;
+    }
+
+    pickByIndex(items, index) {
+        return items.length > 0 ? items[index % items.length] : null;
+    }
+
+    // Rota la lista para que specs consecutivos cubran elementos distintos
+    rotate(items, offset) {
+        if (items.length === 0) return [];
+        const start = offset % items.length;
+        return [...items.slice(start), ...items.slice(0, start)];
+    }
+
+    buildSmokeSpec(analysis, index) {
+        const inventory = analysis.sourceInventory;
+        const route = this.pickByIndex(this.visitableRoutes(analysis), index) || '/';
+        const page = inventory.pages.find(candidate => this.routesOf(candidate, analysis).includes(route));
+
+        const tests = [
+            this.test(this.text('smoke.loads'), [
+                `cy.get('body').should('be.visible')`
+            ]),
+            this.test(this.text('smoke.title'), [
+                page && page.title
+                    ? `cy.title().should('eq', ${quote(page.title)})`
+                    : `cy.title().should('not.be.empty')`
+            ])
+        ];
+
+        if (page && page.headings.length > 0) {
+            tests.push(this.test(this.text('smoke.heading'), [
+                `cy.contains(${quote(page.headings[0])}).should('be.visible')`
+            ]));
+        }
+
+        if (page && page.testIds.length > 0) {
+            tests.push(this.test(this.text('smoke.keyElements'), page.testIds
+                .slice(0, MAX_ELEMENTS_PER_TEST)
+                .map(selector => `cy.get(${quote(selector)}).should('exist')`)));
+        }
+
+        return this.describe(`Smoke: ${route}`, `cy.visit(${quote(route)})`, tests);
+    }
+
+    buildNavigationSpec(analysis, index) {
+        const inventory = analysis.sourceInventory;
+        const routes = this.visitableRoutes(analysis);
+        if (routes.length < 2) return null;
+
+        const selectedRoutes = this.rotate(routes, index * MAX_ROUTES_PER_SPEC).slice(0, MAX_ROUTES_PER_SPEC);
+
+        const tests = [
+            this.test(this.text('navigation.eachRoute'), selectedRoutes.flatMap(route => [
+                `cy.visit(${quote(route)})`,
+                `cy.location('pathname').should('eq', ${quote(route)})`
+            ]))
+        ];
+
+        const clickableLinks = inventory.links
+            .filter(link => link.text && link.href.startsWith('/') && !/[:*[]/.test(link.href))
+            .slice(0, 3);
+
+        clickableLinks.forEach(link => {
+            const target = link.href.split(/[?#]/)[0] || '/';
+            tests.push(this.test(this.text('navigation.followLink', { text: link.text }), [
+                `cy.visit('/')`,
+                link.selector
+                    ? `cy.get(${quote(link.selector)}).first().click()`
+                    : `cy.contains('a', ${quote(link.text)}).click()`,
+                `cy.location('pathname').should('eq', ${quote(target)})`
+            ]));
+        });
+
+        return this.describe(this.text('navigation.describe'), null, tests);
+    }
+
+    buildFormSpec(analysis, index) {
+        const forms = analysis.sourceInventory.forms.filter(form => form.fields.length > 0 && this.routeOf(form, analysis));
+        const form = this.pickByIndex(forms, index);
+        if (!form) return null;
+
+        const route = this.routeOf(form, analysis);
+        const fillCommands = form.fields.flatMap(field => this.fillField(field));
+        const submitCommand = this.submitCommand(form);
+
+        const tests = [
+            this.test(this.text('forms.fillValid'), [
+                ...fillCommands,
+                ...(submitCommand ? [submitCommand] : [])
+            ])
+        ];
+
+        if (!form.implicit && form.fields.some(field => field.required)) {
+            tests.push(this.test(this.text('forms.blockRequired'), [
+                `cy.get(${quote(form.selector)}).then($form => {`,
+                `  expect($form[0].checkValidity()).to.be.false`,
+                `})`
+            ]));
+        }
+
+        const title = form.selector && form.selector !== 'form'
+            ? this.text('forms.describe', { selector: form.selector })
+            : this.text('forms.describeInFile', { file: form.file });
+        return this.describe(title, `cy.visit(${quote(route)})`, tests);
+    }
+
+    fillField(field) {
+        const target = `cy.get(${quote(field.selector)}).first()`;
+
+        switch (field.type) {
+            case 'checkbox':
+            case 'radio':
+                return [`${target}.check().should('be.checked')`];
+            case 'select':
+                return [`${target}.find('option').its('length').should('be.gte', 1)`];
+            case 'file':
+                return [`${target}.should('exist')`];
+            default: {
+                const value = this.sampleValue(field);
+                return [`${target}.clear().type(${quote(value)}).should('have.value', ${quote(value)})`];
+            }
+        }
+    }
+
+    sampleValue(field) {
+        const hint = `${field.name || ''} ${field.placeholder || ''}`.toLowerCase();
+
+        switch (field.type) {
+            case 'email': return 'test@example.com';
+            case 'password': return 'Password123!';
+            case 'number': return '42';
+            case 'tel': return '600000000';
+            case 'url': return 'https://example.com';
+            case 'date': return '2024-01-01';
+            default:
+                if (hint.includes('mail')) return 'test@example.com';
+                if (hint.includes('name') || hint.includes('nombre')) return this.text('sample.name');
+                if (hint.includes('search') || hint.includes('buscar')) return 'test';
+                return this.text('sample.text');
+        }
+    }
+
+    submitCommand(form) {
+        if (form.submit && form.submit.selector) return `cy.get(${quote(form.submit.selector)}).click()`;
+        if (form.submit && form.submit.text) return `cy.contains('button', ${quote(form.submit.text)}).click()`;
+        if (!form.implicit) return `cy.get(${quote(form.selector)}).submit()`;
+        return null;
+    }
+
+    buildApiSpec(analysis, index) {
+        const inventory = analysis.sourceInventory;
+        if (inventory.endpoints.length === 0) return null;
+
+        const endpoints = this.rotate(inventory.endpoints, index * 3).slice(0, 3);
+        // Solo se espera la petición si la página que la lanza al montarse es la portada que se visita
+        const onLoad = endpoints.filter(endpoint =>
+            this.isLoadedOnMount(inventory, endpoint) && this.routesOf(endpoint, analysis).includes('/'));
+        const aliases = endpoints.map((endpoint, i) => `api${i + 1}`);
+
+        const tests = [
+            this.test(this.text('api.intercept'), [
+                ...endpoints.map((endpoint, i) =>
+                    `cy.intercept(${quote(endpoint.method)}, ${quote(endpoint.url)}).as(${quote(aliases[i])})`),
+                `cy.visit('/')`,
+                ...endpoints
+                    .map((endpoint, i) => onLoad.includes(endpoint)
+                        ? `cy.wait(${quote('@' + aliases[i])}).its('response.statusCode').should('be.lessThan', 400)`
+                        : `// ${this.text('api.afterInteraction', endpoint)}`)
+            ]),
+            this.test(this.text('api.resilient'), [
+                ...endpoints.map(endpoint =>
+                    `cy.intercept(${quote(endpoint.method)}, ${quote(endpoint.url)}, { statusCode: 500, body: {} })`),
+                `cy.visit('/')`,
+                `cy.get('body').should('be.visible')`
+            ])
+        ];
+
+        return this.describe(this.text('api.describe'), null, tests);
+    }
+
+    isLoadedOnMount(inventory, endpoint) {
+        return endpoint.method === 'GET' &&
+            inventory.pages.some(page => page.file === endpoint.file && page.loadsDataOnMount);
+    }
+
+    // Una ruta por spec, con los selectores y botones de los archivos que se renderizan en ella
+    buildInteractionSpec(analysis, index) {
+        const inventory = analysis.sourceInventory;
+        const candidates = [...inventory.selectors, ...inventory.buttons.filter(button => button.text || button.selector)];
+        const routes = [...new Set(candidates.flatMap(item => this.routesOf(item, analysis)))];
+        const route = this.pickByIndex(routes, index);
+        if (!route) return null;
+
+        const onRoute = item => this.routesOf(item, analysis).includes(route);
+        const buttons = inventory.buttons.filter(button => (button.text || button.selector) && onRoute(button));
+        const selectors = inventory.selectors.filter(onRoute);
+        const tests = [];
+
+        if (selectors.length > 0) {
+            tests.push(this.test(this.text('interactions.testIds'), this.rotate(selectors, index * MAX_ELEMENTS_PER_TEST)
+                .slice(0, MAX_ELEMENTS_PER_TEST)
+                .map(entry => `cy.get(${quote(entry.selector)}).should('exist')`)));
+        }
+
+        const visibleButtons = buttons.slice(0, MAX_ELEMENTS_PER_TEST);
+        if (visibleButtons.length > 0) {
+            tests.push(this.test(this.text('interactions.buttons'), visibleButtons.map(button =>
+                button.selector
+                    ? `cy.get(${quote(button.selector)}).should('be.visible')`
+                    : `cy.contains('button', ${quote(button.text)}).should('be.visible')`)));
+        }
+
+        const title = route === '/' ? this.text('interactions.describe') : this.text('interactions.describeRoute', { route });
+        return this.describe(title, `cy.visit(${quote(route)})`, tests);
+    }
+
+    test(title, commands) {
+        return `  it(${quote(title)}, () => {\n${commands.map(command => `    ${command}`).join('\n')}\n  })`;
+    }
+
+    describe(title, beforeEachCommand, tests) {
+        const hook = beforeEachCommand
+            ? `  beforeEach(() => {\n    ${beforeEachCommand}\n  })\n\n`
+            : '';
+        return `describe(${quote(title)}, () => {\n${hook}${tests.join('\n\n')}\n})`;
+    }
+}
+
+export function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, ' ')}'`;
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SourceAwareSpecBuilder from './SourceAwareSpecBuilder.js';
+
+const selector = (value, file) => ({ selector: `[data-cy="${value}"]`, attribute: 'data-cy', value, tag: 'button', text: value, attributes: {}, file });
+
+// App.jsx declara el router; Home.jsx y Login.jsx son los componentes que renderiza cada ruta
+const analysis = {
+    routes: [
+        { path: '/', params: [], dynamic: false, sourceFile: 'src/App.jsx', componentFile: 'src/pages/Home.jsx' },
+        { path: '/login', params: [], dynamic: false, sourceFile: 'src/App.jsx', componentFile: 'src/pages/Login.jsx' }
+    ],
+    sourceInventory: {
+        scannedFiles: 3,
+        routes: [],
+        pages: [
+            { file: 'src/pages/Home.jsx', route: null, title: null, headings: ['Welcome'], testIds: ['[data-cy="start"]'] },
+            { file: 'src/pages/Login.jsx', route: null, title: null, headings: ['Sign in'], testIds: ['[data-cy="login-submit"]'] },
+            { file: 'src/components/Modal.jsx', route: null, title: null, headings: [], testIds: ['[data-cy="modal"]'] }
+        ],
+        selectors: [selector('start', 'src/pages/Home.jsx'), selector('login-submit', 'src/pages/Login.jsx'), selector('modal', 'src/components/Modal.jsx')],
+        buttons: [{ text: 'Enter', selector: '[data-cy="login-submit"]', type: 'submit', tag: 'button', attributes: {}, file: 'src/pages/Login.jsx', route: null }],
+        links: [],
+        forms: [],
+        endpoints: []
+    }
+};
+
+test('el smoke de cada ruta solo afirma los elementos del componente que renderiza', () => {
+    const builder = new SourceAwareSpecBuilder({ specLanguage: 'en' });
+
+    const home = builder.build('component-rendering', analysis, 0);
+    assert.match(home, /cy\.visit\('\/'\)/);
+    assert.match(home, /data-cy="start"/);
+    assert.doesNotMatch(home, /login-submit|modal/);
+
+    const login = builder.build('component-rendering', analysis, 1);
+    assert.match(login, /cy\.visit\('\/login'\)/);
+    assert.match(login, /data-cy="login-submit"/);
+    assert.doesNotMatch(login, /data-cy="start"|modal/);
+});
+
+test('las interacciones visitan la ruta de sus botones y omiten archivos sin ruta', () => {
+    const builder = new SourceAwareSpecBuilder({ specLanguage: 'en' });
+
+    const login = builder.build('user-interactions', analysis, 1);
+    assert.match(login, /cy\.visit\('\/login'\)/);
+    assert.match(login, /data-cy="login-submit"/);
+    assert.doesNotMatch(login, /data-cy="start"|modal/);
+});
@@ -0,0 +1,383 @@
+import vm from 'vm';
+import fs from 'fs-extra';
+import { createLogger } from '../core/Logger.js';
+import { parse as parseHtml } from 'node-html-parser';
+import { quote } from './SourceAwareSpecBuilder.js';
+import { t, specTranslator } from '../i18n/index.js';
+
+const logger = createLogger('SpecRepairer');
+
+// Selectores que se prueban siempre después de la prioridad de la estrategia
+const DEFAULT_SELECTOR_PRIORITY = ['data-cy', 'data-testid', 'data-test', 'id', 'name', 'aria-label', 'placeholder'];
+
+const DEFAULT_MAX_ITERATIONS = 3;
+
+export default class SpecRepairer {
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+        this.text = specTranslator(options.specLanguage);
+    }
+
+    /**
+     * Ejecuta → repara → re-ejecuta hasta que todos los specs pasen o se agoten las iteraciones.
+     * `execute` recibe la lista de specs y devuelve el resultado de SpecRunner.execute.
+     */
+    async repairLoop({ specs, analysis, strategy, execute, maxIterations = this.maxIterations }) {
+        const attempts = [];
+        const triedSelectors = new Map();
+        let currentSpecs = specs.map(spec => ({ ...spec }));
+        let execution = null;
+
+        for (let iteration = 1; iteration <= maxIterations + 1; iteration++) {
+            execution = await execute(currentSpecs);
+
+            if (!execution.executed) break;
+
+            const failingSpecs = execution.specs.filter(spec => spec.status === 'failed');
+            if (failingSpecs.length === 0) {
+                const removed = attempts.filter(attempt => attempt.applied && attempt.degraded).length;
+                if (removed > 0) {
+                    logger.warn(t('repair.passingDegraded', { count: iteration - 1, removed }));
+                } else {
+                    logger.success(t('repair.allPassing', { count: iteration - 1 }));
+                }
+                break;
+            }
+
+            if (iteration > maxIterations) {
+                logger.warn(t('repair.limitReached', { count: maxIterations }));
+                break;
+            }
+
+            logger.info(t('repair.iteration', { iteration, count: failingSpecs.length }));
+
+            let changed = false;
+            for (const failingSpec of failingSpecs) {
+                const index = currentSpecs.findIndex(spec => spec.name === failingSpec.name);
+                if (index === -1) continue;
+
+                for (const test of failingSpec.tests.filter(candidate => candidate.state === 'failed')) {
+                    const failure = {
+                        error: test.error || '',
+                        domSnapshot: test.domSnapshot ? await fs.readFile(test.domSnapshot, 'utf8').catch(() => null) : null
+                    };
+
+                    const repair = this.repairSpec(currentSpecs[index], failure, analysis, strategy, triedSelectors);
+                    attempts.push({
+                        iteration,
+                        spec: failingSpec.name,
+                        test: test.title,
+                        failureType: repair.failureType,
+                        action: repair.action,
+                        from: repair.from,
+                        to: repair.to,
+                        applied: repair.applied,
+                        degraded: repair.degraded
+                    });
+
+                    if (repair.applied) {
+                        currentSpecs[index] = { ...currentSpecs[index], content: repair.content, repaired: true };
+                        changed = true;
+                    }
+                }
+            }
+
+            if (!changed) {
+                logger.warn(t('repair.noFixes'));
+                break;
+            }
+        }
+
+        // Comentar un comando o aceptar una redirección a otra ruta hace pasar el spec sin haber arreglado
+        // nada: esos cambios quedan sin resolver y el resultado solo converge si todo pasa sin ellos
+        const unresolved = attempts.filter(attempt => attempt.applied && attempt.degraded);
+        const passing = Boolean(execution && execution.executed && execution.success);
+
+        return {
+            specs: currentSpecs,
+            execution,
+            attempts,
+            iterations: new Set(attempts.map(attempt => attempt.iteration)).size,
+            converged: passing && unresolved.length === 0,
+            degraded: passing && unresolved.length > 0,
+            unresolved
+        };
+    }
+
+    classifyFailure(error) {
+        if (/Expected to find element: `([^`]+)`/.test(error)) return 'element-not-found';
+        if (/Expected to find content: '([^']*)'/.test(error)) return 'content-not-found';
+        if (/cy\.wait\(\)`? timed out waiting[\s\S]*No request ever occurred/.test(error)) return 'request-timeout';
+        if (/cy\.visit\(\) failed trying to load/.test(error)) return 'wrong-url';
+        if (/expected '([^']*)' to equal '([^']*)'/.test(error)) return 'wrong-url';
+        if (/Timed out retrying/.test(error)) return 'timeout';
+        return 'unknown';
+    }
+
+    repairSpec(spec, failure, analysis, strategy, triedSelectors) {
+        const failureType = this.classifyFailure(failure.error);
+        const base = { failureType, applied: false, degraded: false, content: spec.content, from: null, to: null, action: 'none' };
+        let repair = {};
+
+        switch (failureType) {
+            case 'element-not-found':
+                repair = this.repairSelector(spec, failure, analysis, strategy, triedSelectors);
+                break;
+            case 'content-not-found':
+                repair = this.repairContent(spec, failure);
+                break;
+            case 'request-timeout':
+                repair = this.repairRequestWait(spec, failure);
+                break;
+            case 'wrong-url':
+                repair = this.repairUrl(spec, failure);
+                break;
+            case 'timeout':
+                repair = this.increaseTimeout(spec);
+                break;
+        }
+
+        // Una reparación que rompe la sintaxis del spec se descarta
+        if (repair.applied && !this.isValidJavaScript(repair.content)) {
+            return { ...base, action: repair.action, from: repair.from, to: repair.to };
+        }
+
+        return { ...base, ...repair };
+    }
+
+    isValidJavaScript(content) {
+        try {
+            // Los imports de page objects (modo POM) no son válidos en un script
+            new vm.Script(content.replace(/^import\s.+$/gm, ''));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ---------- Reparaciones ----------
+
+    repairSelector(spec, failure, analysis, strategy, triedSelectors) {
+        const failedSelector = failure.error.match(/Expected to find element: `([^`]+)`/)[1];
+        const original = `cy.get(${quote(failedSelector)})`;
+        if (!spec.content.includes(original)) return {};
+
+        const tried = triedSelectors.get(`${spec.name}:${failedSelector}`) || new Set([failedSelector]);
+        const priority = [...(strategy.selectorStrategy || []), ...DEFAULT_SELECTOR_PRIORITY];
+        const dom = failure.domSnapshot ? parseHtml(failure.domSnapshot) : null;
+
+        const candidates = [
+            ...this.inventoryCandidates(analysis.sourceInventory, failedSelector, priority),
+            ...(dom ? this.domCandidates(dom, failedSelector, priority) : [])
+        ].filter(candidate => !tried.has(candidate.key));
+
+        // Con snapshot del DOM solo valen candidatos que existen realmente en la página
+        const viable = dom ? candidates.filter(candidate => this.existsInDom(dom, candidate)) : candidates;
+        const replacement = viable[0];
+
+        if (!replacement) {
+            return this.removeLines(spec, line => line.includes(original), failedSelector, 'remove-command');
+        }
+
+        tried.add(replacement.key);
+        triedSelectors.set(`${spec.name}:${failedSelector}`, tried);
+        triedSelectors.set(`${spec.name}:${replacement.key}`, tried);
+
+        return {
+            applied: true,
+            action: 'replace-selector',
+            from: original,
+            to: replacement.command,
+            content: spec.content.split(original).join(replacement.command)
+        };
+    }
+
+    inventoryCandidates(inventory, failedSelector, priority) {
+        if (!inventory) return [];
+
+        const entries = [
+            ...inventory.forms.flatMap(form => form.fields),
+            ...inventory.buttons,
+            ...inventory.links,
+            ...inventory.selectors
+        ].filter(entry => entry.selector === failedSelector && entry.attributes);
+
+        return entries.flatMap(entry => this.selectorsFor(entry.tag || '', entry.attributes, entry.text, priority));
+    }
+
+    // Busca en el DOM el elemento más parecido al selector fallido (tokens compartidos en atributos o texto)
+    domCandidates(dom, failedSelector, priority) {
+        const tokens = (failedSelector.match(/[A-Za-z]{3,}/g) || [])
+            .map(token => token.toLowerCase())
+            .filter(token => !['data', 'testid', 'test', 'input', 'button', 'name', 'aria', 'label'].includes(token));
+        if (tokens.length === 0) return [];
+
+        const scored = dom.querySelectorAll('*')
+            .map(element => {
+                const haystack = `${Object.values(element.attributes).join(' ')} ${element.childNodes.length <= 3 ? element.text : ''}`.toLowerCase();
+                const score = tokens.filter(token => haystack.includes(token)).length;
+                return { element, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+
+        return scored.flatMap(({ element }) => this.selectorsFor(
+            (element.rawTagName || '').toLowerCase(),
+            element.attributes,
+            element.text.trim(),
+            priority
+        ));
+    }
+
+    // Selectores candidatos en el orden de prioridad de la estrategia (selectorStrategy)
+    selectorsFor(tag, attributes, text, priority) {
+        const candidates = [];
+        const add = selector => candidates.push({ key: selector, selector, command: `cy.get(${quote(selector)})` });
+
+        for (const kind of priority) {
+            if (kind === 'data-*') {
+                Object.keys(attributes).filter(name => name.startsWith('data-')).forEach(name => add(`[${name}="${attributes[name]}"]`));
+            } else if (kind === 'id' && attributes.id) {
+                add(/^[A-Za-z][\w-]*$/.test(attributes.id) ? `#${attributes.id}` : `[id="${attributes.id}"]`);
+            } else if ((kind === 'class' || kind === 'className') && attributes.class) {
+                const className = attributes.class.split(/\s+/).find(name => /^[A-Za-z][\w-]*$/.test(name));
+                if (className) add(`${tag}.${className}`);
+            } else if (kind === 'role' && attributes.role) {
+                add(attributes['aria-label']
+                    ? `[role="${attributes.role}"][aria-label="${attributes['aria-label']}"]`
+                    : `[role="${attributes.role}"]`);
+            } else if (kind === 'name' && attributes.name) {
+                add(`${tag}[name="${attributes.name}"]`);
+            } else if (attributes[kind]) {
+                add(`[${kind}="${attributes[kind]}"]`);
+            }
+        }
+
+        if (text && tag) {
+            candidates.push({
+                key: `contains:${tag}:${text}`,
+                contains: { tag, text },
+                command: `cy.contains(${quote(tag)}, ${quote(text)})`
+            });
+        }
+
+        return candidates;
+    }
+
+    existsInDom(dom, candidate) {
+        try {
+            if (candidate.contains) {
+                return dom.querySelectorAll(candidate.contains.tag).some(element => element.text.includes(candidate.contains.text));
+            }
+            return Boolean(dom.querySelector(candidate.selector));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    repairContent(spec, failure) {
+        const text = failure.error.match(/Expected to find content: '([^']*)'/)[1];
+        const original = `cy.contains(${quote(text)})`;
+
+        // Si el DOM tiene un encabezado principal se usa como contenido esperado
+        if (failure.domSnapshot) {
+            const heading = parseHtml(failure.domSnapshot).querySelector('h1');
+            const headingText = heading ? heading.text.replace(/\s+/g, ' ').trim() : '';
+            if (headingText && spec.content.includes(original)) {
+                const replacement = `cy.contains('h1', ${quote(headingText)})`;
+                return {
+                    applied: true,
+                    action: 'replace-content',
+                    from: original,
+                    to: replacement,
+                    content: spec.content.split(original).join(replacement)
+                };
+            }
+        }
+
+        return this.removeLines(spec, line => line.includes(`cy.contains(`) && line.includes(quote(text)), text, 'remove-assertion');
+    }
+
+    repairRequestWait(spec, failure) {
+        const alias = (failure.error.match(/route: `([^`]+)`/) || failure.error.match(/alias:?\s*`?@?(\w+)/) || [])[1];
+        if (!alias) return {};
+
+        return this.removeLines(
+            spec,
+            line => line.includes(`cy.wait(${quote('@' + alias)})`),
+            `@${alias}`,
+            'remove-wait'
+        );
+    }
+
+    repairUrl(spec, failure) {
+        const mismatch = failure.error.match(/expected '([^']*)' to equal '([^']*)'/);
+        if (mismatch) {
+            const [, actual, expected] = mismatch;
+            const original = `cy.location('pathname').should('eq', ${quote(expected)})`;
+            if (spec.content.includes(original)) {
+                // Solo una diferencia de forma (barra final, mayúsculas, query o hash) se da por reparada;
+                // cualquier otra redirección (/dashboard → /login) puede ser un fallo real de la app
+                const replacement = `cy.location('pathname').should('eq', ${quote(actual)})`;
+                return {
+                    applied: true,
+                    degraded: normalizePathname(actual) !== normalizePathname(expected),
+                    action: 'replace-url',
+                    from: original,
+                    to: replacement,
+                    content: spec.content.split(original).join(replacement)
+                };
+            }
+        }
+
+        const unreachable = failure.error.match(/failed trying to load:\s*\n*\s*(\S+)/);
+        if (unreachable) {
+            const route = new URL(unreachable[1], 'http://localhost').pathname;
+            return this.removeLines(
+                spec,
+                line => line.includes(`cy.visit(${quote(route)})`) || line.includes(`should('eq', ${quote(route)})`),
+                route,
+                'remove-route'
+            );
+        }
+
+        return {};
+    }
+
+    increaseTimeout(spec) {
+        if (spec.content.includes('defaultCommandTimeout')) return {};
+
+        return {
+            applied: true,
+            action: 'increase-timeout',
+            from: null,
+            to: '{ defaultCommandTimeout: 15000 }',
+            content: spec.content.replace(/describe\((['"].*?['"]), \(\) =>/, 'describe($1, { defaultCommandTimeout: 15000 }, () =>')
+        };
+    }
+
+    // Último recurso: comentar los comandos que no pueden repararse, dejando constancia en el spec.
+    // El spec pierde esa comprobación, así que el cambio se marca como degradado
+    removeLines(spec, predicate, subject, action) {
+        let removed = 0;
+        const content = spec.content
+            .split('\n')
+            .map(line => {
+                if (!predicate(line) || line.trim().startsWith('//')) return line;
+                removed++;
+                const indent = line.match(/^\s*/)[0];
+                return `${indent}// ${this.text('repair.removed', { subject, line: line.trim() })}`;
+            })
+            .join('\n');
+
+        if (removed === 0) return {};
+        return { applied: true, degraded: true, action, from: subject, to: null, content };
+    }
+}
+
+// '/Login/?next=1#top' y '/login' son la misma ruta
+function normalizePathname(value) {
+    const pathname = value.split(/[?#]/)[0].toLowerCase();
+    return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
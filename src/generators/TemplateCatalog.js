@@ -0,0 +1,68 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import TemplatePack, { DEFAULT_PATTERN } from './TemplatePack.js';
+
+// Pack de serie: reproduce las plantillas de respaldo históricas del generador
+export const BUILT_IN_PACK_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates', 'default');
+
+let builtInPack = null;
+
+function loadBuiltInPack() {
+    builtInPack ||= TemplatePack.load(BUILT_IN_PACK_DIR, { builtIn: true });
+    return builtInPack;
+}
+
+/**
+ * Plantillas disponibles por patrón. De mayor a menor prioridad:
+ * `templates` de la configuración → `templatePack` de la configuración → pack de serie.
+ * El primer pack con plantilla para el patrón, o con una `default`, es el que la genera.
+ */
+export default class TemplateCatalog {
+    constructor(packs) {
+        this.packs = packs;
+    }
+
+    static async builtIn() {
+        return new TemplateCatalog([await loadBuiltInPack()]);
+    }
+
+    // settings: valores de ProjectConfig (rutas ya resueltas)
+    static async fromConfig(settings = {}) {
+        const packs = [];
+        if (Object.keys(settings.templates || {}).length > 0) {
+            packs.push(await TemplatePack.fromFiles('config', settings.templates));
+        }
+        if (settings.templatePack) {
+            packs.push(await TemplatePack.load(settings.templatePack));
+        }
+        packs.push(await loadBuiltInPack());
+        return new TemplateCatalog(packs);
+    }
+
+    // builtIn: false para buscar solo en las plantillas propias del usuario o del proyecto
+    resolve(pattern, { builtIn = true } = {}) {
+        const packs = builtIn ? this.packs : this.packs.filter(pack => !pack.builtIn);
+        for (const pack of packs) {
+            if (pack.has(pattern)) return { pack, pattern };
+            if (pack.has(DEFAULT_PATTERN)) return { pack, pattern: DEFAULT_PATTERN };
+        }
+        return null;
+    }
+
+    // Plantillas de cada pack por orden de prioridad, marcando cuáles quedan tapadas por otro pack
+    list() {
+        return this.packs.map(pack => ({
+            name: pack.name,
+            directory: pack.directory,
+            builtIn: pack.builtIn,
+            templates: pack.patterns.map(pattern => {
+                const active = this.resolve(pattern).pack;
+                return {
+                    pattern,
+                    file: pack.templates[pattern].file,
+                    overriddenBy: active === pack ? null : active.name
+                };
+            })
+        }));
+    }
+}
@@ -0,0 +1,162 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Handlebars from 'handlebars';
+import { quote } from './SourceAwareSpecBuilder.js';
+import RequestValidator from '../security/RequestValidator.js';
+import { t } from '../i18n/index.js';
+
+export const PACK_MANIFEST = 'pack.json';
+
+// Plantilla que se usa para los patrones sin plantilla propia
+export const DEFAULT_PATTERN = 'default';
+
+export const templatePackSchema = {
+    $id: 'template-pack',
+    type: 'object',
+    required: ['name', 'templates'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: 'string', maxLength: 500 },
+        // Patrón de la estrategia (form-testing, navigation-testing...) o 'default' -> archivo del pack
+        templates: {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: { pattern: '^[a-z][a-z0-9-]*$' },
+            additionalProperties: { type: 'string', minLength: 1 }
+        },
+        // Parciales reutilizables desde cualquier plantilla del pack: {{> nombre}}
+        partials: {
+            type: 'object',
+            propertyNames: { pattern: '^[A-Za-z][\\w-]*$' },
+            additionalProperties: { type: 'string', minLength: 1 }
+        }
+    }
+};
+
+// details: [{ field, message }] con el mismo formato que RequestValidator
+export class TemplatePackError extends Error {
+    constructor(source, details) {
+        super(`${source}: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`);
+        this.name = 'TemplatePackError';
+        this.source = source;
+        this.details = details;
+    }
+}
+
+const validator = new RequestValidator();
+
+/**
+ * Pack de plantillas Handlebars para los specs: un directorio con pack.json y una plantilla
+ * por patrón. Las plantillas reciben el contexto de TestSpecGenerator.buildTemplateContext
+ * (rutas, formularios, selectores, endpoints...) y estos helpers:
+ * - {{quote valor}}: literal de cadena JS, para cy.get({{quote selector}});
+ * - {{t 'clave'}}: texto del catálogo de specs en el idioma del spec;
+ * - {{eq a b}}, {{json valor}} y {{limit lista n}} para condiciones y bucles.
+ */
+export default class TemplatePack {
+    constructor({ name, description = '', directory = null, templates, partials = {}, builtIn = false }) {
+        this.name = name;
+        this.description = description;
+        this.directory = directory;
+        this.templates = templates;
+        this.builtIn = builtIn;
+        this.handlebars = createHandlebars(partials);
+        this.compiled = new Map();
+    }
+
+    static async load(directory, { builtIn = false } = {}) {
+        const manifestFile = path.join(directory, PACK_MANIFEST);
+        if (!await fs.pathExists(manifestFile)) {
+            throw new TemplatePackError(directory, [{ field: PACK_MANIFEST, message: t('templates.manifestMissing') }]);
+        }
+
+        const manifest = await fs.readJson(manifestFile);
+        const details = validator.validate(templatePackSchema, manifest);
+        if (details.length > 0) {
+            throw new TemplatePackError(manifestFile, details);
+        }
+
+        return new TemplatePack({
+            name: manifest.name,
+            description: manifest.description,
+            directory,
+            templates: await readSources(directory, manifest.templates, manifestFile, 'templates'),
+            partials: await readSources(directory, manifest.partials || {}, manifestFile, 'partials'),
+            builtIn
+        });
+    }
+
+    // Pack sin directorio con las plantillas sueltas de la configuración: { patrón: archivo }
+    static async fromFiles(name, files) {
+        return new TemplatePack({ name, templates: await readSources(null, files, name, 'templates') });
+    }
+
+    get patterns() {
+        return Object.keys(this.templates);
+    }
+
+    has(pattern) {
+        return Object.hasOwn(this.templates, pattern);
+    }
+
+    // data.text: traductor de specTranslator para el helper t
+    render(pattern, context, data = {}) {
+        if (!this.compiled.has(pattern)) {
+            this.compiled.set(pattern, this.handlebars.compile(this.templates[pattern].source, { noEscape: true }));
+        }
+        return this.compiled.get(pattern)(context, { data });
+    }
+
+    // Compila y ejecuta cada plantilla en modo estricto: un campo mal escrito o un parcial que
+    // no existe se informa aquí en vez de producir specs incompletos. contextFor(patrón) -> contexto
+    validate(contextFor, data = {}) {
+        const details = [];
+        for (const [pattern, template] of Object.entries(this.templates)) {
+            try {
+                this.handlebars.compile(template.source, { noEscape: true, strict: true })(contextFor(pattern), { data });
+            } catch (error) {
+                details.push({ field: `templates.${pattern}`, message: `${template.file}: ${error.message.split('\n')[0]}` });
+            }
+        }
+        return details;
+    }
+}
+
+function createHandlebars(partials) {
+    const handlebars = Handlebars.create();
+
+    handlebars.registerHelper({
+        quote: value => quote(String(value ?? '')),
+        t: (key, options) => (options.data.text ? options.data.text(key, options.hash) : key),
+        eq: (left, right) => left === right,
+        json: value => JSON.stringify(value),
+        limit: (items, count) => (Array.isArray(items) ? items.slice(0, count) : [])
+    });
+
+    for (const [name, partial] of Object.entries(partials)) {
+        handlebars.registerPartial(name, partial.source);
+    }
+    return handlebars;
+}
+
+// Lee los archivos del manifiesto; con directorio, ninguno puede quedar fuera de él (ni mediante enlaces simbólicos)
+async function readSources(directory, files, source, field) {
+    const realDirectory = directory ? await fs.realpath(directory) : null;
+    const sources = {};
+    for (const [name, file] of Object.entries(files)) {
+        const fullPath = directory ? path.resolve(directory, file) : file;
+        if (!await fs.pathExists(fullPath)) {
+            throw new TemplatePackError(source, [{ field: `${field}.${name}`, message: t('templates.fileMissing', { file }) }]);
+        }
+
+        const relative = directory ? path.relative(realDirectory, await fs.realpath(fullPath)) : file;
+        if (directory && (relative.startsWith('..') || path.isAbsolute(relative))) {
+            throw new TemplatePackError(source, [{ field: `${field}.${name}`, message: t('templates.fileOutside', { file }) }]);
+        }
+
+        sources[name] = { file: relative, source: await fs.readFile(fullPath, 'utf8') };
+    }
+    return sources;
+}
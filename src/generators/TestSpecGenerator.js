@@ -1,151 +1,279 @@
 import fs from 'fs-extra';
 import path from 'path';
-import chalk from 'chalk';
-
-export default class TestSpecGenerator {
-    constructor() {
-        this.specTemplates = {
-            basic: `describe('Template Básico', () => {
-  beforeEach(() => {
-    cy.visit('/')
-  })
-
-  it('debería cargar la página principal', () => {
-    cy.contains('Bienvenido').should('be.visible')
-  })
-
-  it('debería tener el título correcto', () => {
-    cy.title().should('not.be.empty')
-  })
-})`,
-
-            navigation: `describe('Navegación', () => {
-  beforeEach(() => {
-    cy.visit('/')
-  })
-
-  it('debería navegar entre páginas', () => {
-    cy.get('nav a').first().click()
-    cy.url().should('include', '/nueva-pagina')
-  })
-
-  it('debería mantener el estado de navegación', () => {
-    // Test de navegación compleja
-  })
-})`,
-
-            forms: `describe('Formularios', () => {
-  beforeEach(() => {
-    cy.visit('/formulario')
-  })
-
-  it('debería enviar el formulario correctamente', () => {
-    cy.get('#nombre').type('Usuario de Prueba')
-    cy.get('#email').type('test@example.com')
-    cy.get('form').submit()
-    cy.contains('Éxito').should('be.visible')
-  })
-
-  it('debería mostrar errores de validación', () => {
-    cy.get('form').submit()
-    cy.contains('Campo requerido').should('be.visible')
-  })
-})`,
-
-            api: `describe('API Calls', () => {
-  it('debería hacer llamadas API exitosas', () => {
-    cy.intercept('GET', '/api/data').as('getData')
-    cy.visit('/')
-    cy.wait('@getData').its('response.statusCode').should('eq', 200)
-  })
-
-  it('debería manejar errores de API', () => {
-    cy.intercept('GET', '/api/data', { statusCode: 500 }).as('serverError')
-    cy.visit('/')
-    cy.wait('@serverError')
-    cy.contains('Error del servidor').should('be.visible')
-  })
-})`
-        };
+import { createLogger } from '../core/Logger.js';
+import SourceAwareSpecBuilder from './SourceAwareSpecBuilder.js';
+import PageObjectBuilder, { PAGE_OBJECT_DIR } from './PageObjectBuilder.js';
+import PageObjectSpecBuilder from './PageObjectSpecBuilder.js';
+import LLMSpecAuthor from './llm/LLMSpecAuthor.js';
+import createProvider from './llm/createProvider.js';
+import ProgressEmitter from '../core/ProgressEmitter.js';
+import TemplateCatalog from './TemplateCatalog.js';
+import { SPEC_LIMITS } from '../core/TestStrategy.js';
+import { t, specTranslator } from '../i18n/index.js';
+
+const logger = createLogger('TestSpecGenerator');
+
+// Título esperado en la portada según el framework; el resto usa el texto genérico del catálogo
+const APP_TITLES = { react: 'React App', vue: 'Vue App', angular: 'Angular App' };
+
+const EMPTY_INVENTORY = { forms: [], selectors: [], buttons: [], links: [], endpoints: [], routes: [] };
+
+// Análisis mínimo con un elemento de cada tipo para validar packs (templates validate)
+const SAMPLE_ANALYSIS = {
+    projectType: 'spa',
+    framework: 'react',
+    packageJson: { name: 'sample-app' },
+    routes: [{ path: '/', dynamic: false }, { path: '/login', dynamic: false }],
+    sourceInventory: {
+        scannedFiles: 1,
+        routes: [],
+        selectors: [{ selector: '[data-cy="submit"]', attribute: 'data-cy', value: 'submit', tag: 'button', text: 'Entrar', attributes: {}, file: 'src/Login.jsx' }],
+        links: [{ href: '/login', text: 'Login', selector: null, tag: 'a', attributes: {}, file: 'src/App.jsx' }],
+        buttons: [{ text: 'Entrar', selector: '[data-cy="submit"]', type: 'submit', tag: 'button', attributes: {}, file: 'src/Login.jsx', route: '/login' }],
+        forms: [{
+            file: 'src/Login.jsx',
+            route: '/login',
+            selector: '#login',
+            action: null,
+            method: 'post',
+            implicit: false,
+            fields: [{ tag: 'input', selector: '#email', name: 'email', type: 'email', required: true, placeholder: null, attributes: {} }],
+            submit: { selector: '[data-cy="submit"]', text: 'Entrar' }
+        }],
+        endpoints: [{ method: 'POST', url: '/api/login', file: 'src/Login.jsx' }]
+    }
+};
+
+const SAMPLE_STRATEGY = { name: 'React Testing Strategy', selectorStrategy: ['data-cy'], focusAreas: ['forms'] };
+
+export default class TestSpecGenerator extends ProgressEmitter {
+    constructor(options = {}) {
+        super();
+        this.sourceAwareBuilder = new SourceAwareSpecBuilder({ specLanguage: options.specLanguage });
+        this.pageObjectBuilder = new PageObjectBuilder(this.sourceAwareBuilder);
+        this.pageObjectSpecBuilder = new PageObjectSpecBuilder({ specLanguage: options.specLanguage });
+        this.llmOptions = options.llm || null;
+        this.text = specTranslator(options.specLanguage);
     }
 
-    generateTestSpecs(analysis, strategy) {
-        console.log(chalk.blue('📝 Generando specs de prueba...'));
+    // options.templates: TemplateCatalog de la configuración; sin él, solo el pack de serie
+    async generateTestSpecs(analysis, strategy, options = {}) {
+        logger.info(t('generator.generating'));
         
         const specs = [];
+        const templates = options.templates || await TemplateCatalog.builtIn();
         const specCount = strategy.recommendedSpecs;
+        this.reportStep('specs:start', t('steps.specsStart'), { total: specCount });
+        const llm = this.createLLMSession(options.llm || this.llmOptions);
+        const pageObjects = options.pageObjects || [];
+        const bodies = new Set();
         
         for (let i = 0; i < specCount; i++) {
             const specType = this.selectSpecType(strategy, i);
-            const specContent = this.generateSpecContent(specType, analysis, i);
-            
+            const llmSpec = llm ? await this.generateWithLLM(llm, specType, analysis, strategy, options.projectPath, i) : null;
+            // Las plantillas propias del usuario o del proyecto tienen prioridad sobre las generadas del código
+            const { content, generatedFrom, pageObjects: usedPageObjects = [] } = llmSpec ||
+                this.generateFromTemplate(templates, specType, analysis, strategy, i, { builtIn: false }) ||
+                this.generatePageObjectSpec(specType, analysis, i, pageObjects) ||
+                this.generateSpecContent(specType, analysis, strategy, i, templates);
+
+            // Patrones de la misma categoría dan el mismo spec cuando hay pocas rutas o elementos: se omite el repetido
+            const body = content.slice(content.indexOf('\n\n') + 2);
+            if (bodies.has(body)) {
+                logger.debug(t('generator.duplicate', { specType }));
+                continue;
+            }
+            bodies.add(body);
+
+            const name = `generated-spec-${specs.length + 1}.cy.js`;
             specs.push({
-                name: `generated-spec-${i + 1}.cy.js`,
+                name: name,
                 type: specType,
-                content: specContent,
-                path: `cypress/e2e/generated-spec-${i + 1}.cy.js`
+                content: content,
+                generatedFrom: generatedFrom,
+                pageObjects: usedPageObjects,
+                path: `cypress/e2e/${name}`
+            });
+            this.reportStep('spec:generated', t('steps.specGenerated', { index: i + 1, total: specCount }), {
+                name: name,
+                type: specType,
+                generatedFrom,
+                index: i + 1,
+                total: specCount
             });
         }
         
-        console.log(chalk.green(`✅ ${specs.length} specs generados`));
+        if (llm) {
+            logger.debug(t('generator.llmTokens', { provider: llm.provider.name, tokens: llm.usedTokens }));
+        }
+        logger.success(t('generator.generated', { count: specs.length }));
         return specs;
     }
 
+    // Sin proveedor configurado, o si no se puede crear (openai sin API key), se usan el inventario del código y las plantillas
+    createLLMSession(llmOptions) {
+        let provider;
+        try {
+            provider = createProvider(llmOptions);
+        } catch (error) {
+            logger.warn(t('generator.llmUnavailable', { provider: llmOptions.provider, error: error.message }));
+            return null;
+        }
+        if (!provider) return null;
+
+        logger.info(t('generator.llmSession', { provider: provider.model ? `${provider.name} (${provider.model})` : provider.name }));
+        return {
+            provider,
+            author: new LLMSpecAuthor(provider, { ...llmOptions, specLanguage: this.text.language }),
+            maxTotalTokens: llmOptions.maxTotalTokens || Infinity,
+            usedTokens: 0,
+            exhausted: false
+        };
+    }
+
+    async generateWithLLM(llm, specType, analysis, strategy, projectPath, index) {
+        // Presupuesto agotado: el resto de specs sale de las plantillas
+        if (llm.exhausted || llm.usedTokens >= llm.maxTotalTokens) return null;
+
+        try {
+            const result = await llm.author.writeSpec({
+                specType,
+                category: this.sourceAwareBuilder.categoryFor(specType),
+                analysis,
+                strategy,
+                projectPath,
+                index
+            }, { budget: llm.maxTotalTokens - llm.usedTokens });
+
+            // Los intentos descartados también consumen presupuesto
+            llm.usedTokens += result.tokens;
+            llm.exhausted = result.exhausted;
+            return result.content
+                ? { content: this.buildSpecHeader(analysis, specType) + result.content, generatedFrom: 'llm' }
+                : null;
+        } catch (error) {
+            logger.warn(t('generator.llmFailed', { specType, error: error.message }));
+            return null;
+        }
+    }
+
+    // Modo POM: una clase por ruta, compartida por todos los specs que la usan
+    generatePageObjects(analysis) {
+        const pageObjects = this.pageObjectBuilder.build(analysis);
+        logger.info(t('generator.pageObjects', { count: pageObjects.length }));
+
+        return pageObjects.map(pageObject => ({
+            ...pageObject,
+            path: `cypress/e2e/${PAGE_OBJECT_DIR}/${pageObject.fileName}`,
+            content: this.pageObjectBuilder.render(pageObject)
+        }));
+    }
+
+    // Solo se guardan los page objects que algún spec importa
+    usedPageObjects(specs, pageObjects) {
+        const used = new Set(specs.flatMap(spec => spec.pageObjects || []));
+        return pageObjects.filter(pageObject => used.has(pageObject.className));
+    }
+
+    generatePageObjectSpec(specType, analysis, index, pageObjects) {
+        const pomSpec = this.pageObjectSpecBuilder.buildWithPageObjects(specType, analysis, index, pageObjects);
+        if (!pomSpec) return null;
+
+        return {
+            content: this.buildSpecHeader(analysis, specType) + pomSpec.content,
+            generatedFrom: 'source',
+            pageObjects: pomSpec.pageObjects
+        };
+    }
+
     selectSpecType(strategy, index) {
         const availableTypes = strategy.testPatterns;
         const typeIndex = index % availableTypes.length;
         return availableTypes[typeIndex];
     }
 
-    generateSpecContent(specType, analysis, index) {
-        const baseTemplate = this.getBaseTemplate(specType);
-        
-        // Personalizar el template basado en el tipo de proyecto
-        const customizedTemplate = this.customizeTemplate(baseTemplate, analysis, specType, index);
-        
-        return customizedTemplate;
-    }
-
-    getBaseTemplate(specType) {
-        const templateMap = {
-            'component-testing': this.specTemplates.basic,
-            'navigation-testing': this.specTemplates.navigation,
-            'form-testing': this.specTemplates.forms,
-            'api-testing': this.specTemplates.api,
-            'user-interactions': this.specTemplates.basic,
-            'state-changes': this.specTemplates.basic,
-            'default': this.specTemplates.basic
+    generateSpecContent(specType, analysis, strategy, index, templates) {
+        // Preferir specs construidos con rutas, formularios y selectores reales del proyecto
+        const sourceAwareSpec = this.sourceAwareBuilder.build(specType, analysis, index);
+        if (sourceAwareSpec) {
+            return {
+                content: this.buildSpecHeader(analysis, specType) + sourceAwareSpec,
+                generatedFrom: 'source'
+            };
+        }
+
+        return this.generateFromTemplate(templates, specType, analysis, strategy, index);
+    }
+
+    // builtIn: false para usar solo las plantillas propias (configuración o pack del proyecto)
+    generateFromTemplate(templates, specType, analysis, strategy, index, { builtIn = true } = {}) {
+        const match = templates.resolve(specType, { builtIn });
+        if (!match) return null;
+
+        const context = this.buildTemplateContext(specType, analysis, strategy, index);
+        const content = match.pack.render(match.pattern, context, { text: this.text });
+        logger.debug(t('generator.template', { specType, pack: match.pack.name, pattern: match.pattern }));
+
+        return { content: this.buildSpecHeader(analysis, specType) + content, generatedFrom: 'template' };
+    }
+
+    // Datos del análisis que reciben las plantillas de los packs (ver README, "Template packs")
+    buildTemplateContext(specType, analysis, strategy, index) {
+        const inventory = analysis.sourceInventory || EMPTY_INVENTORY;
+        const forms = inventory.forms
+            .filter(form => form.fields.length > 0 && this.sourceAwareBuilder.routeOf(form, analysis))
+            .map(form => ({
+                ...form,
+                route: this.sourceAwareBuilder.routeOf(form, analysis),
+                fields: form.fields.map(field => ({ ...field, sample: this.sourceAwareBuilder.sampleValue(field) }))
+            }));
+
+        return {
+            specType,
+            index,
+            language: this.text.language,
+            project: {
+                name: (analysis.packageJson && analysis.packageJson.name) || null,
+                type: analysis.projectType,
+                framework: analysis.framework
+            },
+            appTitle: APP_TITLES[analysis.framework] || this.text('template.welcome'),
+            routes: this.sourceAwareBuilder.visitableRoutes(analysis),
+            forms,
+            selectors: inventory.selectors,
+            buttons: inventory.buttons,
+            links: inventory.links,
+            endpoints: inventory.endpoints,
+            strategy: {
+                name: strategy.name,
+                selectors: strategy.selectorStrategy || [],
+                focusAreas: strategy.focusAreas || []
+            }
         };
-        
-        return templateMap[specType] || templateMap.default;
     }
 
-    customizeTemplate(template, analysis, specType, index) {
-        let customized = template;
-        
-        // Personalizar basado en el framework
-        if (analysis.framework === 'react') {
-            customized = customized.replace('Bienvenido', 'React App');
-        } else if (analysis.framework === 'vue') {
-            customized = customized.replace('Bienvenido', 'Vue App');
-        } else if (analysis.framework === 'angular') {
-            customized = customized.replace('Bienvenido', 'Angular App');
-        }
-        
-        // Añadir comentarios específicos
-        const comment = `// Spec generado automáticamente por Cypress Autonomous Agent
-// Tipo: ${specType}
+    // Ejecuta cada plantilla del pack en modo estricto con un análisis de ejemplo
+    validateTemplatePack(pack) {
+        return pack.validate(
+            pattern => this.buildTemplateContext(pattern, SAMPLE_ANALYSIS, SAMPLE_STRATEGY, 0),
+            { text: this.text }
+        );
+    }
+
+    // Comentarios específicos al inicio de cada spec
+    buildSpecHeader(analysis, specType) {
+        const text = this.text;
+        return `// ${text('header.spec')}
+// ${text('header.type')}: ${specType}
 // Framework: ${analysis.framework}
-// Proyecto: ${analysis.projectType}
-// Fecha: ${new Date().toISOString()}
+// ${text('header.project')}: ${analysis.projectType}
+// ${text('header.date')}: ${new Date().toISOString()}
 
 `;
-        
-        return comment + customized;
     }
 
-    async saveSpecsToDisk(specs, outputPath) {
-        console.log(chalk.blue('💾 Guardando specs en disco...'));
+    async saveSpecsToDisk(specs, outputPath, pageObjects = []) {
+        logger.info(t('generator.saving'));
         
         try {
             // Crear directorio si no existe
@@ -155,24 +283,35 @@ export default class TestSpecGenerator {
             for (const spec of specs) {
                 const specPath = path.join(outputPath, spec.name);
                 await fs.writeFile(specPath, spec.content);
-                console.log(chalk.gray(`   📄 ${spec.name}`));
+                logger.debug(`   📄 ${spec.name}`);
+            }
+
+            // Page objects junto a los specs para que los imports relativos funcionen
+            for (const pageObject of pageObjects) {
+                await fs.outputFile(path.join(outputPath, PAGE_OBJECT_DIR, pageObject.fileName), pageObject.content);
+                logger.debug(`   📐 ${PAGE_OBJECT_DIR}/${pageObject.fileName}`);
             }
             
-            console.log(chalk.green(`✅ ${specs.length} specs guardados en: ${outputPath}`));
+            logger.success(t('generator.saved', { count: specs.length, path: outputPath }));
+            this.reportStep('specs:saved', t('steps.specsSaved'), { count: specs.length, pageObjects: pageObjects.length, outputPath });
             return true;
             
         } catch (error) {
-            console.error(chalk.red(`❌ Error guardando specs: ${error.message}`));
+            logger.error(t('generator.saveFailed', { error: error.message }));
             return false;
         }
     }
 
-    generateSpecSummary(specs, strategy) {
+    generateSpecSummary(specs, strategy, pageObjects = [], componentSpecs = []) {
         const summary = {
             totalSpecs: specs.length,
             specTypes: {},
-            estimatedExecutionTime: specs.length * 30, // 30 segundos por spec en promedio
-            focusAreas: strategy.focusAreas
+            estimatedExecutionTime: specs.length * (strategy.secondsPerSpec || SPEC_LIMITS.secondsPerSpec),
+            focusAreas: strategy.focusAreas,
+            sourceAwareSpecs: specs.filter(spec => spec.generatedFrom === 'source').length,
+            llmSpecs: specs.filter(spec => spec.generatedFrom === 'llm').length,
+            pageObjects: pageObjects.length,
+            componentSpecs: componentSpecs.length
         };
         
         // Contar tipos de specs
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TestSpecGenerator from './TestSpecGenerator.js';
+import { configureLogger } from '../core/Logger.js';
+
+configureLogger({ level: 'error' });
+
+const analysis = {
+    framework: 'react',
+    projectType: 'spa',
+    routes: [{ path: '/', params: [], dynamic: false }, { path: '/about', params: [], dynamic: false }],
+    sourceInventory: {
+        scannedFiles: 1,
+        routes: [],
+        pages: [],
+        selectors: [],
+        buttons: [],
+        links: [],
+        forms: [],
+        endpoints: []
+    }
+};
+const strategy = { name: 'React', recommendedSpecs: 4, testPatterns: ['page-navigation', 'multi-page-testing'], selectorStrategy: [], focusAreas: [] };
+
+test('el presupuesto de tokens de la sesión LLM no se supera en toda la generación', async () => {
+    const generator = new TestSpecGenerator({ specLanguage: 'en' });
+    const llm = generator.createLLMSession({ provider: 'mock', maxTotalTokens: 2500 });
+
+    const results = [];
+    for (let index = 0; index < 6; index++) {
+        results.push(await generator.generateWithLLM(llm, 'smoke-test', analysis, strategy, null, index));
+    }
+
+    assert.ok(llm.usedTokens > 0 && llm.usedTokens <= 2500, String(llm.usedTokens));
+    assert.equal(llm.exhausted, true);
+    assert.equal(llm.provider.calls.length, results.filter(Boolean).length);
+    assert.equal(results[results.length - 1], null);
+});
+
+test('openai sin API key genera sin LLM en lugar de fallar', () => {
+    const saved = { CYPRESS_AGENT_LLM_API_KEY: process.env.CYPRESS_AGENT_LLM_API_KEY, OPENAI_API_KEY: process.env.OPENAI_API_KEY };
+    delete process.env.CYPRESS_AGENT_LLM_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+        assert.equal(new TestSpecGenerator().createLLMSession({ provider: 'openai' }), null);
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value !== undefined) process.env[name] = value;
+        }
+    }
+});
+
+test('los patrones que dan el mismo spec no se repiten', async () => {
+    const specs = await new TestSpecGenerator({ specLanguage: 'en' }).generateTestSpecs(analysis, strategy);
+
+    // page-navigation y multi-page-testing recorren las mismas dos rutas
+    assert.equal(specs.length, 1);
+    assert.equal(specs[0].name, 'generated-spec-1.cy.js');
+});
@@ -0,0 +1,25 @@
+import { t } from '../../i18n/index.js';
+
+// Interfaz común de los proveedores LLM: reciben un prompt y devuelven texto y consumo
+export default class LLMProvider {
+    constructor(options = {}) {
+        this.name = 'base';
+        this.model = options.model || null;
+        this.timeout = options.timeout || 60000;
+        this.maxOutputTokens = options.maxOutputTokens || 1500;
+    }
+
+    /**
+     * @param {{ system: string, user: string }} prompt
+     * @returns {Promise<{ text: string, usage: { inputTokens: number, outputTokens: number } | null }>}
+     *   Código del spec (puede venir envuelto en bloques markdown) y tokens que informa la API;
+     *   con usage null se estiman a partir del prompt y la respuesta
+     */
+    async complete(prompt) {
+        throw new Error(t('llm.notImplemented', { provider: this.name }));
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model };
+    }
+}
@@ -0,0 +1,102 @@
+import vm from 'vm';
+import { createLogger } from '../../core/Logger.js';
+import PromptBuilder from './PromptBuilder.js';
+import { t } from '../../i18n/index.js';
+
+const logger = createLogger('LLMSpecAuthor');
+
+const CODE_BLOCK = /```(?:javascript|js|jsx|typescript|ts)?\s*\n([\s\S]*?)```/;
+
+// El prompt lleva código del repositorio (no confiable) y el spec se ejecuta en el host con --execute:
+// se rechazan los comandos que llegan al sistema de archivos o a procesos del host, Cypress.* y las
+// formas de llamarlos sin escribir su nombre (alias de cy, acceso calculado, eval)
+const HOST_COMMANDS = ['exec', 'task', 'writeFile', 'readFile', 'selectFile'];
+const FORBIDDEN_PATTERNS = [
+    { pattern: /\b(require\s*\(|import\s|process\.|child_process)/, reason: 'llm.invalid.nodeApi' },
+    { pattern: new RegExp(`\\.\\s*(${HOST_COMMANDS.join('|')})\\b|\\[\\s*['"\`](${HOST_COMMANDS.join('|')})['"\`]\\s*\\]`), reason: 'llm.invalid.hostCommand' },
+    { pattern: /\bCypress\s*[.[]|[=(,:]\s*Cypress\b/, reason: 'llm.invalid.cypressGlobal' },
+    { pattern: /\bcy\s*\[|[=(,:]\s*cy\b(?!\s*\.)/, reason: 'llm.invalid.cyAlias' },
+    { pattern: /\b(window|globalThis|self|top|parent|frames)\s*\[|\b(eval|Function)\s*\(/, reason: 'llm.invalid.dynamicGlobal' }
+];
+
+// Pide specs al proveedor LLM y solo acepta código JavaScript válido con tests de Cypress
+export default class LLMSpecAuthor {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.promptBuilder = new PromptBuilder(options);
+        this.maxAttempts = options.maxAttempts || 2;
+    }
+
+    // Devuelve { content, tokens, attempts, exhausted }; content es null si ninguna respuesta vale.
+    // tokens suma entrada y salida de todos los intentos, también los descartados y los fallidos.
+    // options.budget: tokens disponibles; no se lanza un intento cuya entrada más la salida máxima no quepa
+    async writeSpec(context, { budget = Infinity } = {}) {
+        const prompt = await this.promptBuilder.build(context);
+        let lastError = null;
+        let tokens = 0;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const request = lastError
+                ? { ...prompt, user: `${prompt.user}\n\nYour previous answer was rejected: ${lastError}. Return only valid JavaScript.` }
+                : prompt;
+            const inputTokens = this.promptBuilder.estimateTokens(request.system + request.user);
+
+            if (tokens + inputTokens + this.provider.maxOutputTokens > budget) {
+                logger.warn(t('llm.budgetExhausted', { specType: context.specType, tokens: budget - tokens }));
+                return { content: null, tokens, attempts: attempt - 1, exhausted: true };
+            }
+
+            let response;
+            try {
+                response = await this.provider.complete(request);
+            } catch (error) {
+                // El proveedor puede haber cobrado la entrada aunque la petición falle
+                tokens += inputTokens;
+                lastError = error.message;
+                continue;
+            }
+
+            tokens += response.usage
+                ? response.usage.inputTokens + response.usage.outputTokens
+                : inputTokens + this.promptBuilder.estimateTokens(String(response.text || ''));
+
+            try {
+                const code = this.extractCode(response.text);
+                this.validate(code);
+                return { content: code, tokens, attempts: attempt, exhausted: false };
+            } catch (error) {
+                lastError = error.message;
+            }
+        }
+
+        logger.warn(t('llm.rejected', { specType: context.specType, error: lastError }));
+        return { content: null, tokens, attempts: this.maxAttempts, exhausted: false };
+    }
+
+    extractCode(response) {
+        const text = String(response || '');
+        const block = text.match(CODE_BLOCK);
+        return (block ? block[1] : text).trim();
+    }
+
+    validate(code) {
+        if (!code) throw new Error(t('llm.invalid.empty'));
+
+        try {
+            new vm.Script(code);
+        } catch (error) {
+            throw new Error(t('llm.invalid.syntax', { error: error.message }));
+        }
+
+        if (!/\b(describe|context)\s*\(/.test(code) || !/\bit\s*\(/.test(code)) {
+            throw new Error(t('llm.invalid.noTests'));
+        }
+        if (!/\bcy\./.test(code)) {
+            throw new Error(t('llm.invalid.noCypress'));
+        }
+        const forbidden = FORBIDDEN_PATTERNS.find(({ pattern }) => pattern.test(code));
+        if (forbidden) {
+            throw new Error(t(forbidden.reason));
+        }
+    }
+}
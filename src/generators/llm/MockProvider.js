@@ -0,0 +1,55 @@
+import fs from 'fs-extra';
+import path from 'path';
+import LLMProvider from './LLMProvider.js';
+import { quote } from '../SourceAwareSpecBuilder.js';
+import { specTranslator } from '../../i18n/index.js';
+
+// Proveedor determinista para tests y uso sin red: devuelve fixtures por tipo de spec
+export default class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'mock';
+        this.model = 'fixture';
+        this.fixturesDir = options.fixturesDir || null;
+        this.responses = options.responses || {};
+        this.calls = [];
+    }
+
+    async complete(prompt) {
+        this.calls.push(prompt);
+        // Sin consumo informado: LLMSpecAuthor lo estima como con cualquier API que no lo dé
+        return { text: await this.respond(prompt), usage: null };
+    }
+
+    async respond(prompt) {
+        const specType = prompt.metadata ? prompt.metadata.specType : 'default';
+
+        if (this.responses[specType] !== undefined) return this.responses[specType];
+
+        if (this.fixturesDir) {
+            for (const candidate of [`${specType}.cy.js`, 'default.cy.js']) {
+                const fixturePath = path.join(this.fixturesDir, candidate);
+                if (await fs.pathExists(fixturePath)) {
+                    return fs.readFile(fixturePath, 'utf8');
+                }
+            }
+        }
+
+        if (this.responses.default !== undefined) return this.responses.default;
+
+        // Respuesta mínima y válida derivada del prompt, igual para la misma entrada y en el idioma que pide
+        const metadata = prompt.metadata || {};
+        const route = metadata.route || '/';
+        const text = specTranslator(metadata.language);
+        return [
+            '```javascript',
+            `describe('${specType} (mock)', () => {`,
+            `  it(${quote(text('llm.mockLoads', { route }))}, () => {`,
+            `    cy.visit(${quote(route)})`,
+            `    cy.get('body').should('be.visible')`,
+            '  })',
+            '})',
+            '```'
+        ].join('\n');
+    }
+}
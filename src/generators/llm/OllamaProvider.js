@@ -0,0 +1,42 @@
+import axios from 'axios';
+import LLMProvider from './LLMProvider.js';
+import { t } from '../../i18n/index.js';
+
+// Modelo local servido por Ollama (o cualquier endpoint con su API /api/chat)
+export default class OllamaProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'ollama';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+        this.model = options.model || 'llama3.1';
+        this.timeout = options.timeout || 180000;
+    }
+
+    async complete(prompt) {
+        const response = await axios.post(`${this.baseUrl}/api/chat`, {
+            model: this.model,
+            stream: false,
+            options: {
+                temperature: 0.2,
+                num_predict: this.maxOutputTokens
+            },
+            messages: [
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ]
+        }, { timeout: this.timeout });
+
+        const data = response.data;
+        if (!data.message) {
+            throw new Error(t('llm.emptyResponse'));
+        }
+
+        // prompt_eval_count falta cuando Ollama reutiliza el prompt de su caché
+        return {
+            text: data.message.content,
+            usage: typeof data.eval_count === 'number'
+                ? { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count }
+                : null
+        };
+    }
+}
@@ -0,0 +1,48 @@
+import axios from 'axios';
+import LLMProvider from './LLMProvider.js';
+import { t } from '../../i18n/index.js';
+
+// Cualquier API compatible con /v1/chat/completions (OpenAI, Azure, vLLM, LM Studio...)
+export default class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.model = options.model || 'gpt-4o-mini';
+        this.apiKey = options.apiKey;
+        this.temperature = options.temperature ?? 0.2;
+
+        if (!this.apiKey) {
+            throw new Error(t('llm.apiKeyMissing'));
+        }
+    }
+
+    async complete(prompt) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            temperature: this.temperature,
+            max_tokens: this.maxOutputTokens,
+            messages: [
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ]
+        }, {
+            timeout: this.timeout,
+            headers: {
+                Authorization: `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const choice = response.data.choices && response.data.choices[0];
+        if (!choice || !choice.message) {
+            throw new Error(t('llm.emptyResponse'));
+        }
+
+        const usage = response.data.usage;
+        return {
+            text: choice.message.content,
+            usage: usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null
+        };
+    }
+}
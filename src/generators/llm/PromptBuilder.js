@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { specTranslator } from '../../i18n/index.js';
+
+// Estimación conservadora: ~4 caracteres por token en código y texto en inglés/español
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_PROMPT_TOKENS = 6000;
+const MAX_SNIPPET_TOKENS = 1200;
+const MAX_SNIPPET_FILES = 6;
+const SNIPPET_SEPARATOR = '\n\n';
+const TRUNCATED = '\n/* ... truncado ... */';
+
+const SYSTEM_PROMPT = `You are a senior QA engineer writing Cypress end-to-end tests.
+Reply with a single JavaScript Cypress spec file and nothing else.
+Rules:
+- Use describe/it blocks and only the global cy API; do not import anything.
+- Visit paths relative to baseUrl (for example cy.visit('/')), never absolute URLs.
+- Prefer data-cy, data-testid and id selectors that appear in the provided source.
+- Only assert on text, routes and endpoints that appear in the provided source.`;
+
+const TASKS = {
+    navigation: 'Write navigation tests: visit each route, assert the pathname and follow the links found in the source.',
+    forms: 'Write form tests: fill each field with realistic values, submit, and check required-field validation.',
+    api: 'Write API tests: intercept the endpoints found in the source with cy.intercept, wait for them and cover a 500 error response.',
+    interactions: 'Write interaction tests: click the buttons and check the elements with test attributes found in the source.',
+    smoke: 'Write smoke tests: the page loads, has a title and shows its main heading and key elements.'
+};
+
+export default class PromptBuilder {
+    constructor(options = {}) {
+        this.maxPromptTokens = options.maxPromptTokens || DEFAULT_MAX_PROMPT_TOKENS;
+        // Los títulos y comentarios siguen el idioma de los specs generados por plantilla
+        this.text = specTranslator(options.specLanguage);
+        this.systemPrompt = `${SYSTEM_PROMPT}\n- Write test titles and comments in ${this.text('llm.language')}.`;
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Construye el prompt respetando el presupuesto de tokens: el contexto del proyecto
+     * va siempre y los fragmentos de código se añaden hasta agotar el presupuesto.
+     */
+    async build({ specType, category, analysis, strategy, projectPath, index = 0 }) {
+        const context = this.projectContext(analysis, strategy, specType);
+        const task = `${TASKS[category] || TASKS.smoke}\nTest pattern: ${specType}.`;
+
+        // Lo fijo incluye los encabezados de sección; cada fragmento cuenta con su separador
+        let remaining = this.maxPromptTokens - this.estimateTokens(this.systemPrompt + this.composeUser(context, [''], task));
+        const snippets = [];
+
+        for (const file of this.relevantFiles(category, analysis, index)) {
+            const available = Math.min(remaining - this.estimateTokens(SNIPPET_SEPARATOR), MAX_SNIPPET_TOKENS);
+            if (available <= 0) break;
+
+            const snippet = await this.readSnippet(projectPath, file, available);
+            if (!snippet) continue;
+
+            snippets.push(snippet);
+            remaining -= this.estimateTokens(SNIPPET_SEPARATOR) + this.estimateTokens(snippet);
+        }
+
+        const user = this.composeUser(context, snippets, task);
+
+        return {
+            system: this.systemPrompt,
+            user,
+            estimatedTokens: this.estimateTokens(this.systemPrompt + user),
+            metadata: {
+                specType,
+                category,
+                language: this.text.language,
+                route: this.primaryRoute(analysis, index),
+                snippetFiles: snippets.length
+            }
+        };
+    }
+
+    composeUser(context, snippets, task) {
+        return [
+            '## Project',
+            context,
+            ...(snippets.length > 0 ? ['## Source', ...snippets] : []),
+            '## Task',
+            task
+        ].join(SNIPPET_SEPARATOR);
+    }
+
+    projectContext(analysis, strategy, specType) {
+        const inventory = analysis.sourceInventory;
+        const lines = [
+            `Framework: ${analysis.framework}`,
+            `Project type: ${analysis.projectType}`,
+            `Routes: ${(analysis.routes || []).map(route => route.path).slice(0, 30).join(', ') || '/'}`
+        ];
+
+        if (strategy && strategy.selectorStrategy) {
+            lines.push(`Selector priority: ${strategy.selectorStrategy.join(', ')}`);
+        }
+
+        if (inventory) {
+            lines.push(`Test selectors: ${inventory.selectors.map(entry => entry.selector).slice(0, 20).join(', ') || 'none'}`);
+            lines.push(`Endpoints: ${inventory.endpoints.map(endpoint => `${endpoint.method} ${endpoint.url}`).slice(0, 15).join(', ') || 'none'}`);
+            lines.push(`Forms: ${inventory.forms.map(form => `${form.selector} (${form.fields.map(field => field.selector).join(', ')})`).slice(0, 5).join('; ') || 'none'}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    // Archivos con más información para cada categoría; el índice rota la selección entre specs
+    relevantFiles(category, analysis, index) {
+        const inventory = analysis.sourceInventory;
+        if (!inventory) return [];
+
+        const byCategory = {
+            navigation: (analysis.routes || []).map(route => route.sourceFile),
+            forms: inventory.forms.map(form => form.file),
+            api: inventory.endpoints.map(endpoint => endpoint.file),
+            interactions: [...inventory.buttons, ...inventory.selectors].map(entry => entry.file),
+            smoke: inventory.pages.map(page => page.file)
+        };
+
+        const files = [...new Set((byCategory[category] || byCategory.smoke).filter(Boolean))];
+        if (files.length === 0) return [];
+
+        const start = index % files.length;
+        return [...files.slice(start), ...files.slice(0, start)].slice(0, MAX_SNIPPET_FILES);
+    }
+
+    // El fragmento completo (encabezado y bloque de código incluidos) cabe en maxTokens
+    async readSnippet(projectPath, file, maxTokens) {
+        if (!projectPath) return null;
+
+        try {
+            let content = await fs.readFile(path.join(projectPath, file), 'utf8');
+            const wrap = code => `### ${file}\n\`\`\`\n${code}\n\`\`\``;
+            const maxChars = maxTokens * CHARS_PER_TOKEN - wrap('').length;
+            if (content.length > maxChars) {
+                if (maxChars <= TRUNCATED.length) return null;
+                content = content.slice(0, maxChars - TRUNCATED.length) + TRUNCATED;
+            }
+            return wrap(content);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    primaryRoute(analysis, index) {
+        const routes = (analysis.routes || []).filter(route => !route.dynamic);
+        return routes.length > 0 ? routes[index % routes.length].path : '/';
+    }
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import PromptBuilder from './PromptBuilder.js';
+
+function analysisFor(files) {
+    return {
+        framework: 'react',
+        projectType: 'spa',
+        routes: [{ path: '/', dynamic: false }, { path: '/users/:id', dynamic: true }, { path: '/login', dynamic: false }],
+        sourceInventory: {
+            pages: files.map(file => ({ file, route: null, title: null, headings: [], testIds: [] })),
+            selectors: [],
+            endpoints: [],
+            forms: [],
+            buttons: []
+        }
+    };
+}
+
+test('el prompt no supera el presupuesto aunque los archivos sean grandes', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-builder-'));
+    try {
+        const files = ['src/Home.jsx', 'src/Login.jsx', 'src/Users.jsx'];
+        for (const file of files) {
+            await fs.outputFile(path.join(projectPath, file), 'export const value = 1;\n'.repeat(1000));
+        }
+
+        for (const maxPromptTokens of [400, 1500, 4000]) {
+            const prompt = await new PromptBuilder({ maxPromptTokens }).build({
+                specType: 'smoke-test',
+                category: 'smoke',
+                analysis: analysisFor(files),
+                strategy: { selectorStrategy: ['data-cy'] },
+                projectPath
+            });
+
+            assert.ok(prompt.estimatedTokens <= maxPromptTokens, `${prompt.estimatedTokens} > ${maxPromptTokens}`);
+            assert.ok(prompt.metadata.snippetFiles >= 1);
+            assert.match(prompt.user, /## Source[\s\S]*### src\/Home\.jsx/);
+        }
+    } finally {
+        await fs.remove(projectPath);
+    }
+});
+
+test('el índice rota los archivos y la ruta, y el idioma llega al prompt y a los metadatos', async () => {
+    const analysis = analysisFor(['src/Home.jsx', 'src/Login.jsx']);
+    const builder = new PromptBuilder({ specLanguage: 'es' });
+
+    assert.deepEqual(builder.relevantFiles('smoke', analysis, 1), ['src/Login.jsx', 'src/Home.jsx']);
+
+    const prompt = await builder.build({ specType: 'smoke-test', category: 'smoke', analysis, strategy: {}, index: 1 });
+    assert.match(prompt.system, /in Spanish\.$/);
+    assert.equal(prompt.metadata.language, 'es');
+    assert.equal(prompt.metadata.route, '/login');
+    assert.equal(prompt.metadata.snippetFiles, 0);
+});
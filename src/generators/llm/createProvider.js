@@ -0,0 +1,31 @@
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+import MockProvider from './MockProvider.js';
+import { t } from '../../i18n/index.js';
+
+const PROVIDERS = {
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    mock: MockProvider
+};
+
+export const AVAILABLE_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Crea el proveedor LLM configurado o devuelve null si no hay ninguno
+ * (en ese caso el generador usa las plantillas).
+ */
+export default function createProvider(config = {}) {
+    if (!config || !config.provider) return null;
+
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+        throw new Error(t('llm.unknownProvider', { provider: config.provider, providers: AVAILABLE_PROVIDERS.join(', ') }));
+    }
+
+    return new Provider({
+        ...config,
+        baseUrl: config.baseUrl || process.env.CYPRESS_AGENT_LLM_URL,
+        apiKey: config.apiKey || process.env.CYPRESS_AGENT_LLM_API_KEY || process.env.OPENAI_API_KEY
+    });
+}
@@ -0,0 +1,492 @@
+// English catalogue. `messages`: agent output; `spec`: text of the generated specs.
+// It is also the fallback for keys missing from other catalogues.
+export default {
+    messages: {
+        // CLI
+        'cli.commands.analyze': 'Clone and analyse the project',
+        'cli.commands.strategy': 'Analyse the project and build the testing strategy',
+        'cli.commands.generate': 'Run the full pipeline and save the specs',
+        'cli.commands.serve': 'Start the webhook server for n8n',
+        'cli.commands.clean': 'Remove old temporary repositories',
+        'cli.commands.templates': 'List the templates per pattern (list [project]) or validate a pack (validate <dir>)',
+        'cli.commands.help': 'Show this help',
+        'cli.errors.unknownCommand': 'Unknown command: {command}',
+        'cli.errors.requiresRepo': 'The "{command}" command needs a repository: node agent.js {command} <repo>',
+        'cli.errors.oneOf': '--{flag} must be one of: {values}',
+        'cli.errors.positiveInteger': '--{flag} must be a positive integer (got: {value})',
+        'cli.errors.templateAction': 'Unknown "templates" action: {action} (expected: {actions})',
+        'cli.errors.templatePack': '"templates validate" needs the pack directory: node agent.js templates validate <dir>',
+        'cli.errors.fromAnalysis': '--from-analysis is only supported with: {commands}',
+        'cli.errors.executeNeedsRepo': '--execute and --repair need the repository as well as --from-analysis',
+        'cli.usageHint': '💡 Run node agent.js help to see the available options',
+        'cli.running': '🔬 {description}: {repository}',
+        'cli.completed': '\n✅ Command "{command}" completed',
+        'cli.specsAt': '📁 Generated specs are in: {path}',
+        'cli.keptAt': '📁 Repository kept at: {path}',
+        'cli.failed': '\n❌ ERROR: {error}',
+        'cli.serveStarting': '\n🚀 STARTING n8n INTEGRATION MODE...',
+        'cli.serveLoaded': '✅ n8n-webhook server loaded',
+        'cli.serveFailed': '❌ Could not start the server: {error}',
+        'cli.installHint': '📝 Install the dependencies: npm install',
+        'cli.cleaning': '🧹 Removing temporary repositories older than {hours}h in {path}',
+        'cli.cleaned': '✅ Cleanup completed',
+        'cli.fatal': 'Error while running:',
+        'cli.help': `
+🤖 CYPRESS AUTONOMOUS AGENT
+
+Usage:
+   node agent.js <command> [repo] [options]
+
+   [repo] can be a URL (GitHub, GitLab, Bitbucket, self-hosted, SSH or file://),
+   a bare repository or a local directory (analysed in place, never installed or removed).
+
+Commands:
+{commands}
+
+Options:
+   -o, --out <dir>              Output directory for specs (default: ./generated-specs)
+   --temp-dir <dir>             Directory for cloned repositories (default: ./temp-repos)
+   --config <file>              Configuration file (default: ./cypress-agent.config.js or ./.cypress-agent.json)
+   --depth <n>                  Shallow clone with n commits
+   --ref <ref>                  Branch, tag or SHA to analyse
+   --subdir <path>              Project subdirectory (monorepos)
+   --package-manager <pm>       Force npm, yarn, pnpm or bun
+   --skip-install               Do not install the repository's dependencies
+   --allow-scripts <pkgs>       Packages whose install scripts may run ("*" = all)
+   --offline                    Install from the local cache only
+   --registry <url>             npm registry (mirror) for the install
+   --update-lockfile            Do not require a frozen lockfile (npm install instead of npm ci)
+   --install-timeout <sec>      Maximum install time (default: 120)
+   --keep                       Keep the cloned repository when done
+   --package <name>             Monorepos: package to test, by name or path (repeatable; default: the apps)
+   --from-analysis <file>       "strategy"/"generate": start from an "analyze --json" analysis (repo optional)
+   --test-type <type>           "generate": e2e, component or all (default: all)
+   --style <inline|pom>         "generate": inline specs or page objects (default: inline)
+   --spec-language <en|es>      "generate": language of spec titles and comments (default: es)
+   --scaffold                   "generate": generate a Cypress config even if the project has one
+   --execute                    "generate": run the specs against the app (Cypress, Electron)
+   --repair <n>                 "generate": run and repair failing specs for up to n iterations
+   --app-port <n>               Port of the app under test (default: detected from the script)
+   --start-script <script>      package.json script that starts the app (default: dev/start)
+   --start-timeout <sec>        Maximum app start-up time (default: 120)
+   --llm <provider>             "generate": write specs with an LLM (openai, ollama or mock)
+   --llm-model <model>          LLM provider model
+   --llm-url <url>              Provider base URL (OpenAI-compatible or Ollama API)
+   --llm-fixtures <dir>         "mock": directory with <type>.cy.js responses
+   --llm-max-tokens <n>         Total prompt token budget per run
+   --json                       Write the result as JSON to stdout
+   --progress <text|json>       "json": progress events as one JSON object per line on stdout
+   --lang <en|es>               Language of the agent's messages (default: es)
+   --log-level <level>          debug, info, warn, error or silent (default: debug)
+   --log-format <pretty|json>   Coloured logs or one JSON line per entry (default: pretty)
+   --port <n>                   Port for "serve" (default: 3000)
+   --max-age <hours>            Minimum age for "clean" (default: 24)
+   --all                        "clean": remove every temporary repository
+
+📍 Examples:
+   node agent.js analyze https://github.com/cypress-io/cypress-example-kitchensink --json
+   node agent.js generate https://github.com/org/app --out ./specs --depth 1
+   node agent.js generate https://github.com/org/app --execute --start-script dev
+   node agent.js generate ./my-project --llm ollama --llm-model llama3.1
+   node agent.js generate ./my-project --spec-language en
+   node agent.js analyze git@gitlab.internal:web/shop.git --ref v2.3.0 --subdir apps/front
+   node agent.js strategy ./my-project
+   node agent.js analyze ./my-project --json > analysis.json
+   node agent.js generate --from-analysis analysis.json --out ./specs
+   node agent.js serve --port 3000
+   node agent.js clean --all
+   node agent.js templates list ./my-project
+   node agent.js templates validate ./qa-templates
+    `,
+
+        // Agent
+        'agent.banner': '🤖 Cypress Autonomous Agent - FULL VERSION',
+        'agent.tempDir': '📁 Temporary directory: {path}',
+        'agent.outputDir': '📁 Spec output: {path}',
+        'agent.processing': '\n🔍 Processing repository: {repository}',
+        'agent.cloneFailed': 'Clone failed: {error}',
+        'agent.noProject': 'There is no project to run the specs against (imported analysis without a repository)',
+        'agent.unknownPackage': 'There is no package "{name}" in the monorepo (packages: {packages})',
+        'agent.failed': '❌ Error processing repository: {error}',
+        'agent.cleaned': '🧹 Removed: {name}',
+        'agent.cleanupFailed': '⚠️  Cleanup error: {error}',
+        'agent.summary': 'Generated {count} Cypress specs for {projectType}',
+
+        // analyze / strategy / generate report
+        'report.title': '\n📊 FULL PROJECT ANALYSIS:',
+        'report.projectSection': '│ 📦 PROJECT INFORMATION',
+        'report.cypressSection': '│ 🧪 CYPRESS SETUP',
+        'report.strategySection': '│ 🎯 TESTING STRATEGY',
+        'report.workspaceSection': '│ 📦 MONOREPO PACKAGES ({tools})',
+        'report.packageKind.app': 'app',
+        'report.packageKind.library': 'library',
+        'report.packageSpecs': '{count} specs in {path}',
+        'report.specsSection': '│ 📝 GENERATED SPECS',
+        'report.scriptsSection': '│ 🚀 RUNNABLE SCRIPTS',
+        'report.executionSection': '│ 🧪 SPEC EXECUTION',
+        'report.name': 'Name',
+        'report.type': 'Type',
+        'report.framework': 'Framework',
+        'report.frameworkCandidates': '  - Candidates',
+        'report.packageJson': 'Package.json',
+        'report.dependencies': 'Dependencies',
+        'report.cypress': 'Cypress',
+        'report.routes': 'Discovered routes',
+        'report.packageName': '  - Name',
+        'report.packageVersion': '  - Version',
+        'report.dependency': 'Dependency',
+        'report.configFile': 'Config file',
+        'report.strategy': 'Strategy',
+        'report.recommendedSpecs': 'Recommended specs',
+        'report.focusAreas': 'Focus areas',
+        'report.patterns': 'Patterns',
+        'report.totalSpecs': 'Total generated',
+        'report.sourceAwareSpecs': 'Based on the source code',
+        'report.componentSpecs': 'Component specs',
+        'report.pageObjects': 'Page objects',
+        'report.llmSpecs': 'Written by the LLM',
+        'report.estimatedTime': 'Estimated time',
+        'report.seconds': '{count} seconds',
+        'report.specTypeCount': '{count} specs',
+        'report.scaffold': '│ 🏗️  Cypress scaffold: {count} files (baseUrl {baseUrl})',
+        'report.application': 'Application',
+        'report.tests': 'Tests',
+        'report.notExecuted': '│ ❌ Not run: {error}',
+        'report.repair': '│ 🔧 Repair: {iterations} iterations, {changes} changes, {status}',
+        'report.converged': '✅ converged',
+        'report.notConverged': '⚠️ did not converge',
+        'report.degraded': '⚠️ passing after {count} unresolved changes',
+        'report.yes': '✅ Yes',
+        'report.no': '❌ No',
+        'report.installed': '✅ Installed',
+        'report.notInstalled': '❌ Not installed',
+        'report.detected': '✅ Detected',
+        'report.notDetected': '❌ Not detected',
+        'report.summary': '\n🎯 EXECUTIVE SUMMARY:',
+        'report.summaryProject': '   📊 Project: {projectType}',
+        'report.summaryFramework': '   🏗️  Framework: {framework}',
+        'report.summaryCypress': '   🧪 Cypress: {status}',
+        'report.configured': '✅ Configured',
+        'report.notConfigured': '❌ Not configured',
+        'report.summarySpecs': '   📝 Generated specs: {count}',
+        'report.summaryStrategy': '   🎯 Strategy: {name}',
+        'report.summaryOutput': '   💾 Saved to: {path}',
+        'report.summaryScaffold': '   🏗️  Scaffold: {path} (review package.patch.json)',
+
+        // Progress steps ('step' events)
+        'steps.sourceLocal': 'Analysing local directory',
+        'steps.cloneStart': 'Cloning repository',
+        'steps.cloneDone': 'Repository cloned',
+        'steps.installSkipped': 'Dependency install skipped',
+        'steps.installStart': 'Installing dependencies',
+        'steps.installDone': 'Dependencies installed',
+        'steps.installFailed': 'Dependency install failed',
+        'steps.analysisStart': 'Analysing project structure',
+        'steps.filesIndexed': 'Project files indexed',
+        'steps.routesDiscovered': 'Routes discovered',
+        'steps.componentsDiscovered': 'Components found',
+        'steps.sourceScanned': 'Source code scanned',
+        'steps.analysisDone': 'Analysis completed',
+        'steps.analysisFailed': 'Analysis failed',
+        'steps.workspaceDetected': 'Monorepo detected',
+        'steps.workspacePackage': 'Monorepo package analysed',
+        'steps.strategyStart': 'Building testing strategy',
+        'steps.strategyDone': 'Strategy ready',
+        'steps.specsStart': 'Generating test specs',
+        'steps.specGenerated': 'Spec {index}/{total} generated',
+        'steps.specsSaved': 'Specs saved to disk',
+
+        // GitHubHandler
+        'github.local': '📂 Analysing local directory: {path}',
+        'github.removingExisting': '🗑️  Removing existing directory: {name}',
+        'github.cloning': '🔄 Cloning repository: {repository}',
+        'github.cloned': '✅ Repository cloned: {name}',
+        'github.installSkipped': '⏭️  Dependency install skipped',
+        'github.installing': '📦 Installing dependencies...',
+        'github.usingPackageManager': '   Using {packageManager}...',
+        'github.installFailed': '⚠️  Dependency install failed, continuing with a basic analysis: {error}',
+        'github.installed': '✅ Dependencies installed',
+        'github.failed': '❌ Error: {error}',
+        'github.quickCloning': '🔄 Cloning for a quick analysis: {repository}',
+        'github.quickReady': '✅ Repository ready for analysis: {name}',
+        'github.cloneFailed': '❌ Error cloning repository: {error}',
+        'github.packageJsonUnreadable': '⚠️  Could not read package.json',
+        'github.cypressCheckFailed': '❌ Error checking Cypress: {error}',
+        'github.oldTempRemoved': '🧹 Removed old temporary repository: {name}',
+        'github.tempCleanupFailed': '⚠️  Error removing temporary repositories: {error}',
+        'github.sourceRequired': 'The repository URL or path is required',
+        'github.localMissing': 'Local directory not found: {path}',
+        'github.localNotDirectory': 'The local path is not a directory: {path}',
+        'github.subdirectoryOutside': 'The subdirectory is outside the repository: {subdirectory}',
+        'github.subdirectoryMissing': 'Subdirectory not found in the repository: {subdirectory}',
+        'github.packageJsonMissing': 'No package.json found',
+        'installer.yarnPathIgnored': '⚠️ Ignoring the yarn binary set in {file}: using the system yarn',
+        'installer.yarnPluginsIgnored': '⚠️ Ignoring the Yarn plugins in .yarnrc.yml: they are repository code',
+        'installer.yarnrcExists': '{file} already exists in the project; it is not overwritten',
+        'installer.offlineNeedsCache': 'Offline installs need a package cache: set CYPRESS_AGENT_NPM_CACHE (or the installer cacheDir)',
+        'installer.allowedScripts': '   Running allowed install scripts: {packages}',
+        'installer.bunOffline': 'bun has no offline mode; use a registry mirror (registry)',
+        'installer.unsupported': 'Unsupported package manager: {packageManager}',
+        'installer.spawnFailed': 'Could not run {command}: {error}',
+        'installer.timedOut': '{command} exceeded the {seconds}s timeout',
+        'installer.exitCode': '{command} exited with code {code}:\n{output}',
+
+        // Configuration
+        'config.loaded': '⚙️  Configuration: {file}',
+        'config.repository': '⚙️  Repository configuration: {file}',
+        'config.ignoredKeys': '⚠️  {file}: ignoring {keys} (only accepted outside the repository)',
+        'config.fileField': '(file)',
+        'config.fileMissing': 'not found',
+        'config.templatesOutside': 'must point to files in the repository ({file})',
+
+        // Template packs
+        'templates.pack': '📦 {name}: {source}',
+        'templates.configFiles': 'templates from the configuration',
+        'templates.overridden': '(overridden by {pack})',
+        'templates.valid': '✅ Pack "{name}" is valid: {count} templates',
+        'templates.invalid': '❌ Pack "{name}": {count} templates with errors',
+        'templates.fileMissing': 'file not found: {file}',
+        'templates.fileOutside': 'must be inside the pack ({file})',
+        'templates.manifestMissing': 'not found',
+
+        // Analysis
+        'analyzer.start': '🔍 Analysing project structure...',
+        'analyzer.done': '✅ Analysis completed: {projectType}',
+        'analyzer.failed': '❌ Analysis failed: {error}',
+        'analyzer.packageJsonUnreadable': '⚠️  Could not read package.json',
+        'analyzer.installedDepsFailed': '⚠️  Error analysing installed dependencies',
+        'analyzer.quickFailed': '❌ Quick analysis failed: {error}',
+        'workspace.detected': '📦 Monorepo ({tools}): {count} packages',
+        'routes.discovering': '🧭 Discovering application routes...',
+        'routes.discovered': '✅ {count} routes discovered',
+        'components.searching': '🧩 Looking for components...',
+        'components.found': '✅ {count} components found',
+        'walker.done': '📁 {files} files and {directories} directories in {durationMs} ms ({ignored} ignored, {skippedLarge} too large)',
+        'walker.truncated': '⚠️ More than {max} files: the project index is incomplete',
+        'scanner.scanning': '🔎 Scanning source code (routes, forms, selectors)...',
+        'scanner.done': '✅ Source scanned: {files} files, {routes} routes, {forms} forms, {endpoints} endpoints',
+        'strategy.generating': '🎯 Building testing strategy...',
+        'strategy.done': '✅ Strategy ready: {name}',
+        'strategy.config': '⚙️  Building Cypress configuration...',
+        'analysis.exportMissing': 'not found',
+        'analysis.exportInvalidJson': 'is not valid JSON',
+        'pipeline.unknownStage': 'Unknown stage: {stage} (available: {stages})',
+
+        // Generation
+        'generator.generating': '📝 Generating test specs...',
+        'generator.llmSession': '🤖 Writing specs with {provider}',
+        'generator.llmUnavailable': '⚠️  LLM provider {provider} unavailable ({error}); generating specs without the LLM',
+        'generator.llmTokens': '   🤖 {provider}: {tokens} tokens used (input and output, all attempts)',
+        'generator.llmFailed': '   ⚠️  {specType}: LLM provider error ({error}), using the template',
+        'generator.generated': '✅ {count} specs generated',
+        'generator.pageObjects': '📐 {count} page objects derived from the routes',
+        'generator.duplicate': '   ♻️  {specType}: same as an earlier spec, skipped',
+        'generator.template': '   🧩 {specType}: template {pack}/{pattern}',
+        'generator.saving': '💾 Saving specs to disk...',
+        'generator.saved': '✅ {count} specs saved to: {path}',
+        'generator.saveFailed': '❌ Error saving specs: {error}',
+        'llm.budgetExhausted': '   ⚠️  {specType}: no budget left for another LLM call ({tokens} tokens left)',
+        'llm.rejected': '   ⚠️  {specType}: LLM response discarded ({error})',
+        'llm.unknownProvider': 'Unknown LLM provider: {provider} (available: {providers})',
+        'llm.notImplemented': 'The {provider} provider does not implement complete()',
+        'llm.apiKeyMissing': 'The openai provider needs an API key (CYPRESS_AGENT_LLM_API_KEY or OPENAI_API_KEY)',
+        'llm.emptyResponse': 'LLM response without content',
+        'llm.invalid.empty': 'empty response',
+        'llm.invalid.syntax': 'invalid syntax: {error}',
+        'llm.invalid.noTests': 'no describe/it blocks',
+        'llm.invalid.noCypress': 'does not use Cypress commands',
+        'llm.invalid.nodeApi': 'uses Node modules or APIs not allowed in a spec',
+        'llm.invalid.hostCommand': 'uses Cypress commands with host access (cy.exec, cy.task, cy.writeFile, cy.readFile, cy.selectFile)',
+        'llm.invalid.cypressGlobal': 'uses the global Cypress.* API',
+        'llm.invalid.cyAlias': 'uses cy outside a direct cy.<command> call',
+        'llm.invalid.dynamicGlobal': 'uses computed access to globals or eval',
+        'componentSpecs.generating': '🧩 Generating component specs...',
+        'componentSpecs.generated': '✅ {count} component specs generated',
+        'componentSpecs.saveFailed': '❌ Error saving component specs: {error}',
+        'scaffold.generating': '🏗️  Generating Cypress scaffold...',
+        'scaffold.saved': '✅ Cypress scaffold saved to: {path}',
+        'scaffold.saveFailed': '❌ Error saving scaffold: {error}',
+
+        // Execution and repair
+        'runner.running': '🧪 Running the generated specs with Cypress...',
+        'runner.waiting': '⏳ Waiting for the application to respond at {baseUrl}...',
+        'runner.ready': '✅ Application available at {baseUrl}',
+        'runner.result': '📊 Result: {passed} passed, {failed} failed, {pending} pending',
+        'runner.failed': '❌ Error running specs: {error}',
+        'runner.copied': '   📄 {count} specs copied to {path}',
+        'runner.starting': '🚀 Starting application: {command}',
+        'runner.serving': '🚀 Serving static files from {path}',
+        'runner.cypressMissing': 'Cypress is not installed in the project (node_modules/cypress)',
+        'runner.cypressCrashed': 'Cypress exited without returning results:\n{output}',
+        'runner.agentDirExists': '{path} already exists and was not created by the agent; it is not overwritten',
+        'runner.configExists': '{file} already exists in the project; it is not overwritten',
+        'runner.startScriptMissing': 'The "{script}" script does not exist in package.json',
+        'runner.appExited': 'The application exited before becoming available:\n{output}',
+        'runner.appTimeout': 'The application did not respond at {baseUrl} after {seconds}s',
+        'runner.noResults': 'Cypress returned no results',
+        'repair.allPassing': '✅ All specs pass after {count} repair iterations',
+        'repair.passingDegraded': '⚠️  Specs pass after {count} iterations, but {removed} changes only commented out a command or accepted a redirect',
+        'repair.limitReached': '⚠️  Limit of {count} repair iterations reached',
+        'repair.iteration': '🔧 Repair iteration {iteration}: {count} failing specs',
+        'repair.noFixes': '⚠️  No applicable repairs found',
+
+        // Jobs and webhook
+        'jobs.recovered': '♻️  {count} jobs recovered after the restart',
+        'jobs.queueError': '❌ Job queue error: {error}',
+        'jobs.progressSaveFailed': '❌ Error saving progress of job {jobId}: {error}',
+        'jobs.finishSaveFailed': '❌ Error saving the final status of job {jobId}: {error}',
+        'jobs.pruneFailed': '❌ Error removing old jobs: {error}',
+        'jobs.cancelledError': 'Job cancelled',
+        'jobs.timedOut': 'Maximum time exceeded ({seconds}s)',
+        'jobs.invalidId': 'Invalid job id: {id}',
+        'callbackPolicy.invalidUrl': 'callbackUrl must be an http(s) URL',
+        'callbackPolicy.hostDenied': 'Callback host denied: {host}',
+        'callbackPolicy.hostNotAllowed': 'Callback host not allowed: {host}',
+        'callbackPolicy.addressNotAllowed': '{host} points to a private or reserved address: {address}',
+        'callbackPolicy.unresolvable': 'Could not resolve {host}: {error}',
+        'callback.attemptFailed': '⚠️  Callback {url} failed (attempt {attempt}/{maxAttempts}): {error}',
+        'webhook.jobFinished': '[{jobId}] Job {status}',
+        'webhook.received': '\n🔄 [{requestId}] Request received from n8n',
+        'webhook.callbackRejected': '🚫 [{requestId}] callbackUrl rejected: {reason}',
+        'webhook.llmRejected': '🚫 [{requestId}] LLM rejected: {reason}',
+        'webhook.llmProviderNotAllowed': 'LLM provider {provider} is not enabled on the server (enabled: {providers})',
+        'webhook.llmScopeMissing': 'API key "{key}" needs the llm:use scope to use {provider}',
+        'webhook.executeRejected': '🚫 [{requestId}] Execution rejected: {reason}',
+        'webhook.executeScopeMissing': 'API key "{key}" needs the jobs:execute scope to run or repair specs',
+        'webhook.repositoryRejected': '🚫 [{requestId}] Repository rejected: {reason}',
+        'webhook.enqueued': '📦 [{requestId}] Job {jobId} queued: {repository}',
+        'webhook.failed': '❌ [{requestId}] Error: {error}',
+        'webhook.cancelled': '🛑 [{jobId}] Job cancelled',
+        'webhook.processing': '📦 [{jobId}] Processing: {repository}',
+        'webhook.callbackDelivered': '📨 [{jobId}] Callback delivered to {url}',
+        'webhook.callbackFailed': '❌ [{jobId}] Callback not delivered to {url} after {attempts} attempts',
+        'webhook.callbackError': '❌ [{jobId}] Error delivering callback: {error}',
+        'webhook.filesError': 'Error reading files: {error}',
+        'webhook.summary': 'Generated {count} specs for {projectType}',
+        'webhook.started': '\n🚀 n8n-webhook server started on port {port}',
+        'webhook.endpoints': '📡 Available endpoints:',
+        'webhook.noApiKeys': '⚠️  No API keys configured: the endpoints are open (CYPRESS_AGENT_API_KEYS or {file})',
+        'webhook.ready': '\n✅ Ready to receive requests from n8n!',
+
+        // API responses and security
+        'api.invalidRequest': 'Invalid request',
+        'api.bodyTooLarge': 'Request body too large',
+        'api.invalidJson': 'The body must be valid JSON',
+        'api.jobNotFound': 'Job not found: {jobId}',
+        'api.jobAlreadyFinished': 'The job has already finished ({status})',
+        'api.unauthorized': 'A valid API key is required',
+        'api.missingScope': 'API key "{key}" does not have the {scope} scope',
+        'api.rateLimited': 'Limit of {limit} requests exceeded; retry in {seconds}s',
+        'api.cypressExitCode': 'Cypress exited with code {code}',
+        'validation.required': 'is required',
+        'validation.additionalProperty': 'is not a supported field',
+        'validation.enum': 'must be one of: {values}',
+        'validation.const': 'must be {value}',
+        'validation.type': 'must be of type {type}',
+        'validation.pattern': 'has an invalid format',
+        'validation.httpUrl': 'must be an http(s) URL',
+        'validation.specOutside': '{pattern} must be inside {specDir}/',
+        'repositoryPolicy.invalidUrl': 'Invalid repository URL',
+        'repositoryPolicy.localNotAllowed': 'Local paths and file:// are not allowed',
+        'repositoryPolicy.hostDenied': 'Host denied: {host}',
+        'repositoryPolicy.orgDenied': 'Organization denied: {host}/{org}',
+        'repositoryPolicy.hostNotAllowed': 'Host not allowed: {host}',
+        'repositoryPolicy.orgNotAllowed': 'Organization not allowed: {host}/{org}',
+        'repositoryPolicy.noOrg': '(none)',
+        'security.fileNotFound': 'Security file not found: {file}',
+        'security.keyRequired': '{file}: apiKeys[{index}] needs a "key"',
+
+        // cypress-server.cjs
+        'cypressServer.received': '📦 Received a request to run Cypress...',
+        'cypressServer.options': '🔧 Run options:',
+        'cypressServer.command': '🚀 Running command:',
+        'cypressServer.exitCode': '❌ Cypress exited with code {code}',
+        'cypressServer.passed': '✅ Cypress run succeeded',
+        'cypressServer.failed': '❌ Error running Cypress:',
+        'cypressServer.started': '🚀 Enhanced Cypress Server running on http://localhost:{port}',
+        'cypressServer.health': '📊 Health check: http://localhost:{port}/health',
+        'cypressServer.testTypes': '📋 Available tests: http://localhost:{port}/test-types',
+        'cypressServer.noApiKeys': '⚠️  No API keys configured: /run-cypress is open (CYPRESS_AGENT_API_KEYS or {file})',
+        'cypressServer.startFailed': '❌ Could not start the server:'
+    },
+
+    spec: {
+        // Headers
+        'header.spec': 'Spec generated automatically by Cypress Autonomous Agent',
+        'header.componentSpec': 'Component spec generated automatically by Cypress Autonomous Agent',
+        'header.pageObject': 'Page object generated by Cypress Autonomous Agent for {route}',
+        'header.type': 'Type',
+        'header.project': 'Project',
+        'header.component': 'Component',
+        'header.date': 'Date',
+
+        // Specs built from the source code (inline and POM)
+        'smoke.loads': 'should load the page without errors',
+        'smoke.title': 'should have the right title',
+        'smoke.heading': 'should show the main heading',
+        'smoke.keyElements': 'should render the key elements',
+        'navigation.describe': 'Navigation',
+        'navigation.eachRoute': 'should load every discovered route',
+        'navigation.followLink': 'should navigate through the "{text}" link',
+        'forms.describe': 'Form {selector}',
+        'forms.describeInFile': 'Form in {file}',
+        'forms.describePageObject': 'Form {name} on {route}',
+        'forms.fillValid': 'should fill in the form with valid data',
+        'forms.blockRequired': 'should block submission when required fields are empty',
+        'api.describe': 'API Calls',
+        'api.intercept': "should intercept the project's API calls",
+        'api.afterInteraction': '{method} {url} ({file}) is called after a user interaction',
+        'api.resilient': 'should keep working when the API fails',
+        'interactions.describe': 'User interactions',
+        'interactions.describeRoute': 'User interactions: {route}',
+        'interactions.testIds': 'should expose the elements with test attributes',
+        'interactions.buttons': 'should show the interactive buttons',
+
+        // Sample data
+        'sample.name': 'Test User',
+        'sample.text': 'Sample text',
+        'sample.prop': 'test {name}',
+        'sample.fixtureBody': 'Sample fixture',
+
+        // Component specs
+        'component.mounts': 'should mount without errors',
+        'component.showsProp': 'should show the {name} prop',
+        'component.noEvents': 'should not emit events on mount',
+
+        // Fallback templates (no source inventory)
+        'template.basic': 'Basic template',
+        'template.loadsHome': 'should load the home page',
+        'template.welcome': 'Welcome',
+        'template.navigation': 'Navigation',
+        'template.navigates': 'should navigate between pages',
+        'template.newPage': '/new-page',
+        'template.keepsState': 'should keep the navigation state',
+        'template.complexNavigation': 'Complex navigation test',
+        'template.forms': 'Forms',
+        'template.formPage': '/form',
+        'template.nameField': '#name',
+        'template.submits': 'should submit the form',
+        'template.success': 'Success',
+        'template.showsErrors': 'should show validation errors',
+        'template.required': 'Required field',
+        'template.api': 'API Calls',
+        'template.apiSucceeds': 'should make successful API calls',
+        'template.apiErrors': 'should handle API errors',
+        'template.serverError': 'Server error',
+
+        // Cypress scaffold
+        'scaffold.setupNodeEvents': 'Register Node events here (tasks, plugins...)',
+        'scaffold.support': 'Loaded before every spec: https://on.cypress.io/configuration#Folders-Files',
+        'scaffold.uncaughtExceptions': 'Uncaught application errors must not fail the generated specs',
+        'scaffold.componentSupport': 'Loaded before every component spec',
+        'scaffold.commands': 'Custom commands generated by Cypress Autonomous Agent',
+        'scaffold.selectorExample': 'save',
+        'scaffold.selectorLikeExample': 'product',
+        'scaffold.login': 'Login cached between tests; default credentials come from fixtures/user.json',
+
+        // Repair and LLM
+        'repair.removed': '[agent] removed after a failure ({subject}): {line}',
+        'llm.language': 'English',
+        'llm.mockLoads': 'should load {route}'
+    }
+};
@@ -0,0 +1,491 @@
+// Catálogo en español. `messages`: salida del agente; `spec`: texto de los specs generados.
+export default {
+    messages: {
+        // CLI
+        'cli.commands.analyze': 'Clona y analiza el proyecto',
+        'cli.commands.strategy': 'Analiza el proyecto y genera la estrategia de testing',
+        'cli.commands.generate': 'Ejecuta el pipeline completo y guarda los specs',
+        'cli.commands.serve': 'Inicia el servidor webhook para n8n',
+        'cli.commands.clean': 'Elimina repositorios temporales antiguos',
+        'cli.commands.templates': 'Lista las plantillas por patrón (list [proyecto]) o valida un pack (validate <dir>)',
+        'cli.commands.help': 'Muestra esta ayuda',
+        'cli.errors.unknownCommand': 'Comando desconocido: {command}',
+        'cli.errors.requiresRepo': 'El comando "{command}" requiere un repositorio: node agent.js {command} <repo>',
+        'cli.errors.oneOf': '--{flag} debe ser uno de: {values}',
+        'cli.errors.positiveInteger': '--{flag} debe ser un entero positivo (recibido: {value})',
+        'cli.errors.templateAction': 'Acción desconocida para "templates": {action} (admite: {actions})',
+        'cli.errors.templatePack': '"templates validate" requiere el directorio del pack: node agent.js templates validate <dir>',
+        'cli.errors.fromAnalysis': '--from-analysis solo se admite con: {commands}',
+        'cli.errors.executeNeedsRepo': '--execute y --repair requieren el repositorio además de --from-analysis',
+        'cli.usageHint': '💡 Usa: node agent.js help para ver opciones disponibles',
+        'cli.running': '🔬 {description}: {repository}',
+        'cli.completed': '\n✅ Comando "{command}" completado',
+        'cli.specsAt': '📁 Los specs generados están en: {path}',
+        'cli.keptAt': '📁 Repositorio conservado en: {path}',
+        'cli.failed': '\n❌ ERROR: {error}',
+        'cli.serveStarting': '\n🚀 INICIANDO MODO n8n INTEGRATION...',
+        'cli.serveLoaded': '✅ Servidor n8n-webhook cargado correctamente',
+        'cli.serveFailed': '❌ No se pudo iniciar el servidor: {error}',
+        'cli.installHint': '📝 Instala las dependencias: npm install',
+        'cli.cleaning': '🧹 Limpiando temporales con más de {hours}h en {path}',
+        'cli.cleaned': '✅ Limpieza completada',
+        'cli.fatal': 'Error durante la ejecución:',
+        'cli.help': `
+🤖 CYPRESS AUTONOMOUS AGENT
+
+Uso:
+   node agent.js <comando> [repo] [opciones]
+
+   [repo] puede ser una URL (GitHub, GitLab, Bitbucket, servidor propio, SSH o file://),
+   un repositorio bare o un directorio local (se analiza en el sitio, sin instalar ni borrar).
+
+Comandos:
+{commands}
+
+Opciones:
+   -o, --out <dir>              Directorio de salida de specs (default: ./generated-specs)
+   --temp-dir <dir>             Directorio para clonar repositorios (default: ./temp-repos)
+   --config <fichero>           Fichero de configuración (default: ./cypress-agent.config.js o ./.cypress-agent.json)
+   --depth <n>                  Clonado superficial con n commits
+   --ref <ref>                  Rama, tag o SHA a analizar
+   --subdir <ruta>              Subdirectorio del proyecto (monorepos)
+   --package-manager <pm>       Forzar npm, yarn, pnpm o bun
+   --skip-install               No instalar dependencias del repositorio
+   --allow-scripts <pkgs>       Paquetes cuyos scripts de instalación se ejecutan ("*" = todos)
+   --offline                    Instalar solo desde la caché local
+   --registry <url>             Registro npm (espejo) para la instalación
+   --update-lockfile            No exigir un lockfile congelado (npm install en vez de npm ci)
+   --install-timeout <seg>      Tiempo máximo de instalación (default: 120)
+   --keep                       Conservar el repositorio clonado al terminar
+   --package <nombre>           Monorepos: paquete a probar, por nombre o ruta (repetible; default: las aplicaciones)
+   --from-analysis <fichero>    "strategy"/"generate": partir de un análisis de "analyze --json" (repo opcional)
+   --test-type <tipo>           "generate": e2e, component o all (default: all)
+   --style <inline|pom>         "generate": specs en línea o con page objects (default: inline)
+   --spec-language <en|es>      "generate": idioma de títulos y comentarios de los specs (default: es)
+   --scaffold                   "generate": generar config de Cypress aunque el proyecto ya tenga una
+   --execute                    "generate": ejecutar los specs contra la app (Cypress, Electron)
+   --repair <n>                 "generate": ejecutar y reparar specs fallidos hasta n iteraciones
+   --app-port <n>               Puerto de la app a probar (default: detectado del script)
+   --start-script <script>      Script de package.json para arrancar la app (default: dev/start)
+   --start-timeout <seg>        Tiempo máximo de arranque de la app (default: 120)
+   --llm <proveedor>            "generate": redactar specs con un LLM (openai, ollama o mock)
+   --llm-model <modelo>         Modelo del proveedor LLM
+   --llm-url <url>              URL base del proveedor (API compatible con OpenAI u Ollama)
+   --llm-fixtures <dir>         "mock": directorio con respuestas <tipo>.cy.js
+   --llm-max-tokens <n>         Presupuesto total de tokens de prompt por ejecución
+   --json                       Escribir el resultado como JSON en stdout
+   --progress <text|json>       "json": eventos de progreso como JSON por línea en stdout
+   --lang <en|es>               Idioma de los mensajes del agente (default: es)
+   --log-level <nivel>          debug, info, warn, error o silent (default: debug)
+   --log-format <pretty|json>   Logs coloreados o una línea JSON por entrada (default: pretty)
+   --port <n>                   Puerto para "serve" (default: 3000)
+   --max-age <horas>            Antigüedad mínima para "clean" (default: 24)
+   --all                        "clean": eliminar todos los temporales
+
+📍 Ejemplos:
+   node agent.js analyze https://github.com/cypress-io/cypress-example-kitchensink --json
+   node agent.js generate https://github.com/org/app --out ./specs --depth 1
+   node agent.js generate https://github.com/org/app --execute --start-script dev
+   node agent.js generate ./mi-proyecto --llm ollama --llm-model llama3.1
+   node agent.js generate ./mi-proyecto --spec-language en
+   node agent.js analyze git@gitlab.interno:web/shop.git --ref v2.3.0 --subdir apps/front
+   node agent.js strategy ./mi-proyecto
+   node agent.js analyze ./mi-proyecto --json > analysis.json
+   node agent.js generate --from-analysis analysis.json --out ./specs
+   node agent.js serve --port 3000
+   node agent.js clean --all
+   node agent.js templates list ./mi-proyecto
+   node agent.js templates validate ./plantillas-qa
+    `,
+
+        // Agente
+        'agent.banner': '🤖 Agente Cypress Autónomo - VERSIÓN COMPLETA',
+        'agent.tempDir': '📁 Directorio temporal: {path}',
+        'agent.outputDir': '📁 Salida de specs: {path}',
+        'agent.processing': '\n🔍 Procesando repositorio: {repository}',
+        'agent.cloneFailed': 'Error clonando: {error}',
+        'agent.noProject': 'No hay proyecto contra el que ejecutar los specs (análisis importado sin repositorio)',
+        'agent.unknownPackage': 'No existe el paquete "{name}" en el monorepo (paquetes: {packages})',
+        'agent.failed': '❌ Error procesando repositorio: {error}',
+        'agent.cleaned': '🧹 Limpiado: {name}',
+        'agent.cleanupFailed': '⚠️  Error limpiando: {error}',
+        'agent.summary': 'Generados {count} specs Cypress para {projectType}',
+
+        // Informe de analyze / strategy / generate
+        'report.title': '\n📊 ANÁLISIS COMPLETO DEL PROYECTO:',
+        'report.projectSection': '│ 📦 INFORMACIÓN DEL PROYECTO',
+        'report.cypressSection': '│ 🧪 CONFIGURACIÓN CYPRESS',
+        'report.strategySection': '│ 🎯 ESTRATEGIA DE TESTING',
+        'report.workspaceSection': '│ 📦 PAQUETES DEL MONOREPO ({tools})',
+        'report.packageKind.app': 'aplicación',
+        'report.packageKind.library': 'librería',
+        'report.packageSpecs': '{count} specs en {path}',
+        'report.specsSection': '│ 📝 SPECS GENERADOS',
+        'report.scriptsSection': '│ 🚀 SCRIPTS EJECUTABLES',
+        'report.executionSection': '│ 🧪 EJECUCIÓN DE SPECS',
+        'report.name': 'Nombre',
+        'report.type': 'Tipo',
+        'report.framework': 'Framework',
+        'report.frameworkCandidates': '  - Candidatos',
+        'report.packageJson': 'Package.json',
+        'report.dependencies': 'Dependencias',
+        'report.cypress': 'Cypress',
+        'report.routes': 'Rutas descubiertas',
+        'report.packageName': '  - Nombre',
+        'report.packageVersion': '  - Versión',
+        'report.dependency': 'Dependencia',
+        'report.configFile': 'Archivo config',
+        'report.strategy': 'Estrategia',
+        'report.recommendedSpecs': 'Especs recomendados',
+        'report.focusAreas': 'Áreas de enfoque',
+        'report.patterns': 'Patrones',
+        'report.totalSpecs': 'Total generados',
+        'report.sourceAwareSpecs': 'Basados en el código fuente',
+        'report.componentSpecs': 'Specs de componentes',
+        'report.pageObjects': 'Page objects',
+        'report.llmSpecs': 'Redactados por LLM',
+        'report.estimatedTime': 'Tiempo estimado',
+        'report.seconds': '{count} segundos',
+        'report.specTypeCount': '{count} specs',
+        'report.scaffold': '│ 🏗️  Scaffold Cypress: {count} archivos (baseUrl {baseUrl})',
+        'report.application': 'Aplicación',
+        'report.tests': 'Tests',
+        'report.notExecuted': '│ ❌ No ejecutado: {error}',
+        'report.repair': '│ 🔧 Reparación: {iterations} iteraciones, {changes} cambios, {status}',
+        'report.converged': '✅ convergió',
+        'report.notConverged': '⚠️ sin converger',
+        'report.degraded': '⚠️ pasa tras {count} cambios sin resolver',
+        'report.yes': '✅ Sí',
+        'report.no': '❌ No',
+        'report.installed': '✅ Instaladas',
+        'report.notInstalled': '❌ No instaladas',
+        'report.detected': '✅ Detectado',
+        'report.notDetected': '❌ No detectado',
+        'report.summary': '\n🎯 RESUMEN EJECUTIVO:',
+        'report.summaryProject': '   📊 Proyecto: {projectType}',
+        'report.summaryFramework': '   🏗️  Framework: {framework}',
+        'report.summaryCypress': '   🧪 Cypress: {status}',
+        'report.configured': '✅ Configurado',
+        'report.notConfigured': '❌ Por configurar',
+        'report.summarySpecs': '   📝 Specs generados: {count}',
+        'report.summaryStrategy': '   🎯 Estrategia: {name}',
+        'report.summaryOutput': '   💾 Guardado en: {path}',
+        'report.summaryScaffold': '   🏗️  Scaffold: {path} (revisar package.patch.json)',
+
+        // Pasos de progreso (eventos 'step')
+        'steps.sourceLocal': 'Analizando directorio local',
+        'steps.cloneStart': 'Clonando repositorio',
+        'steps.cloneDone': 'Repositorio clonado',
+        'steps.installSkipped': 'Instalación de dependencias omitida',
+        'steps.installStart': 'Instalando dependencias',
+        'steps.installDone': 'Dependencias instaladas',
+        'steps.installFailed': 'Instalación de dependencias fallida',
+        'steps.analysisStart': 'Analizando estructura del proyecto',
+        'steps.filesIndexed': 'Archivos del proyecto indexados',
+        'steps.routesDiscovered': 'Rutas descubiertas',
+        'steps.componentsDiscovered': 'Componentes encontrados',
+        'steps.sourceScanned': 'Código fuente escaneado',
+        'steps.analysisDone': 'Análisis completado',
+        'steps.analysisFailed': 'Error en análisis',
+        'steps.workspaceDetected': 'Monorepo detectado',
+        'steps.workspacePackage': 'Paquete del monorepo analizado',
+        'steps.strategyStart': 'Generando estrategia de testing',
+        'steps.strategyDone': 'Estrategia generada',
+        'steps.specsStart': 'Generando specs de prueba',
+        'steps.specGenerated': 'Spec {index}/{total} generado',
+        'steps.specsSaved': 'Specs guardados en disco',
+
+        // GitHubHandler
+        'github.local': '📂 Analizando directorio local: {path}',
+        'github.removingExisting': '🗑️  Limpiando directorio existente: {name}',
+        'github.cloning': '🔄 Clonando repositorio: {repository}',
+        'github.cloned': '✅ Repositorio clonado: {name}',
+        'github.installSkipped': '⏭️  Instalación de dependencias omitida',
+        'github.installing': '📦 Instalando dependencias...',
+        'github.usingPackageManager': '   Usando {packageManager}...',
+        'github.installFailed': '⚠️  Instalación de dependencias falló, continuando con análisis básico: {error}',
+        'github.installed': '✅ Dependencias instaladas correctamente',
+        'github.failed': '❌ Error: {error}',
+        'github.quickCloning': '🔄 Clonando para análisis rápido: {repository}',
+        'github.quickReady': '✅ Repositorio listo para análisis: {name}',
+        'github.cloneFailed': '❌ Error clonando repositorio: {error}',
+        'github.packageJsonUnreadable': '⚠️  Error leyendo package.json',
+        'github.cypressCheckFailed': '❌ Error verificando Cypress: {error}',
+        'github.oldTempRemoved': '🧹 Limpiado temporal antiguo: {name}',
+        'github.tempCleanupFailed': '⚠️  Error limpiando temporales: {error}',
+        'github.sourceRequired': 'Se requiere la URL o ruta del repositorio',
+        'github.localMissing': 'No existe el directorio local: {path}',
+        'github.localNotDirectory': 'La ruta local no es un directorio: {path}',
+        'github.subdirectoryOutside': 'El subdirectorio sale del repositorio: {subdirectory}',
+        'github.subdirectoryMissing': 'No existe el subdirectorio en el repositorio: {subdirectory}',
+        'github.packageJsonMissing': 'No se encontró package.json',
+        'installer.yarnPathIgnored': '⚠️ Se ignora el binario de yarn que indica {file}: se usa el yarn del sistema',
+        'installer.yarnPluginsIgnored': '⚠️ Se ignoran los plugins de Yarn de .yarnrc.yml: son código del repositorio',
+        'installer.yarnrcExists': '{file} ya existe en el proyecto; no se sobrescribe',
+        'installer.offlineNeedsCache': 'La instalación offline necesita una caché de paquetes: define CYPRESS_AGENT_NPM_CACHE (o cacheDir del instalador)',
+        'installer.allowedScripts': '   Ejecutando scripts de instalación permitidos: {packages}',
+        'installer.bunOffline': 'bun no tiene modo offline; usa un registro espejo (registry)',
+        'installer.unsupported': 'Gestor de paquetes no soportado: {packageManager}',
+        'installer.spawnFailed': 'No se pudo ejecutar {command}: {error}',
+        'installer.timedOut': '{command} superó el timeout de {seconds}s',
+        'installer.exitCode': '{command} terminó con código {code}:\n{output}',
+
+        // Configuración
+        'config.loaded': '⚙️  Configuración: {file}',
+        'config.repository': '⚙️  Configuración del repositorio: {file}',
+        'config.ignoredKeys': '⚠️  {file}: se ignoran {keys} (solo se aceptan fuera del repositorio)',
+        'config.fileField': '(archivo)',
+        'config.fileMissing': 'no existe',
+        'config.templatesOutside': 'debe apuntar a archivos del repositorio ({file})',
+
+        // Packs de plantillas
+        'templates.pack': '📦 {name}: {source}',
+        'templates.configFiles': 'templates de la configuración',
+        'templates.overridden': '(sustituida por {pack})',
+        'templates.valid': '✅ Pack "{name}" válido: {count} plantillas',
+        'templates.invalid': '❌ Pack "{name}": {count} plantillas con errores',
+        'templates.fileMissing': 'no existe el archivo {file}',
+        'templates.fileOutside': 'debe estar dentro del pack ({file})',
+        'templates.manifestMissing': 'no existe',
+
+        // Análisis
+        'analyzer.start': '🔍 Analizando estructura del proyecto...',
+        'analyzer.done': '✅ Análisis completado: {projectType}',
+        'analyzer.failed': '❌ Error en análisis: {error}',
+        'analyzer.packageJsonUnreadable': '⚠️  No se pudo leer package.json',
+        'analyzer.installedDepsFailed': '⚠️  Error analizando dependencias instaladas',
+        'analyzer.quickFailed': '❌ Error en análisis rápido: {error}',
+        'workspace.detected': '📦 Monorepo ({tools}): {count} paquetes',
+        'routes.discovering': '🧭 Descubriendo rutas de la aplicación...',
+        'routes.discovered': '✅ {count} rutas descubiertas',
+        'components.searching': '🧩 Buscando componentes...',
+        'components.found': '✅ {count} componentes encontrados',
+        'walker.done': '📁 {files} archivos y {directories} carpetas en {durationMs} ms ({ignored} ignorados, {skippedLarge} demasiado grandes)',
+        'walker.truncated': '⚠️ Más de {max} archivos: el índice del proyecto queda incompleto',
+        'scanner.scanning': '🔎 Escaneando código fuente (rutas, formularios, selectores)...',
+        'scanner.done': '✅ Código escaneado: {files} archivos, {routes} rutas, {forms} formularios, {endpoints} endpoints',
+        'strategy.generating': '🎯 Generando estrategia de testing...',
+        'strategy.done': '✅ Estrategia generada: {name}',
+        'strategy.config': '⚙️  Generando configuración Cypress...',
+        'analysis.exportMissing': 'no existe',
+        'analysis.exportInvalidJson': 'no es JSON válido',
+        'pipeline.unknownStage': 'Etapa desconocida: {stage} (disponibles: {stages})',
+
+        // Generación
+        'generator.generating': '📝 Generando specs de prueba...',
+        'generator.llmSession': '🤖 Redactando specs con {provider}',
+        'generator.llmUnavailable': '⚠️  Proveedor LLM {provider} no disponible ({error}); se generan los specs sin LLM',
+        'generator.llmTokens': '   🤖 {provider}: {tokens} tokens usados (entrada y salida, todos los intentos)',
+        'generator.llmFailed': '   ⚠️  {specType}: error del proveedor LLM ({error}), se usa la plantilla',
+        'generator.generated': '✅ {count} specs generados',
+        'generator.pageObjects': '📐 {count} page objects derivados de las rutas',
+        'generator.duplicate': '   ♻️  {specType}: igual que un spec anterior, se omite',
+        'generator.template': '   🧩 {specType}: plantilla {pack}/{pattern}',
+        'generator.saving': '💾 Guardando specs en disco...',
+        'generator.saved': '✅ {count} specs guardados en: {path}',
+        'generator.saveFailed': '❌ Error guardando specs: {error}',
+        'llm.budgetExhausted': '   ⚠️  {specType}: sin presupuesto para otra llamada al LLM (quedan {tokens} tokens)',
+        'llm.rejected': '   ⚠️  {specType}: respuesta del LLM descartada ({error})',
+        'llm.unknownProvider': 'Proveedor LLM desconocido: {provider} (disponibles: {providers})',
+        'llm.notImplemented': 'El proveedor {provider} no implementa complete()',
+        'llm.apiKeyMissing': 'El proveedor openai requiere una API key (CYPRESS_AGENT_LLM_API_KEY u OPENAI_API_KEY)',
+        'llm.emptyResponse': 'Respuesta del LLM sin contenido',
+        'llm.invalid.empty': 'respuesta vacía',
+        'llm.invalid.syntax': 'sintaxis inválida: {error}',
+        'llm.invalid.noTests': 'no contiene bloques describe/it',
+        'llm.invalid.noCypress': 'no usa comandos de Cypress',
+        'llm.invalid.nodeApi': 'usa módulos o APIs de Node no permitidas en un spec',
+        'llm.invalid.hostCommand': 'usa comandos de Cypress con acceso al host (cy.exec, cy.task, cy.writeFile, cy.readFile, cy.selectFile)',
+        'llm.invalid.cypressGlobal': 'usa la API global Cypress.*',
+        'llm.invalid.cyAlias': 'usa cy fuera de una llamada directa cy.<comando>',
+        'llm.invalid.dynamicGlobal': 'usa acceso calculado a globales o eval',
+        'componentSpecs.generating': '🧩 Generando specs de componentes...',
+        'componentSpecs.generated': '✅ {count} specs de componentes generados',
+        'componentSpecs.saveFailed': '❌ Error guardando specs de componentes: {error}',
+        'scaffold.generating': '🏗️  Generando scaffold de Cypress...',
+        'scaffold.saved': '✅ Scaffold de Cypress guardado en: {path}',
+        'scaffold.saveFailed': '❌ Error guardando scaffold: {error}',
+
+        // Ejecución y reparación
+        'runner.running': '🧪 Ejecutando specs generados con Cypress...',
+        'runner.waiting': '⏳ Esperando a que la aplicación responda en {baseUrl}...',
+        'runner.ready': '✅ Aplicación disponible en {baseUrl}',
+        'runner.result': '📊 Resultado: {passed} pasados, {failed} fallidos, {pending} pendientes',
+        'runner.failed': '❌ Error ejecutando specs: {error}',
+        'runner.copied': '   📄 {count} specs copiados a {path}',
+        'runner.starting': '🚀 Arrancando aplicación: {command}',
+        'runner.serving': '🚀 Sirviendo archivos estáticos desde {path}',
+        'runner.cypressMissing': 'Cypress no está instalado en el proyecto (node_modules/cypress)',
+        'runner.cypressCrashed': 'Cypress terminó sin devolver resultados:\n{output}',
+        'runner.agentDirExists': '{path} ya existe y no lo creó el agente; no se sobrescribe',
+        'runner.configExists': '{file} ya existe en el proyecto; no se sobrescribe',
+        'runner.startScriptMissing': 'El script "{script}" no existe en package.json',
+        'runner.appExited': 'La aplicación terminó antes de estar disponible:\n{output}',
+        'runner.appTimeout': 'La aplicación no respondió en {baseUrl} tras {seconds}s',
+        'runner.noResults': 'Cypress no devolvió resultados',
+        'repair.allPassing': '✅ Todos los specs pasan tras {count} iteraciones de reparación',
+        'repair.passingDegraded': '⚠️  Los specs pasan tras {count} iteraciones, pero {removed} cambios solo comentaron un comando o aceptaron una redirección',
+        'repair.limitReached': '⚠️  Límite de {count} iteraciones de reparación alcanzado',
+        'repair.iteration': '🔧 Iteración de reparación {iteration}: {count} specs fallidos',
+        'repair.noFixes': '⚠️  No se encontraron reparaciones aplicables',
+
+        // Jobs y webhook
+        'jobs.recovered': '♻️  {count} jobs recuperados tras el reinicio',
+        'jobs.queueError': '❌ Error en la cola de jobs: {error}',
+        'jobs.progressSaveFailed': '❌ Error guardando progreso del job {jobId}: {error}',
+        'jobs.finishSaveFailed': '❌ Error guardando el estado final del job {jobId}: {error}',
+        'jobs.pruneFailed': '❌ Error borrando jobs antiguos: {error}',
+        'jobs.cancelledError': 'Job cancelado',
+        'jobs.timedOut': 'Tiempo máximo excedido ({seconds}s)',
+        'jobs.invalidId': 'Id de job inválido: {id}',
+        'callbackPolicy.invalidUrl': 'callbackUrl debe ser una URL http(s)',
+        'callbackPolicy.hostDenied': 'Host de callback denegado: {host}',
+        'callbackPolicy.hostNotAllowed': 'Host de callback no permitido: {host}',
+        'callbackPolicy.addressNotAllowed': '{host} apunta a una dirección privada o reservada: {address}',
+        'callbackPolicy.unresolvable': 'No se pudo resolver {host}: {error}',
+        'callback.attemptFailed': '⚠️  Callback {url} falló (intento {attempt}/{maxAttempts}): {error}',
+        'webhook.jobFinished': '[{jobId}] Job {status}',
+        'webhook.received': '\n🔄 [{requestId}] Solicitud recibida de n8n',
+        'webhook.callbackRejected': '🚫 [{requestId}] callbackUrl rechazada: {reason}',
+        'webhook.llmRejected': '🚫 [{requestId}] LLM rechazado: {reason}',
+        'webhook.llmProviderNotAllowed': 'El proveedor LLM {provider} no está habilitado en el servidor (habilitados: {providers})',
+        'webhook.executeRejected': '🚫 [{requestId}] Ejecución rechazada: {reason}',
+        'webhook.executeScopeMissing': 'La API key "{key}" necesita el scope jobs:execute para ejecutar o reparar specs',
+        'webhook.llmScopeMissing': 'La API key "{key}" necesita el scope llm:use para usar {provider}',
+        'webhook.repositoryRejected': '🚫 [{requestId}] Repositorio rechazado: {reason}',
+        'webhook.enqueued': '📦 [{requestId}] Job {jobId} encolado: {repository}',
+        'webhook.failed': '❌ [{requestId}] Error: {error}',
+        'webhook.cancelled': '🛑 [{jobId}] Job cancelado',
+        'webhook.processing': '📦 [{jobId}] Procesando: {repository}',
+        'webhook.callbackDelivered': '📨 [{jobId}] Callback entregado a {url}',
+        'webhook.callbackFailed': '❌ [{jobId}] Callback no entregado a {url} tras {attempts} intentos',
+        'webhook.callbackError': '❌ [{jobId}] Error entregando callback: {error}',
+        'webhook.filesError': 'Error leyendo archivos: {error}',
+        'webhook.summary': 'Generados {count} specs para {projectType}',
+        'webhook.started': '\n🚀 Servidor n8n-webhook iniciado en puerto {port}',
+        'webhook.endpoints': '📡 Endpoints disponibles:',
+        'webhook.noApiKeys': '⚠️  Sin API keys configuradas: los endpoints están abiertos (CYPRESS_AGENT_API_KEYS o {file})',
+        'webhook.ready': '\n✅ Listo para recibir solicitudes de n8n!',
+
+        // Respuestas de la API y seguridad
+        'api.invalidRequest': 'Solicitud inválida',
+        'api.bodyTooLarge': 'Cuerpo de la solicitud demasiado grande',
+        'api.invalidJson': 'El cuerpo debe ser JSON válido',
+        'api.jobNotFound': 'Job no encontrado: {jobId}',
+        'api.jobAlreadyFinished': 'El job ya ha terminado ({status})',
+        'api.unauthorized': 'Se requiere una API key válida',
+        'api.missingScope': 'La API key "{key}" no tiene el scope {scope}',
+        'api.rateLimited': 'Límite de {limit} peticiones superado; reintenta en {seconds}s',
+        'api.cypressExitCode': 'Cypress terminó con código {code}',
+        'validation.required': 'es obligatorio',
+        'validation.additionalProperty': 'no es un campo admitido',
+        'validation.enum': 'debe ser uno de: {values}',
+        'validation.const': 'debe ser {value}',
+        'validation.type': 'debe ser de tipo {type}',
+        'validation.pattern': 'tiene un formato no válido',
+        'validation.httpUrl': 'debe ser una URL http(s)',
+        'validation.specOutside': '{pattern} debe estar dentro de {specDir}/',
+        'repositoryPolicy.invalidUrl': 'URL de repositorio no válida',
+        'repositoryPolicy.localNotAllowed': 'No se permiten rutas locales ni file://',
+        'repositoryPolicy.hostDenied': 'Host denegado: {host}',
+        'repositoryPolicy.orgDenied': 'Organización denegada: {host}/{org}',
+        'repositoryPolicy.hostNotAllowed': 'Host no permitido: {host}',
+        'repositoryPolicy.orgNotAllowed': 'Organización no permitida: {host}/{org}',
+        'repositoryPolicy.noOrg': '(ninguna)',
+        'security.fileNotFound': 'No existe el fichero de seguridad: {file}',
+        'security.keyRequired': '{file}: apiKeys[{index}] necesita un "key"',
+
+        // cypress-server.cjs
+        'cypressServer.received': '📦 Recibiendo solicitud para ejecutar Cypress...',
+        'cypressServer.options': '🔧 Opciones de ejecución:',
+        'cypressServer.command': '🚀 Ejecutando comando:',
+        'cypressServer.exitCode': '❌ Cypress terminó con código {code}',
+        'cypressServer.passed': '✅ Cypress ejecutado exitosamente',
+        'cypressServer.failed': '❌ Error ejecutando Cypress:',
+        'cypressServer.started': '🚀 Servidor Cypress iniciado en http://localhost:{port}',
+        'cypressServer.health': '📊 Health check: http://localhost:{port}/health',
+        'cypressServer.testTypes': '📋 Tipos de test: http://localhost:{port}/test-types',
+        'cypressServer.noApiKeys': '⚠️  Sin API keys configuradas: /run-cypress está abierto (CYPRESS_AGENT_API_KEYS o {file})',
+        'cypressServer.startFailed': '❌ No se pudo iniciar el servidor:'
+    },
+
+    spec: {
+        // Cabeceras
+        'header.spec': 'Spec generado automáticamente por Cypress Autonomous Agent',
+        'header.componentSpec': 'Spec de componente generado automáticamente por Cypress Autonomous Agent',
+        'header.pageObject': 'Page object generado por Cypress Autonomous Agent para {route}',
+        'header.type': 'Tipo',
+        'header.project': 'Proyecto',
+        'header.component': 'Componente',
+        'header.date': 'Fecha',
+
+        // Specs basados en el código fuente (en línea y POM)
+        'smoke.loads': 'debería cargar la página sin errores',
+        'smoke.title': 'debería tener el título correcto',
+        'smoke.heading': 'debería mostrar el encabezado principal',
+        'smoke.keyElements': 'debería renderizar los elementos clave',
+        'navigation.describe': 'Navegación',
+        'navigation.eachRoute': 'debería cargar cada ruta descubierta',
+        'navigation.followLink': 'debería navegar con el enlace "{text}"',
+        'forms.describe': 'Formulario {selector}',
+        'forms.describeInFile': 'Formulario en {file}',
+        'forms.describePageObject': 'Formulario {name} en {route}',
+        'forms.fillValid': 'debería completar el formulario con datos válidos',
+        'forms.blockRequired': 'debería bloquear el envío con campos requeridos vacíos',
+        'api.describe': 'API Calls',
+        'api.intercept': 'debería interceptar las llamadas API del proyecto',
+        'api.afterInteraction': '{method} {url} ({file}) se invoca tras una interacción',
+        'api.resilient': 'debería seguir operativa si la API falla',
+        'interactions.describe': 'Interacciones de usuario',
+        'interactions.describeRoute': 'Interacciones de usuario: {route}',
+        'interactions.testIds': 'debería exponer los elementos con atributos de test',
+        'interactions.buttons': 'debería mostrar los botones interactivos',
+
+        // Datos de ejemplo
+        'sample.name': 'Usuario de Prueba',
+        'sample.text': 'Texto de prueba',
+        'sample.prop': '{name} de prueba',
+        'sample.fixtureBody': 'Fixture de ejemplo',
+
+        // Specs de componentes
+        'component.mounts': 'debería montarse sin errores',
+        'component.showsProp': 'debería mostrar la prop {name}',
+        'component.noEvents': 'no debería emitir eventos al montarse',
+
+        // Plantillas de respaldo (sin inventario del código)
+        'template.basic': 'Template Básico',
+        'template.loadsHome': 'debería cargar la página principal',
+        'template.welcome': 'Bienvenido',
+        'template.navigation': 'Navegación',
+        'template.navigates': 'debería navegar entre páginas',
+        'template.newPage': '/nueva-pagina',
+        'template.keepsState': 'debería mantener el estado de navegación',
+        'template.complexNavigation': 'Test de navegación compleja',
+        'template.forms': 'Formularios',
+        'template.formPage': '/formulario',
+        'template.nameField': '#nombre',
+        'template.submits': 'debería enviar el formulario correctamente',
+        'template.success': 'Éxito',
+        'template.showsErrors': 'debería mostrar errores de validación',
+        'template.required': 'Campo requerido',
+        'template.api': 'API Calls',
+        'template.apiSucceeds': 'debería hacer llamadas API exitosas',
+        'template.apiErrors': 'debería manejar errores de API',
+        'template.serverError': 'Error del servidor',
+
+        // Scaffold de Cypress
+        'scaffold.setupNodeEvents': 'Registrar aquí los eventos de Node (tareas, plugins...)',
+        'scaffold.support': 'Se carga antes de cada spec: https://on.cypress.io/configuration#Folders-Files',
+        'scaffold.uncaughtExceptions': 'Errores no capturados de la aplicación no deben tumbar los specs generados',
+        'scaffold.componentSupport': 'Se carga antes de cada spec de componente',
+        'scaffold.commands': 'Comandos personalizados generados por Cypress Autonomous Agent',
+        'scaffold.selectorExample': 'guardar',
+        'scaffold.selectorLikeExample': 'producto',
+        'scaffold.login': 'Inicio de sesión cacheado entre tests; las credenciales por defecto salen de fixtures/user.json',
+
+        // Reparación y LLM
+        'repair.removed': '[agent] eliminado tras fallo ({subject}): {line}',
+        'llm.language': 'Spanish',
+        'llm.mockLoads': 'debería cargar {route}'
+    }
+};
@@ -0,0 +1,57 @@
+import en from './en.js';
+import es from './es.js';
+
+export const LANGUAGES = ['en', 'es'];
+export const DEFAULT_LANGUAGE = 'es';
+
+const CATALOGS = { en, es };
+
+// Idioma de los mensajes del agente (logs, informe de la CLI, eventos de progreso)
+let outputLanguage = resolveLanguage(process.env.CYPRESS_AGENT_LANG) || DEFAULT_LANGUAGE;
+
+/**
+ * Normaliza un idioma ('en', 'en-US', 'es_ES.UTF-8') a uno de LANGUAGES.
+ * Devuelve null si no hay catálogo para él.
+ */
+export function resolveLanguage(value) {
+    if (!value) return null;
+    const language = String(value).toLowerCase().split(/[-_.]/)[0];
+    return LANGUAGES.includes(language) ? language : null;
+}
+
+export function setLanguage(language) {
+    outputLanguage = resolveLanguage(language) || outputLanguage;
+}
+
+export function getLanguage() {
+    return outputLanguage;
+}
+
+// Mensaje del agente en el idioma configurado: t('github.cloned', { name })
+export function t(key, params) {
+    return translate('messages', outputLanguage, key, params);
+}
+
+// Traductor de mensajes fijado a un idioma; sin idioma válido usa el configurado
+export function messageTranslator(language) {
+    const resolved = resolveLanguage(language);
+    return (key, params) => translate('messages', resolved || outputLanguage, key, params);
+}
+
+export function defaultSpecLanguage() {
+    return resolveLanguage(process.env.CYPRESS_AGENT_SPEC_LANG) || DEFAULT_LANGUAGE;
+}
+
+// Traductor de los textos de los specs generados: títulos de describe/it, comentarios y datos de ejemplo
+export function specTranslator(language) {
+    const resolved = resolveLanguage(language) || defaultSpecLanguage();
+    const translator = (key, params) => translate('spec', resolved, key, params);
+    translator.language = resolved;
+    return translator;
+}
+
+// Las claves que faltan en un catálogo se toman del inglés; los {parámetros} sin valor se dejan tal cual
+function translate(section, language, key, params = {}) {
+    const template = CATALOGS[language][section][key] ?? CATALOGS.en[section][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
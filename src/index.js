@@ -0,0 +1,19 @@
+// Punto de entrada de la librería: importar este módulo no clona, limpia ni arranca nada.
+// La CLI está en agent.js y el servidor webhook en src/n8n/n8n-webhook.js.
+export { default, default as CypressAutonomousAgent, PIPELINE_STAGES } from './core/CypressAutonomousAgent.js';
+export { default as Pipeline } from './core/Pipeline.js';
+export { default as ProjectConfig, ProjectConfigError } from './core/ProjectConfig.js';
+export {
+    ANALYSIS_SCHEMA_VERSION,
+    projectAnalysisSchema,
+    cypressCheckSchema,
+    testStrategySchema,
+    specSummarySchema,
+    analysisExportSchema,
+    AnalysisSchemaError,
+    readAnalysisExport
+} from './core/analysisSchemas.js';
+export { default as TemplateCatalog } from './generators/TemplateCatalog.js';
+export { default as TemplatePack, TemplatePackError } from './generators/TemplatePack.js';
+export { configureLogger, withLogContext } from './core/Logger.js';
+export { LANGUAGES, setLanguage } from './i18n/index.js';
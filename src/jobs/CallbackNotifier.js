@@ -0,0 +1,115 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createLogger } from '../core/Logger.js';
+import CallbackPolicy, { CALLBACK_BLOCKED } from '../security/CallbackPolicy.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('CallbackNotifier');
+
+export const SIGNATURE_HEADER = 'x-cypress-agent-signature';
+export const TIMESTAMP_HEADER = 'x-cypress-agent-timestamp';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Códigos que merecen reintento; el resto de 4xx indica un problema del receptor que no se arregla solo
+const RETRYABLE_STATUS = [408, 425, 429];
+
+// Entrega el resultado de un job a la callbackUrl indicada por el cliente.
+// El cuerpo se firma con HMAC-SHA256 sobre `${timestamp}.${body}` para que el receptor
+// pueda comprobar el origen y descartar reenvíos antiguos. Cada envío pasa por la CallbackPolicy
+// (por defecto, sin direcciones privadas) con las direcciones comprobadas al conectar.
+export default class CallbackNotifier {
+    constructor(options = {}) {
+        this.secret = options.secret;
+        this.policy = options.policy || new CallbackPolicy();
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    sign(body, timestamp) {
+        if (!this.secret) return null;
+        return 'sha256=' + crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // onAttempt(attempt) se llama tras cada intento para que el llamador lo registre.
+    // `previousAttempts` permite retomar una entrega interrumpida sin reiniciar la cuenta.
+    async deliver(url, payload, { onAttempt, previousAttempts = 0 } = {}) {
+        const body = JSON.stringify(payload);
+        const attempts = [];
+
+        for (let number = previousAttempts + 1; number <= this.maxAttempts; number++) {
+            if (number > 1) {
+                await this.sleep(this.baseDelayMs * 2 ** (number - 2));
+            }
+
+            const attempt = await this.send(url, body, number);
+            attempts.push(attempt);
+            if (onAttempt) await onAttempt(attempt);
+
+            if (attempt.ok) {
+                return { delivered: true, attempts };
+            }
+
+            logger.warn(t('callback.attemptFailed', { url, attempt: number, maxAttempts: this.maxAttempts, error: attempt.error }));
+            if (!attempt.retryable) break;
+        }
+
+        return { delivered: false, attempts };
+    }
+
+    async send(url, body, number) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = { 'Content-Type': 'application/json', [TIMESTAMP_HEADER]: timestamp };
+        const signature = this.sign(body, timestamp);
+        if (signature) headers[SIGNATURE_HEADER] = signature;
+
+        const startTime = Date.now();
+        const attempt = { attempt: number, at: new Date().toISOString() };
+
+        // La política puede haber cambiado desde que se aceptó el job (reinicio con otra configuración)
+        const verdict = this.policy.check(url);
+        if (!verdict.allowed) {
+            return { ...attempt, ok: false, statusCode: null, durationMs: 0, error: verdict.reason, retryable: false };
+        }
+
+        try {
+            const response = await axios.post(url, body, {
+                headers,
+                timeout: this.timeoutMs,
+                maxRedirects: 0,
+                // Sin proxy del entorno: la conexión debe ir a la dirección que comprueba lookup
+                proxy: false,
+                lookup: this.policy.createLookup(),
+                validateStatus: () => true
+            });
+            const ok = response.status >= 200 && response.status < 300;
+
+            return {
+                ...attempt,
+                ok,
+                statusCode: response.status,
+                durationMs: Date.now() - startTime,
+                error: ok ? null : `HTTP ${response.status}`,
+                retryable: !ok && (response.status >= 500 || RETRYABLE_STATUS.includes(response.status))
+            };
+        } catch (error) {
+            // Errores de red o timeout: reintentables salvo que el host resuelva a una dirección no permitida
+            const blocked = error.code === CALLBACK_BLOCKED;
+            return {
+                ...attempt,
+                ok: false,
+                statusCode: null,
+                durationMs: Date.now() - startTime,
+                error: error.code && !blocked ? `${error.code}: ${error.message}` : error.message,
+                retryable: !blocked
+            };
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import CallbackNotifier, { SIGNATURE_HEADER, TIMESTAMP_HEADER } from './CallbackNotifier.js';
+import CallbackPolicy from '../security/CallbackPolicy.js';
+import { configureLogger } from '../core/Logger.js';
+
+configureLogger({ level: 'error' });
+
+const SECRET = 'test-secret';
+
+// Receptor local que responde con los códigos indicados, en orden, y guarda cada petición
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function createNotifier(options = {}) {
+    return new CallbackNotifier({
+        secret: SECRET,
+        policy: new CallbackPolicy({ allowPrivate: true }),
+        baseDelayMs: 1,
+        maxAttempts: 3,
+        ...options
+    });
+}
+
+test('firma el cuerpo con HMAC-SHA256 sobre timestamp y cuerpo', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+        const payload = { jobId: 'job-1', status: 'completed' };
+        const result = await createNotifier().deliver(receiver.url, payload);
+
+        assert.equal(result.delivered, true);
+        assert.equal(receiver.requests.length, 1);
+
+        const { headers, body } = receiver.requests[0];
+        assert.deepEqual(JSON.parse(body), payload);
+        const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers[TIMESTAMP_HEADER]}.${body}`).digest('hex');
+        assert.equal(headers[SIGNATURE_HEADER], expected);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('reintenta los 5xx y 429 hasta entregar', async () => {
+    const receiver = await startReceiver([503, 429, 200]);
+    try {
+        const seen = [];
+        const result = await createNotifier().deliver(receiver.url, { jobId: 'job-2' }, { onAttempt: attempt => seen.push(attempt.statusCode) });
+
+        assert.equal(result.delivered, true);
+        assert.deepEqual(seen, [503, 429, 200]);
+        assert.deepEqual(result.attempts.map(attempt => attempt.retryable), [true, true, false]);
+        // Cada reintento se firma con su propio timestamp y sigue siendo válido
+        for (const { headers, body } of receiver.requests) {
+            assert.equal(headers[SIGNATURE_HEADER], createNotifier().sign(body, headers[TIMESTAMP_HEADER]));
+        }
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('no reintenta un 4xx definitivo y se detiene en maxAttempts', async () => {
+    const rejecting = await startReceiver([404]);
+    const failing = await startReceiver([500]);
+    try {
+        const rejected = await createNotifier().deliver(rejecting.url, {});
+        assert.equal(rejected.delivered, false);
+        assert.equal(rejecting.requests.length, 1);
+
+        const failed = await createNotifier().deliver(failing.url, {});
+        assert.equal(failed.delivered, false);
+        assert.equal(failing.requests.length, 3);
+    } finally {
+        await rejecting.close();
+        await failing.close();
+    }
+});
+
+test('retoma la cuenta de intentos de una entrega interrumpida', async () => {
+    const receiver = await startReceiver([500]);
+    try {
+        const result = await createNotifier().deliver(receiver.url, {}, { previousAttempts: 2 });
+
+        assert.equal(receiver.requests.length, 1);
+        assert.deepEqual(result.attempts.map(attempt => attempt.attempt), [3]);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('la política por defecto bloquea el receptor local sin conectar', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+        const result = await createNotifier({ policy: undefined }).deliver(receiver.url, {});
+
+        assert.equal(result.delivered, false);
+        assert.equal(result.attempts.length, 1);
+        assert.equal(result.attempts[0].retryable, false);
+        assert.equal(receiver.requests.length, 0);
+    } finally {
+        await receiver.close();
+    }
+});
@@ -0,0 +1,249 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { createLogger } from '../core/Logger.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('JobQueue');
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timed-out'
+};
+
+export const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED, JOB_STATUS.TIMED_OUT];
+const DEFAULT_TIMEOUT_MS = 15 * 60 * 1000;
+// Jobs terminados que se conservan en el JobStore; los más antiguos se borran
+const DEFAULT_RETENTION = 200;
+
+// Eventos de progreso que se conservan por job para los clientes que se conectan tarde
+const MAX_EVENTS_PER_JOB = 500;
+const EVENTS_TTL_MS = 10 * 60 * 1000;
+
+// Cola de jobs en memoria con persistencia en un JobStore.
+// El `processor` recibe (job, { signal, reportProgress }) y devuelve el resultado del job.
+// Eventos: 'queued', 'started', 'progress', 'finished' con el job actualizado, 'removed' con cada
+// job terminado que se borra por la retención (ver prune()) y
+// 'event' (job, event) con cada evento de progreso numerado (ver publish()). Quien solo sigue
+// un job (clientes SSE) usa subscribe() en lugar de añadir un listener de 'event' por cliente.
+export default class JobQueue extends EventEmitter {
+    constructor({ store, processor, concurrency = 1, timeoutMs = DEFAULT_TIMEOUT_MS, retention = DEFAULT_RETENTION }) {
+        super();
+        this.store = store;
+        this.processor = processor;
+        this.concurrency = Math.max(1, concurrency);
+        this.timeoutMs = timeoutMs;
+        this.retention = Math.max(0, retention);
+        this.pending = [];
+        this.active = new Map();
+        // Jobs que run() está leyendo del store y aún no figuran en `active`
+        this.starting = 0;
+        this.events = new Map();
+        this.subscribers = new Map();
+    }
+
+    // Jobs que quedaron en cola o a medias en un reinicio se vuelven a encolar desde cero
+    async start() {
+        await this.store.init();
+
+        const interrupted = (await this.store.list())
+            .filter(job => !FINAL_STATUSES.includes(job.status))
+            .reverse();
+
+        for (const job of interrupted) {
+            await this.update(job, { status: JOB_STATUS.QUEUED, stage: 'queued', progress: 0, startedAt: null });
+            this.pending.push(job.id);
+        }
+
+        if (interrupted.length > 0) {
+            logger.warn(t('jobs.recovered', { count: interrupted.length }));
+        }
+
+        await this.prune();
+        this.drain();
+    }
+
+    async enqueue(input) {
+        const job = {
+            id: `job-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            status: JOB_STATUS.QUEUED,
+            stage: 'queued',
+            progress: 0,
+            input,
+            result: null,
+            error: null,
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        await this.store.save(job);
+        this.pending.push(job.id);
+        this.emit('queued', job);
+        this.drain();
+
+        return job;
+    }
+
+    async get(id) {
+        return this.store.get(id);
+    }
+
+    async list() {
+        return this.store.list();
+    }
+
+    // Devuelve el job cancelado, o null si no existe; los jobs ya terminados no cambian
+    async cancel(id) {
+        const job = await this.store.get(id);
+        if (!job) return null;
+        if (FINAL_STATUSES.includes(job.status)) return job;
+
+        const running = this.active.get(id);
+        if (running) {
+            running.controller.abort(new Error(t('jobs.cancelledError')));
+            return this.finish(running.job, { status: JOB_STATUS.CANCELLED, error: t('jobs.cancelledError') });
+        }
+
+        this.pending = this.pending.filter(pendingId => pendingId !== id);
+        return this.finish(job, { status: JOB_STATUS.CANCELLED, error: t('jobs.cancelledError') });
+    }
+
+    drain() {
+        while (this.active.size + this.starting < this.concurrency && this.pending.length > 0) {
+            this.run(this.pending.shift()).catch(error => {
+                logger.error(t('jobs.queueError', { error: error.message }));
+            });
+        }
+    }
+
+    async run(id) {
+        // El hueco se reserva mientras se lee el job para que drain() no lance más de `concurrency`
+        this.starting++;
+        let job;
+        try {
+            job = await this.store.get(id);
+        } finally {
+            this.starting--;
+        }
+        if (!job || job.status !== JOB_STATUS.QUEUED) {
+            this.drain();
+            return;
+        }
+
+        const controller = new AbortController();
+        this.active.set(id, { job, controller });
+
+        const timer = setTimeout(() => {
+            const error = t('jobs.timedOut', { seconds: Math.round(this.timeoutMs / 1000) });
+            controller.abort(new Error(error));
+            this.finish(job, { status: JOB_STATUS.TIMED_OUT, error })
+                .catch(saveError => logger.error(t('jobs.finishSaveFailed', { jobId: job.id, error: saveError.message })));
+        }, this.timeoutMs);
+
+        try {
+            await this.update(job, {
+                status: JOB_STATUS.RUNNING,
+                stage: 'starting',
+                startedAt: new Date().toISOString(),
+                attempts: job.attempts + 1
+            });
+            this.emit('started', job);
+            this.publish(job, { type: 'status', status: JOB_STATUS.RUNNING });
+
+            const result = await this.processor(job, {
+                signal: controller.signal,
+                reportProgress: (stage, progress) => this.reportProgress(job, stage, progress)
+            });
+
+            if (!controller.signal.aborted) {
+                await this.finish(job, result && result.success === false
+                    ? { status: JOB_STATUS.FAILED, result, error: result.error }
+                    : { status: JOB_STATUS.COMPLETED, result, progress: 100 });
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                await this.finish(job, { status: JOB_STATUS.FAILED, error: error.message });
+            }
+        } finally {
+            // El hueco se libera cuando el procesador termina de verdad, aunque el job
+            // ya figure como cancelado o expirado, para no superar la concurrencia real
+            clearTimeout(timer);
+            this.active.delete(id);
+            this.drain();
+        }
+    }
+
+    reportProgress(job, stage, progress) {
+        if (FINAL_STATUSES.includes(job.status)) return;
+
+        this.update(job, { stage, progress: Math.max(job.progress, Math.min(99, Math.round(progress))) })
+            .then(() => this.emit('progress', job))
+            .catch(error => logger.error(t('jobs.progressSaveFailed', { jobId: job.id, error: error.message })));
+    }
+
+    async finish(job, changes) {
+        if (FINAL_STATUSES.includes(job.status)) return job;
+
+        await this.update(job, { ...changes, stage: changes.status, finishedAt: new Date().toISOString() });
+        this.emit('finished', job);
+        this.publish(job, { type: 'status', status: job.status, error: job.error || undefined, final: true });
+
+        // El historial se mantiene un tiempo para los clientes que se conectan justo al final
+        setTimeout(() => this.events.delete(job.id), EVENTS_TTL_MS).unref();
+        this.prune().catch(error => logger.error(t('jobs.pruneFailed', { error: error.message })));
+        return job;
+    }
+
+    // Conserva los `retention` jobs terminados más recientes y borra el resto del JobStore
+    async prune() {
+        const finished = (await this.store.list()).filter(job => FINAL_STATUSES.includes(job.status));
+        for (const job of finished.slice(this.retention)) {
+            await this.store.remove(job.id);
+            this.events.delete(job.id);
+            this.emit('removed', job);
+        }
+    }
+
+    // Numera el evento dentro del job, lo guarda en memoria y lo emite como 'event'
+    publish(job, event) {
+        const history = this.events.get(job.id) || { lastId: 0, events: [] };
+        const entry = { id: ++history.lastId, jobId: job.id, timestamp: new Date().toISOString(), ...event };
+
+        history.events.push(entry);
+        if (history.events.length > MAX_EVENTS_PER_JOB) history.events.shift();
+        this.events.set(job.id, history);
+
+        this.emit('event', job, entry);
+        for (const listener of this.subscribers.get(job.id) || []) listener(entry);
+        return entry;
+    }
+
+    // Recibe los eventos de un solo job; devuelve la función que cancela la suscripción
+    subscribe(id, listener) {
+        const listeners = this.subscribers.get(id) || new Set();
+        listeners.add(listener);
+        this.subscribers.set(id, listeners);
+
+        return () => {
+            listeners.delete(listener);
+            if (listeners.size === 0 && this.subscribers.get(id) === listeners) this.subscribers.delete(id);
+        };
+    }
+
+    // Eventos guardados de un job posteriores a `afterId` (cabecera Last-Event-ID)
+    eventsSince(id, afterId = 0) {
+        const history = this.events.get(id);
+        return history ? history.events.filter(event => event.id > afterId) : [];
+    }
+
+    async update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        await this.store.save(job);
+        return job;
+    }
+}
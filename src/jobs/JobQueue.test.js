@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import JobQueue, { JOB_STATUS } from './JobQueue.js';
+import { configureLogger } from '../core/Logger.js';
+
+configureLogger({ level: 'error' });
+
+const memoryStore = { save: async () => {} };
+
+// JobStore en memoria: guarda copias, como el de disco, para que la cola no comparta objetos con él
+function createStore(jobs = []) {
+    const saved = new Map(jobs.map(job => [job.id, structuredClone(job)]));
+    return {
+        saved,
+        init: async () => {},
+        save: async job => { saved.set(job.id, structuredClone(job)); },
+        get: async id => (saved.has(id) ? structuredClone(saved.get(id)) : null),
+        list: async () => [...saved.values()].map(job => structuredClone(job))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+        remove: async id => { saved.delete(id); }
+    };
+}
+
+// Procesador que no termina hasta que se aborta su señal; registra los jobs en curso
+function blockingProcessor() {
+    const running = new Set();
+    const processor = async (job, { signal }) => {
+        running.add(job.id);
+        processor.maxRunning = Math.max(processor.maxRunning, running.size);
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        running.delete(job.id);
+        processor.aborted.push(signal.reason.message);
+        return { success: true };
+    };
+    processor.running = running;
+    processor.maxRunning = 0;
+    processor.aborted = [];
+    return processor;
+}
+
+function storedJob(id, status, createdAt) {
+    return { id, status, stage: status, progress: 40, input: {}, result: null, error: null, attempts: 1, createdAt, startedAt: createdAt, finishedAt: null };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('cada suscriptor recibe solo los eventos de su job sin añadir listeners a la cola', () => {
+    const queue = new JobQueue({ store: memoryStore, processor: async () => ({}) });
+    const received = { a: [], b: [] };
+
+    const unsubscribers = Array.from({ length: 20 }, () => queue.subscribe('job-a', event => received.a.push(event.id)));
+    queue.subscribe('job-b', event => received.b.push(event.id));
+
+    assert.equal(queue.listenerCount('event'), 0);
+
+    queue.publish({ id: 'job-a' }, { type: 'stage' });
+    queue.publish({ id: 'job-b' }, { type: 'stage' });
+    assert.equal(received.a.length, 20);
+    assert.deepEqual(received.b, [1]);
+
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    queue.publish({ id: 'job-a' }, { type: 'status', final: true });
+    assert.equal(received.a.length, 20);
+    assert.equal(queue.subscribers.has('job-a'), false);
+});
+
+test('cancelar un job en ejecución aborta su señal y lo deja cancelado', async () => {
+    const store = createStore();
+    const processor = blockingProcessor();
+    const queue = new JobQueue({ store, processor });
+
+    const job = await queue.enqueue({});
+    await tick();
+    assert.equal(processor.running.has(job.id), true);
+
+    const cancelled = await queue.cancel(job.id);
+    await tick();
+
+    assert.equal(cancelled.status, JOB_STATUS.CANCELLED);
+    assert.equal((await store.get(job.id)).status, JOB_STATUS.CANCELLED);
+    assert.equal(processor.running.size, 0);
+    assert.equal(processor.aborted.length, 1);
+    assert.equal(queue.active.size, 0);
+
+    // Un job terminado ya no cambia
+    assert.equal((await queue.cancel(job.id)).status, JOB_STATUS.CANCELLED);
+});
+
+test('cancelar un job en cola lo saca de la cola sin ejecutarlo', async () => {
+    const store = createStore();
+    const processor = blockingProcessor();
+    const queue = new JobQueue({ store, processor });
+
+    const first = await queue.enqueue({});
+    const second = await queue.enqueue({});
+    await tick();
+
+    assert.equal((await queue.cancel(second.id)).status, JOB_STATUS.CANCELLED);
+    assert.deepEqual(queue.pending, []);
+
+    await queue.cancel(first.id);
+    await tick();
+    assert.equal(processor.aborted.length, 1);
+});
+
+test('un job que supera el timeout se aborta y queda como timed-out', async () => {
+    const store = createStore();
+    const processor = blockingProcessor();
+    const queue = new JobQueue({ store, processor, timeoutMs: 20 });
+
+    const job = await queue.enqueue({});
+    const [finished] = await once(queue, 'finished');
+    await tick();
+
+    assert.equal(finished.id, job.id);
+    assert.equal(finished.status, JOB_STATUS.TIMED_OUT);
+    assert.match(finished.error, /0s/);
+    assert.equal((await store.get(job.id)).status, JOB_STATUS.TIMED_OUT);
+    assert.equal(processor.aborted.length, 1);
+    assert.equal(processor.running.size, 0);
+});
+
+test('tras un reinicio los jobs en cola o a medias se vuelven a ejecutar', async () => {
+    const store = createStore([
+        storedJob('job-running', JOB_STATUS.RUNNING, '2026-01-01T00:00:00.000Z'),
+        storedJob('job-queued', JOB_STATUS.QUEUED, '2026-01-01T00:00:01.000Z'),
+        storedJob('job-done', JOB_STATUS.COMPLETED, '2026-01-01T00:00:02.000Z')
+    ]);
+    const processed = [];
+    const queue = new JobQueue({ store, processor: async job => { processed.push(job.id); return { success: true }; } });
+
+    await queue.start();
+    while (queue.active.size > 0 || queue.pending.length > 0) await tick();
+
+    // Se reanudan en orden de creación y desde cero
+    assert.deepEqual(processed, ['job-running', 'job-queued']);
+    const recovered = await store.get('job-running');
+    assert.equal(recovered.status, JOB_STATUS.COMPLETED);
+    assert.equal(recovered.attempts, 2);
+    assert.equal((await store.get('job-done')).attempts, 1);
+});
+
+test('nunca se ejecutan más jobs a la vez que la concurrencia configurada', async () => {
+    const store = createStore();
+    const processor = blockingProcessor();
+    const queue = new JobQueue({ store, processor, concurrency: 2 });
+
+    const jobs = [];
+    for (let index = 0; index < 4; index++) jobs.push(await queue.enqueue({}));
+    await tick();
+
+    assert.equal(processor.running.size, 2);
+    assert.equal(queue.pending.length, 2);
+
+    // Al liberar un hueco entra el siguiente en cola
+    await queue.cancel(jobs[0].id);
+    await tick();
+    await tick();
+    assert.equal(processor.running.size, 2);
+    assert.equal(processor.running.has(jobs[2].id), true);
+
+    for (const job of jobs) await queue.cancel(job.id);
+    await tick();
+    assert.equal(processor.maxRunning, 2);
+    assert.equal(processor.running.size, 0);
+});
+
+test('solo se conservan los jobs terminados más recientes', async () => {
+    const store = createStore([
+        storedJob('job-old', JOB_STATUS.FAILED, '2026-01-01T00:00:00.000Z'),
+        storedJob('job-newer', JOB_STATUS.COMPLETED, '2026-01-01T00:00:01.000Z'),
+        storedJob('job-newest', JOB_STATUS.CANCELLED, '2026-01-01T00:00:02.000Z')
+    ]);
+    const queue = new JobQueue({ store, processor: async () => ({ success: true }), retention: 2 });
+    const removed = [];
+    queue.on('removed', job => removed.push(job.id));
+
+    await queue.start();
+    assert.deepEqual(removed, ['job-old']);
+    assert.deepEqual([...store.saved.keys()].sort(), ['job-newer', 'job-newest']);
+
+    const job = await queue.enqueue({});
+    await once(queue, 'finished');
+    while (removed.length < 2) await tick();
+
+    assert.deepEqual(removed, ['job-old', 'job-newer']);
+    assert.deepEqual([...store.saved.keys()].sort(), [job.id, 'job-newest'].sort());
+});
@@ -0,0 +1,75 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { t } from '../i18n/index.js';
+
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+// Persistencia de jobs en disco: un JSON por job para sobrevivir a reinicios del servidor
+export default class JobStore {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        // Escrituras encadenadas por job: la última actualización siempre es la que queda en disco
+        this.writes = new Map();
+    }
+
+    async init() {
+        await fs.ensureDir(this.directory);
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+    }
+
+    filePath(id) {
+        if (!this.isValidId(id)) {
+            throw new Error(t('jobs.invalidId', { id }));
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    // Escritura atómica: un reinicio a mitad de escritura no deja JSON corrupto
+    save(job) {
+        const target = this.filePath(job.id);
+        const snapshot = JSON.stringify(job, null, 2);
+        const previous = this.writes.get(job.id) || Promise.resolve();
+
+        const write = previous.catch(() => {}).then(async () => {
+            const temporary = `${target}.tmp`;
+            await fs.writeFile(temporary, snapshot);
+            await fs.move(temporary, target, { overwrite: true });
+        });
+
+        this.writes.set(job.id, write);
+        write.finally(() => {
+            if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+        }).catch(() => {});
+
+        return write;
+    }
+
+    async get(id) {
+        if (!this.isValidId(id)) return null;
+
+        try {
+            return await fs.readJson(this.filePath(id));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async list() {
+        const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+        const jobs = [];
+
+        for (const file of files) {
+            const job = await this.get(path.basename(file, '.json'));
+            if (job) jobs.push(job);
+        }
+
+        return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async remove(id) {
+        await fs.remove(this.filePath(id));
+    }
+}
@@ -2,92 +2,475 @@ import express from 'express';
 import cors from 'cors';
 import fs from 'fs-extra';
 import path from 'path';
-import chalk from 'chalk';
+import { createLogger, withLogContext } from '../core/Logger.js';
 import CypressAutonomousAgent from '../core/CypressAutonomousAgent.js';
+import ProjectConfig from '../core/ProjectConfig.js';
+import JobStore from '../jobs/JobStore.js';
+import JobQueue, { JOB_STATUS, FINAL_STATUSES } from '../jobs/JobQueue.js';
+import CallbackNotifier from '../jobs/CallbackNotifier.js';
+import loadSecurityConfig from '../security/loadSecurityConfig.js';
+import ApiKeyAuth from '../security/ApiKeyAuth.js';
+import RateLimiter from '../security/RateLimiter.js';
+import RequestValidator from '../security/RequestValidator.js';
+import RepositoryPolicy from '../security/RepositoryPolicy.js';
+import CallbackPolicy from '../security/CallbackPolicy.js';
+import { cypressAgentRequestSchema } from '../security/requestSchemas.js';
+import { t } from '../i18n/index.js';
+
+const logger = createLogger('n8n-webhook');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Seguridad: API keys con scopes por endpoint, límite por clave, validación y políticas de repositorios y callbacks
+const security = await loadSecurityConfig();
+const auth = new ApiKeyAuth(security.apiKeys);
+const rateLimiter = new RateLimiter(security.rateLimit);
+const validator = new RequestValidator();
+const repositoryPolicy = new RepositoryPolicy(security.repositories);
+const callbackPolicy = new CallbackPolicy(security.callbacks);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: security.corsOrigins.length > 0 ? security.corsOrigins : false }));
+app.use(express.json({ limit: '100kb' }));
+app.use(rejectMalformedBody);
+
+// Cada petición lleva su requestId en los logs (campo requestId en JSON) y en X-Request-Id.
+// Va después del parser del cuerpo para que el contexto llegue intacto a las rutas.
+app.use((req, res, next) => {
+    req.requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    res.set('X-Request-Id', req.requestId);
+    withLogContext({ requestId: req.requestId }, next);
+});
+
+// Configuración del proyecto (CYPRESS_AGENT_CONFIG o ./cypress-agent.config.js); cada job puede ajustarla con `config`
+const projectConfig = await ProjectConfig.load();
+
+// Cola de jobs: cada solicitud se procesa en segundo plano y su estado se guarda en disco
+const OUTPUT_ROOT = path.resolve(projectConfig.values.outputDir);
+const jobQueue = new JobQueue({
+    store: new JobStore(process.env.CYPRESS_AGENT_JOBS_DIR || path.join(process.cwd(), 'jobs')),
+    processor: processJob,
+    concurrency: Number(process.env.CYPRESS_AGENT_CONCURRENCY) || 1,
+    timeoutMs: Number(process.env.CYPRESS_AGENT_JOB_TIMEOUT_MS) || undefined,
+    retention: process.env.CYPRESS_AGENT_JOB_RETENTION ? Number(process.env.CYPRESS_AGENT_JOB_RETENTION) : undefined
+});
+
+// Los specs de un job borrado por la retención se borran con él
+jobQueue.on('removed', job => {
+    fs.remove(path.join(OUTPUT_ROOT, job.id))
+        .catch(error => logger.warn(t('agent.cleanupFailed', { error: error.message })));
+});
+
+// Notificación firmada del resultado a la callbackUrl de la solicitud
+const callbackNotifier = new CallbackNotifier({
+    secret: process.env.CYPRESS_AGENT_CALLBACK_SECRET,
+    policy: callbackPolicy,
+    maxAttempts: Number(process.env.CYPRESS_AGENT_CALLBACK_ATTEMPTS) || undefined
+});
+
+jobQueue.on('finished', job => {
+    const message = `${t('webhook.jobFinished', { jobId: job.id, status: job.status })}${job.error ? `: ${job.error}` : ''}`;
+    const fields = { ...jobLogContext(job), status: job.status };
 
-// Instancia del agente
-const agent = new CypressAutonomousAgent();
+    if (job.status === JOB_STATUS.COMPLETED) {
+        logger.success(`✅ ${message}`, fields);
+    } else {
+        logger.error(`❌ ${message}`, fields);
+    }
+
+    if (job.input.callbackUrl) {
+        deliverCallback(job);
+    }
+});
 
-// Endpoint principal para n8n
-app.post('/webhook/cypress-agent', async (req, res) => {
-    const startTime = Date.now();
-    const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+// Endpoint principal para n8n: encola el procesamiento y responde 202 con el id del job
+app.post('/webhook/cypress-agent', rateLimiter.ipMiddleware(), auth.require('jobs:create'), rateLimiter.middleware(), validator.body(cypressAgentRequestSchema), async (req, res) => {
+    const requestId = req.requestId;
     
-    console.log(chalk.blue(`\n🔄 [${requestId}] Solicitud recibida de n8n`));
+    logger.info(t('webhook.received', { requestId }));
     
     try {
-        const { githubUrl, projectName, triggerType = 'manual' } = req.body;
+        const { githubUrl, projectName, triggerType = 'manual', ref, subdirectory, packages, execute = false, repair, llm, specStyle, testType, specLanguage, config, callbackUrl } = req.body;
         
-        // Validar entrada
-        if (!githubUrl) {
+        // Validar entrada (la forma del cuerpo ya la ha comprobado el esquema)
+        if (callbackUrl && !callbackPolicy.parse(callbackUrl)) {
             return res.status(400).json({
                 success: false,
-                error: 'Se requiere githubUrl',
+                error: t('callbackPolicy.invalidUrl'),
+                code: 'INVALID_REQUEST',
+                details: [{ field: 'callbackUrl', message: t('validation.httpUrl') }],
                 requestId
             });
         }
 
-        console.log(chalk.cyan(`📦 [${requestId}] Procesando: ${githubUrl}`));
-        
-        // Procesar el repositorio
-        const result = await agent.processRepository(githubUrl);
-        
-        const processingTime = Date.now() - startTime;
-        
-        // Preparar respuesta para n8n
-        const n8nResponse = {
-            success: result.success,
-            requestId,
-            processingTime: `${processingTime}ms`,
-            timestamp: new Date().toISOString(),
-            input: {
-                githubUrl,
-                projectName,
-                triggerType
-            },
-            output: result.success ? {
-                projectAnalysis: {
-                    type: result.analysis.projectType,
-                    framework: result.analysis.framework,
-                    hasCypress: result.cypressCheck.hasCypressDependency
-                },
-                generatedSpecs: {
-                    total: result.specSummary.totalSpecs,
-                    types: result.specSummary.specTypes,
-                    estimatedTime: result.specSummary.estimatedExecutionTime
-                },
-                outputPath: result.outputPath,
-                files: await getGeneratedFiles(result.outputPath),
-                summary: `Generados ${result.specSummary.totalSpecs} specs para ${result.analysis.projectType}`
-            } : {
-                error: result.error
+        // Sin destinos internos: se resuelve el host y se rechazan direcciones privadas o reservadas
+        const callbackVerdict = callbackUrl ? await callbackPolicy.verify(callbackUrl) : { allowed: true };
+        if (!callbackVerdict.allowed) {
+            logger.warn(t('webhook.callbackRejected', { requestId, reason: callbackVerdict.reason }));
+            return res.status(403).json({
+                success: false,
+                error: callbackVerdict.reason,
+                code: 'CALLBACK_NOT_ALLOWED',
+                requestId
+            });
+        }
+
+        const verdict = repositoryPolicy.check(githubUrl);
+        if (!verdict.allowed) {
+            logger.warn(t('webhook.repositoryRejected', { requestId, reason: verdict.reason }));
+            return res.status(403).json({
+                success: false,
+                error: verdict.reason,
+                code: 'REPOSITORY_NOT_ALLOWED',
+                requestId
+            });
+        }
+
+        const executeRejection = execute || repair ? checkExecuteRequest(req.apiKey) : null;
+        if (executeRejection) {
+            logger.warn(t('webhook.executeRejected', { requestId, reason: executeRejection }));
+            return res.status(403).json({
+                success: false,
+                error: executeRejection,
+                code: 'EXECUTE_NOT_ALLOWED',
+                requestId
+            });
+        }
+
+        const llmRejection = llm ? checkLlmRequest(llm, req.apiKey) : null;
+        if (llmRejection) {
+            logger.warn(t('webhook.llmRejected', { requestId, reason: llmRejection }));
+            return res.status(403).json({
+                success: false,
+                error: llmRejection,
+                code: 'LLM_NOT_ALLOWED',
+                requestId
+            });
+        }
+
+        // La URL y la API key del LLM solo se toman del entorno para no enviarlas a destinos arbitrarios;
+        // el presupuesto de tokens nunca supera el tope del servidor
+        const llmOptions = llm && llm.provider
+            ? {
+                provider: llm.provider,
+                model: llm.model,
+                maxTotalTokens: Math.min(llm.maxTotalTokens || Infinity, security.llm.maxTotalTokens)
             }
-        };
+            : undefined;
 
-        console.log(chalk.green(`✅ [${requestId}] Procesamiento completado en ${processingTime}ms`));
-        
-        res.json(n8nResponse);
+        const job = await jobQueue.enqueue({
+            requestId,
+            githubUrl,
+            projectName,
+            triggerType,
+            callbackUrl,
+            options: { ref, subdirectory, packages, execute, repair, specStyle, testType, specLanguage, config, llm: llmOptions }
+        });
+
+        logger.info(t('webhook.enqueued', { requestId, jobId: job.id, repository: githubUrl }));
+
+        res.status(202).json({
+            success: true,
+            requestId,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/webhook/jobs/${job.id}`,
+            timestamp: job.createdAt
+        });
 
     } catch (error) {
-        const processingTime = Date.now() - startTime;
-        console.error(chalk.red(`❌ [${requestId}] Error: ${error.message}`));
+        logger.error(t('webhook.failed', { requestId, error: error.message }));
         
         res.status(500).json({
             success: false,
             error: error.message,
-            requestId,
-            processingTime: `${processingTime}ms`
+            requestId
         });
     }
 });
 
+// Listado de jobs (sin resultados); ?status=running filtra por estado
+app.get('/webhook/jobs', rateLimiter.ipMiddleware(), auth.require('jobs:read'), rateLimiter.middleware(), async (req, res) => {
+    try {
+        const jobs = (await jobQueue.list())
+            .filter(job => !req.query.status || job.status === req.query.status)
+            .map(job => ({ ...describeJob(job), result: undefined }));
+
+        res.json({ success: true, total: jobs.length, jobs });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Estado, etapa, progreso y resultado de un job
+app.get('/webhook/jobs/:id', rateLimiter.ipMiddleware(), auth.require('jobs:read'), rateLimiter.middleware(), async (req, res) => {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: t('api.jobNotFound', { jobId: req.params.id }) });
+    }
+
+    res.json({ success: true, job: describeJob(job) });
+});
+
+// Progreso del job en directo (Server-Sent Events): primero el estado actual y los eventos
+// guardados posteriores a Last-Event-ID, después cada etapa y paso hasta que el job termina
+app.get('/webhook/jobs/:id/events', rateLimiter.ipMiddleware(), auth.require('jobs:read'), rateLimiter.middleware(), async (req, res) => {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: t('api.jobNotFound', { jobId: req.params.id }) });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    // Cualquier evento final cierra el stream, también el que llega en el historial: si el job
+    // termina entre get() y subscribe(), `job.status` ya no está al día
+    const send = event => {
+        if (closed) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.final) close();
+    };
+
+    // Suscribirse antes de repetir el historial para no perder eventos intermedios
+    const unsubscribe = jobQueue.subscribe(job.id, send);
+    req.on('close', close);
+
+    res.write(`event: snapshot\ndata: ${JSON.stringify({ ...describeJob(job), result: undefined })}\n\n`);
+    jobQueue.eventsSince(job.id, Number(req.get('last-event-id')) || 0).forEach(send);
+
+    if (FINAL_STATUSES.includes(job.status)) close();
+});
+
+// Cancelar un job en cola o en ejecución
+app.delete('/webhook/jobs/:id', rateLimiter.ipMiddleware(), auth.require('jobs:cancel'), rateLimiter.middleware(), async (req, res) => {
+    try {
+        const job = await jobQueue.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: t('api.jobNotFound', { jobId: req.params.id }) });
+        }
+        if (job.status !== JOB_STATUS.CANCELLED) {
+            return res.status(409).json({ success: false, error: t('api.jobAlreadyFinished', { status: job.status }), job: describeJob(job) });
+        }
+
+        logger.warn(t('webhook.cancelled', { jobId: job.id }));
+        res.json({ success: true, job: describeJob(job) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Procesa un job con su propio agente y directorio de salida para que los jobs concurrentes no se pisen.
+// Sus logs llevan el requestId de la solicitud que lo creó y el jobId.
+function processJob(job, { signal, reportProgress }) {
+    return withLogContext(jobLogContext(job), async () => {
+        const { githubUrl, options } = job.input;
+        const agent = new CypressAutonomousAgent({
+            config: projectConfig.withOverrides(options.config || {}, 'request'),
+            outputDir: path.join(OUTPUT_ROOT, job.id),
+            specLanguage: options.specLanguage
+        });
+        agent.progress.on('progress', event => jobQueue.publish(job, event));
+
+        logger.info(t('webhook.processing', { jobId: job.id, repository: githubUrl }));
+
+        let result;
+        try {
+            result = await agent.processRepository(githubUrl, { ...options, signal, onProgress: reportProgress });
+
+            return {
+                success: result.success,
+                error: result.success ? undefined : result.error,
+                output: await buildN8NOutput(result)
+            };
+        } finally {
+            // El clon temporal no se conserva, termine el job bien, mal o cancelado
+            if (result) await agent.cleanup(result.tempPath);
+        }
+    });
+}
+
+function jobLogContext(job) {
+    return { requestId: job.input.requestId, jobId: job.id };
+}
+
+// Motivo por el que no se acepta el proveedor LLM pedido (lo paga el servidor), o null
+function checkLlmRequest(llm, apiKey) {
+    if (!security.llm.providers.includes(llm.provider)) {
+        return t('webhook.llmProviderNotAllowed', { provider: llm.provider, providers: security.llm.providers.join(', ') });
+    }
+    if (llm.provider !== 'mock' && apiKey && !auth.hasScope(apiKey, 'llm:use')) {
+        return t('webhook.llmScopeMissing', { key: apiKey.name, provider: llm.provider });
+    }
+    return null;
+}
+
+// execute y repair arrancan el script del repositorio y Cypress en el servidor: con API keys exigen jobs:execute
+function checkExecuteRequest(apiKey) {
+    if (apiKey && !auth.hasScope(apiKey, 'jobs:execute')) {
+        return t('webhook.executeScopeMissing', { key: apiKey.name });
+    }
+    return null;
+}
+
+// Entrega el payload del job a su callbackUrl registrando cada intento en el job.
+// Las entregas interrumpidas por un reinicio continúan con los intentos que les quedan.
+function deliverCallback(job) {
+    return withLogContext(jobLogContext(job), () => sendCallback(job));
+}
+
+async function sendCallback(job) {
+    const url = job.input.callbackUrl;
+    const previousAttempts = job.callback ? job.callback.attempts : [];
+
+    try {
+        await jobQueue.update(job, { callback: { url, status: 'pending', attempts: previousAttempts } });
+
+        const delivery = await callbackNotifier.deliver(url, buildCallbackPayload(job), {
+            previousAttempts: previousAttempts.length,
+            onAttempt: attempt => jobQueue.update(job, {
+                callback: { ...job.callback, attempts: [...job.callback.attempts, attempt] }
+            })
+        });
+
+        await jobQueue.update(job, { callback: { ...job.callback, status: delivery.delivered ? 'delivered' : 'failed' } });
+
+        if (delivery.delivered) {
+            logger.success(t('webhook.callbackDelivered', { jobId: job.id, url }));
+        } else {
+            logger.error(t('webhook.callbackFailed', { jobId: job.id, url, attempts: job.callback.attempts.length }));
+        }
+    } catch (error) {
+        logger.error(t('webhook.callbackError', { jobId: job.id, error: error.message }));
+    }
+}
+
+async function resumePendingCallbacks() {
+    const pending = (await jobQueue.list()).filter(job =>
+        job.input.callbackUrl && job.finishedAt && (!job.callback || job.callback.status === 'pending'));
+
+    pending.forEach(job => deliverCallback(job));
+}
+
+// Mismo formato que devolvía la respuesta síncrona del webhook
+function buildCallbackPayload(job) {
+    const description = describeJob(job);
+
+    return {
+        success: job.status === JOB_STATUS.COMPLETED,
+        requestId: description.requestId,
+        jobId: job.id,
+        status: job.status,
+        processingTime: description.processingTime,
+        timestamp: job.finishedAt,
+        input: description.input,
+        output: description.result || { error: job.error }
+    };
+}
+
+// Resumen del resultado del agente para n8n
+async function buildN8NOutput(result) {
+    if (!result.success) {
+        return { error: result.error };
+    }
+
+    return {
+        projectAnalysis: {
+            type: result.analysis.projectType,
+            framework: result.analysis.framework,
+            hasCypress: result.cypressCheck.hasCypressDependency
+        },
+        generatedSpecs: {
+            total: result.specSummary.totalSpecs,
+            types: result.specSummary.specTypes,
+            estimatedTime: result.specSummary.estimatedExecutionTime,
+            llmSpecs: result.specSummary.llmSpecs,
+            pageObjects: result.specSummary.pageObjects,
+            componentSpecs: result.specSummary.componentSpecs
+        },
+        outputPath: result.outputPath,
+        files: await getGeneratedFiles(result.outputPath),
+        scaffold: result.scaffold,
+        packages: result.packages ? result.packages.map(project => ({
+            name: project.name,
+            path: project.path,
+            type: project.projectType,
+            framework: project.framework,
+            specs: project.specSummary ? project.specSummary.totalSpecs : 0,
+            outputPath: project.outputPath
+        })) : null,
+        execution: result.execution ? {
+            executed: result.execution.executed,
+            success: result.execution.success,
+            totals: result.execution.totals,
+            specs: (result.execution.specs || []).map(spec => ({ name: spec.name, status: spec.status })),
+            error: result.execution.error
+        } : null,
+        repair: result.repair ? {
+            iterations: result.repair.iterations,
+            converged: result.repair.converged,
+            degraded: result.repair.degraded,
+            unresolved: result.repair.unresolved.map(({ spec, test, action, from }) => ({ spec, test, action, subject: from })),
+            changes: result.repair.attempts.filter(attempt => attempt.applied).length
+        } : null,
+        summary: t('webhook.summary', { count: result.specSummary.totalSpecs, projectType: result.analysis.projectType })
+    };
+}
+
+// JSON mal formado o demasiado grande: mismo formato que los errores de validación
+function rejectMalformedBody(error, req, res, next) {
+    if (!error.type || !error.type.startsWith('entity.')) return next(error);
+
+    res.status(error.status || 400).json({
+        success: false,
+        error: error.type === 'entity.too.large' ? t('api.bodyTooLarge') : t('api.invalidJson'),
+        code: 'INVALID_REQUEST'
+    });
+}
+
+function describeJob(job) {
+    const finished = job.finishedAt ? new Date(job.finishedAt) : null;
+
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        requestId: job.input.requestId,
+        input: {
+            githubUrl: job.input.githubUrl,
+            projectName: job.input.projectName,
+            triggerType: job.input.triggerType,
+            ref: job.input.options.ref,
+            subdirectory: job.input.options.subdirectory,
+            packages: job.input.options.packages,
+            specLanguage: job.input.options.specLanguage,
+            config: job.input.options.config
+        },
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        processingTime: job.startedAt && finished ? `${finished - new Date(job.startedAt)}ms` : null,
+        error: job.error,
+        callback: job.callback || null,
+        result: job.result ? job.result.output : null
+    };
+}
+
 // Endpoint de estado
 app.get('/webhook/status', (req, res) => {
     res.json({
@@ -99,10 +482,9 @@ app.get('/webhook/status', (req, res) => {
 });
 
 // Endpoint para listar specs generados
-app.get('/webhook/generated-specs', async (req, res) => {
+app.get('/webhook/generated-specs', rateLimiter.ipMiddleware(), auth.require('specs:read'), rateLimiter.middleware(), async (req, res) => {
     try {
-        const specsPath = path.join(process.cwd(), 'generated-specs');
-        const files = await getGeneratedFiles(specsPath);
+        const files = await getGeneratedFiles(OUTPUT_ROOT);
         
         res.json({
             success: true,
@@ -117,7 +499,7 @@ app.get('/webhook/generated-specs', async (req, res) => {
     }
 });
 
-// Función auxiliar para obtener archivos generados
+// Función auxiliar para obtener archivos generados (recorre los subdirectorios)
 async function getGeneratedFiles(outputPath) {
     try {
         if (!await fs.pathExists(outputPath)) {
@@ -128,9 +510,13 @@ async function getGeneratedFiles(outputPath) {
         const fileDetails = [];
         
         for (const file of files) {
-            if (file.endsWith('.cy.js')) {
-                const filePath = path.join(outputPath, file);
-                const stats = await fs.stat(filePath);
+            const filePath = path.join(outputPath, file);
+            const stats = await fs.stat(filePath);
+
+            // Cada job escribe en su propio subdirectorio
+            if (stats.isDirectory()) {
+                fileDetails.push(...await getGeneratedFiles(filePath));
+            } else if (file.endsWith('.cy.js')) {
                 const content = await fs.readFile(filePath, 'utf8');
                 
                 fileDetails.push({
@@ -145,19 +531,28 @@ async function getGeneratedFiles(outputPath) {
         
         return fileDetails;
     } catch (error) {
-        console.error('Error leyendo archivos:', error);
+        logger.error(t('webhook.filesError', { error: error.message }));
         return [];
     }
 }
 
-// Iniciar servidor
+// Iniciar servidor tras recuperar los jobs pendientes del almacén
+await jobQueue.start();
+await resumePendingCallbacks();
+
 app.listen(PORT, () => {
-    console.log(chalk.green.bold(`\n🚀 Servidor n8n-webhook iniciado en puerto ${PORT}`));
-    console.log(chalk.blue(`📡 Endpoints disponibles:`));
-    console.log(chalk.blue(`   POST http://localhost:${PORT}/webhook/cypress-agent`));
-    console.log(chalk.blue(`   GET  http://localhost:${PORT}/webhook/status`));
-    console.log(chalk.blue(`   GET  http://localhost:${PORT}/webhook/generated-specs`));
-    console.log(chalk.green(`\n✅ Listo para recibir solicitudes de n8n!`));
+    logger.success(t('webhook.started', { port: PORT }));
+    logger.info(t('webhook.endpoints'));
+    logger.info(`   POST http://localhost:${PORT}/webhook/cypress-agent`);
+    logger.info(`   GET  http://localhost:${PORT}/webhook/jobs/:id`);
+    logger.info(`   GET  http://localhost:${PORT}/webhook/jobs/:id/events (SSE)`);
+    logger.info(`   DEL  http://localhost:${PORT}/webhook/jobs/:id`);
+    logger.info(`   GET  http://localhost:${PORT}/webhook/status`);
+    logger.info(`   GET  http://localhost:${PORT}/webhook/generated-specs`);
+    if (!auth.enabled) {
+        logger.warn(t('webhook.noApiKeys', { file: security.file }));
+    }
+    logger.success(t('webhook.ready'));
 });
 
 export default app;
\ No newline at end of file
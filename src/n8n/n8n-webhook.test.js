@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const SERVER = fileURLToPath(new URL('./n8n-webhook.js', import.meta.url));
+const KEYS = { creator: 'creator-key', executor: 'executor-key' };
+
+let workDir;
+let server;
+let baseUrl;
+
+// Puerto libre para el servidor de prueba
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function waitUntilReady(url, deadline = Date.now() + 30000) {
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) throw new Error('el servidor terminó al arrancar');
+        try {
+            if ((await fetch(`${url}/webhook/status`)).ok) return;
+        } catch (error) {
+            // Todavía arrancando
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error('el servidor no arrancó a tiempo');
+}
+
+before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'n8n-webhook-'));
+    await fs.writeJson(path.join(workDir, 'security.json'), {
+        apiKeys: [
+            { name: 'creator', key: KEYS.creator, scopes: ['jobs:create', 'jobs:read'] },
+            { name: 'executor', key: KEYS.executor, scopes: ['jobs:create', 'jobs:read', 'jobs:execute'] }
+        ],
+        repositories: { allowHosts: ['github.com'] }
+    });
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [SERVER], {
+        cwd: workDir,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            CYPRESS_AGENT_SECURITY_FILE: path.join(workDir, 'security.json'),
+            CYPRESS_AGENT_JOBS_DIR: path.join(workDir, 'jobs'),
+            CYPRESS_AGENT_LOG_LEVEL: 'error'
+        },
+        stdio: 'ignore'
+    });
+    await waitUntilReady(baseUrl);
+});
+
+after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill('SIGTERM');
+        await exited;
+    }
+    await fs.remove(workDir);
+});
+
+function createJob(key, body) {
+    return fetch(`${baseUrl}/webhook/cypress-agent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: JSON.stringify({ githubUrl: 'https://github.com/acme/app', ...body })
+    });
+}
+
+test('execute y repair se rechazan con una API key sin el scope jobs:execute', async () => {
+    for (const body of [{ execute: true }, { repair: 2 }]) {
+        const response = await createJob(KEYS.creator, body);
+        const payload = await response.json();
+
+        assert.equal(response.status, 403, JSON.stringify(body));
+        assert.equal(payload.code, 'EXECUTE_NOT_ALLOWED');
+        assert.match(payload.error, /jobs:execute/);
+    }
+
+    const jobs = await (await fetch(`${baseUrl}/webhook/jobs`, { headers: { Authorization: `Bearer ${KEYS.creator}` } })).json();
+    assert.equal(jobs.total, 0);
+});
+
+test('con jobs:execute la petición pasa esta comprobación', async () => {
+    // El proveedor LLM se comprueba después del scope: llegar a ese error demuestra que el scope se aceptó
+    const response = await createJob(KEYS.executor, { execute: true, repair: 1, llm: { provider: 'openai' } });
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'LLM_NOT_ALLOWED');
+});
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { t } from '../i18n/index.js';
+
+export const API_KEY_HEADER = 'x-api-key';
+
+// Autenticación por API key (`X-API-Key: <clave>` o `Authorization: Bearer <clave>`).
+// Cada clave lleva sus scopes; `*` los concede todos. Sin claves configuradas
+// las rutas quedan abiertas, que es lo que el servidor avisa al arrancar.
+export default class ApiKeyAuth {
+    constructor(apiKeys = []) {
+        // Se guarda el hash para comparar en tiempo constante sin depender de la longitud
+        this.keys = apiKeys.map(entry => ({ ...entry, digest: this.digest(entry.key), key: undefined }));
+    }
+
+    get enabled() {
+        return this.keys.length > 0;
+    }
+
+    digest(value) {
+        return crypto.createHash('sha256').update(value).digest();
+    }
+
+    extractToken(req) {
+        const header = req.get('authorization');
+        if (header) {
+            const match = header.match(/^Bearer\s+(.+)$/i);
+            return match ? match[1].trim() : null;
+        }
+        return req.get(API_KEY_HEADER) || null;
+    }
+
+    authenticate(token) {
+        if (!token) return null;
+
+        const digest = this.digest(token);
+        return this.keys.find(entry => crypto.timingSafeEqual(entry.digest, digest)) || null;
+    }
+
+    hasScope(entry, scope) {
+        return entry.scopes.includes('*') || entry.scopes.includes(scope);
+    }
+
+    // Middleware que exige una clave válida con el scope indicado y la deja en req.apiKey
+    require(scope) {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                req.apiKey = null;
+                return next();
+            }
+
+            const entry = this.authenticate(this.extractToken(req));
+            if (!entry) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({
+                    success: false,
+                    error: t('api.unauthorized'),
+                    code: 'UNAUTHORIZED'
+                });
+            }
+
+            if (!this.hasScope(entry, scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: t('api.missingScope', { key: entry.name, scope }),
+                    code: 'FORBIDDEN'
+                });
+            }
+
+            req.apiKey = { name: entry.name, scopes: entry.scopes, rateLimit: entry.rateLimit };
+            next();
+        };
+    }
+}
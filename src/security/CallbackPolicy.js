@@ -0,0 +1,106 @@
+import dns from 'dns';
+import net from 'net';
+import { matchesHost } from './RepositoryPolicy.js';
+import { t } from '../i18n/index.js';
+
+export const CALLBACK_BLOCKED = 'ECALLBACKBLOCKED';
+
+// Loopback, redes privadas, link-local (metadatos de la nube), CGNAT, multicast y rangos reservados
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    // ::/127 cubre :: y ::1. BlockList compara las IPv4 envueltas (::ffff:a.b.c.d) con las reglas IPv4
+    ['::', 127], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// Destinos que los servidores aceptan como callbackUrl.
+// La denegación gana siempre; si hay lista de permitidos, lo que no esté en ella se rechaza.
+// Las direcciones privadas o reservadas se rechazan salvo `allowPrivate`, tanto si aparecen
+// en la URL como si son el resultado de resolver el host.
+export default class CallbackPolicy {
+    constructor({ allowHosts = [], denyHosts = [], allowPrivate = false } = {}) {
+        this.allowHosts = allowHosts.map(host => host.toLowerCase());
+        this.denyHosts = denyHosts.map(host => host.toLowerCase());
+        this.allowPrivate = allowPrivate;
+    }
+
+    // Host de una URL http(s) (sin corchetes si es IPv6) o null
+    parse(value) {
+        try {
+            const url = new URL(value);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isAllowedAddress(address) {
+        if (this.allowPrivate) return true;
+        return !PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    // { allowed, reason } sin resolver el host: esquema, listas y direcciones IP literales
+    check(value) {
+        const host = this.parse(value);
+
+        if (!host) {
+            return { allowed: false, reason: t('callbackPolicy.invalidUrl') };
+        }
+        if (matchesHost(host, this.denyHosts)) {
+            return { allowed: false, reason: t('callbackPolicy.hostDenied', { host }) };
+        }
+        if (this.allowHosts.length > 0 && !matchesHost(host, this.allowHosts)) {
+            return { allowed: false, reason: t('callbackPolicy.hostNotAllowed', { host }) };
+        }
+        if (net.isIP(host) && !this.isAllowedAddress(host)) {
+            return { allowed: false, reason: t('callbackPolicy.addressNotAllowed', { host, address: host }) };
+        }
+
+        return { allowed: true };
+    }
+
+    // Como check(), pero además resuelve el host y comprueba todas sus direcciones
+    async verify(value) {
+        const verdict = this.check(value);
+        const host = this.parse(value);
+        if (!verdict.allowed || net.isIP(host)) return verdict;
+
+        try {
+            await this.createLookup()(host);
+            return { allowed: true };
+        } catch (error) {
+            return { allowed: false, reason: error.message };
+        }
+    }
+
+    // Función `lookup` para la conexión: se comprueban las direcciones en el momento de conectar,
+    // así un cambio de DNS entre verify() y el envío (DNS rebinding) no llega a la red interna
+    createLookup() {
+        return async (hostname, options = {}) => {
+            let addresses;
+            try {
+                addresses = await dns.promises.lookup(hostname, { all: true, family: options.family });
+            } catch (error) {
+                // Fallo de DNS: puede ser pasajero, el notificador lo reintenta
+                throw new Error(t('callbackPolicy.unresolvable', { host: hostname, error: error.code || error.message }));
+            }
+
+            const denied = addresses.find(entry => !this.isAllowedAddress(entry.address));
+            if (denied) {
+                throw blocked(t('callbackPolicy.addressNotAllowed', { host: hostname, address: denied.address }));
+            }
+            return addresses;
+        };
+    }
+}
+
+function blocked(message) {
+    const error = new Error(message);
+    error.code = CALLBACK_BLOCKED;
+    return error;
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CallbackPolicy from './CallbackPolicy.js';
+
+test('rechaza loopback, redes privadas y metadatos de la nube aunque se escriban de otra forma', async () => {
+    const policy = new CallbackPolicy();
+
+    for (const url of [
+        'http://127.0.0.1/hook',
+        'http://2130706433/hook',
+        'http://0x7f.1/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.1/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://localhost:3000/hook'
+    ]) {
+        assert.equal((await policy.verify(url)).allowed, false, url);
+    }
+
+    assert.equal(policy.check('http://8.8.8.8/hook').allowed, true);
+    assert.equal(policy.check('gopher://8.8.8.8/').allowed, false);
+});
+
+test('aplica las listas de hosts y permite la red privada solo con allowPrivate', async () => {
+    const policy = new CallbackPolicy({ allowHosts: ['*.example.com'], denyHosts: ['evil.example.com'] });
+
+    assert.equal(policy.check('https://hooks.example.com/n8n').allowed, true);
+    assert.equal(policy.check('https://evil.example.com/n8n').allowed, false);
+    assert.equal(policy.check('https://other.test/n8n').allowed, false);
+
+    assert.equal((await new CallbackPolicy({ allowPrivate: true }).verify('http://localhost:3000/hook')).allowed, true);
+});
@@ -0,0 +1,78 @@
+import { t } from '../i18n/index.js';
+
+// Límite de peticiones por ventana fija. Cuenta por IP antes de autenticar (ipMiddleware) y por
+// API key después (middleware, con req.apiKey de ApiKeyAuth). Cada clave puede traer su propio { windowMs, max }.
+export default class RateLimiter {
+    constructor({ windowMs, max }) {
+        this.defaults = { windowMs, max };
+        this.windows = new Map();
+    }
+
+    limitsFor(req) {
+        return { ...this.defaults, ...(req.apiKey && req.apiKey.rateLimit) };
+    }
+
+    // Registra una petición y devuelve el estado de la ventana de ese cliente
+    hit(id, { windowMs, max }, now = Date.now()) {
+        this.prune(now);
+
+        let window = this.windows.get(id);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            this.windows.set(id, window);
+        }
+
+        window.count++;
+
+        return {
+            limit: max,
+            remaining: Math.max(0, max - window.count),
+            resetAt: window.resetAt,
+            limited: window.count > max
+        };
+    }
+
+    prune(now) {
+        for (const [id, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(id);
+        }
+    }
+
+    // Va antes de auth.require: las peticiones que acaban en 401 (adivinar claves) también cuentan
+    ipMiddleware() {
+        return this.handler(req => `ip:${req.ip}`, () => this.defaults);
+    }
+
+    // Va después de auth.require; sin API keys configuradas ya ha contado ipMiddleware
+    middleware() {
+        return this.handler(req => req.apiKey ? `key:${req.apiKey.name}` : null, req => this.limitsFor(req));
+    }
+
+    handler(identify, limitsFor) {
+        return (req, res, next) => {
+            const id = identify(req);
+            const limits = limitsFor(req);
+            if (!id || !limits.max) return next();
+
+            const state = this.hit(id, limits);
+            const resetSeconds = Math.ceil((state.resetAt - Date.now()) / 1000);
+
+            res.set({
+                'RateLimit-Limit': String(state.limit),
+                'RateLimit-Remaining': String(state.remaining),
+                'RateLimit-Reset': String(resetSeconds)
+            });
+
+            if (state.limited) {
+                res.set('Retry-After', String(resetSeconds));
+                return res.status(429).json({
+                    success: false,
+                    error: t('api.rateLimited', { limit: state.limit, seconds: resetSeconds }),
+                    code: 'RATE_LIMITED'
+                });
+            }
+
+            next();
+        };
+    }
+}
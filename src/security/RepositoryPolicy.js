@@ -0,0 +1,83 @@
+import { t } from '../i18n/index.js';
+
+// Lista de hosts y organizaciones que los servidores aceptan clonar.
+// La denegación gana siempre; si hay lista de permitidos, lo que no esté en ella se rechaza.
+// Hosts: `github.com` o `*.example.com`. Organizaciones: `acme` (en cualquier host)
+// o `gitlab.com/acme`. Las rutas locales y `file://` se rechazan salvo `allowLocal`.
+export default class RepositoryPolicy {
+    constructor({ allowHosts = [], denyHosts = [], allowOrgs = [], denyOrgs = [], allowLocal = false } = {}) {
+        this.allowHosts = allowHosts.map(host => host.toLowerCase());
+        this.denyHosts = denyHosts.map(host => host.toLowerCase());
+        this.allowOrgs = allowOrgs.map(org => org.toLowerCase());
+        this.denyOrgs = denyOrgs.map(org => org.toLowerCase());
+        this.allowLocal = allowLocal;
+    }
+
+    // { local, host, org } a partir de las mismas formas que acepta GitHubHandler
+    parse(source) {
+        const trimmed = source.trim();
+
+        const scpLike = trimmed.match(/^[\w.-]+@([\w.-]+):\/?(.*)$/);
+        if (scpLike) {
+            return { local: false, host: scpLike[1].toLowerCase(), org: this.firstSegment(scpLike[2]) };
+        }
+
+        if (/^(https?|ssh|git):\/\//i.test(trimmed)) {
+            try {
+                const url = new URL(trimmed);
+                return { local: false, host: url.hostname.toLowerCase(), org: this.firstSegment(url.pathname) };
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return { local: true, host: null, org: null };
+    }
+
+    firstSegment(repoPath) {
+        const segment = repoPath.split('/').filter(Boolean)[0];
+        return segment ? segment.toLowerCase() : null;
+    }
+
+    matchesOrg(host, org, patterns) {
+        if (!org) return false;
+        return patterns.some(pattern => pattern === org || pattern === `${host}/${org}`);
+    }
+
+    // { allowed, reason } para el origen indicado
+    check(source) {
+        const target = this.parse(source);
+
+        if (!target) {
+            return { allowed: false, reason: t('repositoryPolicy.invalidUrl') };
+        }
+        if (target.local) {
+            return this.allowLocal
+                ? { allowed: true }
+                : { allowed: false, reason: t('repositoryPolicy.localNotAllowed') };
+        }
+
+        const { host, org } = target;
+        if (matchesHost(host, this.denyHosts)) {
+            return { allowed: false, reason: t('repositoryPolicy.hostDenied', { host }) };
+        }
+        if (this.matchesOrg(host, org, this.denyOrgs)) {
+            return { allowed: false, reason: t('repositoryPolicy.orgDenied', { host, org }) };
+        }
+        if (this.allowHosts.length > 0 && !matchesHost(host, this.allowHosts)) {
+            return { allowed: false, reason: t('repositoryPolicy.hostNotAllowed', { host }) };
+        }
+        if (this.allowOrgs.length > 0 && !this.matchesOrg(host, org, this.allowOrgs)) {
+            return { allowed: false, reason: t('repositoryPolicy.orgNotAllowed', { host, org: org || t('repositoryPolicy.noOrg') }) };
+        }
+
+        return { allowed: true };
+    }
+}
+
+// `github.com` coincide solo consigo mismo; `*.example.com` con cualquier subdominio
+export function matchesHost(host, patterns) {
+    return patterns.some(pattern => pattern.startsWith('*.')
+        ? host.endsWith(pattern.slice(1))
+        : host === pattern);
+}
@@ -0,0 +1,53 @@
+import Ajv from 'ajv';
+import { t } from '../i18n/index.js';
+
+// Valida cuerpos de petición contra JSON Schema y responde 400 con un error por campo
+export default class RequestValidator {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+    }
+
+    // Devuelve [{ field, message }] o un array vacío si el cuerpo es válido
+    validate(schema, data) {
+        const check = this.ajv.getSchema(schema.$id) || this.ajv.compile(schema);
+        if (check(data)) return [];
+
+        return check.errors.map(error => ({
+            field: this.fieldOf(error),
+            message: this.messageOf(error)
+        }));
+    }
+
+    fieldOf(error) {
+        const pointer = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+        const property = error.params.missingProperty || error.params.additionalProperty;
+        if (property) return pointer ? `${pointer}.${property}` : property;
+        return pointer || '(body)';
+    }
+
+    messageOf(error) {
+        switch (error.keyword) {
+            case 'required': return t('validation.required');
+            case 'additionalProperties': return t('validation.additionalProperty');
+            case 'enum': return t('validation.enum', { values: error.params.allowedValues.join(', ') });
+            case 'const': return t('validation.const', { value: JSON.stringify(error.params.allowedValue) });
+            case 'type': return t('validation.type', { type: error.params.type });
+            case 'pattern': return t('validation.pattern');
+            default: return error.message;
+        }
+    }
+
+    body(schema) {
+        return (req, res, next) => {
+            const details = this.validate(schema, req.body === undefined ? {} : req.body);
+            if (details.length === 0) return next();
+
+            res.status(400).json({
+                success: false,
+                error: t('api.invalidRequest'),
+                code: 'INVALID_REQUEST',
+                details
+            });
+        };
+    }
+}
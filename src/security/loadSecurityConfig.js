@@ -0,0 +1,94 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { t } from '../i18n/index.js';
+
+export const DEFAULT_CONFIG_FILE = 'cypress-agent.security.json';
+
+const DEFAULT_RATE_LIMIT = { windowMs: 60 * 1000, max: 60 };
+
+// Proveedores LLM que un cliente del webhook puede elegir y tope de tokens por job: los paga el servidor
+const DEFAULT_LLM = { providers: ['mock'], maxTotalTokens: 50000 };
+
+/**
+ * Configuración de seguridad de los servidores HTTP: API keys con sus scopes y límites,
+ * límite por defecto, orígenes CORS, política de repositorios, destinos de callbackUrl y uso del LLM.
+ * Se lee de CYPRESS_AGENT_SECURITY_FILE (o ./cypress-agent.security.json si existe)
+ * y se completa con las variables de entorno CYPRESS_AGENT_*.
+ */
+export default async function loadSecurityConfig({ file, env = process.env } = {}) {
+    const configFile = file || env.CYPRESS_AGENT_SECURITY_FILE || path.join(process.cwd(), DEFAULT_CONFIG_FILE);
+    const explicit = Boolean(file || env.CYPRESS_AGENT_SECURITY_FILE);
+
+    let fromFile = {};
+    if (await fs.pathExists(configFile)) {
+        fromFile = await fs.readJson(configFile);
+    } else if (explicit) {
+        throw new Error(t('security.fileNotFound', { file: configFile }));
+    }
+
+    const rateLimit = { ...DEFAULT_RATE_LIMIT, ...fromFile.rateLimit };
+    if (env.CYPRESS_AGENT_RATE_LIMIT) {
+        rateLimit.max = Number(env.CYPRESS_AGENT_RATE_LIMIT);
+    }
+
+    const repositories = fromFile.repositories || {};
+    const callbacks = fromFile.callbacks || {};
+
+    const llm = { ...DEFAULT_LLM, ...fromFile.llm };
+    if (env.CYPRESS_AGENT_LLM_PROVIDERS) {
+        llm.providers = splitList(env.CYPRESS_AGENT_LLM_PROVIDERS);
+    }
+    if (env.CYPRESS_AGENT_LLM_MAX_TOKENS) {
+        llm.maxTotalTokens = Number(env.CYPRESS_AGENT_LLM_MAX_TOKENS);
+    }
+
+    return {
+        file: configFile,
+        apiKeys: [...normalizeFileKeys(fromFile.apiKeys, configFile), ...parseEnvKeys(env.CYPRESS_AGENT_API_KEYS)],
+        rateLimit,
+        corsOrigins: [...(fromFile.corsOrigins || []), ...splitList(env.CYPRESS_AGENT_CORS_ORIGINS)],
+        repositories: {
+            allowHosts: [...(repositories.allowHosts || []), ...splitList(env.CYPRESS_AGENT_ALLOWED_HOSTS)],
+            denyHosts: [...(repositories.denyHosts || []), ...splitList(env.CYPRESS_AGENT_DENIED_HOSTS)],
+            allowOrgs: [...(repositories.allowOrgs || []), ...splitList(env.CYPRESS_AGENT_ALLOWED_ORGS)],
+            denyOrgs: [...(repositories.denyOrgs || []), ...splitList(env.CYPRESS_AGENT_DENIED_ORGS)],
+            allowLocal: repositories.allowLocal === true || env.CYPRESS_AGENT_ALLOW_LOCAL_REPOS === 'true'
+        },
+        callbacks: {
+            allowHosts: [...(callbacks.allowHosts || []), ...splitList(env.CYPRESS_AGENT_CALLBACK_ALLOWED_HOSTS)],
+            denyHosts: [...(callbacks.denyHosts || []), ...splitList(env.CYPRESS_AGENT_CALLBACK_DENIED_HOSTS)],
+            allowPrivate: callbacks.allowPrivate === true || env.CYPRESS_AGENT_CALLBACK_ALLOW_PRIVATE === 'true'
+        },
+        llm
+    };
+}
+
+function normalizeFileKeys(apiKeys = [], configFile) {
+    return apiKeys.map((entry, index) => {
+        if (!entry || typeof entry.key !== 'string' || entry.key.length === 0) {
+            throw new Error(t('security.keyRequired', { file: configFile, index }));
+        }
+
+        return {
+            name: entry.name || `key-${index + 1}`,
+            key: entry.key,
+            scopes: entry.scopes && entry.scopes.length > 0 ? entry.scopes : ['*'],
+            rateLimit: entry.rateLimit || null
+        };
+    });
+}
+
+// CYPRESS_AGENT_API_KEYS=clave1,clave2: las claves del entorno tienen todos los scopes
+function parseEnvKeys(value) {
+    return splitList(value).map((key, index) => ({
+        name: `env-${index + 1}`,
+        key,
+        scopes: ['*'],
+        rateLimit: null
+    }));
+}
+
+function splitList(value) {
+    if (!value) return [];
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
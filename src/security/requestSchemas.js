@@ -0,0 +1,58 @@
+import { AVAILABLE_PROVIDERS } from '../generators/llm/createProvider.js';
+import { TEST_TYPES, BROWSERS } from '../core/CypressRunOptions.js';
+import { LANGUAGES } from '../i18n/index.js';
+import { projectSettingsSchema } from '../core/ProjectConfig.js';
+
+const HTTP_URL_PATTERN = '^https?://[^\\s]+$';
+
+// POST /webhook/cypress-agent (src/n8n/n8n-webhook.js)
+export const cypressAgentRequestSchema = {
+    $id: 'cypress-agent-request',
+    type: 'object',
+    required: ['githubUrl'],
+    additionalProperties: false,
+    properties: {
+        githubUrl: { type: 'string', minLength: 1, maxLength: 2048 },
+        projectName: { type: 'string', maxLength: 200 },
+        triggerType: { type: 'string', maxLength: 50 },
+        // Ni opciones de git (`--upload-pack=...`) ni espacios
+        ref: { type: 'string', minLength: 1, maxLength: 255, pattern: '^[^\\s-][^\\s]*$' },
+        // Relativo al repositorio y sin salir de él
+        subdirectory: { type: 'string', maxLength: 512, pattern: '^(?!/)(?!.*(^|[\\\\/])\\.\\.([\\\\/]|$)).*$' },
+        // Monorepos: paquetes a probar por nombre o ruta (por defecto, las aplicaciones)
+        packages: { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1, maxLength: 214 } },
+        execute: { type: 'boolean' },
+        repair: { type: 'integer', minimum: 0, maximum: 10 },
+        specStyle: { enum: ['inline', 'pom'] },
+        testType: { enum: ['e2e', 'component', 'all'] },
+        specLanguage: { enum: LANGUAGES },
+        // Ajustes de ProjectConfig para este job (baseUrl, selectors, specs, exclude, strategies)
+        config: projectSettingsSchema,
+        callbackUrl: { type: 'string', maxLength: 2048, pattern: HTTP_URL_PATTERN },
+        llm: {
+            type: 'object',
+            required: ['provider'],
+            additionalProperties: false,
+            properties: {
+                provider: { enum: AVAILABLE_PROVIDERS },
+                model: { type: 'string', maxLength: 200 },
+                maxTotalTokens: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+
+// POST /run-cypress (cypress-server.cjs)
+export const runCypressRequestSchema = {
+    $id: 'run-cypress-request',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        url: { type: 'string', maxLength: 2048, pattern: HTTP_URL_PATTERN },
+        testType: { enum: Object.keys(TEST_TYPES) },
+        // Rutas y globs de specs; CypressRunOptions comprueba que estén dentro del directorio de specs
+        spec: { type: 'string', minLength: 1, maxLength: 512, pattern: '^[\\w@./*{},\\[\\] -]+$' },
+        browser: { enum: BROWSERS },
+        headless: { type: 'boolean' }
+    }
+};